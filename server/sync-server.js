@@ -0,0 +1,596 @@
+#!/usr/bin/env node
+/* SERVER - SYNC SERVER
+   Transportation Dispatch Dashboard
+
+   Small LAN server that lets several dispatch workstations share one board.
+   It stores the dispatch document (the same records the browser keeps in
+   IndexedDB: meta, routes, staff, assets, days, timestamps) in a JSON file and
+   pushes every change to the other connected workstations over WebSocket.
+
+   No dependencies: WebSocket framing (RFC 6455) is handled here directly.
+
+   Usage:
+     npm run sync-server
+     node server/sync-server.js --port 8787 --host 0.0.0.0 --token <secret> --data ./dispatch-document.json
+
+   Then open the dashboard with ?syncServer=ws://<host>:8787/sync?token=<secret>.
+   A token is always required, on loopback too, since any web page the
+   dispatcher opens can reach a localhost WebSocket. Without --token one is
+   generated on first start, kept in a sync-token file next to the document
+   and printed with the sync URL.
+
+   Protocol (JSON text frames):
+     client -> server  { type: 'hello', from }
+     server -> client  { type: 'snapshot', revision, records: [{ store, key, value }] }
+     client -> server  { type: 'changes', id, from, serviceDate, records: [ops], cards }
+     server -> client  { type: 'ack', id, revision }
+     server -> others  { type: 'changes', ..., revision }
+*/
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { STORE_NAMES, APPEND_ONLY_STORES } from '../src/modules/core/storage.js';
+import { mergeDayDocuments } from '../src/modules/core/syncCards.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+const MAX_REMEMBERED_IDS = 1000;
+const SAVE_DELAY = 250;
+
+function readOptions(argv) {
+    const options = {
+        port: Number(process.env.DISPATCH_SYNC_PORT) || 8787,
+        host: process.env.DISPATCH_SYNC_HOST || '127.0.0.1',
+        data: process.env.DISPATCH_SYNC_DATA || path.join(SERVER_DIR, 'data', 'dispatch-document.json'),
+        token: process.env.DISPATCH_SYNC_TOKEN || null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (flag === '--port') options.port = Number(value);
+        else if (flag === '--host') options.host = value;
+        else if (flag === '--data') options.data = path.resolve(value);
+        else if (flag === '--token') options.token = value;
+        else continue;
+        i++;
+    }
+
+    return options;
+}
+
+/**
+ * The configured token, or the one kept next to the document (created on
+ * first start, readable only by the server's user)
+ */
+function resolveToken(options) {
+    if (options.token) return options.token;
+
+    const file = path.join(path.dirname(options.data), 'sync-token');
+    if (fs.existsSync(file)) {
+        const saved = fs.readFileSync(file, 'utf8').trim();
+        if (saved) return saved;
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${token}\n`, { mode: 0o600 });
+    console.log(`🔑 Generated a sync token in ${file}`);
+    return token;
+}
+
+// =============================================================================
+// RECORD VALIDATION
+// =============================================================================
+
+// Keys become property names on plain objects, so prototype names are refused
+const SAFE_KEY = /^(?!(?:__proto__|constructor|prototype)$)[^\u0000-\u001f]{1,256}$/;
+const SERVICE_DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_STORES = ['days', 'timestamps'];
+const DAY_MAPS = ['assignments', 'routeStatus', 'routeNotes', 'fieldTripNotes', 'routeBoard', 'cardVersions'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkKeys(object, where) {
+    Object.keys(object).forEach(key => {
+        if (!SAFE_KEY.test(key)) throw new Error(`Invalid key ${JSON.stringify(key)} in ${where}`);
+    });
+}
+
+function validateDayDocument(day, where) {
+    if (!isPlainObject(day)) throw new Error(`${where} is not a day document`);
+
+    DAY_MAPS.forEach(field => {
+        if (day[field] === undefined) return;
+        if (!isPlainObject(day[field])) throw new Error(`${where}.${field} must be an object`);
+        checkKeys(day[field], `${where}.${field}`);
+    });
+
+    Object.values(day.cardVersions || {}).forEach(version => {
+        if (!isPlainObject(version) || !Number.isFinite(version.version) || !Number.isFinite(version.at)) {
+            throw new Error(`${where} has an invalid card version`);
+        }
+    });
+
+    if (day.staffOut !== undefined && (!Array.isArray(day.staffOut)
+        || day.staffOut.some(entry => !isPlainObject(entry) || typeof entry.name !== 'string'))) {
+        throw new Error(`${where}.staffOut must be a list of staff entries`);
+    }
+}
+
+function validateTimestamps(timestamps, where) {
+    if (!isPlainObject(timestamps)) throw new Error(`${where} is not a timestamp map`);
+    checkKeys(timestamps, where);
+    Object.values(timestamps).forEach(history => {
+        if (!Array.isArray(history)) throw new Error(`${where} must map keys to status histories`);
+    });
+}
+
+/**
+ * Check one write operation without touching the document
+ * @throws {Error} naming the record at fault
+ */
+function validateOperation(op) {
+    if (!isPlainObject(op) || !STORE_NAMES.includes(op.store) || typeof op.key !== 'string' || !SAFE_KEY.test(op.key)) {
+        throw new Error(`Unknown record ${op?.store}/${op?.key}`);
+    }
+
+    const where = `${op.store}/${op.key}`;
+    if (op.type !== 'put' && op.type !== 'delete') {
+        throw new Error(`Unknown operation ${op.type} on ${where}`);
+    }
+    if (DAY_STORES.includes(op.store) && !SERVICE_DATE_KEY.test(op.key)) {
+        throw new Error(`${where} is not a service date`);
+    }
+
+    if (op.type === 'delete') {
+        // Audit entries are immutable; day boards are merged card by card and
+        // a delete would drop other workstations' cards, so it stays local
+        if (APPEND_ONLY_STORES.includes(op.store)) throw new Error(`Records in ${op.store} cannot be deleted`);
+        if (DAY_STORES.includes(op.store)) throw new Error(`Service days cannot be deleted over sync (${where})`);
+        return;
+    }
+
+    if (op.value === undefined) throw new Error(`${where} has no value`);
+    if (op.store === 'days') validateDayDocument(op.value, where);
+    if (op.store === 'timestamps') validateTimestamps(op.value, where);
+}
+
+function cloneRecord(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// =============================================================================
+// DOCUMENT STORE
+// =============================================================================
+
+class DocumentStore {
+    constructor(file) {
+        this.file = file;
+        this.document = { revision: 0, updatedAt: null, stores: {} };
+        this.recentIds = new Set();
+        this.saveTimer = null;
+        STORE_NAMES.forEach(store => { this.document.stores[store] = {}; });
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            console.log(`📄 No saved document at ${this.file}, starting empty`);
+            return;
+        }
+
+        const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.document = {
+            ...this.document,
+            ...saved,
+            stores: { ...this.document.stores, ...saved.stores }
+        };
+        console.log(`📄 Loaded document revision ${this.document.revision} from ${this.file}`);
+    }
+
+    hasSeen(id) {
+        return this.recentIds.has(id);
+    }
+
+    remember(id) {
+        this.recentIds.add(id);
+        if (this.recentIds.size > MAX_REMEMBERED_IDS) {
+            this.recentIds.delete(this.recentIds.values().next().value);
+        }
+    }
+
+    /**
+     * Apply a workstation's write operations. Entity and config records are
+     * last-writer-wins and audit records are kept as first written; service
+     * day boards are merged card by card on version, the same way the
+     * browsers merge them. Every operation is checked before anything is
+     * written and the batch is applied to a copy that replaces the document
+     * only once it all succeeded, so a bad batch leaves no trace.
+     * @returns {number} new revision
+     */
+    applyChanges(records) {
+        records.forEach(validateOperation);
+
+        const current = this.document.stores;
+        const stores = { ...current };
+        const copied = new Set();
+        const writable = store => {
+            if (!copied.has(store)) {
+                stores[store] = { ...current[store] };
+                copied.add(store);
+            }
+            return stores[store];
+        };
+        const has = (store, key) => Object.prototype.hasOwnProperty.call(stores[store], key);
+        const days = new Map();
+
+        records.forEach(op => {
+            if (APPEND_ONLY_STORES.includes(op.store)) {
+                if (!has(op.store, op.key)) writable(op.store)[op.key] = op.value;
+            } else if (DAY_STORES.includes(op.store)) {
+                if (!days.has(op.key)) days.set(op.key, {});
+                days.get(op.key)[op.store] = op.value;
+            } else if (op.type === 'delete') {
+                delete writable(op.store)[op.key];
+            } else {
+                writable(op.store)[op.key] = op.value;
+            }
+        });
+
+        days.forEach((incoming, date) => {
+            const timestamps = incoming.timestamps || {};
+            if (!has('days', date)) {
+                writable('days')[date] = incoming.days || { serviceDate: date };
+                writable('timestamps')[date] = timestamps;
+                return;
+            }
+            if (!incoming.days) return; // timestamps always travel with their day
+
+            const target = {
+                day: cloneRecord(stores.days[date]),
+                timestamps: cloneRecord(has('timestamps', date) ? stores.timestamps[date] : {})
+            };
+            mergeDayDocuments(target, { day: incoming.days, timestamps });
+            writable('days')[date] = target.day;
+            writable('timestamps')[date] = target.timestamps;
+        });
+
+        this.document.stores = stores;
+        this.document.revision++;
+        this.document.updatedAt = new Date().toISOString();
+        this.scheduleSave();
+        return this.document.revision;
+    }
+
+    snapshot() {
+        const records = [];
+        Object.entries(this.document.stores).forEach(([store, entries]) => {
+            Object.entries(entries).forEach(([key, value]) => records.push({ store, key, value }));
+        });
+        return { type: 'snapshot', revision: this.document.revision, records };
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    // Write to a temporary file and rename so a crash never leaves half a document
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.document));
+        fs.renameSync(temporary, this.file);
+    }
+}
+
+// =============================================================================
+// WEBSOCKET CONNECTION
+// =============================================================================
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => {
+            this.closed = true;
+            this.emit('close');
+        });
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        // Clients must mask every frame (RFC 6455 5.1)
+        if (!masked) {
+            this.close(1002);
+            return null;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+            case 0x2: // binary
+                // A continuation needs a message to continue, a new message needs the last one finished
+                if ((opcode === 0x0) !== (this.fragments.length > 0)) {
+                    this.close(1002);
+                    break;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            case 0x8:
+                this.close();
+                break;
+            case 0x9:
+                this.writeFrame(0xa, payload);
+                break;
+            default:
+                break;
+        }
+    }
+
+    send(text) {
+        this.writeFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+            header.writeUInt32BE(payload.length >>> 0, 6);
+        }
+        header[0] = 0x80 | opcode;
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.writeFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+    }
+}
+
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+// =============================================================================
+// SYNC SERVER
+// =============================================================================
+
+/**
+ * @param {DocumentStore} store
+ * @param {Object} options
+ * @param {string} options.token - shared secret; /document and /sync need
+ *   ?token= or an "Authorization: Bearer" header
+ */
+function createSyncServer(store, { token } = {}) {
+    if (!token) throw new Error('The sync server needs a shared token');
+    const clients = new Set();
+
+    function isAuthorized(request, url) {
+        const header = String(request.headers.authorization || '');
+        const given = url.searchParams.get('token')
+            || (header.startsWith('Bearer ') ? header.slice(7) : '');
+        const expected = Buffer.from(token);
+        const actual = Buffer.from(given);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    function handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            client.send(JSON.stringify({ type: 'error', error: 'Malformed JSON' }));
+            return;
+        }
+
+        if (message.type === 'hello') {
+            client.id = message.from;
+            client.send(JSON.stringify(store.snapshot()));
+            return;
+        }
+
+        if (message.type !== 'changes') return;
+
+        // Resent after a reconnect; already applied and relayed
+        if (store.hasSeen(message.id)) {
+            client.send(JSON.stringify({ type: 'ack', id: message.id, revision: store.document.revision }));
+            return;
+        }
+
+        let revision;
+        try {
+            revision = store.applyChanges(Array.isArray(message.records) ? message.records : []);
+        } catch (error) {
+            client.send(JSON.stringify({ type: 'error', id: message.id, error: error.message }));
+            return;
+        }
+        store.remember(message.id);
+
+        const relayed = JSON.stringify({ ...message, revision });
+        clients.forEach(other => {
+            if (other !== client) other.send(relayed);
+        });
+        client.send(JSON.stringify({ type: 'ack', id: message.id, revision }));
+    }
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const { pathname } = url;
+        // No CORS headers: only same-origin pages and non-browser tools may read the board
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (request.method === 'GET' && pathname === '/health') {
+            response.writeHead(200, headers);
+            response.end(JSON.stringify({ status: 'ok', revision: store.document.revision, clients: clients.size }));
+        } else if (request.method === 'GET' && pathname === '/document' && !isAuthorized(request, url)) {
+            response.writeHead(401, headers);
+            response.end(JSON.stringify({ error: 'Unauthorized' }));
+        } else if (request.method === 'GET' && pathname === '/document') {
+            response.writeHead(200, headers);
+            response.end(JSON.stringify(store.document));
+        } else {
+            response.writeHead(404, headers);
+            response.end(JSON.stringify({ error: 'Not found' }));
+        }
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname !== '/sync') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        if (!isAuthorized(request, url)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        const client = acceptWebSocket(request, socket);
+        if (!client) return;
+
+        clients.add(client);
+        console.log(`🔗 Workstation connected (${clients.size} connected)`);
+
+        client.on('message', raw => handleMessage(client, raw));
+        client.on('close', () => {
+            clients.delete(client);
+            console.log(`🔌 Workstation disconnected (${clients.size} connected)`);
+        });
+    });
+
+    return server;
+}
+
+// =============================================================================
+// STARTUP
+// =============================================================================
+
+function main() {
+    const options = readOptions(process.argv.slice(2));
+    const store = new DocumentStore(options.data);
+    store.load();
+    const token = resolveToken(options);
+
+    const server = createSyncServer(store, { token });
+    server.listen(options.port, options.host, () => {
+        console.log(`🚌 Dispatch sync server listening on ws://${options.host}:${options.port}/sync`);
+        console.log(`   Open the dashboard with ?syncServer=ws://<this machine>:${options.port}/sync?token=${token}`);
+    });
+
+    function shutdown() {
+        console.log('🛑 Shutting down sync server...');
+        if (store.saveTimer) store.save();
+        server.close();
+        process.exit(0);
+    }
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { DocumentStore, WebSocketConnection, createSyncServer, validateOperation };
@@ -24,7 +24,8 @@ import {
     PERFORMANCE, 
     eventBus,
     formatDate,
-    generateId 
+    generateId,
+    escapeHtml
 } from './modules/core/utils.js';
 
 import { 
@@ -40,17 +41,41 @@ import {
     setState, 
     loadData, 
     saveToLocalStorage,
+    initializeStorage,
     addAsset,
     addRoute,
-    switchView
+    switchView,
+    openServiceDay,
+    getTodayServiceDate,
+    addDaysToServiceDate,
+    startLiveSync,
+    stopLiveSync,
+    setSyncServerUrl,
+    getSyncStatus
 } from './modules/core/state.js';
 
 import { 
     initializeEvents,
     initializeKeyboardNavigation,
-    initializeTouchGestures as initializeCoreTouch
+    initializeTouchGestures as initializeCoreTouch,
+    eventBus as dispatchEventBus
 } from './modules/core/events.js';
 
+import {
+    getStatusCode,
+    getStatusBadgeStyle
+} from './modules/core/statusCodes.js';
+
+import {
+    recordAction,
+    undoLastAction,
+    redoLastAction,
+    clearHistory,
+    getHistoryStatus
+} from './modules/core/history.js';
+
+import { parseCsvRows, readCsvRows } from './modules/core/csv.js';
+
 // ==========================================================================
 // UI SYSTEM MODULES
 // ==========================================================================
@@ -60,6 +85,14 @@ import { uiUtilities } from './modules/ui/utilities.js';
 import { cardManagement } from './modules/ui/cardManagement.js';
 import { advancedSearchSystem } from './modules/ui/advancedSearch.js';
 import { settingsSystem } from './modules/ui/settingsSystem.js';
+import { auditLogViewer } from './modules/ui/auditLog.js';
+import { statusCodeEditor } from './modules/ui/statusCodeEditor.js';
+import { incidentPanel } from './modules/ui/incidents.js';
+import { reportsViewer } from './modules/ui/reports.js';
+import { runSheetPrinter } from './modules/ui/runSheet.js';
+import { pdfReports } from './modules/ui/pdfReports.js';
+import { routingDatabaseImport } from './modules/ui/routingDatabaseImport.js';
+import { importWizard } from './modules/ui/importWizard.js';
 
 // ==========================================================================
 // DISPATCH MODULES
@@ -93,6 +126,13 @@ import {
   updateRouteNotes,
   resetRouteBoard
 } from './modules/dispatch/routeCards.js';
+import { startLateMonitor } from './modules/dispatch/routeStops.js';
+import { startStaffHoursTracking } from './modules/dispatch/staffSchedule.js';
+import { openCertificationsDialog } from './modules/dispatch/certifications.js';
+import { startSubstituteRecommendations } from './modules/dispatch/substitutes.js';
+import { openAutoAssignDialog } from './modules/dispatch/autoAssign.js';
+import { openDeviationsDialog, startHomeAssignments } from './modules/dispatch/homeAssignments.js';
+import { startTimerMonitor } from './modules/dispatch/routeTimers.js';
 import { 
   renderStaffPanel,
   markStaffOut,
@@ -185,6 +225,7 @@ import {
   RESPONSIVE_CONFIG,
   RESPONSIVE_STATE
 } from './modules/touch/responsive.js';
+import { showToast } from './modules/touch/feedback.js';
 
 // ==========================================================================
 // FLEET MANAGEMENT MODULES
@@ -230,6 +271,7 @@ import { routeManagementOperations } from './modules/operations/routeManagement.
 // ==========================================================================
 
 import { importExportManager } from './modules/data/importExport.js';
+import { exportBoardWorkbook } from './modules/data/boardWorkbook.js';
 
 // ==========================================================================
 // APPLICATION CLASS
@@ -353,13 +395,25 @@ class ModularDispatchApp {
         generateId
     });
     
-    // Core State - Load state management (functions are already available after import)
+    // Another tab on an older version holds the database open during an upgrade
+    eventBus.on('storage:blocked', () => {
+      uiSystem.setupNotificationSystem();
+      uiSystem.showNotification('Waiting for other dashboard tabs to close so saved data can be upgraded', 'warning', 15000);
+    });
+    eventBus.on('storage:closed', () => {
+      uiSystem.showNotification('The dashboard was updated in another tab. Reload this page to keep saving.', 'error', 0);
+    });
+    
+    // Core State - Hydrate saved data from the storage adapter before anything renders
+    const storageType = await initializeStorage();
     this.modules.set('CoreState', {
         STATE,
         getState,
         setState,
         loadData,
-        saveToLocalStorage
+        saveToLocalStorage,
+        initializeStorage,
+        storageType
     });
     
     // Core Events - Initialize event handling
@@ -398,6 +452,13 @@ class ModularDispatchApp {
     await settingsSystem.init();
     this.modules.set('UISettings', settingsSystem);
     
+    // Audit Log - Dispatcher sign-in and audit log viewer (singleton instance)
+    auditLogViewer.init();
+    this.modules.set('UIAuditLog', auditLogViewer);
+
+    incidentPanel.init();
+    this.modules.set('UIIncidents', incidentPanel);
+    
     console.log('✅ UI modules initialized');
   }
 
@@ -593,6 +654,27 @@ class ModularDispatchApp {
     // Setup keyboard shortcuts
     this.setupKeyboardShortcuts();
     
+    // Setup undo/redo toasts
+    this.setupUndoRedo();
+    
+    // Setup cross-tab sync notifications
+    this.setupLiveSync();
+    
+    // Flag routes running late against their first scheduled stop
+    startLateMonitor();
+    
+    // Load this week's driver hours for the availability checks
+    startStaffHoursTracking();
+    
+    // Offer ranked replacements when someone on the board is marked out
+    startSubstituteRecommendations();
+    
+    // Start new days from home assignments and keep the reason for each deviation
+    startHomeAssignments();
+    
+    // Count time in status and alarm on routes out past their route type's limit
+    startTimerMonitor();
+    
     // Setup touch optimizations
     this.setupTouchOptimizations();
     
@@ -712,6 +794,28 @@ class ModularDispatchApp {
       console.warn('⚠️ Reset Board button not found');
     }
 
+    // Auto-Fill button
+    const autoFillBtn = document.getElementById('auto-fill-btn');
+    if (autoFillBtn) {
+      autoFillBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        console.log('🪄 Auto-Fill button clicked');
+        openAutoAssignDialog();
+      });
+      console.log('✅ Auto-Fill button event listener added');
+    }
+
+    // Deviations button
+    const deviationsBtn = document.getElementById('deviations-report-btn');
+    if (deviationsBtn) {
+      deviationsBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        console.log('↔️ Deviations button clicked');
+        openDeviationsDialog();
+      });
+      console.log('✅ Deviations button event listener added');
+    }
+
     // Status Report button
     const timestampReportBtn = document.getElementById('timestamp-report-btn');
     if (timestampReportBtn) {
@@ -740,6 +844,116 @@ class ModularDispatchApp {
 
     // AM/PM Toggle buttons
     this.setupAmPmToggle();
+
+    // Service day calendar
+    this.setupServiceDayNav();
+  }
+
+  /**
+   * Setup service day navigation (previous/next/today and date picker)
+   */
+  setupServiceDayNav() {
+    const prevBtn = document.getElementById('service-day-prev');
+    const nextBtn = document.getElementById('service-day-next');
+    const todayBtn = document.getElementById('service-day-today');
+    const dateInput = document.getElementById('service-day-input');
+
+    if (!prevBtn || !nextBtn || !todayBtn || !dateInput) {
+      console.warn('⚠️ Service day navigation not found');
+      return;
+    }
+
+    this.updateServiceDayNav(STATE.serviceDate);
+
+    // Step from the day last asked for, so quick clicks add up while a day loads
+    prevBtn.addEventListener('click', () => {
+      this.switchToServiceDay(addDaysToServiceDate(this.requestedServiceDate || STATE.serviceDate, -1));
+    });
+
+    nextBtn.addEventListener('click', () => {
+      this.switchToServiceDay(addDaysToServiceDate(this.requestedServiceDate || STATE.serviceDate, 1));
+    });
+
+    todayBtn.addEventListener('click', () => {
+      this.switchToServiceDay(getTodayServiceDate());
+    });
+
+    dateInput.addEventListener('change', () => {
+      if (dateInput.value) {
+        this.switchToServiceDay(dateInput.value);
+      }
+    });
+
+    console.log('✅ Service day navigation event listeners added');
+  }
+
+  /**
+   * Open the board for another service day and re-render everything.
+   * Switches run one at a time, in the order they were asked for.
+   */
+  switchToServiceDay(serviceDate) {
+    this.requestedServiceDate = serviceDate;
+    const switching = (this.serviceDaySwitch || Promise.resolve())
+      .then(() => this.showServiceDay(serviceDate))
+      .finally(() => {
+        if (this.requestedServiceDate === serviceDate) this.requestedServiceDate = null;
+      });
+    this.serviceDaySwitch = switching.catch(error => {
+      console.error('❌ Error switching service day:', error);
+    });
+    return switching;
+  }
+
+  async showServiceDay(serviceDate) {
+    if (STATE.serviceDate === serviceDate) return;
+
+    const previousDate = STATE.serviceDate;
+    if (!(await openServiceDay(serviceDate))) {
+      uiSystem.showNotification(`Invalid service date: ${serviceDate}`, 'error');
+      this.updateServiceDayNav(previousDate);
+      return;
+    }
+
+    this.updateServiceDayNav(serviceDate);
+
+    try {
+      renderRouteCards();
+      if (window.renderStaffPanel) window.renderStaffPanel();
+      if (window.renderAssetPanel) window.renderAssetPanel();
+    } catch (error) {
+      console.error('❌ Error re-rendering board for service day:', error);
+    }
+
+    // On the dispatch bus, where the day-scoped dispatch modules listen
+    dispatchEventBus.emit('serviceDay:changed', {
+      previousDate: previousDate,
+      serviceDate: serviceDate
+    });
+
+    console.log(`✅ Opened service day ${serviceDate}`);
+  }
+
+  /**
+   * Sync the date picker and past/planned badge with the open service day
+   */
+  updateServiceDayNav(serviceDate) {
+    const dateInput = document.getElementById('service-day-input');
+    const badge = document.getElementById('service-day-badge');
+
+    if (dateInput) dateInput.value = serviceDate;
+    if (!badge) return;
+
+    const today = getTodayServiceDate();
+    if (serviceDate === today) {
+      badge.className = 'hidden px-2 py-0.5 rounded text-xs font-semibold';
+      badge.textContent = '';
+    } else if (serviceDate < today) {
+      badge.className = 'px-2 py-0.5 rounded text-xs font-semibold bg-gray-600 text-white';
+      badge.textContent = 'PAST';
+    } else {
+      badge.className = 'px-2 py-0.5 rounded text-xs font-semibold bg-purple-600 text-white';
+      badge.textContent = 'PLANNING';
+    }
   }
 
   /**
@@ -864,6 +1078,8 @@ class ModularDispatchApp {
     const cancelBtn = document.getElementById('timestamp-report-cancel');
     const printBtn = document.getElementById('print-current-day');
     const clearBtn = document.getElementById('clear-timestamps');
+    const analyticsBtn = document.getElementById('open-run-time-report');
+    const pdfBtn = document.getElementById('download-timestamp-pdf');
 
     const closeModal = () => {
       const modal = document.getElementById('timestamp-report-modal');
@@ -889,6 +1105,17 @@ class ModularDispatchApp {
       clearBtn.removeEventListener('click', this.clearAllTimestamps);
       clearBtn.addEventListener('click', this.clearAllTimestamps.bind(this));
     }
+
+    if (pdfBtn) {
+      pdfBtn.onclick = () => pdfReports.exportTimestampReport();
+    }
+
+    if (analyticsBtn) {
+      analyticsBtn.onclick = () => {
+        closeModal();
+        reportsViewer.openReports();
+      };
+    }
   }
 
   /**
@@ -923,7 +1150,7 @@ class ModularDispatchApp {
     let reportHTML = `
       <div class="space-y-4">
         <div class="text-sm text-gray-600 mb-4">
-          Complete route status and assignment history (most recent first)
+          Complete route status and assignment history for ${STATE.serviceDate} (most recent first)
         </div>
     `;
 
@@ -1010,14 +1237,15 @@ class ModularDispatchApp {
           .forEach(entry => {
             const time = new Date(entry.timestamp).toLocaleTimeString();
             const date = new Date(entry.timestamp).toLocaleDateString();
-            const statusClass = entry.status === '10-8' ? 'text-green-600 bg-green-50' : 
-                              entry.status === '10-7' ? 'text-red-600 bg-red-50' : 'text-orange-600 bg-orange-50';
+            const code = getStatusCode(entry.status);
             
             reportHTML += `
-              <div class="flex justify-between items-center p-2 rounded ${statusClass}">
+              <div class="flex justify-between items-center p-2 rounded" style="${getStatusBadgeStyle(entry.status)}">
                 <div class="flex items-center space-x-3">
-                  <span class="font-bold text-lg">${entry.status}</span>
-                  <span class="text-sm">${entry.user || 'System'}</span>
+                  <span class="font-bold text-lg">${escapeHtml(entry.status)}</span>
+                  ${code ? `<span class="text-sm font-medium">${escapeHtml(code.label)}</span>` : ''}
+                  <span class="text-sm">${escapeHtml(entry.user || 'System')}</span>
+                  ${entry.note ? `<span class="text-sm italic">“${escapeHtml(entry.note)}”</span>` : ''}
                 </div>
                 <div class="text-right text-sm">
                   <div class="font-medium">${time}</div>
@@ -1076,9 +1304,6 @@ class ModularDispatchApp {
               margin: 4px 0;
               border-radius: 4px;
             }
-            .status-10-8 { background: #f0fdf4; color: #16a34a; border-left: 4px solid #16a34a; }
-            .status-10-7 { background: #fef2f2; color: #dc2626; border-left: 4px solid #dc2626; }
-            .status-10-11 { background: #fff7ed; color: #ea580c; border-left: 4px solid #ea580c; }
             .status-text { font-weight: bold; font-size: 1.1em; }
             .time-text { font-size: 0.9em; }
             .assignment-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
@@ -1106,9 +1331,11 @@ class ModularDispatchApp {
    * Clear all timestamps
    */
   clearAllTimestamps() {
-    if (confirm('Are you sure you want to clear all status timestamps? This action cannot be undone.')) {
-      STATE.statusTimestamps = {};
-      saveToLocalStorage();
+    if (confirm('Are you sure you want to clear all status timestamps?')) {
+      recordAction('cleared all status timestamps', () => {
+        STATE.statusTimestamps = {};
+        saveToLocalStorage();
+      });
       this.generateTimestampReport();
       console.log('🗑️ All timestamps cleared');
     }
@@ -1166,7 +1393,10 @@ class ModularDispatchApp {
       'Ctrl+F': (e) => {
         e.preventDefault();
         this.modules.get('UIUtilities')?.focusGlobalSearch();
-      }
+      },
+      'Ctrl+z': (e) => this.handleUndoShortcut(e),
+      'Ctrl+y': (e) => this.handleRedoShortcut(e),
+      'Ctrl+Shift+Z': (e) => this.handleRedoShortcut(e)
     };
 
     document.addEventListener('keydown', (e) => {
@@ -1177,6 +1407,78 @@ class ModularDispatchApp {
     });
   }
 
+  /**
+   * Undo/redo shortcuts leave text fields to the browser's own undo
+   */
+  handleUndoShortcut(e) {
+    if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+    e.preventDefault();
+    undoLastAction();
+  }
+
+  handleRedoShortcut(e) {
+    if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+    e.preventDefault();
+    redoLastAction();
+  }
+
+  /**
+   * Show an undo toast for every recorded dispatch action and a redo toast after undo
+   */
+  setupUndoRedo() {
+    dispatchEventBus.on('history:recorded', ({ label }) => {
+      showToast(`Undo: ${label}`, 'info', 6000, [
+        { id: 'undo', text: '↩️ Undo', handler: () => undoLastAction() }
+      ]);
+    });
+
+    dispatchEventBus.on('history:undone', ({ label, canUndo }) => {
+      const actions = [{ id: 'redo', text: '↪️ Redo', handler: () => redoLastAction() }];
+      if (canUndo) {
+        actions.push({ id: 'undo', text: `↩️ Undo: ${getHistoryStatus().nextUndo}`, handler: () => undoLastAction() });
+      }
+      showToast(`Undone: ${label}`, 'warning', 6000, actions);
+    });
+
+    dispatchEventBus.on('history:redone', ({ label }) => {
+      showToast(`Redone: ${label}`, 'info', 4000, [
+        { id: 'undo', text: '↩️ Undo', handler: () => undoLastAction() }
+      ]);
+    });
+
+    // Undo history belongs to the service day it was recorded on
+    dispatchEventBus.on('serviceDay:changed', () => clearHistory());
+
+    this.modules.set('CoreHistory', { undoLastAction, redoLastAction, clearHistory, getHistoryStatus });
+    console.log('✅ Undo/redo history ready (Ctrl+Z / Ctrl+Y, two-finger swipe)');
+  }
+
+  /**
+   * React to board changes made in other tabs and workstations
+   */
+  setupLiveSync() {
+    // Undo restores whole-board snapshots, which would roll back the other tab's edits
+    eventBus.on('sync:remoteChange', () => clearHistory());
+
+    eventBus.on('sync:conflict', ({ label, kept }) => {
+      const outcome = kept === 'remote' ? 'the other console\'s change was kept' : 'your change was kept';
+      uiSystem.showNotification(`${label} was edited on another console at the same time; ${outcome}`, 'warning', 8000);
+    });
+
+    let wasOnline = false;
+    eventBus.on('sync:connection', ({ status, queued }) => {
+      if (status === 'online') {
+        uiSystem.showNotification(`Connected to sync server${queued ? `, sending ${queued} queued change(s)` : ''}`, 'success');
+        wasOnline = true;
+      } else if (status === 'offline' && wasOnline) {
+        uiSystem.showNotification('Sync server unreachable; changes are saved locally and will be sent on reconnect', 'warning', 8000);
+        wasOnline = false;
+      }
+    });
+
+    this.modules.set('CoreSync', { startLiveSync, stopLiveSync, setSyncServerUrl, getSyncStatus });
+  }
+
   /**
    * Setup touch-specific optimizations
    */
@@ -1467,6 +1769,9 @@ async function bootstrap() {
     // Staff details button
     const staffDetailsBtn = document.getElementById('staff-details-btn');
 
+    // Certifications due panel button
+    const certificationsBtn = document.getElementById('certifications-btn');
+
     // Debug - check if buttons exist
     console.log('🔍 Button check completed');
     console.log('Route Management, Asset Management, and Staff Management buttons ready');
@@ -1506,6 +1811,13 @@ async function bootstrap() {
       });
     }
 
+    if (certificationsBtn) {
+      certificationsBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        openCertificationsDialog();
+      });
+    }
+
     if (openAssetBtn) {
       openAssetBtn.addEventListener('click', (e) => {
         e.preventDefault();
@@ -1629,10 +1941,9 @@ async function bootstrap() {
         try {
           showCSVStatus('Processing CSV file...', false);
           
-          const text = await file.text();
-          const lines = text.split('\n').filter(line => line.trim());
+          const rows = await readCsvRows(file);
           
-          if (lines.length === 0) {
+          if (rows.length === 0) {
             showCSVStatus('CSV file is empty', true);
             return;
           }
@@ -1640,52 +1951,46 @@ async function bootstrap() {
           let importedCount = 0;
           let errorCount = 0;
           
-          for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            // Parse CSV line (handle quotes and commas)
-            const parts = line.split(',').map(part => part.trim().replace(/^["']|["']$/g, ''));
-            
-            if (parts.length >= 2) {
-              const routeName = parts[0];
-              const shift = parts[1] || 'AM';
-              const status = parts[2] || 'active';
+          recordAction('imported routes from CSV', () => {
+            for (const { cells: parts, line } of rows) {
+              if (parts.length >= 2) {
+                const routeName = parts[0];
+                const shift = parts[1] || 'AM';
+                const status = parts[2] || 'active';
               
-              // Validate shift
-              if (!['AM', 'PM', 'Both'].includes(shift)) {
-                console.warn(`Invalid shift "${shift}" for route "${routeName}", using AM`);
-              }
+                // Validate shift
+                if (!['AM', 'PM', 'Both'].includes(shift)) {
+                  console.warn(`Invalid shift "${shift}" for route "${routeName}", using AM`);
+                }
               
-              // Validate status
-              if (!['active', 'inactive'].includes(status)) {
-                console.warn(`Invalid status "${status}" for route "${routeName}", using active`);
-              }
+                // Validate status
+                if (!['active', 'inactive'].includes(status)) {
+                  console.warn(`Invalid status "${status}" for route "${routeName}", using active`);
+                }
               
-              // Add route (calling the state management function)
-              if (routeName) {
-                const success = addRoute({
-                  name: routeName,
-                  shift: shift,
-                  status: status,
-                  type: 'Gen Ed' // Default type
-                });
+                // Add route (calling the state management function)
+                if (routeName) {
+                  const success = addRoute({
+                    name: routeName,
+                    schedule: shift.toLowerCase(),
+                    status: status,
+                    type: 'Gen Ed' // Default type
+                  });
                 
-                if (success) {
-                  console.log(`Adding route: ${routeName}, ${shift}, ${status}`);
-                  // TODO: Call your route addition function here
-                  // addRoute({ name: routeName, shift, status });
-                  importedCount++;
-                } else {
-                  console.warn(`Route ${routeName} already exists`);
-                  errorCount++;
+                  if (success) {
+                    console.log(`Adding route: ${routeName}, ${shift}, ${status}`);
+                    importedCount++;
+                  } else {
+                    console.warn(`Route ${routeName} already exists`);
+                    errorCount++;
+                  }
                 }
+              } else {
+                errorCount++;
+                console.warn(`Invalid CSV line ${line}: ${parts.join(', ')}`);
               }
-            } else {
-              errorCount++;
-              console.warn(`Invalid CSV line ${i + 1}: ${line}`);
             }
-          }
+          });
           
           showCSVStatus(`✅ Imported ${importedCount} routes successfully` + 
                        (errorCount > 0 ? ` (${errorCount} errors)` : ''), false);
@@ -1733,8 +2038,8 @@ async function bootstrap() {
       });
 
       const processBulkRoutes = (text) => {
-        const lines = text.split('\n').filter(line => line.trim());
-        if (lines.length === 0) {
+        const rows = parseCsvRows(text);
+        if (rows.length === 0) {
           showBulkStatus('No routes found to process.', true);
           return;
         }
@@ -1743,37 +2048,36 @@ async function bootstrap() {
         let errorCount = 0;
         const errors = [];
 
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (!line) continue;
-
-          try {
-            const result = parseBulkRouteLine(line, i + 1);
-            if (result.success) {
-              // Add route to the system using the state management function
-              const success = addRoute({
-                name: result.route.name,
-                shift: result.route.shift,
-                status: result.route.status,
-                type: 'Gen Ed' // Default type, could be enhanced later
-              });
+        recordAction('added routes in bulk', () => {
+          for (const { cells, line } of rows) {
+            try {
+              const result = parseBulkRouteLine(cells, line);
+              if (result.success) {
+                // Add route to the system using the state management function
+                const success = addRoute({
+                  name: result.route.name,
+                  schedule: result.route.shift.toLowerCase(),
+                  status: result.route.status,
+                  type: 'Gen Ed' // Default type, could be enhanced later
+                });
               
-              if (success) {
-                console.log(`Added route: ${result.route.name}, ${result.route.shift}, ${result.route.status}`);
-                addedCount++;
+                if (success) {
+                  console.log(`Added route: ${result.route.name}, ${result.route.shift}, ${result.route.status}`);
+                  addedCount++;
+                } else {
+                  errors.push(`Route ${result.route.name} already exists`);
+                  errorCount++;
+                }
               } else {
-                errors.push(`Route ${result.route.name} already exists`);
+                errors.push(result.error);
                 errorCount++;
               }
-            } else {
-              errors.push(result.error);
+            } catch (error) {
+              errors.push(`Line ${line}: ${error.message}`);
               errorCount++;
             }
-          } catch (error) {
-            errors.push(`Line ${i + 1}: ${error.message}`);
-            errorCount++;
           }
-        }
+        });
 
         // Show results
         if (addedCount > 0) {
@@ -1798,10 +2102,7 @@ async function bootstrap() {
         }
       };
 
-      const parseBulkRouteLine = (line, lineNumber) => {
-        // Split by comma and clean up
-        const parts = line.split(',').map(part => part.trim().replace(/^["']|["']$/g, ''));
-        
+      const parseBulkRouteLine = (parts, lineNumber) => {
         if (parts.length === 0 || !parts[0]) {
           return { success: false, error: `Line ${lineNumber}: Route name is required` };
         }
@@ -1954,10 +2255,9 @@ async function bootstrap() {
         try {
           showAssetCSVStatus('Processing CSV file...', false);
           
-          const text = await file.text();
-          const lines = text.split('\n').filter(line => line.trim());
+          const rows = await readCsvRows(file);
           
-          if (lines.length === 0) {
+          if (rows.length === 0) {
             showAssetCSVStatus('CSV file is empty', true);
             return;
           }
@@ -1967,46 +2267,46 @@ async function bootstrap() {
           let duplicateCount = 0;
           let skipHeader = true;
 
-          for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            // Skip header row if it looks like headers
-            if (skipHeader && (line.toLowerCase().includes('vehicle') || line.toLowerCase().includes('asset'))) {
+          recordAction('imported assets from CSV', () => {
+            for (const { cells, line } of rows) {
+              // Skip header row if it looks like headers
+              const header = cells.join(' ').toLowerCase();
+              if (skipHeader && (header.includes('vehicle') || header.includes('asset'))) {
+                skipHeader = false;
+                continue;
+              }
               skipHeader = false;
-              continue;
-            }
-            skipHeader = false;
 
-            try {
-              const result = parseAssetCSVLine(line, i + 1);
-              if (result.success) {
-                console.log(`🔍 Attempting to add asset:`, result.asset);
+              try {
+                const result = parseAssetCSVLine(cells, line);
+                if (result.success) {
+                  console.log(`🔍 Attempting to add asset:`, result.asset);
                 
-                // Add asset to the system using the state management function
-                const success = addAsset({
-                  name: result.asset.name,
-                  capacity: result.asset.capacity,
-                  type: result.asset.type,
-                  status: result.asset.status
-                });
+                  // Add asset to the system using the state management function
+                  const success = addAsset({
+                    name: result.asset.name,
+                    capacity: result.asset.capacity,
+                    type: result.asset.type,
+                    status: result.asset.status
+                  });
                 
-                if (success) {
-                  console.log(`✅ Added asset: ${result.asset.name}, capacity: ${result.asset.capacity}, type: ${result.asset.type}, status: ${result.asset.status}`);
-                  importedCount++;
+                  if (success) {
+                    console.log(`✅ Added asset: ${result.asset.name}, capacity: ${result.asset.capacity}, type: ${result.asset.type}, status: ${result.asset.status}`);
+                    importedCount++;
+                  } else {
+                    console.warn(`❌ Asset ${result.asset.name} already exists or failed to add`);
+                    duplicateCount++;
+                  }
                 } else {
-                  console.warn(`❌ Asset ${result.asset.name} already exists or failed to add`);
-                  duplicateCount++;
+                  console.warn(`❌ Parse error: ${result.error}`);
+                  errorCount++;
                 }
-              } else {
-                console.warn(`❌ Parse error: ${result.error}`);
+              } catch (error) {
+                console.error(`Line ${line} error:`, error);
                 errorCount++;
               }
-            } catch (error) {
-              console.error(`Line ${i + 1} error:`, error);
-              errorCount++;
             }
-          }
+          });
 
           // Show appropriate message based on results
           if (importedCount > 0) {
@@ -2046,8 +2346,8 @@ async function bootstrap() {
       };
 
       const processAssetBulkEntry = (text) => {
-        const lines = text.split('\n').filter(line => line.trim());
-        if (lines.length === 0) {
+        const rows = parseCsvRows(text);
+        if (rows.length === 0) {
           showAssetBulkStatus('No assets found to process.', true);
           return;
         }
@@ -2056,37 +2356,36 @@ async function bootstrap() {
         let errorCount = 0;
         const errors = [];
 
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (!line) continue;
-
-          try {
-            const result = parseAssetBulkLine(line, i + 1);
-            if (result.success) {
-              // Add asset to the system using the state management function
-              const success = addAsset({
-                name: result.asset.name,
-                capacity: result.asset.capacity,
-                type: result.asset.type,
-                status: result.asset.status
-              });
+        recordAction('added assets in bulk', () => {
+          for (const { cells, line } of rows) {
+            try {
+              const result = parseAssetBulkLine(cells, line);
+              if (result.success) {
+                // Add asset to the system using the state management function
+                const success = addAsset({
+                  name: result.asset.name,
+                  capacity: result.asset.capacity,
+                  type: result.asset.type,
+                  status: result.asset.status
+                });
               
-              if (success) {
-                console.log(`Added asset: ${result.asset.name}, capacity: ${result.asset.capacity}, type: ${result.asset.type}, status: ${result.asset.status}`);
-                addedCount++;
+                if (success) {
+                  console.log(`Added asset: ${result.asset.name}, capacity: ${result.asset.capacity}, type: ${result.asset.type}, status: ${result.asset.status}`);
+                  addedCount++;
+                } else {
+                  errors.push(`Asset ${result.asset.name} already exists`);
+                  errorCount++;
+                }
               } else {
-                errors.push(`Asset ${result.asset.name} already exists`);
+                errors.push(result.error);
                 errorCount++;
               }
-            } else {
-              errors.push(result.error);
+            } catch (error) {
+              errors.push(`Line ${line}: ${error.message}`);
               errorCount++;
             }
-          } catch (error) {
-            errors.push(`Line ${i + 1}: ${error.message}`);
-            errorCount++;
           }
-        }
+        });
 
         // Show results
         if (addedCount > 0) {
@@ -2120,9 +2419,7 @@ async function bootstrap() {
         }
       };
 
-      const parseAssetCSVLine = (line, lineNumber) => {
-        const parts = line.split(',').map(part => part.trim().replace(/^["']|["']$/g, ''));
-        
+      const parseAssetCSVLine = (parts, lineNumber) => {
         if (parts.length < 1 || !parts[0]) {
           return { success: false, error: `Line ${lineNumber}: Vehicle Number is required` };
         }
@@ -2165,9 +2462,7 @@ async function bootstrap() {
         };
       };
 
-      const parseAssetBulkLine = (line, lineNumber) => {
-        const parts = line.split(',').map(part => part.trim().replace(/^["']|["']$/g, ''));
-        
+      const parseAssetBulkLine = (parts, lineNumber) => {
         if (parts.length < 2 || !parts[0]) {
           return { success: false, error: `Line ${lineNumber}: Vehicle Number and Capacity are required` };
         }
@@ -2475,6 +2770,21 @@ async function bootstrap() {
       });
     }
     
+    // Export Workbook Handler
+    const exportWorkbookBtn = document.getElementById('export-workbook');
+    if (exportWorkbookBtn) {
+      exportWorkbookBtn.addEventListener('click', async () => {
+        closeSlideout();
+        try {
+          const { filename } = await exportBoardWorkbook();
+          uiSystem.showNotification(`Exported ${filename}`, 'success');
+        } catch (error) {
+          console.error('❌ Error exporting workbook:', error);
+          uiSystem.showNotification(`Workbook export failed: ${error.message}`, 'error');
+        }
+      });
+    }
+    
     // Import Data Handler
     const importDataBtn = document.getElementById('import-data');
     if (importDataBtn) {
@@ -2484,6 +2794,78 @@ async function bootstrap() {
       });
     }
     
+    // Audit Log Handler
+    const openAuditLogBtn = document.getElementById('open-audit-log');
+    if (openAuditLogBtn) {
+      openAuditLogBtn.addEventListener('click', () => {
+        closeSlideout();
+        auditLogViewer.openViewer();
+      });
+    }
+    
+    // Status Codes Handler
+    const openStatusCodesBtn = document.getElementById('open-status-codes');
+    if (openStatusCodesBtn) {
+      openStatusCodesBtn.addEventListener('click', () => {
+        closeSlideout();
+        statusCodeEditor.openEditor();
+      });
+    }
+    
+    // Incidents Handler
+    const openIncidentsBtn = document.getElementById('open-incidents');
+    if (openIncidentsBtn) {
+      openIncidentsBtn.addEventListener('click', () => {
+        closeSlideout();
+        incidentPanel.openIncidentList();
+      });
+    }
+    
+    // Run Time Reports Handler
+    const openReportsBtn = document.getElementById('open-reports');
+    if (openReportsBtn) {
+      openReportsBtn.addEventListener('click', () => {
+        closeSlideout();
+        reportsViewer.openReports();
+      });
+    }
+    
+    // Run Sheet Handler
+    const openRunSheetBtn = document.getElementById('open-run-sheet');
+    if (openRunSheetBtn) {
+      openRunSheetBtn.addEventListener('click', () => {
+        closeSlideout();
+        runSheetPrinter.openPrintDialog();
+      });
+    }
+    
+    // PDF Reports Handler
+    const openPdfReportsBtn = document.getElementById('open-pdf-reports');
+    if (openPdfReportsBtn) {
+      openPdfReportsBtn.addEventListener('click', () => {
+        closeSlideout();
+        pdfReports.openExportDialog();
+      });
+    }
+    
+    // Routing Database Import Handler
+    const openRoutingImportBtn = document.getElementById('open-routing-import');
+    if (openRoutingImportBtn) {
+      openRoutingImportBtn.addEventListener('click', () => {
+        closeSlideout();
+        routingDatabaseImport.openImportDialog();
+      });
+    }
+    
+    // Spreadsheet Import Wizard Handler
+    const openImportWizardBtn = document.getElementById('open-import-wizard');
+    if (openImportWizardBtn) {
+      openImportWizardBtn.addEventListener('click', () => {
+        closeSlideout();
+        importWizard.openWizard();
+      });
+    }
+    
     // Advanced Search Dialog Handler
     const openSearchDialogBtn = document.getElementById('open-search-dialog');
     if (openSearchDialogBtn) {
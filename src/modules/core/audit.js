@@ -0,0 +1,251 @@
+/* CORE - AUDIT MODULE
+   Transportation Dispatch Dashboard
+
+   Dispatcher sign-in and the append-only audit log. Every board mutation runs
+   through recordAction() in core/history.js, which hands the before/after
+   boards to recordAudit(); the resulting entry names the signed-in
+   dispatcher, the service day and each field that changed.
+
+   Entries live in the 'audit' store, are never updated or deleted, and are
+   shared with other tabs and workstations by live sync.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, appendRecords, readRecords } from './state.js';
+import { eventBus } from './events.js';
+import { generateId } from './utils.js';
+
+// =============================================================================
+// DISPATCHER IDENTITY
+// =============================================================================
+
+// Sign-in is per workstation, so it is kept outside the shared dispatch document
+const DISPATCHER_KEY = 'dispatchDispatcher';
+const UNSIGNED_DISPATCHER = { name: 'Not signed in', initials: '--' };
+
+function loadDispatcher() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DISPATCHER_KEY));
+        if (saved && saved.name && saved.initials) {
+            STATE.dispatcher = { name: saved.name, initials: saved.initials };
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read signed-in dispatcher:', error);
+    }
+}
+
+/**
+ * Sign a dispatcher in at this workstation
+ * @param {string} name - full name
+ * @param {string} initials - 1-4 letters, stored uppercase
+ * @returns {{name: string, initials: string}}
+ */
+function signInDispatcher(name, initials) {
+    const cleanName = String(name || '').trim();
+    const cleanInitials = String(initials || '').trim().toUpperCase();
+
+    if (!cleanName) {
+        throw new Error('Enter your name to sign in');
+    }
+    if (!/^[A-Z]{1,4}$/.test(cleanInitials)) {
+        throw new Error('Initials must be 1 to 4 letters');
+    }
+
+    const previous = STATE.dispatcher;
+    STATE.dispatcher = { name: cleanName, initials: cleanInitials };
+    localStorage.setItem(DISPATCHER_KEY, JSON.stringify(STATE.dispatcher));
+
+    if (!previous || previous.name !== cleanName || previous.initials !== cleanInitials) {
+        recordAudit(previous ? `signed in (replacing ${previous.name})` : 'signed in', []);
+    }
+    console.log(`👤 Signed in as ${cleanName} (${cleanInitials})`);
+    eventBus.emit('dispatcher:changed', { dispatcher: STATE.dispatcher });
+    return STATE.dispatcher;
+}
+
+function signOutDispatcher() {
+    if (!STATE.dispatcher) return;
+
+    recordAudit('signed out', []);
+    console.log(`👤 ${STATE.dispatcher.name} signed out`);
+    STATE.dispatcher = null;
+    localStorage.removeItem(DISPATCHER_KEY);
+    eventBus.emit('dispatcher:changed', { dispatcher: null });
+}
+
+function getCurrentDispatcher() {
+    return STATE.dispatcher;
+}
+
+// =============================================================================
+// CHANGE DESCRIPTIONS
+// =============================================================================
+
+// Bookkeeping fields that change on every edit and say nothing about it
+const IGNORED_FIELDS = new Set(['createdAt', 'updatedAt', 'lastModified']);
+
+// Board maps keyed by route id / runKey / asset name
+const BOARD_MAPS = {
+    assignments: 'assignment',
+    routeStatus: 'status',
+    routeNotes: 'note',
+    fieldTripNotes: 'field trip note',
+    assetStatus: 'asset status'
+};
+
+function summarizeValue(value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (Array.isArray(value)) return value.map(summarizeValue).filter(Boolean).join(', ');
+    if (typeof value === 'object') {
+        if (value.name) return String(value.name);
+        const json = JSON.stringify(value);
+        return json.length > 120 ? `${json.slice(0, 117)}...` : json;
+    }
+    return String(value);
+}
+
+function routeTarget(route) {
+    const name = route.name || route.id;
+    return route.schedule && route.schedule !== 'none' ? `${name} (${route.schedule.toUpperCase()})` : name;
+}
+
+/**
+ * Compare two lists of records field by field
+ * @param {Array} before
+ * @param {Array} after
+ * @param {Function} keyOf - record -> identity
+ * @param {Function} labelOf - record -> target shown in the log
+ */
+function diffCollections(before, after, keyOf, labelOf, changes) {
+    const beforeByKey = new Map((before || []).map(item => [keyOf(item), item]));
+    const afterByKey = new Map((after || []).map(item => [keyOf(item), item]));
+
+    afterByKey.forEach((item, key) => {
+        const previous = beforeByKey.get(key);
+        if (!previous) {
+            changes.push({ target: labelOf(item), field: 'added', before: '', after: summarizeValue(item) });
+            return;
+        }
+
+        new Set([...Object.keys(previous), ...Object.keys(item)]).forEach(field => {
+            if (IGNORED_FIELDS.has(field)) return;
+            if (JSON.stringify(previous[field]) === JSON.stringify(item[field])) return;
+            changes.push({
+                target: labelOf(item),
+                field,
+                before: summarizeValue(previous[field]),
+                after: summarizeValue(item[field])
+            });
+        });
+    });
+
+    beforeByKey.forEach((item, key) => {
+        if (!afterByKey.has(key)) {
+            changes.push({ target: labelOf(item), field: 'removed', before: summarizeValue(item), after: '' });
+        }
+    });
+}
+
+/**
+ * List the field-level differences between two boards as captured by core/history.js
+ * @returns {Array<{target: string, field: string, before: string, after: string}>}
+ */
+function describeChanges(before, after) {
+    const changes = [];
+    const beforeData = before.data || {};
+    const afterData = after.data || {};
+
+    const routeNames = new Map();
+    [...(beforeData.routes || []), ...(afterData.routes || [])].forEach(route => routeNames.set(String(route.id), routeTarget(route)));
+
+    diffCollections(beforeData.routes, afterData.routes, route => String(route.id), routeTarget, changes);
+    diffCollections(beforeData.staff, afterData.staff, member => member.name, member => member.name, changes);
+    diffCollections(beforeData.assets, afterData.assets, asset => asset.name, asset => asset.name, changes);
+    diffCollections(beforeData.fieldTrips, afterData.fieldTrips, trip => String(trip.id), trip => trip.destination || trip.name || `Field trip ${trip.id}`, changes);
+    // Timeline additions are named by the action label; diffing the whole timeline would repeat it
+    const withoutTimeline = incidents => (incidents || []).map(({ timeline, ...incident }) => incident);
+    diffCollections(withoutTimeline(beforeData.incidents), withoutTimeline(afterData.incidents), incident => incident.id, incident => `${incident.routeName} incident`, changes);
+
+    Object.entries(BOARD_MAPS).forEach(([key, field]) => {
+        const previous = before[key] || {};
+        const next = after[key] || {};
+        new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(entryKey => {
+            if (JSON.stringify(previous[entryKey]) === JSON.stringify(next[entryKey])) return;
+            changes.push({
+                target: routeNames.get(entryKey) || entryKey,
+                field,
+                before: summarizeValue(previous[entryKey]),
+                after: summarizeValue(next[entryKey])
+            });
+        });
+    });
+
+    const staffOutChanges = [];
+    const staffOutFields = { added: 'marked out', removed: 'back in' };
+    diffCollections(before.staffOut, after.staffOut, entry => entry.name, entry => entry.name, staffOutChanges);
+    staffOutChanges.forEach(change => changes.push({ ...change, field: staffOutFields[change.field] || change.field }));
+
+    return changes;
+}
+
+// =============================================================================
+// RECORDING AND READING
+// =============================================================================
+
+function getAuditUser() {
+    return STATE.dispatcher ? { ...STATE.dispatcher } : { ...UNSIGNED_DISPATCHER };
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {string} action - the history label, e.g. "assigned R.Wilson to Route 12"
+ * @param {Array} changes - from describeChanges()
+ * @returns {Object} the entry written
+ */
+function recordAudit(action, changes = []) {
+    const entry = {
+        id: generateId('audit'),
+        at: new Date().toISOString(),
+        serviceDate: STATE.serviceDate || null,
+        dispatcher: getAuditUser(),
+        action,
+        changes
+    };
+
+    appendRecords([{ store: 'audit', key: entry.id, value: entry }]);
+    eventBus.emit('audit:recorded', { entry });
+    return entry;
+}
+
+/**
+ * Read the whole audit log, newest first
+ */
+async function getAuditLog() {
+    const records = await readRecords('audit');
+    return records
+        .map(record => record.value)
+        .filter(entry => entry && entry.at)
+        .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    loadDispatcher();
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    signInDispatcher,
+    signOutDispatcher,
+    getCurrentDispatcher,
+    getAuditUser,
+    recordAudit,
+    describeChanges,
+    getAuditLog
+};
@@ -0,0 +1,385 @@
+/* CORE - BACKUPS MODULE
+   Transportation Dispatch Dashboard
+
+   Full backups of the dispatch document: every route, staff member and
+   asset, the configuration (status codes, colors, import profiles,
+   incidents), fleet status and service log, and every service day with
+   its assignments, notes and status timestamps.
+
+   Backups are kept in this workstation's storage (the backups store) and
+   are not shared over live sync:
+
+     { id, createdAt, reason, trigger, size, counts, settings, document }
+
+   trigger is 'manual', 'scheduled', 'before-import' or 'before-restore'.
+
+   The policy in STATE.data.backupPolicy is shared like the rest of the
+   configuration, so every workstation takes its own scheduled backups at
+   the same times, for example before the AM and PM shifts. A time that
+   passed while the dashboard was closed is caught up once when it opens.
+   After each backup the retention rules keep the newest few, one per day
+   for the last days and one per week for the last weeks; the rest are
+   deleted.
+
+   Restoring takes a backup of the current board first, then replaces the
+   whole board or only the parts chosen (see DOCUMENT_PARTS in core/state.js).
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import {
+    STATE,
+    saveToLocalStorage,
+    readRecords,
+    readRecord,
+    writeLocalRecords,
+    DOCUMENT_PARTS,
+    readDispatchDocument,
+    restoreDispatchDocument,
+    toServiceDateKey,
+    addDaysToServiceDate
+} from './state.js';
+import { eventBus } from './events.js';
+import { generateId, debounceRender } from './utils.js';
+import { clearHistory } from './history.js';
+import { recordAudit } from './audit.js';
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+const BACKUP_STORE = 'backups';
+
+const BACKUP_PART_LABELS = {
+    routes: 'Routes and field trips',
+    staff: 'Staff',
+    assets: 'Assets',
+    configuration: 'Configuration (status codes, colors, import profiles, incidents)',
+    fleetStatus: 'Fleet status (assets down, service log)',
+    serviceDays: 'Service days (boards, notes and status timestamps)'
+};
+
+const BACKUP_TRIGGER_LABELS = {
+    manual: 'Manual',
+    scheduled: 'Scheduled',
+    'before-import': 'Before import',
+    'before-restore': 'Before restore'
+};
+
+const DEFAULT_BACKUP_POLICY = {
+    enabled: true,
+    times: ['05:30', '13:30'], // before the AM and PM shifts
+    keepLatest: 10,
+    keepDays: 14,             // one per day for this many days
+    keepWeeks: 8              // one per week for this many weeks
+};
+
+// When each scheduled time last ran here: { 'HH:MM': 'YYYY-MM-DD' }
+const SCHEDULE_RUNS_KEY = 'dispatchBackupRuns';
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+
+function getBackupPolicy() {
+    return { ...DEFAULT_BACKUP_POLICY, ...(STATE.data?.backupPolicy || {}) };
+}
+
+/**
+ * "05:30" from "5:30" or "0530"
+ */
+function normalizeBackupTime(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):?(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Replace the shared backup policy
+ * @throws {Error} when a time cannot be read
+ */
+function setBackupPolicy(policy) {
+    const times = (policy.times || []).map(time => {
+        const normalized = normalizeBackupTime(time);
+        if (!normalized) throw new Error(`"${time}" is not a time (use HH:MM)`);
+        return normalized;
+    });
+    const whole = (value, minimum, fallback) => Math.max(minimum, parseInt(value, 10) || fallback);
+
+    const cleaned = {
+        enabled: Boolean(policy.enabled),
+        times: [...new Set(times)].sort(),
+        keepLatest: whole(policy.keepLatest, 1, DEFAULT_BACKUP_POLICY.keepLatest),
+        keepDays: whole(policy.keepDays, 0, 0),
+        keepWeeks: whole(policy.keepWeeks, 0, 0)
+    };
+    STATE.data.backupPolicy = cleaned;
+    saveToLocalStorage();
+    eventBus.emit('backups:policyChanged', { policy: cleaned });
+    return cleaned;
+}
+
+// =============================================================================
+// BACKUPS
+// =============================================================================
+
+/**
+ * Record counts shown in the backup browser
+ */
+function countDocument(document) {
+    const data = document.data || {};
+    const routes = data.routes || [];
+    const days = Object.values(document.days || {});
+    const countEntries = value => Object.values(value || {}).reduce((sum, entries) => sum + (Array.isArray(entries) ? entries.length : 0), 0);
+
+    return {
+        routes: routes.filter(route => route.type !== 'field-trips').length,
+        fieldTrips: routes.filter(route => route.type === 'field-trips').length,
+        staff: (data.staff || []).length,
+        assets: (data.assets || []).length,
+        serviceDays: days.length,
+        timestamps: days.reduce((sum, day) => sum + countEntries(day.statusTimestamps), 0),
+        notes: days.reduce((sum, day) =>
+            sum + Object.values({ ...day.routeNotes, ...day.fieldTripNotes }).filter(Boolean).length +
+            Object.values(day.routeBoard || {}).filter(entry => entry.notes).length, 0)
+    };
+}
+
+function summarizeBackup({ document, settings, ...summary }) {
+    return { ...summary, hasSettings: Boolean(settings) };
+}
+
+/**
+ * Back up the whole dispatch document. The board is copied before this
+ * returns its promise, so a caller may change the board straight after.
+ * @param {Object} [options]
+ * @param {string} [options.reason] - shown in the backup browser
+ * @param {string} [options.trigger] - a BACKUP_TRIGGER_LABELS key
+ * @param {Object} [options.settings] - this workstation's settings, kept alongside
+ * @returns {Promise<Object>} the backup's summary
+ */
+async function createFullBackup({ reason = 'Manual backup', trigger = 'manual', settings = null } = {}) {
+    const settingsCopy = settings ? JSON.parse(JSON.stringify(settings)) : null;
+    const document = await readDispatchDocument();
+    const backup = {
+        id: generateId('backup'),
+        createdAt: new Date().toISOString(),
+        reason,
+        trigger,
+        size: new TextEncoder().encode(JSON.stringify(document)).length,
+        counts: countDocument(document),
+        settings: settingsCopy,
+        document
+    };
+
+    await writeLocalRecords([{ type: 'put', store: BACKUP_STORE, key: backup.id, value: backup }]);
+    await pruneBackups();
+
+    const summary = summarizeBackup(backup);
+    eventBus.emit('backups:created', { backup: summary });
+    return summary;
+}
+
+/**
+ * Every backup on this workstation, newest first, without its contents
+ */
+async function listBackups() {
+    const records = await readRecords(BACKUP_STORE);
+    return records
+        .map(record => record.value)
+        .filter(backup => backup && backup.createdAt)
+        .map(summarizeBackup)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * A backup with its contents
+ * @returns {Promise<Object|null>}
+ */
+function getBackup(id) {
+    return readRecord(BACKUP_STORE, id);
+}
+
+async function deleteBackup(id) {
+    await writeLocalRecords([{ type: 'delete', store: BACKUP_STORE, key: id }]);
+    eventBus.emit('backups:deleted', { ids: [id] });
+}
+
+// =============================================================================
+// RETENTION
+// =============================================================================
+
+// Monday of the week a service date falls in
+function weekOf(serviceDate) {
+    const [year, month, day] = serviceDate.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).getDay();
+    return addDaysToServiceDate(serviceDate, -((weekday + 6) % 7));
+}
+
+/**
+ * Which backups the retention rules keep
+ * @param {Array<{id: string, createdAt: string}>} backups
+ * @returns {Set<string>} ids to keep
+ */
+function selectBackupsToKeep(backups, policy = getBackupPolicy(), now = new Date()) {
+    const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const keep = new Set(newestFirst.slice(0, policy.keepLatest).map(backup => backup.id));
+
+    const today = toServiceDateKey(now);
+    const firstDay = addDaysToServiceDate(today, -policy.keepDays);
+    const firstWeek = addDaysToServiceDate(weekOf(today), -7 * policy.keepWeeks);
+    const days = new Set();
+    const weeks = new Set();
+
+    newestFirst.forEach(backup => {
+        const day = toServiceDateKey(backup.createdAt);
+        const week = weekOf(day);
+        if (day > firstDay && !days.has(day)) {
+            days.add(day);
+            keep.add(backup.id);
+        }
+        if (week > firstWeek && !weeks.has(week)) {
+            weeks.add(week);
+            keep.add(backup.id);
+        }
+    });
+
+    return keep;
+}
+
+/**
+ * Delete the backups the retention rules no longer keep
+ * @returns {Promise<string[]>} ids deleted
+ */
+async function pruneBackups() {
+    const backups = await listBackups();
+    const keep = selectBackupsToKeep(backups);
+    const ids = backups.filter(backup => !keep.has(backup.id)).map(backup => backup.id);
+    if (ids.length === 0) return ids;
+
+    await writeLocalRecords(ids.map(id => ({ type: 'delete', store: BACKUP_STORE, key: id })));
+    eventBus.emit('backups:deleted', { ids });
+    return ids;
+}
+
+// =============================================================================
+// RESTORE
+// =============================================================================
+
+/**
+ * Restore the whole board or some of it from a backup. The current board
+ * is backed up first, which is the way back: restoring also rewrites
+ * stored service days, which undo cannot reach, so undo history is cleared.
+ * @param {string} id
+ * @param {string[]} [parts] - DOCUMENT_PARTS keys; everything by default
+ * @returns {Promise<{parts: string[], serviceDays: number, backup: Object}>}
+ */
+async function restoreBackup(id, parts = DOCUMENT_PARTS) {
+    const backup = await getBackup(id);
+    if (!backup) throw new Error('That backup no longer exists');
+    if (parts.length === 0) throw new Error('Choose what to restore');
+
+    const when = new Date(backup.createdAt).toLocaleString();
+    await createFullBackup({ reason: `Before restoring the backup from ${when}`, trigger: 'before-restore' });
+
+    const result = await restoreDispatchDocument(backup.document, parts);
+    clearHistory();
+    recordAudit(`restored the backup from ${when}`, []);
+
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    debounceRender('renderAssetPanel');
+    eventBus.emit('data:restored', { backupId: id, parts: result.parts });
+
+    return { ...result, backup: summarizeBackup(backup) };
+}
+
+// =============================================================================
+// SCHEDULE
+// =============================================================================
+
+let scheduleTimer = null;
+let scheduleRunning = false;
+let scheduleSettings = null;
+
+function loadScheduleRuns() {
+    try {
+        return JSON.parse(localStorage.getItem(SCHEDULE_RUNS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Scheduled times that have passed today and have not run here yet
+ */
+function getDueBackupTimes(policy = getBackupPolicy(), runs = loadScheduleRuns(), now = new Date()) {
+    if (!policy.enabled) return [];
+    const today = toServiceDateKey(now);
+    const clock = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    return policy.times.filter(time => time <= clock && runs[time] !== today);
+}
+
+/**
+ * Take one backup if a scheduled time is due
+ * @returns {Promise<Object|null>} the backup's summary, or null when none was due
+ */
+async function runScheduledBackups(now = new Date()) {
+    const due = getDueBackupTimes(getBackupPolicy(), loadScheduleRuns(), now);
+    if (due.length === 0 || scheduleRunning) return null;
+
+    // Marked before running so a failing backup is not retried every minute
+    const runs = loadScheduleRuns();
+    due.forEach(time => { runs[time] = toServiceDateKey(now); });
+    localStorage.setItem(SCHEDULE_RUNS_KEY, JSON.stringify(runs));
+
+    scheduleRunning = true;
+    try {
+        return await createFullBackup({
+            reason: `Scheduled backup (${due[due.length - 1]})`,
+            trigger: 'scheduled',
+            settings: scheduleSettings ? scheduleSettings() : null
+        });
+    } finally {
+        scheduleRunning = false;
+    }
+}
+
+/**
+ * Check the schedule every minute. Storage must be initialized.
+ * @param {Object} [options]
+ * @param {Function} [options.getSettings] - workstation settings to keep with each backup
+ */
+function startBackupSchedule({ getSettings = null } = {}) {
+    scheduleSettings = getSettings;
+    if (scheduleTimer) return;
+
+    const check = () => runScheduledBackups().catch(error => console.error('❌ Scheduled backup failed:', error));
+    scheduleTimer = setInterval(check, SCHEDULE_CHECK_INTERVAL);
+    check();
+}
+
+function stopBackupSchedule() {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    BACKUP_PART_LABELS,
+    BACKUP_TRIGGER_LABELS,
+    DEFAULT_BACKUP_POLICY,
+    getBackupPolicy,
+    setBackupPolicy,
+    normalizeBackupTime,
+    createFullBackup,
+    listBackups,
+    getBackup,
+    deleteBackup,
+    selectBackupsToKeep,
+    pruneBackups,
+    restoreBackup,
+    getDueBackupTimes,
+    runScheduledBackups,
+    startBackupSchedule,
+    stopBackupSchedule
+};
@@ -0,0 +1,365 @@
+/* CORE - CSV MODULE
+   Transportation Dispatch Dashboard
+
+   The one CSV reader and writer used by every import and export.
+
+   Reading follows RFC 4180: quoted fields may contain the delimiter,
+   doubled quotes and line breaks; CRLF, LF and CR line endings and a
+   leading byte order mark are accepted. CsvParser is incremental, so files
+   are read as a stream and parsed a chunk at a time, yielding to the board
+   between chunks so a large import does not freeze it.
+
+   Writing quotes only the fields that need it and ends rows with CRLF.
+
+   The delimiter and file encoding default to Settings > Data
+   (csvDelimiter, csvEncoding); every function also takes them as options.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE } from './state.js';
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+const CSV_ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'utf-8-bom': 'UTF-8 with BOM (Excel)',
+    'windows-1252': 'Windows-1252 (Western)'
+};
+
+const DEFAULT_CSV_OPTIONS = { delimiter: ',', encoding: 'utf-8' };
+
+// Characters Windows-1252 keeps in 0x80-0x9F; everything else maps to its Latin-1 code
+const WINDOWS_1252_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+    'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e,
+    '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Delimiter and encoding from Settings > Data, overridden by options
+ * @returns {{delimiter: string, encoding: string, trim: boolean, skipEmptyRows: boolean}}
+ */
+function getCsvOptions(options = {}) {
+    const settings = STATE.userSettings?.data || {};
+    return {
+        delimiter: settings.csvDelimiter || DEFAULT_CSV_OPTIONS.delimiter,
+        encoding: CSV_ENCODINGS[settings.csvEncoding] ? settings.csvEncoding : DEFAULT_CSV_OPTIONS.encoding,
+        trim: true,
+        skipEmptyRows: true,
+        ...options
+    };
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+function yieldToBoard() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Incremental RFC 4180 parser. Text can be pushed in chunks of any size;
+ * a quote or CRLF split across two chunks is handled. With trim on,
+ * whitespace around a quoted field is skipped (a, "b,c" ,d).
+ */
+class CsvParser {
+    constructor(options = {}) {
+        const { delimiter, trim, skipEmptyRows } = getCsvOptions(options);
+        this.delimiter = delimiter;
+        this.trim = trim;
+        this.skipEmptyRows = skipEmptyRows;
+
+        this.cells = [];
+        this.cell = '';
+        this.quoted = false;     // inside a quoted field
+        this.quoteSeen = false;  // a quote inside a quoted field: "" or the closing quote
+        this.fieldQuoted = false;
+        this.skipLineFeed = false;
+        this.started = false;
+        this.line = 1;
+        this.rowLine = 1;
+        this.rows = [];
+    }
+
+    /**
+     * Parse the next chunk of text
+     * @returns {Array<{cells: string[], line: number}>} rows completed by this chunk;
+     *   line is the 1-based line the row starts on
+     */
+    push(text) {
+        let chunk = String(text ?? '');
+        if (!this.started && chunk) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            this.started = true;
+        }
+
+        for (const char of chunk) {
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.quoteSeen) {
+                this.quoteSeen = false;
+                if (char === '"') {
+                    this.cell += '"';
+                    continue;
+                }
+                this.quoted = false;
+            }
+
+            if (this.quoted) {
+                if (char === '"') {
+                    this.quoteSeen = true;
+                } else {
+                    if (char === '\n') this.line++;
+                    this.cell += char;
+                }
+            } else if (char === '"' && !this.fieldQuoted && (this.trim ? this.cell.trim() : this.cell) === '') {
+                this.cell = '';
+                this.quoted = true;
+                this.fieldQuoted = true;
+            } else if (char === this.delimiter) {
+                this.endCell();
+            } else if (char === '\n' || char === '\r') {
+                this.endRow();
+                this.line++;
+                this.rowLine = this.line;
+                this.skipLineFeed = char === '\r';
+            } else if (this.trim && this.fieldQuoted && (char === ' ' || char === '\t')) {
+                // Whitespace after the closing quote, as before the opening one
+                continue;
+            } else {
+                this.cell += char;
+            }
+        }
+
+        return this.takeRows();
+    }
+
+    /**
+     * Finish the last row when the text does not end with a line break
+     * @returns {Array<{cells: string[], line: number}>}
+     */
+    end() {
+        if (this.cell !== '' || this.cells.length > 0 || this.fieldQuoted) {
+            this.endRow();
+        }
+        return this.takeRows();
+    }
+
+    endCell() {
+        this.cells.push(this.trim && !this.fieldQuoted ? this.cell.trim() : this.cell);
+        this.cell = '';
+        this.fieldQuoted = false;
+    }
+
+    endRow() {
+        this.endCell();
+        const empty = this.cells.every(cell => cell.trim() === '');
+        if (!(this.skipEmptyRows && empty)) {
+            this.rows.push({ cells: this.cells, line: this.rowLine });
+        }
+        this.cells = [];
+    }
+
+    takeRows() {
+        const rows = this.rows;
+        this.rows = [];
+        return rows;
+    }
+}
+
+/**
+ * Parse CSV text
+ * @returns {Array<{cells: string[], line: number}>}
+ */
+function parseCsvRows(text, options = {}) {
+    const parser = new CsvParser(options);
+    return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Parse CSV text into arrays of cells
+ * @returns {string[][]}
+ */
+function parseCsv(text, options = {}) {
+    return parseCsvRows(text, options).map(row => row.cells);
+}
+
+/**
+ * Objects keyed by the first row's column names. Missing cells are ''.
+ * @param {string|Array<{cells: string[]}>} source - CSV text or parsed rows
+ * @returns {Object[]}
+ */
+function parseCsvRecords(source, options = {}) {
+    const rows = typeof source === 'string' ? parseCsvRows(source, options) : source;
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].cells.map(header => header.trim());
+    return rows.slice(1).map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+            if (header) record[header] = row.cells[index] ?? '';
+        });
+        return record;
+    });
+}
+
+function getDecoder(encoding) {
+    return new TextDecoder(encoding === 'windows-1252' ? 'windows-1252' : 'utf-8');
+}
+
+/**
+ * Read and parse a CSV file without blocking the board
+ * @param {Blob|File|string} source - a File from an input or drop, or text already in memory
+ * @param {Object} [options] - delimiter, encoding, trim, skipEmptyRows
+ * @returns {Promise<Array<{cells: string[], line: number}>>}
+ */
+async function readCsvRows(source, options = {}) {
+    const settings = getCsvOptions(options);
+    const parser = new CsvParser(settings);
+    const rows = [];
+    // Parse a slice at a time and let the board repaint in between
+    const parseText = async text => {
+        for (let start = 0; start < text.length; start += READ_CHUNK_SIZE) {
+            parser.push(text.slice(start, start + READ_CHUNK_SIZE)).forEach(row => rows.push(row));
+            await yieldToBoard();
+        }
+    };
+
+    if (typeof source === 'string') {
+        await parseText(source);
+    } else if (typeof source?.stream === 'function') {
+        const decoder = getDecoder(settings.encoding);
+        const reader = source.stream().getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            await parseText(decoder.decode(value, { stream: true }));
+        }
+        await parseText(decoder.decode());
+    } else {
+        const buffer = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(source);
+        });
+        await parseText(getDecoder(settings.encoding).decode(buffer));
+    }
+
+    parser.end().forEach(row => rows.push(row));
+    return rows;
+}
+
+/**
+ * Read a CSV file into arrays of cells
+ * @returns {Promise<string[][]>}
+ */
+async function readCsv(source, options = {}) {
+    return (await readCsvRows(source, options)).map(row => row.cells);
+}
+
+/**
+ * Read a CSV file into objects keyed by its header row
+ * @returns {Promise<Object[]>}
+ */
+async function readCsvRecords(source, options = {}) {
+    return parseCsvRecords(await readCsvRows(source, options));
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+function toCsvField(value, delimiter = getCsvOptions().delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for rows of values
+ * @param {Array<Array<*>>} rows - the first row is usually the header
+ */
+function toCsv(rows, options = {}) {
+    const { delimiter } = getCsvOptions(options);
+    return rows.map(row => row.map(value => toCsvField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV text for objects
+ * @param {Object[]} records
+ * @param {string[]} [columns] - defaults to every key found in the records
+ */
+function recordsToCsv(records, columns = null, options = {}) {
+    const headers = columns || [...new Set(records.flatMap(record => Object.keys(record)))];
+    return toCsv([headers, ...records.map(record => headers.map(header => record[header]))], options);
+}
+
+/**
+ * Bytes of CSV text in the chosen encoding. Characters Windows-1252
+ * cannot hold are written as "?".
+ * @returns {BlobPart}
+ */
+function encodeCsv(text, encoding = getCsvOptions().encoding) {
+    if (encoding === 'utf-8-bom') return `\uFEFF${text}`;
+    if (encoding !== 'windows-1252') return text;
+
+    const bytes = [];
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (WINDOWS_1252_EXTRAS[char]) bytes.push(WINDOWS_1252_EXTRAS[char]);
+        else if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) bytes.push(code);
+        else bytes.push(0x3f);
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Save CSV text or rows of values as a file
+ * @param {string|Array<Array<*>>} content
+ */
+function downloadCsv(content, filename, options = {}) {
+    const settings = getCsvOptions(options);
+    const text = typeof content === 'string' ? content : toCsv(content, settings);
+    const charset = settings.encoding === 'windows-1252' ? 'windows-1252' : 'utf-8';
+
+    const blob = new Blob([encodeCsv(text, settings.encoding)], { type: `text/csv;charset=${charset}` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    CSV_ENCODINGS,
+    CsvParser,
+    getCsvOptions,
+    parseCsvRows,
+    parseCsv,
+    parseCsvRecords,
+    readCsvRows,
+    readCsv,
+    readCsvRecords,
+    toCsvField,
+    toCsv,
+    recordsToCsv,
+    encodeCsv,
+    downloadCsv
+};
@@ -4,6 +4,8 @@
    Utility functions to validate and clean localStorage data
 */
 
+import { validateStatusCodeTable } from './statusCodes.js';
+
 /**
  * Validate and clean dispatch configuration data
  */
@@ -138,6 +140,48 @@ export function validateDispatchConfig(config) {
         cleanConfig.data.colors = { ...cleanConfig.data.colors, ...data.colors };
     }
 
+    if (data.routeTiming && typeof data.routeTiming === 'object') {
+        cleanConfig.data.routeTiming = {
+            ...data.routeTiming,
+            alarmMinutes: cleanAlarmMinutes(data.routeTiming.alarmMinutes)
+        };
+    }
+
+    // Validate the status code table; a broken one falls back to the defaults
+    if (Array.isArray(data.statusCodes) && data.statusCodes.length > 0) {
+        const problems = validateStatusCodeTable(data.statusCodes);
+        if (problems.length === 0) {
+            cleanConfig.data.statusCodes = data.statusCodes;
+        } else {
+            console.warn(`⚠️ Removed invalid status code table: ${problems.join('; ')}`);
+        }
+    }
+
+    // Validate incidents
+    if (Array.isArray(data.incidents)) {
+        data.incidents.forEach((incident, index) => {
+            if (validateIncident(incident)) {
+                if (!cleanConfig.data.incidents) cleanConfig.data.incidents = [];
+                cleanConfig.data.incidents.push(incident);
+            } else {
+                console.warn(`⚠️ Removed invalid incident at index ${index}:`, incident);
+            }
+        });
+    }
+
+    // Keep the schema version and dated boards produced by migrations
+    if (Number.isInteger(config.schemaVersion)) {
+        cleanConfig.schemaVersion = config.schemaVersion;
+    }
+
+    if (config.days && typeof config.days === 'object') {
+        cleanConfig.days = config.days;
+    }
+
+    if (Array.isArray(config.migrationLog)) {
+        cleanConfig.migrationLog = config.migrationLog;
+    }
+
     console.log('✅ Dispatch configuration validation completed');
     return cleanConfig;
 }
@@ -170,6 +214,7 @@ function cleanRoute(route, index) {
         safetyEscorts: Array.isArray(route.safetyEscorts) ? route.safetyEscorts : [],
         notes: typeof route.notes === 'string' ? route.notes : '',
         destination: route.destination || null,
+        stops: Array.isArray(route.stops) ? route.stops.filter(stop => stop && typeof stop === 'object') : [],
         createdAt: route.createdAt || new Date().toISOString(),
         updatedAt: route.updatedAt || new Date().toISOString()
     };
@@ -264,6 +309,38 @@ function validateStaffOut(entry) {
            entry.name.trim().length > 0;
 }
 
+/**
+ * Validate an incident record (core/incidents.js)
+ */
+function validateIncident(incident) {
+    return incident &&
+           typeof incident === 'object' &&
+           typeof incident.id === 'string' &&
+           typeof incident.routeId === 'string' &&
+           typeof incident.status === 'string' &&
+           typeof incident.openedAt === 'string' &&
+           Array.isArray(incident.timeline);
+}
+
+/**
+ * Keep alarm overrides that are a number of minutes, or null for no alarm
+ */
+function cleanAlarmMinutes(alarmMinutes) {
+    const clean = {};
+
+    if (!alarmMinutes || typeof alarmMinutes !== 'object') return clean;
+
+    Object.entries(alarmMinutes).forEach(([typeId, minutes]) => {
+        if (minutes === null || (Number.isFinite(minutes) && minutes >= 0)) {
+            clean[typeId] = minutes;
+        } else {
+            console.warn(`⚠️ Removed invalid alarm minutes for ${typeId}:`, minutes);
+        }
+    });
+
+    return clean;
+}
+
 /**
  * Validate and clean status timestamps
  */
@@ -320,7 +397,8 @@ export function cleanUnrelatedData() {
 }
 
 /**
- * Validate and repair localStorage data
+ * Validate and repair localStorage data. A legacy dispatchConfig blob is left
+ * alone: core/state.js migrates and validates it when moving it into storage.
  */
 export function repairLocalStorageData() {
     console.log('🔧 Repairing localStorage data...');
@@ -329,17 +407,6 @@ export function repairLocalStorageData() {
         // Clean unrelated data first
         cleanUnrelatedData();
         
-        // Get and validate dispatch configuration
-        const configRaw = localStorage.getItem('dispatchConfig');
-        if (configRaw) {
-            const config = JSON.parse(configRaw);
-            const cleanConfig = validateDispatchConfig(config);
-            localStorage.setItem('dispatchConfig', JSON.stringify(cleanConfig));
-            console.log('✅ Dispatch configuration repaired');
-        } else {
-            console.warn('⚠️ No dispatch configuration found in localStorage');
-        }
-        
         // Validate bus seater data
         const studentsRaw = localStorage.getItem('busSeaterStudents');
         if (studentsRaw) {
@@ -0,0 +1,180 @@
+/* CORE - HISTORY MODULE
+   Transportation Dispatch Dashboard
+
+   Multi-level undo/redo for dispatch actions. Mutating actions run through
+   recordAction(label, fn); the board is captured before the action and, if
+   the action changed anything, an entry is pushed onto the undo stack.
+   Undo/redo swap the captured board back into STATE.
+
+   History is scoped to the open service day and cleared when the day changes.
+   Every recorded action, undo and redo is also written to the audit log
+   (core/audit.js) with the fields it changed.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage } from './state.js';
+import { eventBus } from './events.js';
+import { debounceRender } from './utils.js';
+import { recordAudit, describeChanges } from './audit.js';
+
+// =============================================================================
+// HISTORY STATE
+// =============================================================================
+
+const HISTORY = {
+    undoStack: [],
+    redoStack: [],
+    limit: 50,
+    depth: 0 // > 0 while an action is running; nested actions fold into it
+};
+
+// Everything an action can change on the board
+const BOARD_KEYS = ['data', 'assignments', 'routeStatus', 'assetStatus', 'staffOut', 'routeNotes', 'fieldTripNotes', 'statusTimestamps'];
+
+function captureBoard() {
+    const board = {};
+    BOARD_KEYS.forEach(key => {
+        board[key] = STATE[key];
+    });
+    return JSON.stringify(board);
+}
+
+function restoreBoard(serializedBoard) {
+    const board = JSON.parse(serializedBoard);
+    BOARD_KEYS.forEach(key => {
+        STATE[key] = board[key];
+    });
+    STATE.isDirty = true;
+    saveToLocalStorage();
+
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    debounceRender('renderAssetPanel');
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Run a dispatch action and record it for undo if it changed the board
+ * @param {string} label - past-tense description, e.g. "assigned R.Wilson to Route 12"
+ * @param {Function} action
+ * @returns {*} whatever the action returns
+ */
+function recordAction(label, action) {
+    if (HISTORY.depth > 0) {
+        return action();
+    }
+
+    const before = captureBoard();
+    const serviceDate = STATE.serviceDate;
+    let result;
+
+    HISTORY.depth++;
+    try {
+        result = action();
+    } finally {
+        HISTORY.depth--;
+    }
+
+    const after = captureBoard();
+    if (after !== before) {
+        recordAudit(label, describeChanges(JSON.parse(before), JSON.parse(after)));
+
+        const entry = { label, before, serviceDate, timestamp: new Date().toISOString() };
+        HISTORY.undoStack.push(entry);
+        if (HISTORY.undoStack.length > HISTORY.limit) {
+            HISTORY.undoStack.shift();
+        }
+        HISTORY.redoStack = [];
+
+        eventBus.emit('history:recorded', { label, canUndo: true, canRedo: false });
+    }
+
+    return result;
+}
+
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+function undoLastAction() {
+    const entry = HISTORY.undoStack.pop();
+    if (!entry) {
+        console.log('ℹ️ Nothing to undo');
+        return null;
+    }
+
+    if (entry.serviceDate !== STATE.serviceDate) {
+        clearHistory();
+        return null;
+    }
+
+    const after = captureBoard();
+    HISTORY.redoStack.push({ ...entry, after });
+    restoreBoard(entry.before);
+    recordAudit(`undid: ${entry.label}`, describeChanges(JSON.parse(after), JSON.parse(entry.before)));
+
+    console.log(`↩️ Undid: ${entry.label}`);
+    eventBus.emit('history:undone', { label: entry.label, ...getHistoryStatus() });
+    return entry.label;
+}
+
+function redoLastAction() {
+    const entry = HISTORY.redoStack.pop();
+    if (!entry) {
+        console.log('ℹ️ Nothing to redo');
+        return null;
+    }
+
+    if (entry.serviceDate !== STATE.serviceDate) {
+        clearHistory();
+        return null;
+    }
+
+    const before = captureBoard();
+    HISTORY.undoStack.push({ label: entry.label, before, serviceDate: entry.serviceDate, timestamp: entry.timestamp });
+    restoreBoard(entry.after);
+    recordAudit(`redid: ${entry.label}`, describeChanges(JSON.parse(before), JSON.parse(entry.after)));
+
+    console.log(`↪️ Redid: ${entry.label}`);
+    eventBus.emit('history:redone', { label: entry.label, ...getHistoryStatus() });
+    return entry.label;
+}
+
+function clearHistory() {
+    HISTORY.undoStack = [];
+    HISTORY.redoStack = [];
+    eventBus.emit('history:cleared', getHistoryStatus());
+}
+
+function getHistoryStatus() {
+    return {
+        canUndo: HISTORY.undoStack.length > 0,
+        canRedo: HISTORY.redoStack.length > 0,
+        nextUndo: HISTORY.undoStack[HISTORY.undoStack.length - 1]?.label || null,
+        nextRedo: HISTORY.redoStack[HISTORY.redoStack.length - 1]?.label || null
+    };
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.undoLastAction = undoLastAction;
+    window.redoLastAction = redoLastAction;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    recordAction,
+    undoLastAction,
+    redoLastAction,
+    clearHistory,
+    getHistoryStatus
+};
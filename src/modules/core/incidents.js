@@ -0,0 +1,254 @@
+/* CORE - INCIDENTS MODULE
+   Transportation Dispatch Dashboard
+
+   Incidents opened when a route is marked with a status code that has
+   opensIncident set (10-11 and 10-33 by default, see core/statusCodes.js).
+   An incident records what happened and keeps a running timeline until a
+   dispatcher resolves it:
+
+     { id, routeId, routeName, serviceDate, shift, status,
+       type, location, studentsOnBoard, injuries, policeContacted, emsContacted,
+       openedAt, openedBy, resolvedAt, resolvedBy, resolution,
+       timeline: [{ at, by, initials, text }] }
+
+   Incidents are kept in STATE.data.incidents so an open one follows the
+   dispatcher across service days and shifts until it is resolved.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage } from './state.js';
+import { eventBus } from './events.js';
+import { generateId } from './utils.js';
+import { recordAction } from './history.js';
+import { getAuditUser } from './audit.js';
+
+// =============================================================================
+// INCIDENT FIELDS
+// =============================================================================
+
+const INCIDENT_TYPES = [
+    'Vehicle accident',
+    'Mechanical breakdown',
+    'Student medical',
+    'Student behavior',
+    'Road or weather hazard',
+    'Other'
+];
+
+// Editable details and how a change to each reads on the timeline
+const INCIDENT_FIELDS = {
+    type: value => `Incident type: ${value || 'not set'}`,
+    location: value => `Location: ${value || 'not set'}`,
+    studentsOnBoard: value => `Students on board: ${value ?? 'unknown'}`,
+    injuries: value => value ? `Injuries: ${value}` : 'No injuries reported',
+    policeContacted: value => value ? 'Police contacted' : 'Police contact cleared',
+    emsContacted: value => value ? 'EMS contacted' : 'EMS contact cleared'
+};
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+function getIncidents() {
+    return STATE.data?.incidents || [];
+}
+
+function getIncident(id) {
+    return getIncidents().find(incident => incident.id === id) || null;
+}
+
+function getOpenIncidents() {
+    return getIncidents().filter(incident => !incident.resolvedAt);
+}
+
+function getOpenIncidentForRoute(routeKey) {
+    return getOpenIncidents().find(incident => incident.routeId === routeKey) || null;
+}
+
+function describeRouteKey(routeKey) {
+    const route = (STATE.data?.routes || []).find(r => r.id === routeKey);
+    return route ? route.name : String(routeKey || '').split('_')[0];
+}
+
+function timelineEntry(text) {
+    const user = getAuditUser();
+    return { at: new Date().toISOString(), by: user.name, initials: user.initials, text };
+}
+
+function requireOpenIncident(id) {
+    const incident = getIncident(id);
+    if (!incident) {
+        throw new Error('Incident not found');
+    }
+    if (incident.resolvedAt) {
+        throw new Error(`The incident on ${incident.routeName} is already resolved`);
+    }
+    return incident;
+}
+
+// =============================================================================
+// MUTATIONS
+// =============================================================================
+
+/**
+ * Open an incident for a route
+ * @param {string} routeKey - route id, or legacy runKey
+ * @param {{status?: string, label?: string, note?: string}} [details]
+ * @returns {Object} the incident
+ */
+function openIncident(routeKey, details = {}) {
+    const status = details.status || '10-11';
+    const routeName = describeRouteKey(routeKey);
+    const marked = `Marked ${status}${details.label ? ` (${details.label})` : ''}`;
+
+    return recordAction(`opened ${status} incident on ${routeName}`, () => {
+        if (!Array.isArray(STATE.data.incidents)) STATE.data.incidents = [];
+
+        const user = getAuditUser();
+        const incident = {
+            id: generateId('incident'),
+            routeId: routeKey,
+            routeName,
+            serviceDate: STATE.serviceDate,
+            shift: STATE.currentView,
+            status,
+            type: '',
+            location: '',
+            studentsOnBoard: null,
+            injuries: '',
+            policeContacted: false,
+            emsContacted: false,
+            openedAt: new Date().toISOString(),
+            openedBy: user,
+            resolvedAt: null,
+            resolvedBy: null,
+            resolution: '',
+            timeline: [timelineEntry(details.note ? `${marked}: ${details.note}` : marked)]
+        };
+
+        STATE.data.incidents.push(incident);
+        saveToLocalStorage();
+        console.log(`🚨 Opened ${status} incident on ${routeName}`);
+        eventBus.emit('incident:opened', { incident });
+        return incident;
+    });
+}
+
+/**
+ * Change incident details; each changed field is written to the timeline
+ * @param {string} id
+ * @param {Object} changes - any of the INCIDENT_FIELDS keys
+ */
+function updateIncident(id, changes) {
+    const incident = requireOpenIncident(id);
+    const updates = {};
+
+    Object.entries(changes).forEach(([field, value]) => {
+        if (!INCIDENT_FIELDS[field]) return;
+
+        let clean = value;
+        if (field === 'studentsOnBoard') {
+            clean = value === '' || value === null || value === undefined ? null : Number(value);
+            if (clean !== null && (!Number.isInteger(clean) || clean < 0)) {
+                throw new Error('Students on board must be a whole number');
+            }
+        } else if (field === 'policeContacted' || field === 'emsContacted') {
+            clean = Boolean(value);
+        } else {
+            clean = String(value ?? '').trim();
+        }
+
+        if (incident[field] !== clean) updates[field] = clean;
+    });
+
+    if (Object.keys(updates).length === 0) return incident;
+
+    return recordAction(`updated incident on ${incident.routeName}`, () => {
+        const target = getIncident(id);
+        Object.entries(updates).forEach(([field, value]) => {
+            target[field] = value;
+            target.timeline.push(timelineEntry(INCIDENT_FIELDS[field](value)));
+        });
+        saveToLocalStorage();
+        eventBus.emit('incident:updated', { incident: target });
+        return target;
+    });
+}
+
+function addIncidentNote(id, text) {
+    const incident = requireOpenIncident(id);
+    const note = String(text || '').trim();
+    if (!note) {
+        throw new Error('Enter a note for the timeline');
+    }
+
+    return recordAction(`added a note to the incident on ${incident.routeName}`, () => {
+        const target = getIncident(id);
+        target.timeline.push(timelineEntry(note));
+        saveToLocalStorage();
+        eventBus.emit('incident:updated', { incident: target });
+        return target;
+    });
+}
+
+function resolveIncident(id, resolution) {
+    const incident = requireOpenIncident(id);
+    const summary = String(resolution || '').trim();
+    if (!summary) {
+        throw new Error('Describe how the incident was resolved');
+    }
+
+    return recordAction(`resolved incident on ${incident.routeName}`, () => {
+        const target = getIncident(id);
+        target.resolvedAt = new Date().toISOString();
+        target.resolvedBy = getAuditUser();
+        target.resolution = summary;
+        target.timeline.push(timelineEntry(`Resolved: ${summary}`));
+        saveToLocalStorage();
+        console.log(`✅ Resolved incident on ${target.routeName}`);
+        eventBus.emit('incident:resolved', { incident: target });
+        return target;
+    });
+}
+
+// =============================================================================
+// STATUS CHANGES
+// =============================================================================
+
+/**
+ * Open an incident, or extend the open one's timeline, when a route's
+ * radio status changes
+ */
+function handleStatusUpdated({ runKey, status, note, code }) {
+    const open = getOpenIncidentForRoute(runKey);
+
+    if (open) {
+        const label = code ? ` (${code.label})` : '';
+        recordAction(`logged ${status} on the incident on ${open.routeName}`, () => {
+            const target = getIncident(open.id);
+            target.timeline.push(timelineEntry(`Marked ${status}${label}${note ? `: ${note}` : ''}`));
+            saveToLocalStorage();
+            eventBus.emit('incident:updated', { incident: target });
+        });
+    } else if (code && code.opensIncident) {
+        openIncident(runKey, { status, label: code.label, note });
+    }
+}
+
+eventBus.on('route:statusUpdated', handleStatusUpdated);
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    INCIDENT_TYPES,
+    getIncidents,
+    getIncident,
+    getOpenIncidents,
+    getOpenIncidentForRoute,
+    openIncident,
+    updateIncident,
+    addIncidentNote,
+    resolveIncident
+};
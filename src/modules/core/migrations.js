@@ -0,0 +1,263 @@
+/* CORE - MIGRATIONS MODULE
+   Transportation Dispatch Dashboard
+
+   Versioned schema for the persisted dispatch document and the ordered chain
+   of migrations that upgrades older documents. The document shape is:
+
+     {
+       schemaVersion,
+       data: { routes, staff, assets, fieldTrips, colors, ... },
+       assetStatus, currentView,
+       days: { [YYYY-MM-DD]: { assignments, routeStatus, staffOut, routeNotes,
+                               fieldTripNotes, statusTimestamps, routeBoard } },
+       // pre-calendar documents also carry an undated board at the top level
+     }
+
+   Each migration is a pure function (document) => string[] that mutates the
+   copy it is given and returns a human-readable list of what it changed, so
+   it can be exercised on its own with a fixture document.
+*/
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const UNDATED_BOARD_FIELDS = ['assignments', 'routeStatus', 'staffOut', 'routeNotes', 'fieldTripNotes', 'statusTimestamps'];
+const ROUTE_BOARD_FIELDS = ['driver', 'asset', 'trailer', 'safetyEscorts', 'notes', 'destination', 'status'];
+
+function routeLabel(route, fallback) {
+    return route.name || route.id || fallback;
+}
+
+/**
+ * Visit every object that carries route board fields: route definitions in
+ * data.routes (legacy documents) and routeBoard entries in every service day
+ */
+function forEachRouteBoard(document, callback) {
+    (document.data?.routes || []).forEach((route, index) => {
+        callback(route, routeLabel(route, `route #${index + 1}`));
+    });
+    Object.entries(document.days || {}).forEach(([serviceDate, day]) => {
+        Object.entries(day.routeBoard || {}).forEach(([routeId, entry]) => {
+            callback(entry, `${routeId} on ${serviceDate}`);
+        });
+    });
+}
+
+function toLocalDateKey(value) {
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return null;
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+/**
+ * v1: routes used `shift` ('AM' | 'PM' | 'Both'); the route card system reads `schedule`
+ */
+function migrateRouteShiftToSchedule(document) {
+    const changes = [];
+    const scheduleByShift = { am: 'am', pm: 'pm', both: 'both' };
+
+    (document.data?.routes || []).forEach((route, index) => {
+        if (route.shift === undefined) return;
+
+        const shift = route.shift;
+        if (!route.schedule) {
+            route.schedule = scheduleByShift[String(shift).trim().toLowerCase()] || 'none';
+        }
+        delete route.shift;
+        changes.push(`${routeLabel(route, `route #${index + 1}`)}: shift "${shift}" → schedule "${route.schedule}"`);
+    });
+
+    return changes;
+}
+
+/**
+ * v2: routes added through addRoute() had no id, which the validator drops
+ */
+function migrateAssignRouteIds(document) {
+    const changes = [];
+    const routes = document.data?.routes || [];
+    const usedIds = new Set(routes.filter(route => route.id !== undefined && route.id !== null && route.id !== '').map(route => String(route.id)));
+
+    routes.forEach((route, index) => {
+        if (route.id !== undefined && route.id !== null && route.id !== '') return;
+
+        const base = String(route.routeNumber || route.name || index + 1)
+            .toLowerCase()
+            .replace(/^route\s*/, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        let id = `route-${base}${route.schedule ? `-${route.schedule}` : ''}`;
+        for (let n = 2; usedIds.has(id); n++) {
+            id = `route-${base}-${n}`;
+        }
+
+        route.id = id;
+        usedIds.add(id);
+        changes.push(`${routeLabel(route, `route #${index + 1}`)}: assigned id "${id}"`);
+    });
+
+    return changes;
+}
+
+/**
+ * v3: drivers and safety escorts were stored as bare names; createRouteTemplate() expects { name, id }
+ */
+function migrateStaffReferences(document) {
+    const changes = [];
+    const staffIdByName = new Map(
+        (document.data?.staff || []).filter(member => member && member.name).map(member => [member.name, member.id ?? null])
+    );
+    const toReference = name => ({ name, id: staffIdByName.get(name) ?? null });
+
+    forEachRouteBoard(document, (holder, label) => {
+        if (typeof holder.driver === 'string') {
+            const name = holder.driver.trim();
+            holder.driver = name ? toReference(name) : null;
+            changes.push(`${label}: driver "${name}" → ${name ? '{ name, id }' : 'unassigned'}`);
+        }
+
+        if (Array.isArray(holder.safetyEscorts) && holder.safetyEscorts.some(escort => typeof escort === 'string')) {
+            holder.safetyEscorts = holder.safetyEscorts
+                .map(escort => typeof escort === 'string' ? escort.trim() : escort)
+                .filter(Boolean)
+                .map(escort => typeof escort === 'string' ? toReference(escort) : escort);
+            changes.push(`${label}: safety escorts converted to { name, id }`);
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * v4: the undated board at the top level of dispatchConfig becomes a service
+ * day, dated by when it was last saved
+ */
+function migrateUndatedBoardToServiceDay(document) {
+    const changes = [];
+    const hasEntries = value => Array.isArray(value) ? value.length > 0 : Object.keys(value || {}).length > 0;
+
+    const board = {};
+    UNDATED_BOARD_FIELDS.forEach(field => {
+        if (document[field] !== undefined) {
+            board[field] = document[field];
+            delete document[field];
+        }
+    });
+
+    const routeBoard = {};
+    let routeBoardEntries = 0;
+    (document.data?.routes || []).forEach(route => {
+        const entry = {};
+        ROUTE_BOARD_FIELDS.forEach(field => {
+            if (route[field] !== undefined) {
+                entry[field] = route[field];
+                delete route[field];
+            }
+        });
+        if (entry.driver || entry.asset || entry.trailer || entry.notes || entry.destination ||
+            (entry.safetyEscorts && entry.safetyEscorts.length > 0) ||
+            (entry.status && entry.status !== 'unassigned')) {
+            routeBoardEntries++;
+        }
+        routeBoard[route.id] = entry;
+    });
+
+    const hasActivity = routeBoardEntries > 0 || UNDATED_BOARD_FIELDS.some(field => hasEntries(board[field]));
+    if (!hasActivity) return changes;
+
+    const serviceDate = toLocalDateKey(document.lastSaved || Date.now());
+    document.days = document.days || {};
+    if (document.days[serviceDate]) {
+        changes.push(`Undated board discarded: service day ${serviceDate} already has a saved board`);
+        return changes;
+    }
+
+    document.days[serviceDate] = { ...board, serviceDate, routeBoard };
+    changes.push(`Undated board moved to service day ${serviceDate} (${routeBoardEntries} route card(s) in use)`);
+    return changes;
+}
+
+// Ordered chain; a document at schemaVersion N runs every migration with version > N
+const MIGRATIONS = [
+    { version: 1, description: 'Rename route.shift to route.schedule', migrate: migrateRouteShiftToSchedule },
+    { version: 2, description: 'Assign ids to routes without one', migrate: migrateAssignRouteIds },
+    { version: 3, description: 'Convert driver and safety escort names to { name, id }', migrate: migrateStaffReferences },
+    { version: 4, description: 'Move the undated board into a dated service day', migrate: migrateUndatedBoardToServiceDay }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// =============================================================================
+// PIPELINE
+// =============================================================================
+
+/**
+ * Run every pending migration on a copy of the document
+ * @param {Object} document - persisted dispatch document (not modified)
+ * @returns {{document: Object, fromVersion: number, toVersion: number, reports: Array<{version: number, description: string, changes: string[]}>}}
+ */
+function runMigrations(document) {
+    const migrated = JSON.parse(JSON.stringify(document || {}));
+    const fromVersion = Number(migrated.schemaVersion) || 0;
+
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Saved data uses schema v${fromVersion}, newer than this dashboard (v${CURRENT_SCHEMA_VERSION})`);
+    }
+
+    const reports = MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .map(migration => {
+            const changes = migration.migrate(migrated);
+            migrated.schemaVersion = migration.version;
+            return { version: migration.version, description: migration.description, changes };
+        });
+
+    migrated.schemaVersion = CURRENT_SCHEMA_VERSION;
+    return { document: migrated, fromVersion, toVersion: CURRENT_SCHEMA_VERSION, reports };
+}
+
+/**
+ * Summarize a migration run for the persisted migration log
+ */
+function createMigrationLogEntry(result) {
+    return {
+        migratedAt: new Date().toISOString(),
+        fromVersion: result.fromVersion,
+        toVersion: result.toVersion,
+        reports: result.reports
+    };
+}
+
+function logMigrationResult(result) {
+    if (result.reports.length === 0) return;
+
+    const total = result.reports.reduce((sum, report) => sum + report.changes.length, 0);
+    console.log(`🔄 Migrated saved data from schema v${result.fromVersion} to v${result.toVersion} (${total} change(s))`);
+    result.reports.forEach(report => {
+        console.log(`   v${report.version} ${report.description}: ${report.changes.length} change(s)`);
+        report.changes.forEach(change => console.log(`     - ${change}`));
+    });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    runMigrations,
+    createMigrationLogEntry,
+    logMigrationResult,
+    migrateRouteShiftToSchedule,
+    migrateAssignRouteIds,
+    migrateStaffReferences,
+    migrateUndatedBoardToServiceDay
+};
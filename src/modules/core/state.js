@@ -2,14 +2,27 @@
    Transportation Dispatch Dashboard - Auto-extracted from legacy
    
    Functions included: STATE object, loadData, saveToLocalStorage, resetGestureState, 
-   updateRouteNote, updateFieldTripNote, updateRouteStatus, clearAllTimestamps, resetEntireBoard
+   updateRouteNote, updateFieldTripNote, updateRouteStatus, clearAllTimestamps, resetEntireBoard,
+   service day calendar (openServiceDay, listServiceDays), storage adapter hydration,
+   live sync across tabs and the LAN sync server (startLiveSync, setSyncServerUrl, getSyncStatus)
    Total lines: 280
    Extracted: 2025-09-11_23-56
    Manual refinement: Organized state management, cleaned up fragmented code
 */
 
 // Transportation Dispatch Dashboard Module Dependencies
-import { PERFORMANCE } from './utils.js';
+import { PERFORMANCE, generateId, debounceRender, eventBus } from './utils.js';
+import { STORE_NAMES, APPEND_ONLY_STORES, createStorageAdapter } from './storage.js';
+import { CURRENT_SCHEMA_VERSION, runMigrations, createMigrationLogEntry, logMigrationResult } from './migrations.js';
+import { validateDispatchConfig } from './dataValidator.js';
+import {
+    STAFF_OUT_CARD_PREFIX,
+    CARD_FIELDS,
+    NO_VERSION,
+    collectBoardCards,
+    compareCardVersions,
+    mergeDayDocuments
+} from './syncCards.js';
 
 // =============================================================================
 // GLOBAL STATE OBJECT
@@ -19,6 +32,7 @@ const STATE = {
     // Core data
     data: null, // will be initialized by loadData()
     currentView: 'AM',
+    serviceDate: null, // YYYY-MM-DD of the board currently open
     
     // Assignments and status
     assignments: {},
@@ -34,12 +48,69 @@ const STATE = {
     // UI state
     selectedAssignment: null,
     selectedFieldTrip: null,
+    dispatcher: null, // { name, initials } signed in at this workstation (core/audit.js)
     
     // Performance tracking
     lastSaveTime: null,
     isDirty: false
 };
 
+// Pre-adapter persistence keys, read once to migrate into the storage adapter
+const LEGACY_CONFIG_KEY = 'dispatchConfig';
+const LEGACY_DAY_PREFIX = 'dispatchDay:';
+
+// Active storage adapter (set by initializeStorage) and the serialized form of
+// every record last written, keyed "<store>/<key>", so saves only write changes
+let storage = null;
+let writeQueue = Promise.resolve();
+const persistedRecords = new Map();
+
+// Append-only records (audit entries) made before storage was ready
+const pendingAppends = [];
+
+// Reports from schema migrations applied to this install, newest last
+let migrationLog = [];
+const MAX_MIGRATION_LOG = 20;
+
+// Route fields that belong to a day's board rather than the route definition
+const ROUTE_BOARD_FIELDS = ['driver', 'asset', 'trailer', 'safetyEscorts', 'notes', 'destination', 'status', 'stopCalls', 'deviations'];
+
+// Whether the open service day had a saved board when it was opened
+let openDayWasSaved = false;
+
+// The last service day switch queued; switches run one after another
+let serviceDaySwitch = Promise.resolve(true);
+
+// Live sync with other tabs (BroadcastChannel) and other workstations (sync
+// server over WebSocket). The open day's board is exchanged as versioned
+// cards so concurrent edits to the same route card can be detected; see
+// core/syncCards.js.
+const SYNC_CHANNEL_NAME = 'dispatch-sync';
+const SYNC_SERVER_KEY = 'dispatchSyncServer';
+const SYNC_OUTBOX_KEY = 'dispatchSyncOutbox';
+const SERVER_RETRY_MIN = 1000;
+const SERVER_RETRY_MAX = 30000;
+const MAX_SYNC_CONFLICTS = 50;
+const MAX_SEEN_MESSAGES = 500;
+
+const SYNC = {
+    tabId: generateId('tab'),
+    channel: null,
+    server: null,            // sync server connection, see connectSyncServer()
+    cardVersions: new Map(), // cardKey -> { version, by, at }
+    syncedCards: new Map(),  // cardKey -> serialized card as last published or received
+    seenMessages: new Set(),
+    applyingRemote: false,
+    conflicts: []            // newest last
+};
+
+// Record key of each entity list, matching collectRecords()
+const ENTITY_KEYS = {
+    routes: route => route.id,
+    staff: member => member.id || member.name,
+    assets: asset => asset.id || asset.name
+};
+
 // =============================================================================
 // DATA MANAGEMENT FUNCTIONS
 
@@ -150,6 +221,9 @@ function getEmbeddedData() {
         staff: [],
         assets: [],
         fieldTrips: [],
+        routeTiming: {
+            lateThresholdMinutes: 10 // minutes past the first scheduled stop before a route is late
+        },
         colors: {
             'Gen Ed Bus': '#3b82f6',
             'SE Bus': '#f59e0b',
@@ -231,122 +305,1571 @@ function deleteAsset(name) {
 function loadData() {
     console.log('📊 Loading data...');
     
-    try {
-        // Always start with embedded data to ensure we have all the latest properties
-        const embeddedData = getEmbeddedData();
-        
-        // Try to load saved configuration from localStorage
-        const savedConfig = localStorage.getItem('dispatchConfig');
-        
-        if (savedConfig) {
-            const config = JSON.parse(savedConfig);
-            
-            if (config.data) {
-                // Start with embedded data but use saved routes if they exist
-                // This preserves user deletions and additions
-                STATE.data = {
-                    ...embeddedData,
-                    ...config.data,
-                    // Use saved routes if available, otherwise fall back to embedded routes
-                    routes: config.data.routes || embeddedData.routes
-                };
-            } else {
-                STATE.data = embeddedData;
-            }
-            
-            // Load other state data
-            STATE.assignments = config.assignments || {};
-            STATE.routeStatus = config.routeStatus || {};
-            STATE.assetStatus = config.assetStatus || {};
-            STATE.staffOut = config.staffOut || [];
-            STATE.routeNotes = config.routeNotes || {};
-            STATE.fieldTripNotes = config.fieldTripNotes || {};
-            STATE.statusTimestamps = config.statusTimestamps || {};
-            STATE.currentView = config.currentView || 'AM';
-            
-        } else {
-            STATE.data = embeddedData;
-        }
-        
-    } catch (error) {
-        console.warn('⚠️ Error loading saved config, using embedded data:', error);
-        STATE.data = embeddedData;
-    }
+    // The board always opens on today's service day. Saved data is hydrated
+    // asynchronously by initializeStorage(); until then embedded data is used.
+    STATE.serviceDate = getTodayServiceDate();
+    STATE.data = getEmbeddedData();
+    applyDayDocument(null, null);
     
-    console.log('✅ Data loaded successfully');
+    console.log(`✅ Data loaded successfully (service day ${STATE.serviceDate})`);
     return STATE.data;
 }
 
+/**
+ * Persist all changed records through the storage adapter.
+ * The name predates the adapter and is kept for existing callers.
+ */
 function saveToLocalStorage() {
+    if (!storage) {
+        // Nothing may be written until saved data has been hydrated
+        STATE.isDirty = true;
+        return false;
+    }
+    
     try {
-        const config = {
-            data: STATE.data,
-            assignments: STATE.assignments,
-            routeStatus: STATE.routeStatus,
-            assetStatus: STATE.assetStatus,
-            staffOut: STATE.staffOut,
-            routeNotes: STATE.routeNotes,
-            fieldTripNotes: STATE.fieldTripNotes,
-            statusTimestamps: STATE.statusTimestamps,
-            currentView: STATE.currentView,
-            lastSaved: new Date().toISOString()
-        };
-        
-        localStorage.setItem('dispatchConfig', JSON.stringify(config));
+        // Card versions are bumped first so they are saved with the day document
+        const cards = stageCardChanges();
+        const ops = diffRecords(collectRecords());
+
+        if (ops.length > 0) {
+            writeQueue = writeQueue
+                .then(() => storage.writeBatch(ops))
+                .catch(error => console.error('❌ Error writing to storage:', error));
+        }
+        publishChanges(ops, cards);
+
         STATE.lastSaveTime = Date.now();
         STATE.isDirty = false;
         
-        console.log('💾 State saved to localStorage');
+        console.log(`💾 State saved (${ops.length} record${ops.length === 1 ? '' : 's'}, service day ${STATE.serviceDate})`);
         return true;
         
     } catch (error) {
-        console.error('❌ Error saving to localStorage:', error);
+        console.error('❌ Error saving state:', error);
         return false;
     }
 }
 
 // =============================================================================
-// STATE UPDATE FUNCTIONS
+// STORAGE ADAPTER
 // =============================================================================
 
-function updateRouteNote(runKey, note) {
-    STATE.routeNotes[runKey] = note;
-    STATE.isDirty = true;
+/**
+ * Open the storage adapter, migrate a legacy dispatchConfig blob on first
+ * run, and hydrate STATE from storage. Must complete before rendering.
+ */
+async function initializeStorage() {
+    storage = await createStorageAdapter({
+        onBlocked: () => eventBus.emit('storage:blocked'),
+        onVersionChange: () => eventBus.emit('storage:closed')
+    });
     
-    // Auto-save after a delay
-    if (PERFORMANCE.renderTimeouts.autoSave) {
-        clearTimeout(PERFORMANCE.renderTimeouts.autoSave);
+    try {
+        const meta = await storage.get('meta', 'config');
+        if (!meta) {
+            await migrateLegacyStorage();
+        } else if ((meta.schemaVersion || 0) < CURRENT_SCHEMA_VERSION) {
+            await upgradeStoredDocument();
+        }
+        await hydrateState();
+    } catch (error) {
+        console.error('❌ Error loading saved data, using embedded data:', error);
     }
-    PERFORMANCE.renderTimeouts.autoSave = setTimeout(saveToLocalStorage, 2000);
+
+    startLiveSync();
+    if (pendingAppends.length > 0) {
+        appendRecords(pendingAppends.splice(0));
+    }
+    return storage.type;
 }
 
-function updateFieldTripNote(fieldTripId, note) {
-    STATE.fieldTripNotes[fieldTripId] = note;
-    STATE.isDirty = true;
+/**
+ * Resolve once every queued write has reached storage
+ */
+function flushStorage() {
+    return writeQueue;
+}
+
+/**
+ * Write append-only records (see APPEND_ONLY_STORES), which live outside
+ * STATE, and share them with other tabs and workstations
+ * @param {Array<{store: string, key: string, value: *}>} records
+ */
+function appendRecords(records) {
+    const ops = records.map(record => ({ type: 'put', store: record.store, key: record.key, value: record.value }));
+    if (!storage) {
+        pendingAppends.push(...ops);
+        return;
+    }
     
-    // Auto-save after a delay
-    if (PERFORMANCE.renderTimeouts.autoSave) {
-        clearTimeout(PERFORMANCE.renderTimeouts.autoSave);
+    writeQueue = writeQueue
+        .then(() => storage.writeBatch(ops))
+        .catch(error => console.error('❌ Error writing to storage:', error));
+    
+    if (isSyncActive()) {
+        sendSyncMessage({
+            type: 'changes',
+            id: generateId('sync'),
+            from: SYNC.tabId,
+            serviceDate: null,
+            records: ops,
+            cards: []
+        });
     }
-    PERFORMANCE.renderTimeouts.autoSave = setTimeout(saveToLocalStorage, 2000);
 }
 
-function updateRouteStatus(runKey, status) {
-    STATE.routeStatus[runKey] = status;
+/**
+ * Read every record in a store once queued writes have landed
+ * @returns {Promise<Array<{key: string, value: *}>>}
+ */
+async function readRecords(store) {
+    if (!storage) return pendingAppends.filter(op => op.store === store).map(op => ({ key: op.key, value: op.value }));
+    await writeQueue;
+    return storage.getAll(store);
+}
+
+/**
+ * Read one record once queued writes have landed
+ * @returns {Promise<*>} the value, or null
+ */
+async function readRecord(store, key) {
+    if (!storage) return null;
+    await writeQueue;
+    return storage.get(store, key);
+}
+
+/**
+ * Write records that stay on this workstation, such as backups. Unlike
+ * appendRecords() nothing is shared, and a failed write rejects.
+ * @param {Array<{type: 'put'|'delete', store: string, key: string, value?: *}>} ops
+ */
+function writeLocalRecords(ops) {
+    if (!storage) return Promise.reject(new Error('Storage is not ready'));
     
-    // Record timestamp for this status change
-    if (!STATE.statusTimestamps[runKey]) {
-        STATE.statusTimestamps[runKey] = [];
+    const write = writeQueue.then(() => storage.writeBatch(ops));
+    writeQueue = write.catch(error => console.error('❌ Error writing to storage:', error));
+    return write;
+}
+
+/**
+ * Break STATE into one record per entity. Day-scoped records are only
+ * included for the open day, and only once that day has any activity.
+ * @returns {Array<{store: string, key: string, value: string}>} serialized records
+ */
+function collectRecords() {
+    const data = STATE.data || {};
+    const { routes = [], staff = [], assets = [], ...rest } = data;
+    const records = [];
+    
+    const routeKeys = addEntityRecords(records, 'routes', routes.map(stripRouteBoardFields), ENTITY_KEYS.routes);
+    const staffKeys = addEntityRecords(records, 'staff', staff, ENTITY_KEYS.staff);
+    const assetKeys = addEntityRecords(records, 'assets', assets, ENTITY_KEYS.assets);
+    
+    records.push({
+        store: 'meta',
+        key: 'config',
+        value: JSON.stringify({
+            data: rest,
+            order: { routes: routeKeys, staff: staffKeys, assets: assetKeys },
+            assetStatus: STATE.assetStatus,
+            currentView: STATE.currentView,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            migrationLog: migrationLog
+        })
+    });
+    
+    // Don't create documents for days that were only browsed
+    const dayDocument = buildDayDocument();
+    if (persistedRecords.has(`days/${STATE.serviceDate}`) || hasBoardActivity(dayDocument, STATE.statusTimestamps)) {
+        records.push({ store: 'days', key: STATE.serviceDate, value: JSON.stringify(dayDocument) });
+        records.push({ store: 'timestamps', key: STATE.serviceDate, value: JSON.stringify(STATE.statusTimestamps) });
     }
     
-    STATE.statusTimestamps[runKey].push({
-        status: status,
-        timestamp: new Date().toISOString(),
-        user: 'system' // Could be enhanced to track actual users
+    return records;
+}
+
+/**
+ * Add one record per list item, de-duplicating keys, and return the keys in list order
+ */
+function addEntityRecords(records, store, list, keyOf) {
+    const keys = [];
+    const seen = new Set();
+    
+    list.forEach((item, index) => {
+        let key = String(keyOf(item) || `${store}-${index}`);
+        if (seen.has(key)) key = `${key}#${index}`;
+        seen.add(key);
+        keys.push(key);
+        records.push({ store, key, value: JSON.stringify(item) });
     });
     
-    STATE.isDirty = true;
-    saveToLocalStorage(); // Status changes save immediately
+    return keys;
+}
+
+/**
+ * Compare records against what was last persisted and return write operations.
+ * Entity stores are diffed in full so removed items are deleted; day stores
+ * are never pruned because only the open day is collected.
+ */
+function diffRecords(records) {
+    const ops = [];
+    const current = new Set();
+    
+    records.forEach(record => {
+        const id = `${record.store}/${record.key}`;
+        current.add(id);
+        if (persistedRecords.get(id) !== record.value) {
+            persistedRecords.set(id, record.value);
+            ops.push({ type: 'put', store: record.store, key: record.key, value: JSON.parse(record.value) });
+        }
+    });
+    
+    ['routes', 'staff', 'assets'].forEach(store => {
+        [...persistedRecords.keys()]
+            .filter(id => id.startsWith(`${store}/`) && !current.has(id))
+            .forEach(id => {
+                persistedRecords.delete(id);
+                ops.push({ type: 'delete', store, key: id.slice(store.length + 1) });
+            });
+    });
+    
+    return ops;
+}
+
+/**
+ * Replace STATE with the contents of storage
+ */
+async function hydrateState() {
+    const meta = await storage.get('meta', 'config');
+    
+    if (meta) {
+        const [routes, staff, assets] = await Promise.all(
+            ['routes', 'staff', 'assets'].map(store => storage.getAll(store))
+        );
+        const order = meta.order || {};
+        
+        STATE.data = {
+            ...getEmbeddedData(),
+            ...meta.data,
+            routes: orderRecords(routes, order.routes),
+            staff: orderRecords(staff, order.staff),
+            assets: orderRecords(assets, order.assets)
+        };
+        STATE.assetStatus = meta.assetStatus || {};
+        STATE.currentView = meta.currentView || 'AM';
+        migrationLog = meta.migrationLog || [];
+    }
+    
+    await loadServiceDay(STATE.serviceDate);
+    
+    // Everything in memory now matches storage
+    collectRecords().forEach(record => {
+        if (record.store === 'days' || record.store === 'timestamps') return;
+        persistedRecords.set(`${record.store}/${record.key}`, record.value);
+    });
+    
+    STATE.isDirty = false;
+    console.log(`✅ State hydrated from ${storage.type}`);
+}
+
+function orderRecords(records, order = []) {
+    const byKey = new Map(records.map(record => [record.key, record.value]));
+    const ordered = order.filter(key => byKey.has(key)).map(key => byKey.get(key));
+    
+    // Records missing from the order list (e.g. written by an older build) go last
+    const orderedKeys = new Set(order);
+    records.forEach(record => {
+        if (!orderedKeys.has(record.key)) ordered.push(record.value);
+    });
+    
+    return ordered;
+}
+
+/**
+ * Move the single dispatchConfig blob (and any per-day localStorage boards)
+ * into the storage adapter, then remove the legacy keys. This is the only
+ * place a legacy blob is migrated: the migrations run once over the whole
+ * document, and validation runs after them so it sees the current schema.
+ * @returns {Promise<boolean>} whether anything was migrated
+ */
+async function migrateLegacyStorage() {
+    const savedConfig = localStorage.getItem(LEGACY_CONFIG_KEY);
+    const legacyDayKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(LEGACY_DAY_PREFIX)) legacyDayKeys.push(key);
+    }
+    
+    if (!savedConfig && legacyDayKeys.length === 0) return false;
+    
+    console.log('🔄 Migrating localStorage data to storage adapter...');
+    const config = savedConfig ? JSON.parse(savedConfig) : {};
+    const embeddedData = getEmbeddedData();
+    const document = {
+        ...config,
+        data: config.data ? {
+            ...embeddedData,
+            ...config.data,
+            // Use saved routes if available, otherwise fall back to embedded routes
+            routes: config.data.routes || embeddedData.routes
+        } : embeddedData,
+        days: { ...(config.days || {}) }
+    };
+    
+    legacyDayKeys.forEach(key => {
+        const serviceDate = key.slice(LEGACY_DAY_PREFIX.length);
+        try {
+            if (!document.days[serviceDate]) {
+                document.days[serviceDate] = JSON.parse(localStorage.getItem(key));
+            }
+        } catch (error) {
+            console.warn(`⚠️ Skipping unreadable legacy board ${key}:`, error);
+        }
+    });
+    
+    migrationLog = Array.isArray(config.migrationLog) ? config.migrationLog : [];
+    delete document.migrationLog;
+    
+    const result = runMigrations(document);
+    recordMigration(result);
+    const validated = validateDispatchConfig(result.document);
+    await writeDocument({ ...result.document, data: { ...result.document.data, ...validated.data } });
+    
+    localStorage.removeItem(LEGACY_CONFIG_KEY);
+    legacyDayKeys.forEach(key => localStorage.removeItem(key));
+    
+    console.log(`✅ Migrated ${Object.keys(result.document.days || {}).length} service day(s) and ${STATE.data.routes.length} routes`);
+    return true;
+}
+
+/**
+ * Run pending schema migrations over everything in storage
+ */
+async function upgradeStoredDocument() {
+    const result = runMigrations(await readStoredDocument());
+    recordMigration(result);
+    await writeDocument(result.document);
+}
+
+/**
+ * Assemble the full persisted document (all entities and every service day)
+ */
+async function readStoredDocument() {
+    const meta = await storage.get('meta', 'config') || {};
+    const [routes, staff, assets, days, timestamps] = await Promise.all(
+        ['routes', 'staff', 'assets', 'days', 'timestamps'].map(store => storage.getAll(store))
+    );
+    const order = meta.order || {};
+    const timestampsByDay = new Map(timestamps.map(record => [record.key, record.value]));
+    
+    const document = {
+        schemaVersion: meta.schemaVersion || 0,
+        data: {
+            ...meta.data,
+            routes: orderRecords(routes, order.routes),
+            staff: orderRecords(staff, order.staff),
+            assets: orderRecords(assets, order.assets)
+        },
+        assetStatus: meta.assetStatus || {},
+        currentView: meta.currentView || 'AM',
+        days: {}
+    };
+    migrationLog = meta.migrationLog || [];
+    
+    days.forEach(record => {
+        document.days[record.key] = { ...record.value, statusTimestamps: timestampsByDay.get(record.key) || {} };
+    });
+    
+    return document;
+}
+
+/**
+ * Replace everything in storage with a migrated document
+ */
+async function writeDocument(document) {
+    STATE.data = document.data;
+    STATE.assetStatus = document.assetStatus || {};
+    STATE.currentView = document.currentView || 'AM';
+    
+    const ops = [];
+    const written = new Set();
+    
+    collectRecords()
+        .filter(record => record.store !== 'days' && record.store !== 'timestamps')
+        .forEach(record => {
+            written.add(`${record.store}/${record.key}`);
+            ops.push({ type: 'put', store: record.store, key: record.key, value: JSON.parse(record.value) });
+        });
+    
+    for (const store of ['routes', 'staff', 'assets']) {
+        const keys = await storage.keys(store);
+        keys.filter(key => !written.has(`${store}/${key}`))
+            .forEach(key => ops.push({ type: 'delete', store, key }));
+    }
+    
+    Object.entries(document.days || {}).forEach(([serviceDate, day]) => {
+        const { statusTimestamps = {}, ...dayDocument } = day;
+        ops.push({ type: 'put', store: 'days', key: serviceDate, value: { ...dayDocument, serviceDate } });
+        ops.push({ type: 'put', store: 'timestamps', key: serviceDate, value: statusTimestamps });
+    });
+    
+    await storage.writeBatch(ops);
+}
+
+function recordMigration(result) {
+    if (result.reports.length === 0) return;
+    
+    logMigrationResult(result);
+    migrationLog = [...migrationLog, createMigrationLogEntry(result)].slice(-MAX_MIGRATION_LOG);
+}
+
+/**
+ * Reports from every schema migration applied to this install
+ */
+function getMigrationLog() {
+    return migrationLog;
+}
+
+// =============================================================================
+// SERVICE DAY CALENDAR
+// =============================================================================
+
+/**
+ * Convert a Date or date string to a YYYY-MM-DD service date key (local time)
+ * @param {Date|string} date
+ * @returns {string|null}
+ */
+function toServiceDateKey(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return date;
+    }
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return null;
+    
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+function getTodayServiceDate() {
+    return toServiceDateKey(new Date());
+}
+
+/**
+ * Offset a service date by a number of calendar days
+ * @param {string} serviceDate - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+function addDaysToServiceDate(serviceDate, days) {
+    const [year, month, day] = serviceDate.split('-').map(Number);
+    return toServiceDateKey(new Date(year, month - 1, day + days));
+}
+
+function stripRouteBoardFields(route) {
+    const definition = { ...route };
+    ROUTE_BOARD_FIELDS.forEach(field => delete definition[field]);
+    return definition;
+}
+
+function extractRouteBoard(routes) {
+    const routeBoard = {};
+    (routes || []).forEach(route => {
+        const entry = {};
+        ROUTE_BOARD_FIELDS.forEach(field => {
+            if (route[field] !== undefined) entry[field] = route[field];
+        });
+        routeBoard[route.id] = entry;
+    });
+    return routeBoard;
+}
+
+/**
+ * Snapshot the open day's board (timestamps are stored separately)
+ */
+function buildDayDocument() {
+    return {
+        serviceDate: STATE.serviceDate,
+        assignments: STATE.assignments,
+        routeStatus: STATE.routeStatus,
+        staffOut: STATE.staffOut,
+        routeNotes: STATE.routeNotes,
+        fieldTripNotes: STATE.fieldTripNotes,
+        routeBoard: extractRouteBoard(STATE.data?.routes),
+        cardVersions: Object.fromEntries(SYNC.cardVersions)
+    };
+}
+
+/**
+ * Load a day's board into STATE. A missing document opens a blank board.
+ * @param {Object|null} dayDocument
+ * @param {Object|null} statusTimestamps
+ */
+function applyDayDocument(dayDocument, statusTimestamps) {
+    const doc = dayDocument || {};
+    
+    STATE.assignments = doc.assignments || {};
+    STATE.routeStatus = doc.routeStatus || {};
+    STATE.staffOut = doc.staffOut || [];
+    STATE.routeNotes = doc.routeNotes || {};
+    STATE.fieldTripNotes = doc.fieldTripNotes || {};
+    STATE.statusTimestamps = statusTimestamps || {};
+    
+    const routeBoard = doc.routeBoard || {};
+    (STATE.data?.routes || []).forEach(route => {
+        applyRouteBoardEntry(route, routeBoard[route.id]);
+    });
+    
+    // Everything just loaded is what other tabs are assumed to have
+    SYNC.cardVersions = new Map(Object.entries(doc.cardVersions || {}));
+    SYNC.syncedCards = collectCards();
+}
+
+function applyRouteBoardEntry(route, entry = {}) {
+    route.driver = entry.driver || null;
+    route.asset = entry.asset || null;
+    route.trailer = entry.trailer || null;
+    route.safetyEscorts = entry.safetyEscorts || [];
+    route.notes = entry.notes || '';
+    route.destination = entry.destination ?? (route.type === 'field-trips' ? '' : null);
+    route.status = entry.status || 'unassigned';
+    route.stopCalls = entry.stopCalls || {};
+    route.deviations = entry.deviations || {};
+}
+
+/**
+ * Read a day's board and timestamps from storage and apply them to STATE.
+ * STATE.serviceDate moves to the day only once its board has been read.
+ */
+async function loadServiceDay(serviceDate) {
+    let dayDocument = null;
+    let statusTimestamps = null;
+    
+    try {
+        [dayDocument, statusTimestamps] = await Promise.all([
+            storage.get('days', serviceDate),
+            storage.get('timestamps', serviceDate)
+        ]);
+    } catch (error) {
+        console.warn(`⚠️ Could not read board for ${serviceDate}:`, error);
+    }
+    
+    STATE.serviceDate = serviceDate;
+    applyDayDocument(dayDocument, statusTimestamps);
+    openDayWasSaved = Boolean(dayDocument);
+    
+    if (dayDocument) {
+        persistedRecords.set(`days/${serviceDate}`, JSON.stringify(buildDayDocument()));
+        persistedRecords.set(`timestamps/${serviceDate}`, JSON.stringify(STATE.statusTimestamps));
+    }
+}
+
+function hasBoardActivity(dayDocument, statusTimestamps) {
+    const hasEntries = value => Array.isArray(value) ? value.length > 0 : Object.keys(value || {}).length > 0;
+    
+    return hasEntries(statusTimestamps) ||
+        ['assignments', 'routeStatus', 'staffOut', 'routeNotes', 'fieldTripNotes']
+            .some(key => hasEntries(dayDocument[key])) ||
+        Object.values(dayDocument.routeBoard || {}).some(entry =>
+            entry.driver || entry.asset || entry.trailer || entry.notes || entry.destination ||
+            (entry.safetyEscorts && entry.safetyEscorts.length > 0) ||
+            (entry.status && entry.status !== 'unassigned') ||
+            Object.values(entry.stopCalls || {}).some(calls => Object.keys(calls).length > 0)
+        );
+}
+
+/**
+ * True when the open service day had no saved board, i.e. it started blank
+ */
+function isNewServiceDay() {
+    return !openDayWasSaved;
+}
+
+/**
+ * Switch the board to another service day, saving the day being left.
+ * Switches queue behind one still loading, so each starts from the day the
+ * previous one opened.
+ * @param {Date|string} date
+ * @returns {Promise<boolean>} success
+ */
+function openServiceDay(date) {
+    const serviceDate = toServiceDateKey(date);
+    if (!serviceDate) {
+        console.warn('❌ Invalid service date:', date);
+        return Promise.resolve(false);
+    }
+    
+    const opening = serviceDaySwitch.then(() => switchServiceDay(serviceDate));
+    serviceDaySwitch = opening.catch(() => false);
+    return opening;
+}
+
+async function switchServiceDay(serviceDate) {
+    if (serviceDate === STATE.serviceDate) return true;
+    
+    console.log(`📅 Opening service day ${serviceDate}`);
+    // Saved while STATE.serviceDate still names the day being left
+    saveToLocalStorage();
+    
+    STATE.selectedAssignment = null;
+    STATE.selectedFieldTrip = null;
+    await loadServiceDay(serviceDate);
+    
+    STATE.lastSaveTime = Date.now();
+    STATE.isDirty = false;
+    return true;
+}
+
+/**
+ * List every service day that has a saved board, oldest first
+ * @returns {Promise<string[]>}
+ */
+async function listServiceDays() {
+    if (!storage) return [];
+    const days = await storage.keys('days');
+    return days.sort();
+}
+
+// =============================================================================
+// FULL DOCUMENT (BACKUP AND RESTORE)
+// =============================================================================
+
+// Parts of the dispatch document that can be restored on their own
+const DOCUMENT_PARTS = ['routes', 'staff', 'assets', 'configuration', 'fleetStatus', 'serviceDays'];
+
+/**
+ * The whole dispatch document: every entity, the configuration, fleet
+ * status and service log and every service day with its timestamps and notes.
+ * The open board is copied before anything is awaited, so a change made
+ * while stored days are being read (an import, say) is not included.
+ * @returns {Promise<Object>} in the shape described in core/migrations.js
+ */
+async function readDispatchDocument() {
+    const { routes = [], ...rest } = STATE.data || {};
+    const document = JSON.parse(JSON.stringify({
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        data: { ...rest, routes: routes.map(stripRouteBoardFields) },
+        assetStatus: STATE.assetStatus,
+        assetDownReasons: STATE.assetDownReasons || {},
+        fleetService: STATE.fleetService || null,
+        currentView: STATE.currentView,
+        days: {}
+    }));
+    const openDay = JSON.parse(JSON.stringify(buildDayDocument()));
+    const openTimestamps = JSON.parse(JSON.stringify(STATE.statusTimestamps || {}));
+    
+    if (storage) {
+        await writeQueue;
+        const [days, timestamps] = await Promise.all([storage.getAll('days'), storage.getAll('timestamps')]);
+        const timestampsByDay = new Map(timestamps.map(record => [record.key, record.value]));
+        days.forEach(record => {
+            document.days[record.key] = { ...record.value, statusTimestamps: timestampsByDay.get(record.key) || {} };
+        });
+    }
+    
+    if (document.days[STATE.serviceDate] || hasBoardActivity(openDay, openTimestamps)) {
+        document.days[STATE.serviceDate] = { ...openDay, statusTimestamps: openTimestamps };
+    }
+    return document;
+}
+
+/**
+ * Replace parts of the board with a saved dispatch document
+ * @param {Object} savedDocument - from readDispatchDocument(), any schema version
+ * @param {string[]} [parts] - DOCUMENT_PARTS to restore; all by default
+ * @returns {Promise<{parts: string[], serviceDays: number}>}
+ */
+async function restoreDispatchDocument(savedDocument, parts = DOCUMENT_PARTS) {
+    if (!storage) throw new Error('Storage is not ready');
+    
+    const result = runMigrations(savedDocument);
+    const saved = result.document;
+    const savedData = saved.data || {};
+    const include = new Set(parts.filter(part => DOCUMENT_PARTS.includes(part)));
+    const board = extractRouteBoard(STATE.data?.routes);
+    
+    const data = { ...STATE.data };
+    if (include.has('configuration')) {
+        const { routes, staff, assets, ...configuration } = savedData;
+        Object.keys(data).forEach(key => {
+            if (!ENTITY_KEYS[key]) delete data[key];
+        });
+        Object.assign(data, JSON.parse(JSON.stringify(configuration)));
+    }
+    Object.keys(ENTITY_KEYS).forEach(key => {
+        if (include.has(key)) data[key] = savedData[key] || [];
+    });
+    STATE.data = data;
+    
+    if (include.has('fleetStatus')) {
+        STATE.assetStatus = saved.assetStatus || {};
+        STATE.assetDownReasons = saved.assetDownReasons || {};
+        if (saved.fleetService) STATE.fleetService = saved.fleetService;
+    }
+    
+    if (include.has('serviceDays')) {
+        await restoreStoredDays(saved.days || {});
+        
+        // The open day is applied in place, without resetting card versions,
+        // so the save below publishes it to other tabs like any other edit
+        const { statusTimestamps = {}, ...openDay } = saved.days?.[STATE.serviceDate] || {};
+        STATE.assignments = openDay.assignments || {};
+        STATE.routeStatus = openDay.routeStatus || {};
+        STATE.staffOut = openDay.staffOut || [];
+        STATE.routeNotes = openDay.routeNotes || {};
+        STATE.fieldTripNotes = openDay.fieldTripNotes || {};
+        STATE.statusTimestamps = statusTimestamps;
+        Object.keys(board).forEach(id => delete board[id]);
+        Object.assign(board, openDay.routeBoard || {});
+        
+        // Rewrite the open day even if the saved document had nothing for it
+        persistedRecords.set(`days/${STATE.serviceDate}`, '');
+        persistedRecords.set(`timestamps/${STATE.serviceDate}`, '');
+    }
+    
+    (STATE.data.routes || []).forEach(route => applyRouteBoardEntry(route, board[route.id]));
+    recordMigration(result);
+    
+    STATE.isDirty = true;
+    saveToLocalStorage();
+    await writeQueue;
+    
+    return { parts: [...include], serviceDays: Object.keys(saved.days || {}).length };
+}
+
+/**
+ * Make stored service days (other than the open one) match a saved set:
+ * saved days are written back and days the saved set does not have are removed.
+ * Only this workstation's storage changes; other workstations keep their
+ * own copies of days that are not open.
+ */
+async function restoreStoredDays(days) {
+    await writeQueue;
+    const [dayKeys, timestampKeys] = await Promise.all([storage.keys('days'), storage.keys('timestamps')]);
+    const ops = [];
+    
+    [...new Set([...dayKeys, ...timestampKeys])]
+        .filter(serviceDate => serviceDate !== STATE.serviceDate && !days[serviceDate])
+        .forEach(serviceDate => {
+            ops.push({ type: 'delete', store: 'days', key: serviceDate });
+            ops.push({ type: 'delete', store: 'timestamps', key: serviceDate });
+            persistedRecords.delete(`days/${serviceDate}`);
+            persistedRecords.delete(`timestamps/${serviceDate}`);
+        });
+    
+    Object.entries(days)
+        .filter(([serviceDate]) => serviceDate !== STATE.serviceDate)
+        .forEach(([serviceDate, day]) => {
+            const { statusTimestamps = {}, ...dayDocument } = day;
+            ops.push({ type: 'put', store: 'days', key: serviceDate, value: { ...dayDocument, serviceDate } });
+            ops.push({ type: 'put', store: 'timestamps', key: serviceDate, value: statusTimestamps });
+        });
+    
+    await writeLocalRecords(ops);
+}
+
+// =============================================================================
+// LIVE SYNC
+// =============================================================================
+
+/**
+ * Start syncing with other tabs over BroadcastChannel and, when one is
+ * configured, with the LAN sync server. Called once saved data has been hydrated.
+ * @returns {boolean} whether any sync transport is available
+ */
+function startLiveSync() {
+    SYNC.syncedCards = collectCards();
+    
+    if (!SYNC.channel) {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('⚠️ BroadcastChannel unavailable, tabs will not sync');
+        } else {
+            SYNC.channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+            SYNC.channel.onmessage = event => handleSyncMessage(event.data);
+            console.log(`🔗 Live sync started (tab ${SYNC.tabId})`);
+        }
+    }
+    
+    const serverUrl = getSyncServerUrl();
+    if (serverUrl && !SYNC.server) {
+        connectSyncServer(serverUrl);
+    }
+    
+    return isSyncActive();
+}
+
+function stopLiveSync() {
+    if (SYNC.channel) {
+        SYNC.channel.close();
+        SYNC.channel = null;
+    }
+    disconnectSyncServer();
+}
+
+function isSyncActive() {
+    return !!(SYNC.channel || SYNC.server);
+}
+
+function collectCards() {
+    return collectBoardCards(buildDayDocument(), STATE.statusTimestamps);
+}
+
+function applyCard(key, serializedCard) {
+    const card = serializedCard ? JSON.parse(serializedCard) : {};
+    
+    if (key.startsWith(STAFF_OUT_CARD_PREFIX)) {
+        const name = key.slice(STAFF_OUT_CARD_PREFIX.length);
+        STATE.staffOut = STATE.staffOut.filter(entry => entry.name !== name);
+        if (card.staffOut) STATE.staffOut.push(card.staffOut);
+        return;
+    }
+    
+    Object.entries(CARD_FIELDS).forEach(([field, stateKey]) => {
+        if (card[field] !== undefined) {
+            STATE[stateKey][key] = card[field];
+        } else {
+            delete STATE[stateKey][key];
+        }
+    });
+    
+    const route = STATE.data?.routes?.find(r => r.id === key);
+    if (route) applyRouteBoardEntry(route, card.board);
+}
+
+function describeCard(key) {
+    if (key.startsWith(STAFF_OUT_CARD_PREFIX)) {
+        return `${key.slice(STAFF_OUT_CARD_PREFIX.length)} (staff out)`;
+    }
+    const route = STATE.data?.routes?.find(r => r.id === key);
+    return route ? route.name : key.split('_')[0];
+}
+
+/**
+ * Cards changed locally but not yet published
+ * @returns {Set<string>}
+ */
+function getUnsavedCardKeys() {
+    const current = collectCards();
+    const keys = new Set();
+    new Set([...current.keys(), ...SYNC.syncedCards.keys()]).forEach(key => {
+        if ((current.get(key) ?? null) !== (SYNC.syncedCards.get(key) ?? null)) keys.add(key);
+    });
+    return keys;
+}
+
+/**
+ * Bump the version of every card changed since it was last published
+ * @returns {Array<Object>} changed cards, ready to send
+ */
+function stageCardChanges() {
+    if (!isSyncActive() || SYNC.applyingRemote) return [];
+    
+    const current = collectCards();
+    const changed = [];
+    
+    getUnsavedCardKeys().forEach(key => {
+        const value = current.get(key) ?? null;
+        const base = SYNC.cardVersions.get(key)?.version || 0;
+        const version = { version: base + 1, by: SYNC.tabId, at: Date.now() };
+        SYNC.cardVersions.set(key, version);
+        if (value === null) {
+            SYNC.syncedCards.delete(key);
+        } else {
+            SYNC.syncedCards.set(key, value);
+        }
+        changed.push({ key, base, ...version, value });
+    });
+    
+    return changed;
+}
+
+/**
+ * Send a save to other tabs and the sync server. The write operations travel
+ * as they are; the open day's board also travels as cards so receivers can
+ * tell concurrent edits from updates.
+ */
+function publishChanges(ops, cards) {
+    if (!isSyncActive() || SYNC.applyingRemote) return;
+    if (ops.length === 0 && cards.length === 0) return;
+    
+    sendSyncMessage({
+        type: 'changes',
+        id: generateId('sync'),
+        from: SYNC.tabId,
+        serviceDate: STATE.serviceDate,
+        records: ops,
+        cards
+    });
+}
+
+function sendSyncMessage(message) {
+    rememberSyncMessage(message.id);
+    if (SYNC.channel) SYNC.channel.postMessage(message);
+    if (SYNC.server) queueServerMessage(message);
+}
+
+// The same message can arrive over BroadcastChannel and from the server
+function rememberSyncMessage(id) {
+    SYNC.seenMessages.add(id);
+    if (SYNC.seenMessages.size > MAX_SEEN_MESSAGES) {
+        SYNC.seenMessages.delete(SYNC.seenMessages.values().next().value);
+    }
+}
+
+/**
+ * Apply another tab's or workstation's save, persist the merged board and re-render
+ */
+function handleSyncMessage(message) {
+    if (!message || message.type !== 'changes' || message.from === SYNC.tabId) return;
+    if (SYNC.seenMessages.has(message.id)) return;
+    rememberSyncMessage(message.id);
+    
+    // Audit entries and other append-only records don't touch the board
+    const records = message.records || [];
+    if (records.length > 0 && records.every(op => APPEND_ONLY_STORES.includes(op.store))) {
+        cacheRemoteRecords(records);
+        eventBus.emit('sync:appended', { from: message.from, records: records.length });
+        return;
+    }
+    
+    let conflicts = [];
+    SYNC.applyingRemote = true;
+    try {
+        // Taken before records apply, so cards of routes added remotely don't look edited here
+        const unsavedCards = getUnsavedCardKeys();
+        applyRemoteRecords(message.records || []);
+        if (message.serviceDate === STATE.serviceDate) {
+            conflicts = applyRemoteCards(message.cards || [], message.from, unsavedCards);
+        } else {
+            // Seed messages carry whole boards instead of cards
+            const openDay = (message.records || []).find(op => op.store === 'days' && op.key === STATE.serviceDate);
+            const openTimestamps = (message.records || []).find(op => op.store === 'timestamps' && op.key === STATE.serviceDate);
+            if (openDay) mergeSnapshotCards(openDay.value, openTimestamps?.value || {});
+        }
+        
+        // Storage may hold the other side's board without ours; write the merge
+        STATE.isDirty = true;
+        saveToLocalStorage();
+    } catch (error) {
+        console.error('❌ Error applying remote changes:', error);
+    } finally {
+        SYNC.applyingRemote = false;
+    }
+    
+    cacheRemoteRecords(records);
+    renderAfterSync();
+    
+    eventBus.emit('sync:remoteChange', {
+        from: message.from,
+        serviceDate: message.serviceDate,
+        records: (message.records || []).length,
+        cards: (message.cards || []).length
+    });
+    conflicts.forEach(conflict => eventBus.emit('sync:conflict', conflict));
+}
+
+function renderAfterSync() {
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    debounceRender('renderAssetPanel');
+}
+
+/**
+ * Apply route, staff, asset and config records written elsewhere.
+ * Route board fields stay as they are; they arrive as cards.
+ */
+function applyRemoteRecords(records) {
+    let meta = null;
+    
+    records.forEach(op => {
+        if (op.store === 'days' || op.store === 'timestamps' || APPEND_ONLY_STORES.includes(op.store)) return;
+        
+        // The other side has already written this record
+        if (op.type === 'delete') {
+            persistedRecords.delete(`${op.store}/${op.key}`);
+        } else {
+            persistedRecords.set(`${op.store}/${op.key}`, JSON.stringify(op.value));
+        }
+        
+        if (op.store === 'meta') {
+            if (op.key === 'config' && op.type === 'put') meta = op.value;
+            return;
+        }
+        
+        const keyOf = ENTITY_KEYS[op.store];
+        if (!keyOf) return;
+        
+        const list = STATE.data[op.store] = STATE.data[op.store] || [];
+        const index = list.findIndex(item => String(keyOf(item)) === op.key);
+        
+        if (op.type === 'delete') {
+            if (index !== -1) list.splice(index, 1);
+            if (op.store === 'routes') SYNC.syncedCards.delete(op.key);
+        } else if (op.store === 'routes') {
+            const existing = index !== -1 ? list[index] : null;
+            const route = { ...op.value };
+            if (existing) {
+                ROUTE_BOARD_FIELDS.forEach(field => { route[field] = existing[field]; });
+                list[index] = route;
+            } else {
+                applyRouteBoardEntry(route);
+                list.push(route);
+            }
+        } else if (index !== -1) {
+            list[index] = op.value;
+        } else {
+            list.push(op.value);
+        }
+    });
+    
+    if (meta) {
+        const order = meta.order || {};
+        const { routes, staff, assets } = STATE.data;
+        const reorder = (list, keys, keyOf) => orderRecords(list.map(item => ({ key: String(keyOf(item)), value: item })), keys);
+        
+        // currentView stays per tab: the wall display and desks may show different shifts
+        STATE.data = {
+            ...STATE.data,
+            ...meta.data,
+            routes: reorder(routes || [], order.routes, ENTITY_KEYS.routes),
+            staff: reorder(staff || [], order.staff, ENTITY_KEYS.staff),
+            assets: reorder(assets || [], order.assets, ENTITY_KEYS.assets)
+        };
+        STATE.assetStatus = meta.assetStatus || {};
+    }
+}
+
+/**
+ * Keep local storage current with another workstation's writes: boards for
+ * days not open here are merged, append-only records are copied.
+ * Same-profile tabs share storage already; repeating their writes is harmless.
+ */
+function cacheRemoteRecords(records) {
+    const dates = [...new Set(records
+        .filter(op => (op.store === 'days' || op.store === 'timestamps') && op.key !== STATE.serviceDate)
+        .map(op => op.key))];
+    const appended = records.filter(op => APPEND_ONLY_STORES.includes(op.store) && op.type === 'put');
+    if ((dates.length === 0 && appended.length === 0) || !storage) return;
+    
+    writeQueue = writeQueue.then(async () => {
+        const ops = [...appended];
+        for (const date of dates) {
+            const incoming = {
+                day: records.find(op => op.store === 'days' && op.key === date)?.value || { serviceDate: date },
+                timestamps: records.find(op => op.store === 'timestamps' && op.key === date)?.value || {}
+            };
+            const cached = {
+                day: await storage.get('days', date),
+                timestamps: await storage.get('timestamps', date) || {}
+            };
+            const merged = cached.day ? cached : incoming;
+            if (cached.day && mergeDayDocuments(merged, incoming).length === 0) continue;
+            
+            ops.push({ type: 'put', store: 'days', key: date, value: merged.day });
+            ops.push({ type: 'put', store: 'timestamps', key: date, value: merged.timestamps });
+            persistedRecords.set(`days/${date}`, JSON.stringify(merged.day));
+            persistedRecords.set(`timestamps/${date}`, JSON.stringify(merged.timestamps));
+        }
+        await storage.writeBatch(ops);
+    }).catch(error => console.error('❌ Error caching remote records:', error));
+}
+
+/**
+ * Merge remote cards into the open board.
+ * A card applies cleanly when this tab has not changed it since the sender's
+ * base version. Otherwise both sides edited it: the newer version wins (see
+ * compareCardVersions), which every tab and the server compute identically.
+ * An edit made here but not yet saved always yields to a published one.
+ * @returns {Array<Object>} conflicts
+ */
+function applyRemoteCards(cards, from, unsavedCards) {
+    const current = collectCards();
+    const applied = [];
+    const conflicts = [];
+    
+    cards.forEach(card => {
+        const local = SYNC.cardVersions.get(card.key) || NO_VERSION;
+        const localValue = current.get(card.key) ?? null;
+        const hasUnsavedEdit = unsavedCards.has(card.key);
+        const concurrent = local.version > card.base;
+        const remoteVersion = { version: card.version, by: card.by, at: card.at };
+        
+        if (!concurrent && !hasUnsavedEdit) {
+            applyCard(card.key, card.value);
+            applied.push(card.key);
+            SYNC.cardVersions.set(card.key, remoteVersion);
+            return;
+        }
+        
+        // Both sides made the same change; agree on the version and move on
+        if (localValue === card.value) {
+            if (compareCardVersions(card, local) > 0) SYNC.cardVersions.set(card.key, remoteVersion);
+            return;
+        }
+        
+        const remoteWins = concurrent ? compareCardVersions(card, local) > 0 : true;
+        conflicts.push({
+            key: card.key,
+            label: describeCard(card.key),
+            serviceDate: STATE.serviceDate,
+            from,
+            kept: remoteWins ? 'remote' : 'local',
+            localValue,
+            remoteValue: card.value,
+            detectedAt: new Date().toISOString()
+        });
+        
+        if (remoteWins) {
+            applyCard(card.key, card.value);
+            applied.push(card.key);
+            SYNC.cardVersions.set(card.key, remoteVersion);
+        }
+    });
+    
+    markCardsSynced(applied);
+    
+    if (conflicts.length > 0) {
+        SYNC.conflicts.push(...conflicts);
+        SYNC.conflicts.splice(0, Math.max(0, SYNC.conflicts.length - MAX_SYNC_CONFLICTS));
+        conflicts.forEach(conflict => {
+            console.warn(`⚠️ Sync conflict on ${conflict.label}: kept ${conflict.kept === 'remote' ? 'the remote' : 'this tab\'s'} change`);
+        });
+    }
+    
+    return conflicts;
+}
+
+function markCardsSynced(keys) {
+    const merged = collectCards();
+    keys.forEach(key => {
+        if (merged.has(key)) {
+            SYNC.syncedCards.set(key, merged.get(key));
+        } else {
+            SYNC.syncedCards.delete(key);
+        }
+    });
+}
+
+// =============================================================================
+// SYNC SERVER TRANSPORT
+// =============================================================================
+
+/**
+ * Sync server URL from ?syncServer=ws://host:port/sync (remembered) or the saved setting
+ * @returns {string|null}
+ */
+function getSyncServerUrl() {
+    if (typeof localStorage === 'undefined') return null;
+    
+    const fromQuery = typeof location !== 'undefined'
+        ? new URLSearchParams(location.search).get('syncServer')
+        : null;
+    if (fromQuery) {
+        localStorage.setItem(SYNC_SERVER_KEY, fromQuery);
+        return fromQuery;
+    }
+    return localStorage.getItem(SYNC_SERVER_KEY);
+}
+
+/**
+ * Save the sync server URL and (re)connect; an empty URL turns server sync off
+ * @param {string|null} url - e.g. ws://localhost:8787/sync
+ */
+function setSyncServerUrl(url) {
+    disconnectSyncServer();
+    
+    if (!url) {
+        localStorage.removeItem(SYNC_SERVER_KEY);
+        console.log('🔌 Sync server disabled');
+        return false;
+    }
+    
+    localStorage.setItem(SYNC_SERVER_KEY, url);
+    return connectSyncServer(url);
+}
+
+function connectSyncServer(url) {
+    disconnectSyncServer();
+    if (typeof WebSocket === 'undefined') {
+        console.warn('⚠️ WebSocket unavailable, sync server disabled');
+        return false;
+    }
+    
+    SYNC.server = {
+        url,
+        socket: null,
+        status: 'offline',
+        awaitingSnapshot: false,
+        outbox: loadOutbox(),
+        retryDelay: SERVER_RETRY_MIN,
+        retryTimer: null,
+        revision: null
+    };
+    openServerSocket();
+    return true;
+}
+
+function disconnectSyncServer() {
+    const server = SYNC.server;
+    if (!server) return;
+    
+    SYNC.server = null;
+    clearTimeout(server.retryTimer);
+    if (server.socket) server.socket.close();
+}
+
+function openServerSocket() {
+    const server = SYNC.server;
+    if (!server) return;
+    
+    setServerStatus('connecting');
+    let socket;
+    try {
+        socket = new WebSocket(server.url);
+    } catch (error) {
+        console.error('❌ Invalid sync server URL:', server.url, error);
+        setServerStatus('offline');
+        return;
+    }
+    server.socket = socket;
+    
+    socket.onopen = () => {
+        server.retryDelay = SERVER_RETRY_MIN;
+        // Outgoing changes wait in the outbox until the snapshot has been merged
+        server.awaitingSnapshot = true;
+        socket.send(JSON.stringify({ type: 'hello', from: SYNC.tabId }));
+    };
+    socket.onmessage = event => handleServerMessage(event.data);
+    socket.onclose = () => {
+        if (SYNC.server !== server) return; // disconnected on purpose
+        server.socket = null;
+        server.awaitingSnapshot = false;
+        setServerStatus('offline');
+        
+        clearTimeout(server.retryTimer);
+        server.retryTimer = setTimeout(openServerSocket, server.retryDelay);
+        server.retryDelay = Math.min(server.retryDelay * 2, SERVER_RETRY_MAX);
+    };
+    // onclose always follows an error
+    socket.onerror = () => {};
+}
+
+function setServerStatus(status) {
+    const server = SYNC.server;
+    if (!server || server.status === status) return;
+    
+    server.status = status;
+    if (status !== 'connecting') {
+        console.log(`🔌 Sync server ${status} (${server.url}, ${server.outbox.length} queued)`);
+    }
+    eventBus.emit('sync:connection', { status, url: server.url, queued: server.outbox.length });
+}
+
+function handleServerMessage(raw) {
+    const server = SYNC.server;
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        console.warn('⚠️ Ignoring malformed sync server message');
+        return;
+    }
+    
+    switch (message.type) {
+        case 'snapshot':
+            applyServerSnapshot(message)
+                .catch(error => console.error('❌ Error merging sync server snapshot:', error))
+                .finally(() => {
+                    if (SYNC.server !== server) return;
+                    server.awaitingSnapshot = false;
+                    server.revision = message.revision;
+                    setServerStatus('online');
+                    flushOutbox();
+                });
+            break;
+        case 'ack':
+            server.outbox = server.outbox.filter(queued => queued.id !== message.id);
+            server.revision = message.revision;
+            saveOutbox();
+            break;
+        case 'changes':
+            handleSyncMessage(message);
+            break;
+        case 'error':
+            console.warn('⚠️ Sync server rejected a message:', message.error);
+            break;
+    }
+}
+
+/**
+ * Queue a message for the server and send it if connected. While offline,
+ * consecutive changes to the same service day are folded into one message.
+ */
+function queueServerMessage(message) {
+    const server = SYNC.server;
+    const last = server.outbox[server.outbox.length - 1];
+    
+    if (server.status !== 'online' && last && last.serviceDate === message.serviceDate) {
+        const records = new Map(last.records.map(op => [`${op.store}/${op.key}`, op]));
+        message.records.forEach(op => records.set(`${op.store}/${op.key}`, op));
+        
+        const cards = new Map(last.cards.map(card => [card.key, card]));
+        message.cards.forEach(card => {
+            const earlier = cards.get(card.key);
+            cards.set(card.key, earlier ? { ...card, base: earlier.base } : card);
+        });
+        
+        last.records = [...records.values()];
+        last.cards = [...cards.values()];
+        // The server may have the unfolded message already; a new id keeps it from being skipped
+        last.id = generateId('sync');
+        rememberSyncMessage(last.id);
+    } else {
+        server.outbox.push(message);
+    }
+    
+    saveOutbox();
+    if (server.status === 'online') {
+        server.socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Send everything still unacknowledged; the server ignores messages it has seen
+ */
+function flushOutbox() {
+    const server = SYNC.server;
+    if (!server || !server.socket) return;
+    server.outbox.forEach(message => server.socket.send(JSON.stringify(message)));
+}
+
+function loadOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNC_OUTBOX_KEY)) || [];
+    } catch (error) {
+        console.warn('⚠️ Discarding unreadable sync outbox:', error);
+        return [];
+    }
+}
+
+// Kept in localStorage so changes made offline survive a reload
+function saveOutbox() {
+    const outbox = SYNC.server?.outbox || [];
+    if (outbox.length === 0) {
+        localStorage.removeItem(SYNC_OUTBOX_KEY);
+    } else {
+        localStorage.setItem(SYNC_OUTBOX_KEY, JSON.stringify(outbox));
+    }
+}
+
+/**
+ * Merge the server's copy of the dispatch document after (re)connecting.
+ * Route, staff, asset and config records from the server win unless a local
+ * change to them is still queued. Boards are merged card by card on version.
+ * Anything only this workstation has is sent back to the server.
+ */
+async function applyServerSnapshot(snapshot) {
+    const server = SYNC.server;
+    const records = snapshot.records || [];
+    const queued = new Set(server.outbox.flatMap(message => message.records.map(op => `${op.store}/${op.key}`)));
+    const byStore = new Map(STORE_NAMES.map(store => [store, new Map()]));
+    records.forEach(record => byStore.get(record.store)?.set(record.key, record.value));
+    
+    // An empty server is seeded with everything this workstation has
+    if (records.length === 0) {
+        const seed = collectRecords().map(record => ({ type: 'put', store: record.store, key: record.key, value: JSON.parse(record.value) }));
+        for (const store of ['days', 'timestamps', ...APPEND_ONLY_STORES]) {
+            (await storage.getAll(store)).forEach(record => {
+                if (APPEND_ONLY_STORES.includes(store) || record.key !== STATE.serviceDate) {
+                    seed.push({ type: 'put', store, key: record.key, value: record.value });
+                }
+            });
+        }
+        sendSeedMessage(seed);
+        console.log(`🌱 Seeded empty sync server with ${seed.length} records`);
+        return;
+    }
+    
+    const pushRecords = [];
+    SYNC.applyingRemote = true;
+    try {
+        const entityOps = [];
+        ['meta', 'routes', 'staff', 'assets'].forEach(store => {
+            byStore.get(store).forEach((value, key) => {
+                if (!queued.has(`${store}/${key}`)) entityOps.push({ type: 'put', store, key, value });
+            });
+            if (store === 'meta') return;
+            [...persistedRecords.keys()]
+                .filter(id => id.startsWith(`${store}/`) && !queued.has(id) && !byStore.get(store).has(id.slice(store.length + 1)))
+                .forEach(id => entityOps.push({ type: 'delete', store, key: id.slice(store.length + 1) }));
+        });
+        applyRemoteRecords(entityOps);
+        
+        const openDay = byStore.get('days').get(STATE.serviceDate);
+        if (openDay) {
+            mergeSnapshotCards(openDay, byStore.get('timestamps').get(STATE.serviceDate) || {});
+        } else {
+            // Publish the whole open board on the next save
+            SYNC.syncedCards = new Map();
+        }
+    } finally {
+        SYNC.applyingRemote = false;
+    }
+    
+    // Other days: keep whichever side has the newer version of each card
+    const cacheOps = [];
+    const localDays = new Map((await storage.getAll('days')).map(record => [record.key, record.value]));
+    const localTimestamps = new Map((await storage.getAll('timestamps')).map(record => [record.key, record.value]));
+    new Set([...byStore.get('days').keys(), ...localDays.keys()]).forEach(date => {
+        if (date === STATE.serviceDate) return;
+        
+        const local = localDays.has(date) ? { day: localDays.get(date), timestamps: localTimestamps.get(date) || {} } : null;
+        const remote = byStore.get('days').has(date)
+            ? { day: byStore.get('days').get(date), timestamps: byStore.get('timestamps').get(date) || {} }
+            : null;
+        
+        const merged = remote || local;
+        if (!remote || (local && mergeDayDocuments(merged, local).length > 0)) {
+            pushRecords.push({ type: 'put', store: 'days', key: date, value: merged.day });
+            pushRecords.push({ type: 'put', store: 'timestamps', key: date, value: merged.timestamps });
+        }
+        cacheOps.push({ type: 'put', store: 'days', key: date, value: merged.day });
+        cacheOps.push({ type: 'put', store: 'timestamps', key: date, value: merged.timestamps });
+    });
+    cacheOps.forEach(op => persistedRecords.set(`${op.store}/${op.key}`, JSON.stringify(op.value)));
+    
+    // Append-only stores: each side gets the entries it is missing
+    for (const store of APPEND_ONLY_STORES) {
+        const localKeys = new Set(await storage.keys(store));
+        byStore.get(store).forEach((value, key) => {
+            if (!localKeys.has(key)) cacheOps.push({ type: 'put', store, key, value });
+        });
+        (await storage.getAll(store)).forEach(record => {
+            if (!byStore.get(store).has(record.key)) pushRecords.push({ type: 'put', store, key: record.key, value: record.value });
+        });
+    }
+    await storage.writeBatch(cacheOps);
+    
+    if (pushRecords.length > 0) sendSeedMessage(pushRecords);
+    
+    STATE.isDirty = true;
+    saveToLocalStorage();
+    renderAfterSync();
+    eventBus.emit('sync:remoteChange', { from: 'server', serviceDate: STATE.serviceDate, records: records.length, cards: 0 });
+}
+
+/**
+ * Merge the server's board for the open day into STATE, card by card
+ */
+function mergeSnapshotCards(serverDay, serverTimestamps) {
+    const serverCards = collectBoardCards(serverDay, serverTimestamps);
+    const serverVersions = serverDay.cardVersions || {};
+    const localCards = collectCards();
+    const applied = [];
+    
+    new Set([...serverCards.keys(), ...Object.keys(serverVersions), ...localCards.keys()]).forEach(key => {
+        const order = compareCardVersions(serverVersions[key], SYNC.cardVersions.get(key));
+        const serverValue = serverCards.get(key) ?? null;
+        
+        if (order > 0) {
+            applyCard(key, serverValue);
+            SYNC.cardVersions.set(key, serverVersions[key]);
+            applied.push(key);
+        } else if (order < 0 || serverValue !== (localCards.get(key) ?? null)) {
+            // The server is missing this card's latest change; republish it
+            SYNC.syncedCards.delete(key);
+        }
+    });
+    
+    markCardsSynced(applied);
+}
+
+function sendSeedMessage(records) {
+    queueServerMessage({
+        type: 'changes',
+        id: generateId('sync'),
+        from: SYNC.tabId,
+        serviceDate: null,
+        records,
+        cards: []
+    });
+}
+
+/**
+ * Live sync status and the most recent conflicts
+ */
+function getSyncStatus() {
+    const server = SYNC.server;
+    return {
+        enabled: isSyncActive(),
+        tabId: SYNC.tabId,
+        crossTab: !!SYNC.channel,
+        server: server ? {
+            url: server.url,
+            status: server.status,
+            queued: server.outbox.length,
+            revision: server.revision
+        } : null,
+        conflicts: [...SYNC.conflicts]
+    };
+}
+
+// =============================================================================
+// STATE UPDATE FUNCTIONS
+// =============================================================================
+
+function updateRouteNote(runKey, note) {
+    STATE.routeNotes[runKey] = note;
+    STATE.isDirty = true;
+    
+    // Auto-save after a delay
+    if (PERFORMANCE.renderTimeouts.autoSave) {
+        clearTimeout(PERFORMANCE.renderTimeouts.autoSave);
+    }
+    PERFORMANCE.renderTimeouts.autoSave = setTimeout(saveToLocalStorage, 2000);
+}
+
+function updateFieldTripNote(fieldTripId, note) {
+    STATE.fieldTripNotes[fieldTripId] = note;
+    STATE.isDirty = true;
+    
+    // Auto-save after a delay
+    if (PERFORMANCE.renderTimeouts.autoSave) {
+        clearTimeout(PERFORMANCE.renderTimeouts.autoSave);
+    }
+    PERFORMANCE.renderTimeouts.autoSave = setTimeout(saveToLocalStorage, 2000);
+}
+
+function updateRouteStatus(runKey, status) {
+    STATE.routeStatus[runKey] = status;
+    recordStatusTimestamp(runKey, status);
+    
+    STATE.isDirty = true;
+    saveToLocalStorage(); // Status changes save immediately
+}
+
+/**
+ * Append a status change to the open day's timestamp history
+ * @param {string} key - route id or legacy runKey
+ * @param {string} [note] - required by some codes, see core/statusCodes.js
+ */
+function recordStatusTimestamp(key, status, note = '') {
+    if (!STATE.statusTimestamps[key]) {
+        STATE.statusTimestamps[key] = [];
+    }
+    
+    // The driver at the time, so hours stay with them if the card is reassigned later
+    const driver = (STATE.data?.routes || []).find(route => route.id === key)?.driver?.name;
+    
+    STATE.statusTimestamps[key].push({
+        status: status,
+        timestamp: new Date().toISOString(),
+        shift: STATE.currentView,
+        user: STATE.dispatcher ? STATE.dispatcher.name : 'system',
+        initials: STATE.dispatcher ? STATE.dispatcher.initials : null,
+        ...(driver ? { driver } : {}),
+        ...(note ? { note } : {})
+    });
 }
 
 function switchView(view) {
@@ -374,7 +1897,8 @@ function clearAllTimestamps() {
 }
 
 function resetEntireBoard() {
-    console.log('🔄 Resetting entire board...');
+    // Only the open service day is cleared; other days keep their boards
+    console.log(`🔄 Resetting entire board for ${STATE.serviceDate}...`);
     
     // Clear all assignments
     STATE.assignments = {};
@@ -507,10 +2031,31 @@ export {
     setState,
     loadData,
     saveToLocalStorage,
+    initializeStorage,
+    flushStorage,
+    appendRecords,
+    readRecords,
+    readRecord,
+    writeLocalRecords,
+    DOCUMENT_PARTS,
+    readDispatchDocument,
+    restoreDispatchDocument,
+    getMigrationLog,
+    startLiveSync,
+    stopLiveSync,
+    setSyncServerUrl,
+    getSyncStatus,
     getEmbeddedData,
+    getTodayServiceDate,
+    toServiceDateKey,
+    addDaysToServiceDate,
+    openServiceDay,
+    isNewServiceDay,
+    listServiceDays,
     updateRouteNote,
     updateFieldTripNote,
     updateRouteStatus,
+    recordStatusTimestamp,
     switchView,
     resetGestureState,
     clearAllTimestamps,
@@ -528,22 +2073,22 @@ export {
 
 /**
  * Add a new route to STATE.data.routes
- * @param {Object} route - { name, type, shift, ... }
+ * @param {Object} route - { name, type, schedule, ... }
  * @returns {boolean} success
  */
 function addRoute(route) {
-    if (!route || !route.name || !route.type || !route.shift) {
-        console.warn('❌ Route must have name, type, and shift');
+    if (!route || !route.name || !route.type || !route.schedule) {
+        console.warn('❌ Route must have name, type, and schedule');
         return false;
     }
     if (!Array.isArray(STATE.data.routes)) STATE.data.routes = [];
-    // Prevent duplicate route names for same shift
-    const exists = STATE.data.routes.some(r => r.name === route.name && r.shift === route.shift);
+    // Prevent duplicate route names for same schedule
+    const exists = STATE.data.routes.some(r => r.name === route.name && r.schedule === route.schedule);
     if (exists) {
-        console.warn('❌ Route already exists:', route.name, route.shift);
+        console.warn('❌ Route already exists:', route.name, route.schedule);
         return false;
     }
-    STATE.data.routes.push(route);
+    STATE.data.routes.push({ id: generateId('route'), ...route });
     STATE.isDirty = true;
     saveToLocalStorage();
     if (typeof window !== 'undefined' && window.eventBus) {
@@ -553,15 +2098,15 @@ function addRoute(route) {
 }
 
 /**
- * Edit an existing route (by name and shift)
+ * Edit an existing route (by name and schedule)
  * @param {string} name
- * @param {string} shift
+ * @param {string} schedule
  * @param {Object} updates - fields to update
  * @returns {boolean} success
  */
-function editRoute(name, shift, updates) {
+function editRoute(name, schedule, updates) {
     if (!Array.isArray(STATE.data.routes)) return false;
-    const idx = STATE.data.routes.findIndex(r => r.name === name && r.shift === shift);
+    const idx = STATE.data.routes.findIndex(r => r.name === name && r.schedule === schedule);
     if (idx === -1) return false;
     STATE.data.routes[idx] = { ...STATE.data.routes[idx], ...updates };
     STATE.isDirty = true;
@@ -573,14 +2118,14 @@ function editRoute(name, shift, updates) {
 }
 
 /**
- * Delete a route (by name and shift)
+ * Delete a route (by name and schedule)
  * @param {string} name
- * @param {string} shift
+ * @param {string} schedule
  * @returns {boolean} success
  */
-function deleteRoute(name, shift) {
+function deleteRoute(name, schedule) {
     if (!Array.isArray(STATE.data.routes)) return false;
-    const idx = STATE.data.routes.findIndex(r => r.name === name && r.shift === shift);
+    const idx = STATE.data.routes.findIndex(r => r.name === name && r.schedule === schedule);
     if (idx === -1) return false;
     STATE.data.routes.splice(idx, 1);
     STATE.isDirty = true;
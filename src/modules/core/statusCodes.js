@@ -0,0 +1,305 @@
+/* CORE - STATUS CODES MODULE
+   Transportation Dispatch Dashboard
+
+   Radio status codes and the state machine between them. Each code in the
+   table carries:
+
+     { code, label, meaning, color, severity, transitions, needsNote, opensIncident }
+
+   where transitions lists the codes a route may move to next, needsNote
+   means the change is only accepted with a note and opensIncident opens an
+   incident for the route (core/incidents.js). The 'unassigned' row is the
+   state every route starts the day in; it is not offered as a radio choice.
+
+   The dispatch center's own table is kept in STATE.data.statusCodes and
+   shared like the rest of the configuration; without one the defaults apply.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage, recordStatusTimestamp } from './state.js';
+import { eventBus } from './events.js';
+import { recordAction } from './history.js';
+
+// =============================================================================
+// CODE TABLE
+// =============================================================================
+
+const UNASSIGNED_STATUS = 'unassigned';
+
+// Codes other modules reason about: a route's run starts at IN_SERVICE_STATUS
+// and ends at OUT_OF_SERVICE_STATUS, so every table has both
+const IN_SERVICE_STATUS = '10-8';
+const OUT_OF_SERVICE_STATUS = '10-7';
+const REQUIRED_STATUS_CODES = [UNASSIGNED_STATUS, IN_SERVICE_STATUS, OUT_OF_SERVICE_STATUS];
+const STATUS_CODE_PATTERN = /^[\w-]+$/;
+const SEVERITIES = ['none', 'normal', 'info', 'warning', 'critical'];
+
+const DEFAULT_STATUS_CODES = [
+    {
+        code: UNASSIGNED_STATUS,
+        label: 'Unassigned',
+        meaning: 'No radio status yet today',
+        color: '#6b7280',
+        severity: 'none',
+        transitions: ['10-8', '10-6', '10-11', '10-33'],
+        needsNote: false,
+        opensIncident: false
+    },
+    {
+        code: '10-8',
+        label: 'In Service',
+        meaning: 'On the route and available',
+        color: '#16a34a',
+        severity: 'normal',
+        transitions: ['10-6', '10-7', '10-11', '10-33'],
+        needsNote: false,
+        opensIncident: false
+    },
+    {
+        code: '10-6',
+        label: 'Busy',
+        meaning: 'In service but busy, hold non-urgent traffic',
+        color: '#2563eb',
+        severity: 'info',
+        transitions: ['10-8', '10-7', '10-11', '10-33'],
+        needsNote: false,
+        opensIncident: false
+    },
+    {
+        code: '10-7',
+        label: 'Out of Service',
+        meaning: 'Route complete or vehicle out of service',
+        color: '#dc2626',
+        severity: 'normal',
+        transitions: ['10-8'],
+        needsNote: false,
+        opensIncident: false
+    },
+    {
+        code: '10-11',
+        label: 'Incident',
+        meaning: 'Incident on the route, dispatcher follow-up needed',
+        color: '#ea580c',
+        severity: 'warning',
+        transitions: ['10-8', '10-7', '10-33'],
+        needsNote: true,
+        opensIncident: true
+    },
+    {
+        code: '10-33',
+        label: 'Emergency',
+        meaning: 'Emergency traffic only, clear the channel',
+        color: '#b91c1c',
+        severity: 'critical',
+        transitions: ['10-8', '10-7', '10-11'],
+        needsNote: true,
+        opensIncident: true
+    }
+];
+
+function getStatusCodes() {
+    const configured = STATE.data?.statusCodes;
+    return Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_STATUS_CODES;
+}
+
+function getStatusCode(code) {
+    return getStatusCodes().find(entry => entry.code === (code || UNASSIGNED_STATUS)) || null;
+}
+
+/**
+ * Codes offered as radio choices on route cards, in table order
+ */
+function getSelectableStatusCodes() {
+    return getStatusCodes().filter(entry => entry.code !== UNASSIGNED_STATUS);
+}
+
+function isRadioStatus(code) {
+    return Boolean(code) && code !== UNASSIGNED_STATUS && Boolean(getStatusCode(code));
+}
+
+/**
+ * Check a code table before it replaces the configured one
+ * @returns {string[]} problems; empty when the table is usable
+ */
+function validateStatusCodeTable(table) {
+    const problems = [];
+    if (!Array.isArray(table) || table.length === 0) {
+        return ['The status code table is empty'];
+    }
+    if (table.some(entry => !entry || typeof entry !== 'object')) {
+        return ['Every row of the status code table needs a code, label and color'];
+    }
+
+    const codes = table.map(entry => String(entry.code || '').trim());
+    const seen = new Set();
+    codes.forEach((code, index) => {
+        if (!code) problems.push(`Row ${index + 1} has no code`);
+        else if (!STATUS_CODE_PATTERN.test(code)) problems.push(`Code ${code} may only use letters, digits, "_" and "-"`);
+        else if (seen.has(code)) problems.push(`Code ${code} is listed twice`);
+        seen.add(code);
+    });
+    REQUIRED_STATUS_CODES.forEach(code => {
+        if (!seen.has(code)) problems.push(`The "${code}" row is required`);
+    });
+
+    table.forEach(entry => {
+        if (!String(entry.label || '').trim()) problems.push(`Code ${entry.code} needs a label`);
+        if (!/^#[0-9a-f]{6}$/i.test(entry.color || '')) problems.push(`Code ${entry.code} needs a #rrggbb color`);
+        if (!SEVERITIES.includes(entry.severity)) problems.push(`Code ${entry.code} has unknown severity "${entry.severity}"`);
+        if (entry.transitions !== undefined && !Array.isArray(entry.transitions)) problems.push(`Code ${entry.code} needs a list of transitions`);
+        (Array.isArray(entry.transitions) ? entry.transitions : []).forEach(target => {
+            if (!seen.has(target)) problems.push(`Code ${entry.code} moves to unknown code ${target}`);
+            if (target === UNASSIGNED_STATUS) problems.push(`Code ${entry.code} cannot move back to ${UNASSIGNED_STATUS} (reset the card instead)`);
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Replace the configured code table
+ * @throws {Error} listing every problem when the table is invalid
+ */
+function setStatusCodes(table) {
+    const cleaned = table.map(entry => ({
+        code: String(entry.code || '').trim(),
+        label: String(entry.label || '').trim(),
+        meaning: String(entry.meaning || '').trim(),
+        color: entry.color,
+        severity: entry.severity,
+        transitions: [...new Set((entry.transitions || []).map(target => String(target).trim()).filter(Boolean))],
+        needsNote: Boolean(entry.needsNote),
+        opensIncident: Boolean(entry.opensIncident)
+    }));
+
+    const problems = validateStatusCodeTable(cleaned);
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+
+    return recordAction('updated the status code table', () => {
+        STATE.data.statusCodes = cleaned;
+        saveToLocalStorage();
+        eventBus.emit('statusCodes:changed', { codes: cleaned });
+        return cleaned;
+    });
+}
+
+function resetStatusCodes() {
+    return recordAction('restored the default status codes', () => {
+        delete STATE.data.statusCodes;
+        saveToLocalStorage();
+        eventBus.emit('statusCodes:changed', { codes: DEFAULT_STATUS_CODES });
+    });
+}
+
+// =============================================================================
+// TRANSITIONS
+// =============================================================================
+
+/**
+ * @returns {{allowed: boolean, reason: string|null, needsNote: boolean}}
+ *   needsNote is set when a note is the only thing missing
+ */
+function checkStatusTransition(from, to, note = '') {
+    const current = getStatusCode(from) || getStatusCode(UNASSIGNED_STATUS);
+    const target = getStatusCode(to);
+
+    if (!target || to === UNASSIGNED_STATUS) {
+        return { allowed: false, reason: `${to} is not a status code`, needsNote: false };
+    }
+    if (current && current.code === target.code) {
+        return { allowed: false, reason: `Already ${target.code} (${target.label})`, needsNote: false };
+    }
+    if (current && !(current.transitions || []).includes(target.code)) {
+        const allowed = (current.transitions || []).join(', ') || 'none';
+        return { allowed: false, reason: `Cannot go from ${current.code} (${current.label}) to ${target.code} (${target.label}); allowed: ${allowed}`, needsNote: false };
+    }
+    if (target.needsNote && !String(note || '').trim()) {
+        return { allowed: false, reason: `${target.code} (${target.label}) needs a note`, needsNote: true };
+    }
+    return { allowed: true, reason: null, needsNote: false };
+}
+
+function findRoute(key) {
+    return (STATE.data?.routes || []).find(route => route.id === key) || null;
+}
+
+function getCurrentStatus(key) {
+    const route = findRoute(key);
+    return (route ? route.status : STATE.routeStatus[key]) || UNASSIGNED_STATUS;
+}
+
+/**
+ * Move a route to a new radio status if the code table allows it
+ * @param {string} key - route id, or legacy runKey
+ * @param {string} status
+ * @param {{note?: string}} [options]
+ * @returns {{ok: boolean, reason: string|null, code: Object|null}}
+ */
+function changeRouteStatus(key, status, options = {}) {
+    const previous = getCurrentStatus(key);
+    const note = String(options.note || '').trim();
+    const check = checkStatusTransition(previous, status, note);
+    const code = getStatusCode(status);
+
+    if (!check.allowed) {
+        console.warn(`⚠️ Status change rejected for ${key}: ${check.reason}`);
+        return { ok: false, reason: check.reason, code };
+    }
+
+    const route = findRoute(key);
+    const name = route ? route.name : String(key).split('_')[0];
+
+    recordAction(`marked ${name} ${status}`, () => {
+        if (route) {
+            route.status = status;
+            route.updatedAt = new Date().toISOString();
+        } else {
+            STATE.routeStatus[key] = status;
+        }
+        recordStatusTimestamp(key, status, note);
+        saveToLocalStorage();
+        console.log(`✅ ${name}: ${previous} → ${status}${note ? ` (${note})` : ''}`);
+        // Inside the action so an incident opened or extended by this change
+        // undoes together with it
+        eventBus.emit('route:statusUpdated', { runKey: key, status, previous, note, code });
+    });
+
+    return { ok: true, reason: null, code };
+}
+
+// =============================================================================
+// PRESENTATION HELPERS
+// =============================================================================
+
+/**
+ * Inline style for a status badge: tinted background in the code's color
+ */
+function getStatusBadgeStyle(code) {
+    const color = getStatusCode(code)?.color || '#6b7280';
+    return `background: ${color}1a; color: ${color};`;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    UNASSIGNED_STATUS,
+    IN_SERVICE_STATUS,
+    OUT_OF_SERVICE_STATUS,
+    SEVERITIES,
+    DEFAULT_STATUS_CODES,
+    getStatusCodes,
+    getStatusCode,
+    getSelectableStatusCodes,
+    isRadioStatus,
+    validateStatusCodeTable,
+    setStatusCodes,
+    resetStatusCodes,
+    checkStatusTransition,
+    getCurrentStatus,
+    changeRouteStatus,
+    getStatusBadgeStyle
+};
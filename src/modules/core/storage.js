@@ -0,0 +1,229 @@
+/* CORE - STORAGE MODULE
+   Transportation Dispatch Dashboard
+
+   Pluggable persistence adapters used by core/state.js. Every adapter exposes
+   the same async record API over named object stores:
+
+     get(store, key), getAll(store), keys(store), writeBatch(ops)
+
+   where ops is an array of { type: 'put' | 'delete', store, key, value }.
+   IndexedDB is the default; localStorage is the fallback when IndexedDB is
+   unavailable (private browsing, file:// in some browsers). An upgrade held up
+   by an older tab waits for that tab rather than falling back, so the data
+   never ends up split between the two backends.
+*/
+
+// =============================================================================
+// STORE DEFINITIONS
+// =============================================================================
+
+const STORE_NAMES = ['meta', 'routes', 'staff', 'assets', 'days', 'timestamps', 'audit', 'backups'];
+
+// Stores whose records are only ever added, never updated or deleted
+const APPEND_ONLY_STORES = ['audit'];
+
+const DB_NAME = 'dispatchDashboard';
+const DB_VERSION = 3; // v2 added the audit store, v3 the backups store
+const LOCAL_PREFIX = 'dispatch:';
+
+// =============================================================================
+// INDEXEDDB ADAPTER
+// =============================================================================
+
+class IndexedDBAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onBlocked] - the upgrade is waiting for another tab to close the database
+     * @param {Function} [options.onVersionChange] - another tab upgraded the database and this connection was closed
+     */
+    constructor(dbName = DB_NAME, version = DB_VERSION, { onBlocked = null, onVersionChange = null } = {}) {
+        this.type = 'indexeddb';
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.closed = false;
+        this.onBlocked = onBlocked;
+        this.onVersionChange = onVersionChange;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                STORE_NAMES.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'key' });
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Step aside when a newer tab needs to upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.closed = true;
+                    console.warn('⚠️ Database upgraded by another tab; this tab can no longer save');
+                    if (this.onVersionChange) this.onVersionChange();
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            // An older tab still has the database open. The request stays
+            // pending and succeeds once that tab closes it.
+            request.onblocked = () => {
+                console.warn('⚠️ IndexedDB upgrade waiting for another tab to close');
+                if (this.onBlocked) this.onBlocked();
+            };
+        });
+    }
+
+    assertOpen() {
+        if (this.closed) {
+            throw new Error('The dashboard was updated in another tab; reload this page');
+        }
+    }
+
+    request(store, mode, action) {
+        return new Promise((resolve, reject) => {
+            this.assertOpen();
+            const tx = this.db.transaction(store, mode);
+            const request = action(tx.objectStore(store));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(store, key) {
+        const record = await this.request(store, 'readonly', s => s.get(key));
+        return record ? record.value : null;
+    }
+
+    async getAll(store) {
+        const records = await this.request(store, 'readonly', s => s.getAll());
+        return records.map(record => ({ key: record.key, value: record.value }));
+    }
+
+    keys(store) {
+        return this.request(store, 'readonly', s => s.getAllKeys());
+    }
+
+    writeBatch(ops) {
+        if (ops.length === 0) return Promise.resolve();
+
+        const stores = [...new Set(ops.map(op => op.store))];
+        return new Promise((resolve, reject) => {
+            this.assertOpen();
+            const tx = this.db.transaction(stores, 'readwrite');
+            ops.forEach(op => {
+                const objectStore = tx.objectStore(op.store);
+                if (op.type === 'delete') {
+                    objectStore.delete(op.key);
+                } else {
+                    objectStore.put({ key: op.key, value: op.value });
+                }
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+// =============================================================================
+// LOCALSTORAGE ADAPTER (FALLBACK)
+// =============================================================================
+
+// One localStorage key per record ("dispatch:<store>:<key>") so writes stay incremental
+class LocalStorageAdapter {
+    constructor(prefix = LOCAL_PREFIX) {
+        this.type = 'localstorage';
+        this.prefix = prefix;
+    }
+
+    async open() {
+        return this;
+    }
+
+    storageKey(store, key) {
+        return `${this.prefix}${store}:${key}`;
+    }
+
+    async get(store, key) {
+        const raw = localStorage.getItem(this.storageKey(store, key));
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async getAll(store) {
+        const keys = await this.keys(store);
+        return keys.map(key => ({
+            key,
+            value: JSON.parse(localStorage.getItem(this.storageKey(store, key)))
+        }));
+    }
+
+    async keys(store) {
+        const storePrefix = `${this.prefix}${store}:`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(storePrefix)) {
+                keys.push(key.slice(storePrefix.length));
+            }
+        }
+        return keys.sort();
+    }
+
+    async writeBatch(ops) {
+        ops.forEach(op => {
+            const key = this.storageKey(op.store, op.key);
+            if (op.type === 'delete') {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(op.value));
+            }
+        });
+    }
+}
+
+// =============================================================================
+// ADAPTER SELECTION
+// =============================================================================
+
+/**
+ * Open the preferred storage adapter, falling back to localStorage only when
+ * IndexedDB can't be used at all
+ * @param {Object} [options] - onBlocked and onVersionChange, see IndexedDBAdapter
+ * @returns {Promise<IndexedDBAdapter|LocalStorageAdapter>}
+ */
+async function createStorageAdapter(options = {}) {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            const adapter = await new IndexedDBAdapter(DB_NAME, DB_VERSION, options).open();
+            console.log('💾 Using IndexedDB storage');
+            return adapter;
+        } catch (error) {
+            // The saved data is in IndexedDB at a newer version; falling back would hide it
+            if (error?.name === 'VersionError') {
+                throw new Error('A newer version of the dashboard is open in another tab; reload this page');
+            }
+            console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    console.log('💾 Using localStorage storage');
+    return new LocalStorageAdapter().open();
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    STORE_NAMES,
+    APPEND_ONLY_STORES,
+    IndexedDBAdapter,
+    LocalStorageAdapter,
+    createStorageAdapter
+};
@@ -0,0 +1,147 @@
+/* CORE - SYNC CARDS MODULE
+   Transportation Dispatch Dashboard
+
+   Card model shared by live sync in core/state.js and the LAN sync server
+   (server/sync-server.js). A service day's board is split into cards, one per
+   route id / legacy runKey / staff-out entry, so two consoles editing
+   different cards never collide. Each card carries a version
+   { version, by, at }; versions are ordered by compareCardVersions, which every
+   tab and the server evaluate identically, so they all settle on the same card.
+
+   No browser globals are used here; the module also runs under Node.
+*/
+
+// =============================================================================
+// CARD DEFINITIONS
+// =============================================================================
+
+const STAFF_OUT_CARD_PREFIX = 'staffOut:';
+
+// Card field -> day document map it is stored in (keyed by card key)
+const CARD_FIELDS = {
+    assignment: 'assignments',
+    status: 'routeStatus',
+    note: 'routeNotes',
+    fieldTripNote: 'fieldTripNotes',
+    timestamps: 'statusTimestamps'
+};
+
+const NO_VERSION = { version: 0, by: null, at: 0 };
+
+// =============================================================================
+// SPLITTING AND APPLYING
+// =============================================================================
+
+/**
+ * Split a day document into serialized cards
+ * @param {Object} dayDocument - { assignments, routeStatus, routeNotes, fieldTripNotes, staffOut, routeBoard }
+ * @param {Object} statusTimestamps - stored separately from the day document
+ * @returns {Map<string, string>} card key -> serialized card
+ */
+function collectBoardCards(dayDocument, statusTimestamps) {
+    const doc = { ...(dayDocument || {}), statusTimestamps: statusTimestamps || {} };
+    const cards = new Map();
+    const cardFor = key => {
+        if (!cards.has(key)) cards.set(key, {});
+        return cards.get(key);
+    };
+
+    Object.entries(CARD_FIELDS).forEach(([field, docKey]) => {
+        Object.entries(doc[docKey] || {}).forEach(([key, value]) => {
+            cardFor(key)[field] = value;
+        });
+    });
+    Object.entries(doc.routeBoard || {}).forEach(([routeId, entry]) => {
+        cardFor(routeId).board = entry;
+    });
+    (doc.staffOut || []).forEach(entry => {
+        cardFor(`${STAFF_OUT_CARD_PREFIX}${entry.name}`).staffOut = entry;
+    });
+
+    return new Map([...cards].map(([key, card]) => [key, JSON.stringify(card)]));
+}
+
+/**
+ * Write one card into a day document and its timestamps (both mutated)
+ * @param {string|null} serializedCard - null removes the card
+ */
+function applyCardToDayDocument(dayDocument, statusTimestamps, key, serializedCard) {
+    const card = serializedCard ? JSON.parse(serializedCard) : {};
+
+    if (key.startsWith(STAFF_OUT_CARD_PREFIX)) {
+        const name = key.slice(STAFF_OUT_CARD_PREFIX.length);
+        dayDocument.staffOut = (dayDocument.staffOut || []).filter(entry => entry.name !== name);
+        if (card.staffOut) dayDocument.staffOut.push(card.staffOut);
+        return;
+    }
+
+    Object.entries(CARD_FIELDS).forEach(([field, docKey]) => {
+        const target = docKey === 'statusTimestamps'
+            ? statusTimestamps
+            : (dayDocument[docKey] = dayDocument[docKey] || {});
+        if (card[field] !== undefined) {
+            target[key] = card[field];
+        } else {
+            delete target[key];
+        }
+    });
+
+    dayDocument.routeBoard = dayDocument.routeBoard || {};
+    if (card.board) {
+        dayDocument.routeBoard[key] = card.board;
+    } else {
+        delete dayDocument.routeBoard[key];
+    }
+}
+
+// =============================================================================
+// VERSIONS AND MERGING
+// =============================================================================
+
+/**
+ * Total order over card versions: higher version, then later edit, then id
+ * @returns {number} > 0 when a is newer than b
+ */
+function compareCardVersions(a, b) {
+    a = a || NO_VERSION;
+    b = b || NO_VERSION;
+    return (a.version - b.version) || (a.at - b.at) || String(a.by).localeCompare(String(b.by));
+}
+
+/**
+ * Merge an incoming day document into a target, card by card, keeping
+ * whichever side holds the newer version of each card
+ * @param {{day: Object, timestamps: Object}} target - mutated
+ * @param {{day: Object, timestamps: Object}} incoming
+ * @returns {string[]} keys of the cards taken from incoming
+ */
+function mergeDayDocuments(target, incoming) {
+    const targetVersions = target.day.cardVersions = target.day.cardVersions || {};
+    const incomingVersions = incoming.day.cardVersions || {};
+    const incomingCards = collectBoardCards(incoming.day, incoming.timestamps);
+    const taken = [];
+
+    new Set([...incomingCards.keys(), ...Object.keys(incomingVersions)]).forEach(key => {
+        if (compareCardVersions(incomingVersions[key], targetVersions[key]) <= 0) return;
+
+        applyCardToDayDocument(target.day, target.timestamps, key, incomingCards.get(key) ?? null);
+        targetVersions[key] = incomingVersions[key];
+        taken.push(key);
+    });
+
+    return taken;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    STAFF_OUT_CARD_PREFIX,
+    CARD_FIELDS,
+    NO_VERSION,
+    collectBoardCards,
+    applyCardToDayDocument,
+    compareCardVersions,
+    mergeDayDocuments
+};
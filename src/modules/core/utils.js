@@ -194,6 +194,26 @@ function generateId(prefix = 'id') {
     return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Escape text for HTML content or a quoted attribute value
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * A value as a quoted JavaScript string for an inline handler attribute,
+ * e.g. onclick="editStaffMember(${inlineArgument(staff.name)})"
+ */
+function inlineArgument(value) {
+    return escapeHtml(JSON.stringify(String(value ?? '')));
+}
+
 /**
  * Simple Event Bus for module communication
  */
@@ -262,6 +282,8 @@ export {
     createElement,
     formatDate,
     generateId,
+    escapeHtml,
+    inlineArgument,
     EventBus,
     eventBus
 };
@@ -0,0 +1,208 @@
+/* DATA - BOARD WORKBOOK MODULE
+   Transportation Dispatch Dashboard
+
+   The whole board as one Excel workbook: a sheet each for routes, staff,
+   assets and field trips, plus the route status timestamp report for the
+   default report range (the last 30 service days).
+
+   Column headers match the import aliases in data/importMapping.js, so a
+   sheet edited in Excel can be brought back through the import wizard
+   without remapping. Assignment and report columns are extra and are
+   ignored on import.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE } from '../core/state.js';
+import { ROUTE_TYPES } from '../dispatch/routeCards.js';
+import { buildTimestampReport } from './reports.js';
+import { downloadWorkbook } from './xlsx.js';
+
+// =============================================================================
+// VALUES
+// =============================================================================
+
+function routeTypeLabel(id) {
+    return Object.values(ROUTE_TYPES).find(type => type.id === id)?.label || id || '';
+}
+
+function scheduleLabel(schedule) {
+    const text = String(schedule || '').toLowerCase();
+    return text === 'both' ? 'AM & PM' : text === 'none' ? 'None' : text.toUpperCase();
+}
+
+// "HH:MM" as a time of day cell
+function timeValue(time) {
+    const match = String(time || '').match(/^(\d{1,2}):(\d{2})/);
+    return match ? new Date(1899, 11, 30, Number(match[1]), Number(match[2])) : time || '';
+}
+
+// "YYYY-MM-DD" service date as a date cell
+function dateValue(date) {
+    const match = String(date || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : date || '';
+}
+
+function numberOrText(value) {
+    return value !== '' && value !== null && Number.isFinite(Number(value)) ? Number(value) : value ?? '';
+}
+
+/**
+ * Who or what is on each route card, by staff name and asset name
+ */
+function collectAssignments(routes) {
+    const staff = new Map();
+    const assets = new Map();
+    const add = (map, name, label) => {
+        if (!name) return;
+        if (!map.has(name)) map.set(name, []);
+        if (!map.get(name).includes(label)) map.get(name).push(label);
+    };
+
+    routes.forEach(route => {
+        add(staff, route.driver?.name, `Driver on ${route.name}`);
+        (route.safetyEscorts || []).forEach(escort => add(staff, escort?.name, `Escort on ${route.name}`));
+        add(assets, route.asset?.name, route.name);
+        add(assets, route.trailer?.name, `Trailer for ${route.name}`);
+    });
+    return { staff, assets };
+}
+
+// =============================================================================
+// SHEETS
+// =============================================================================
+
+function routesSheet(routes) {
+    return {
+        name: 'Routes',
+        rows: [
+            ['Route', 'Route type', 'Shift', 'Driver', 'Asset', 'Safety escorts', 'Status', 'Notes'],
+            ...routes.map(route => [
+                numberOrText(route.routeNumber),
+                routeTypeLabel(route.type),
+                scheduleLabel(route.schedule),
+                route.driver?.name || '',
+                route.asset?.name || '',
+                (route.safetyEscorts || []).map(escort => escort?.name).filter(Boolean).join(', '),
+                route.status || '',
+                route.notes || ''
+            ])
+        ]
+    };
+}
+
+function staffSheet(assigned) {
+    return {
+        name: 'Staff',
+        rows: [
+            ['Name', 'Role', 'Employee ID', 'Department', 'Status', 'Phone', 'Email', 'Notes', 'Assigned to'],
+            ...(STATE.data.staff || []).map(member => [
+                member.name || [member.firstName, member.lastName].filter(Boolean).join(' '),
+                member.role || member.position || '',
+                member.employeeId || '',
+                member.department || '',
+                member.status || '',
+                member.phone || '',
+                member.email || '',
+                member.notes || '',
+                (assigned.get(member.name) || []).join(', ')
+            ])
+        ]
+    };
+}
+
+function assetsSheet(assigned) {
+    return {
+        name: 'Assets',
+        rows: [
+            ['Asset number', 'Asset type', 'Capacity', 'Status', 'Notes', 'Assigned to'],
+            ...(STATE.data.assets || []).map(asset => [
+                numberOrText(asset.name),
+                asset.type || '',
+                numberOrText(asset.capacity),
+                asset.status || '',
+                asset.notes || '',
+                (assigned.get(asset.name) || []).join(', ')
+            ])
+        ]
+    };
+}
+
+function fieldTripsSheet(trips) {
+    return {
+        name: 'Field Trips',
+        rows: [
+            ['Trip', 'Destination', 'Departure time', 'Return time', 'Driver', 'Asset', 'Trailer', 'Status', 'Notes'],
+            ...trips.map(trip => [
+                trip.name || '',
+                trip.destination || '',
+                timeValue(trip.departureTime),
+                timeValue(trip.returnTime),
+                trip.driver?.name || '',
+                trip.asset?.name || '',
+                trip.trailer?.name || '',
+                trip.status || '',
+                trip.notes || ''
+            ])
+        ]
+    };
+}
+
+function timestampReportSheet(report) {
+    return {
+        name: 'Timestamp Report',
+        rows: [
+            ['Service date', 'Shift', 'Route', 'Route type', 'Driver', 'Asset', '10-8', '10-7', 'Minutes', 'Complete'],
+            ...report.runs.map(run => [
+                dateValue(run.date),
+                run.shift,
+                run.routeName,
+                routeTypeLabel(run.routeType),
+                run.driver || '',
+                run.asset || '',
+                run.start ? new Date(run.start) : '',
+                run.end ? new Date(run.end) : '',
+                run.minutes === null ? '' : Math.round(run.minutes),
+                run.complete
+            ])
+        ]
+    };
+}
+
+/**
+ * Sheets for the board workbook, ready for writeWorkbook()
+ * @returns {Promise<Array<{name: string, rows: Array<Array>}>>}
+ */
+async function buildBoardWorkbookSheets() {
+    const allRoutes = STATE.data?.routes || [];
+    const routes = allRoutes.filter(route => route.type !== 'field-trips');
+    const trips = allRoutes.filter(route => route.type === 'field-trips');
+    const assigned = collectAssignments(allRoutes);
+    const report = await buildTimestampReport();
+
+    return [
+        routesSheet(routes),
+        staffSheet(assigned.staff),
+        assetsSheet(assigned.assets),
+        fieldTripsSheet(trips),
+        timestampReportSheet(report)
+    ];
+}
+
+/**
+ * Download the board workbook
+ */
+async function exportBoardWorkbook() {
+    const sheets = await buildBoardWorkbookSheets();
+    const filename = `dispatch-board-${STATE.serviceDate || new Date().toISOString().slice(0, 10)}.xlsx`;
+    await downloadWorkbook(sheets, filename);
+    return { filename, sheets: sheets.map(sheet => ({ name: sheet.name, rows: sheet.rows.length - 1 })) };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    buildBoardWorkbookSheets,
+    exportBoardWorkbook
+};
@@ -3,18 +3,24 @@
  * Transportation Dispatch Dashboard
  * 
  * Comprehensive data import/export system for:
- * - CSV file import with validation
+ * - CSV, JSON and Excel (.xlsx) file import with validation
  * - Data export in multiple formats
  * - Bulk data operations
  * - Template generation
  * - Data backup and restore
  * - Import validation and error handling
  * 
- * Dependencies: core/events, core/state, ui/system
+ * Dependencies: core/csv, core/events, core/state, data/importMapping, data/importPlan,
+ * data/xlsx, ui/importReview, ui/system
  */
 
 import { eventBus } from '../core/events.js';
 import { STATE } from '../core/state.js';
+import { parseCsvRecords, readCsvRecords, recordsToCsv, downloadCsv } from '../core/csv.js';
+import { mapObjects, guessDataType } from './importMapping.js';
+import { MERGE_STRATEGIES, planImport } from './importPlan.js';
+import { readWorkbook, sheetToRows } from './xlsx.js';
+import { importReview } from '../ui/importReview.js';
 import { uiSystem } from '../ui/system.js';
 
 class DataImportExport {
@@ -98,17 +104,17 @@ class DataImportExport {
       // Show loading notification
       const loadingId = uiSystem.showNotification('Importing data...', 'info', 0);
       
-      // Read file content
-      const content = await this.readFileContent(file);
-      
-      // Parse content based on file type
+      // Read and parse the file based on its type
       let data;
       switch (fileType) {
         case 'csv':
-          data = this.parseCSV(content);
+          data = await readCsvRecords(file);
           break;
         case 'json':
-          data = JSON.parse(content);
+          data = JSON.parse(await this.readFileContent(file));
+          break;
+        case 'excel':
+          data = await this.readWorkbookRecords(file, options.dataType);
           break;
         default:
           throw new Error(`Parser not implemented for ${fileType}`);
@@ -122,28 +128,24 @@ class DataImportExport {
         return false;
       }
       
-      // Process import
-      const result = await this.processImportData(data, options);
-      
-      // Record import in history
-      this.recordImport({
-        fileName: file.name,
-        fileType: fileType,
-        dataType: options.dataType,
-        recordsProcessed: result.processed,
-        recordsSkipped: result.skipped,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Dismiss loading and show success
+      // Dry run; nothing is written until the review is applied
+      const plan = this.processImportData(data, options);
       uiSystem.dismissNotification(loadingId);
-      uiSystem.showNotification(
-        `Import complete: ${result.processed} records processed, ${result.skipped} skipped`, 
-        'success'
-      );
-      
-      // Emit event
-      eventBus.emit('data-imported', result);
+
+      importReview.openReview(plan, {
+        onApplied: counts => {
+          this.recordImport({
+            fileName: file.name,
+            fileType: fileType,
+            dataType: options.dataType,
+            recordsProcessed: counts.added + counts.updated + counts.deleted,
+            recordsSkipped: counts.skipped,
+            timestamp: new Date().toISOString()
+          });
+          eventBus.emit('data-imported', counts);
+          eventBus.emit('data-updated');
+        }
+      });
       
       return true;
       
@@ -158,262 +160,20 @@ class DataImportExport {
    * Parse CSV content
    */
   parseCSV(content) {
-    const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return [];
-    
-    const headers = this.parseCSVLine(lines[0]);
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVLine(lines[i]);
-      if (values.length === headers.length) {
-        const row = {};
-        headers.forEach((header, index) => {
-          row[header.trim()] = values[index].trim();
-        });
-        data.push(row);
-      }
-    }
-    
-    return data;
+    return parseCsvRecords(content);
   }
 
   /**
-   * Parse individual CSV line handling quotes and commas
+   * Dry run of imported rows against the board
+   * @returns {Object} plan from planImport(), for the import review
    */
-  parseCSVLine(line) {
-    const fields = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        fields.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    fields.push(current.trim());
-    return fields;
-  }
+  processImportData(data, options) {
+    const { dataType, mergeStrategy = 'merge-by-key' } = options;
+    console.log(`📊 Planning ${data.length} records of type: ${dataType}`);
 
-  /**
-   * Process imported data
-   */
-  async processImportData(data, options) {
-    const { dataType, mergeStrategy = 'append' } = options;
-    let processed = 0;
-    let skipped = 0;
-    
-    console.log(`📊 Processing ${data.length} records of type: ${dataType}`);
-    
-    switch (dataType) {
-      case 'staff':
-        const staffResult = await this.importStaffData(data, mergeStrategy);
-        processed += staffResult.processed;
-        skipped += staffResult.skipped;
-        break;
-        
-      case 'routes':
-        const routesResult = await this.importRoutesData(data, mergeStrategy);
-        processed += routesResult.processed;
-        skipped += routesResult.skipped;
-        break;
-        
-      case 'assets':
-        const assetsResult = await this.importAssetsData(data, mergeStrategy);
-        processed += assetsResult.processed;
-        skipped += assetsResult.skipped;
-        break;
-        
-      case 'mixed':
-        // Auto-detect data types and import accordingly
-        const mixedResult = await this.importMixedData(data, mergeStrategy);
-        processed += mixedResult.processed;
-        skipped += mixedResult.skipped;
-        break;
-        
-      default:
-        throw new Error(`Unknown data type: ${dataType}`);
-    }
-    
-    // Update displays
-    eventBus.emit('data-updated');
-    
-    return { processed, skipped };
-  }
-
-  /**
-   * Import staff data
-   */
-  async importStaffData(data, mergeStrategy) {
-    let processed = 0;
-    let skipped = 0;
-    
-    for (const row of data) {
-      try {
-        // Validate required fields
-        if (!row.name || !row.role) {
-          skipped++;
-          continue;
-        }
-        
-        // Check if staff already exists
-        const existingStaff = STATE.staff.find(s => s.name === row.name);
-        
-        if (existingStaff && mergeStrategy === 'skip') {
-          skipped++;
-          continue;
-        }
-        
-        // Create or update staff record
-        const staffData = {
-          id: existingStaff ? existingStaff.id : this.generateId('staff'),
-          name: row.name,
-          role: row.role,
-          status: row.status || 'available',
-          phone: row.phone || '',
-          email: row.email || '',
-          canDrive: this.parseBoolean(row.canDrive),
-          certifications: row.certifications ? row.certifications.split(';') : []
-        };
-        
-        if (existingStaff) {
-          // Update existing
-          Object.assign(existingStaff, staffData);
-        } else {
-          // Add new
-          STATE.staff.push(staffData);
-        }
-        
-        processed++;
-        
-      } catch (error) {
-        console.error('Error processing staff row:', row, error);
-        skipped++;
-      }
-    }
-    
-    eventBus.emit('staff-updated');
-    return { processed, skipped };
-  }
-
-  /**
-   * Import routes data
-   */
-  async importRoutesData(data, mergeStrategy) {
-    let processed = 0;
-    let skipped = 0;
-    
-    for (const row of data) {
-      try {
-        // Validate required fields
-        if (!row.name || !row.type) {
-          skipped++;
-          continue;
-        }
-        
-        // Check if route already exists
-        const routeKey = `${row.name}_${row.shift || 'AM'}`;
-        const existingRoute = STATE.routes.find(r => r.name === row.name && r.shift === (row.shift || 'AM'));
-        
-        if (existingRoute && mergeStrategy === 'skip') {
-          skipped++;
-          continue;
-        }
-        
-        // Create or update route record
-        const routeData = {
-          id: existingRoute ? existingRoute.id : this.generateId('route'),
-          name: row.name,
-          type: row.type,
-          shift: row.shift || 'AM',
-          status: row.status || 'inactive',
-          description: row.description || '',
-          estimatedTime: row.estimatedTime || '',
-          stops: row.stops ? row.stops.split(';') : []
-        };
-        
-        if (existingRoute) {
-          // Update existing
-          Object.assign(existingRoute, routeData);
-        } else {
-          // Add new
-          STATE.routes.push(routeData);
-        }
-        
-        processed++;
-        
-      } catch (error) {
-        console.error('Error processing route row:', row, error);
-        skipped++;
-      }
-    }
-    
-    eventBus.emit('routes-updated');
-    return { processed, skipped };
-  }
-
-  /**
-   * Import assets data
-   */
-  async importAssetsData(data, mergeStrategy) {
-    let processed = 0;
-    let skipped = 0;
-    
-    for (const row of data) {
-      try {
-        // Validate required fields
-        if (!row.number || !row.type) {
-          skipped++;
-          continue;
-        }
-        
-        // Check if asset already exists
-        const existingAsset = STATE.assets.find(a => a.number === row.number);
-        
-        if (existingAsset && mergeStrategy === 'skip') {
-          skipped++;
-          continue;
-        }
-        
-        // Create or update asset record
-        const assetData = {
-          id: existingAsset ? existingAsset.id : this.generateId('asset'),
-          number: row.number,
-          type: row.type,
-          status: row.status || 'available',
-          location: row.location || '',
-          capacity: parseInt(row.capacity) || 0,
-          mileage: parseInt(row.mileage) || 0,
-          lastMaintenance: row.lastMaintenance || null,
-          notes: row.notes || ''
-        };
-        
-        if (existingAsset) {
-          // Update existing
-          Object.assign(existingAsset, assetData);
-        } else {
-          // Add new
-          STATE.assets.push(assetData);
-        }
-        
-        processed++;
-        
-      } catch (error) {
-        console.error('Error processing asset row:', row, error);
-        skipped++;
-      }
-    }
-    
-    eventBus.emit('assets-updated');
-    return { processed, skipped };
+    // Template columns go through the same mapping as any other spreadsheet
+    const { records } = mapObjects(dataType, data);
+    return planImport(dataType, records, mergeStrategy);
   }
 
   // ===== DATA EXPORT =====
@@ -453,7 +213,11 @@ class DataImportExport {
       
       // Create and download file
       const filename = `${dataType}-export-${this.formatDateForFilename(new Date())}.${extension}`;
-      this.downloadFile(content, filename, mimeType);
+      if (format === 'csv') {
+        downloadCsv(content, filename);
+      } else {
+        this.downloadFile(content, filename, mimeType);
+      }
       
       // Record export in history
       this.recordExport({
@@ -559,26 +323,7 @@ class DataImportExport {
    */
   generateCSV(data) {
     if (!data || data.length === 0) return '';
-    
-    // Get headers from first object
-    const headers = Object.keys(data[0]);
-    
-    // Create CSV content
-    let csv = headers.join(',') + '\n';
-    
-    data.forEach(row => {
-      const values = headers.map(header => {
-        const value = row[header] || '';
-        // Escape quotes and wrap in quotes if contains comma
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-          return '"' + value.replace(/"/g, '""') + '"';
-        }
-        return value;
-      });
-      csv += values.join(',') + '\n';
-    });
-    
-    return csv;
+    return recordsToCsv(data);
   }
 
   /**
@@ -618,6 +363,10 @@ class DataImportExport {
       assets: [
         { number: '101', type: 'Bus', status: 'available', location: 'Yard', capacity: '72', mileage: '45000', lastMaintenance: '2024-01-15', notes: 'Good condition' },
         { number: '102', type: 'Van', status: 'available', location: 'Yard', capacity: '15', mileage: '32000', lastMaintenance: '2024-02-01', notes: 'Recently serviced' }
+      ],
+      fieldTrips: [
+        { trip: 'Field Trip 1', destination: 'Science Center', departure: '09:00', return: '14:30', notes: 'Grade 5' },
+        { trip: 'Field Trip 2', destination: 'City Zoo', departure: '08:45', return: '13:00', notes: 'Grade 2' }
       ]
     };
     
@@ -630,7 +379,7 @@ class DataImportExport {
     // Generate CSV template
     const csv = this.generateCSV(templateData);
     const filename = `${dataType}-import-template.csv`;
-    this.downloadFile(csv, filename, 'text/csv');
+    downloadCsv(csv, filename);
     
     uiSystem.showNotification(`Template downloaded: ${filename}`, 'success');
     return true;
@@ -733,6 +482,10 @@ class DataImportExport {
         status: ['available', 'in-service', 'maintenance', 'out-of-service']
       }
     });
+
+    this.validationRules.set('fieldTrips', {
+      required: ['destination']
+    });
   }
 
   // ===== UI MODALS =====
@@ -750,22 +503,22 @@ class DataImportExport {
             <option value="staff">Staff</option>
             <option value="routes">Routes</option>
             <option value="assets">Assets</option>
-            <option value="mixed">Mixed (Auto-detect)</option>
+            <option value="fieldTrips">Field Trips</option>
           </select>
         </div>
         
         <div class="form-group">
           <label for="import-file">Select File:</label>
-          <input type="file" id="import-file" accept=".csv,.json" required>
-          <small class="form-help">Supported formats: CSV, JSON</small>
+          <input type="file" id="import-file" accept=".csv,.json,.xlsx" required>
+          <small class="form-help">Supported formats: CSV, JSON, Excel (.xlsx)</small>
         </div>
         
         <div class="form-group">
-          <label for="merge-strategy">If record exists:</label>
+          <label for="merge-strategy">Merge strategy:</label>
           <select id="merge-strategy">
-            <option value="skip">Skip (keep existing)</option>
-            <option value="update">Update (overwrite existing)</option>
-            <option value="append">Append (create duplicate)</option>
+            ${Object.entries(MERGE_STRATEGIES).map(([value, strategy]) => `
+              <option value="${value}">${strategy.label} (${strategy.description.toLowerCase()})</option>
+            `).join('')}
           </select>
         </div>
         
@@ -777,8 +530,16 @@ class DataImportExport {
                   onclick="dataImportExport.generateTemplate('routes')">Routes Template</button>
           <button type="button" class="btn btn-sm btn-secondary" 
                   onclick="dataImportExport.generateTemplate('assets')">Assets Template</button>
+          <button type="button" class="btn btn-sm btn-secondary" 
+                  onclick="dataImportExport.generateTemplate('fieldTrips')">Field Trips Template</button>
         </div>
-        
+
+        <div class="template-actions">
+          <h4>Columns don't match the template?</h4>
+          <button type="button" class="btn btn-sm btn-secondary"
+                  onclick="const type = document.getElementById('import-data-type').value; uiSystem.closeCurrentModal(); importWizard.openWizard(type)">Map Columns…</button>
+        </div>
+
         <div class="modal-actions">
           <button type="button" class="btn btn-secondary" onclick="uiSystem.closeCurrentModal()">Cancel</button>
           <button type="submit" class="btn btn-primary">Import Data</button>
@@ -968,7 +729,22 @@ class DataImportExport {
    */
   getFileType(file) {
     const extension = file.name.split('.').pop().toLowerCase();
-    return extension;
+    return extension === 'xlsx' ? 'excel' : extension;
+  }
+
+  /**
+   * Records from the workbook sheet that holds the data type, or the first sheet with data
+   */
+  async readWorkbookRecords(file, dataType) {
+    const { sheets } = await readWorkbook(file);
+    const candidates = sheets
+      .filter(sheet => !sheet.hidden)
+      .map(sheet => ({ sheet, rows: sheetToRows(sheet) }))
+      .filter(candidate => candidate.rows.length > 1);
+    const chosen = candidates.find(candidate => guessDataType(candidate.rows[0].cells, candidate.sheet.name) === dataType)
+      || candidates[0];
+    if (!chosen) throw new Error('The workbook has no sheets with data');
+    return parseCsvRecords(chosen.rows);
   }
 
   /**
@@ -6,6 +6,10 @@
 import { eventBus } from '../core/utils.js';
 import { STATE, getState, setState } from '../core/state.js';
 import { formatDate, generateId } from '../core/utils.js';
+import { parseCsvRecords, readCsvRecords, recordsToCsv, toCsv, downloadCsv } from '../core/csv.js';
+import { mapObjects } from './importMapping.js';
+import { planImport } from './importPlan.js';
+import { importReview } from '../ui/importReview.js';
 
 export class ImportExportManager {
     constructor() {
@@ -28,8 +32,7 @@ export class ImportExportManager {
     // CSV Import functionality
     async importCSV(file, type = 'routes') {
         try {
-            const text = await this.readFileAsText(file);
-            const data = this.parseCSV(text);
+            const data = await readCsvRecords(file);
             
             if (data.length === 0) {
                 throw new Error('No data found in CSV file');
@@ -47,34 +50,8 @@ export class ImportExportManager {
         }
     }
 
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
-    }
-
     parseCSV(text) {
-        const lines = text.split('\n').filter(line => line.trim());
-        if (lines.length < 2) return [];
-
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        const data = [];
-
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-            if (values.length === headers.length) {
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index];
-                });
-                data.push(row);
-            }
-        }
-
-        return data;
+        return parseCsvRecords(text);
     }
 
     validateImportData(data, type) {
@@ -160,15 +137,16 @@ export class ImportExportManager {
         };
     }
 
-    async processImportData(data, type) {
-        const stateKey = this.getStateKey(type);
-        const existing = getState(stateKey) || [];
-        
-        // Merge with existing data
-        const merged = [...existing, ...data];
-        setState(stateKey, merged);
-        
-        this.eventBus.emit(`${type}:imported`, data);
+    // Nothing is written until the dry run is reviewed and applied
+    async processImportData(data, type, mergeStrategy = 'merge-by-key') {
+        const dataType = type === 'vehicles' ? 'assets' : type;
+        const { records } = mapObjects(dataType, data);
+        const plan = planImport(dataType, records, mergeStrategy);
+
+        importReview.openReview(plan, {
+            onApplied: counts => this.eventBus.emit(`${type}:imported`, counts)
+        });
+        return plan;
     }
 
     getStateKey(type) {
@@ -210,18 +188,8 @@ export class ImportExportManager {
             throw new Error('No data to export');
         }
 
-        const headers = Object.keys(data[0]);
-        const csvContent = [
-            headers.join(','),
-            ...data.map(row => 
-                headers.map(header => {
-                    const value = row[header] || '';
-                    return `"${value.toString().replace(/"/g, '""')}"`;
-                }).join(',')
-            )
-        ].join('\n');
-
-        this.downloadFile(csvContent, `${type}-export-${formatDate(new Date())}.csv`, 'text/csv');
+        const csvContent = recordsToCsv(data);
+        downloadCsv(csvContent, `${type}-export-${formatDate(new Date())}.csv`);
         return csvContent;
     }
 
@@ -247,12 +215,9 @@ export class ImportExportManager {
             return 'Sample Value';
         });
 
-        const csvContent = [
-            headers.join(','),
-            sampleRow.join(',')
-        ].join('\n');
+        const csvContent = toCsv([headers, sampleRow]);
 
-        this.downloadFile(csvContent, `${type}-template.csv`, 'text/csv');
+        downloadCsv(csvContent, `${type}-template.csv`);
         return csvContent;
     }
 
@@ -0,0 +1,355 @@
+/* DATA - IMPORT MAPPING MODULE
+   Transportation Dispatch Dashboard
+
+   Column mapping for spreadsheets whose headers do not match the board's
+   fields, such as the weekly HR roster or the fleet list. Each column of
+   the file is mapped to a staff, route, asset or field trip field,
+   optionally through a transform ("Last, First" -> "First Last", "SE Bus"
+   -> special-education, "Bus #12" -> "12", "9:30 AM" -> "09:30").
+
+   A mapping can be saved as a profile for its source. Profiles remember
+   the file's headers, so the next file from the same source is mapped
+   automatically. Profiles are kept in STATE.data.importProfiles and are
+   shared with other workstations like the rest of the configuration.
+
+   Mapped records are not written here: data/importPlan.js compares them
+   with the board and applies the rows the dispatcher accepts.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage } from '../core/state.js';
+import { generateId } from '../core/utils.js';
+import { ROUTE_TYPES, ROUTE_TYPE_SHEET_NAMES } from '../dispatch/routeCards.js';
+import { ASSET_TYPE_SHEET_NAMES } from './routingDatabase.js';
+
+// =============================================================================
+// FIELDS
+// =============================================================================
+
+// Board fields per data type. aliases are lower-case headers that map to
+// the field without asking; transform is the default for a mapped column.
+const IMPORT_FIELDS = {
+    staff: [
+        { key: 'name', label: 'Full name', aliases: ['name', 'staff name', 'full name', 'employee name', 'employee'] },
+        { key: 'firstName', label: 'First name', aliases: ['first name', 'firstname', 'first'] },
+        { key: 'lastName', label: 'Last name', aliases: ['last name', 'lastname', 'last', 'surname'] },
+        { key: 'role', label: 'Role', aliases: ['role', 'position', 'title', 'job title', 'job'] },
+        { key: 'employeeId', label: 'Employee ID', aliases: ['employee id', 'employeeid', 'emp id', 'employee #', 'emp #', 'id'] },
+        { key: 'department', label: 'Department', aliases: ['department', 'dept'] },
+        { key: 'status', label: 'Status', aliases: ['status'] },
+        { key: 'phone', label: 'Phone', aliases: ['phone', 'telephone', 'cell', 'mobile'] },
+        { key: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address'] },
+        { key: 'notes', label: 'Notes', aliases: ['notes', 'comments'] }
+    ],
+    routes: [
+        { key: 'routeNumber', label: 'Route number', required: true, transform: 'number', aliases: ['route', 'route #', 'route number', 'route no', 'route name', 'name', 'rt', 'rte'] },
+        { key: 'type', label: 'Route type', transform: 'route-type', aliases: ['type', 'route type', 'program'] },
+        { key: 'schedule', label: 'Shift', transform: 'shift', aliases: ['shift', 'schedule', 'am/pm', 'runs'] },
+        { key: 'notes', label: 'Notes', aliases: ['notes', 'comments', 'description'] }
+    ],
+    assets: [
+        { key: 'name', label: 'Asset number', required: true, aliases: ['asset #', 'asset', 'asset number', 'number', 'bus', 'bus #', 'vehicle', 'vehicle #', 'vehicle id', 'vehicle number', 'unit', 'unit #'] },
+        { key: 'type', label: 'Asset type', transform: 'asset-type', aliases: ['type', 'asset type', 'vehicle type'] },
+        { key: 'capacity', label: 'Capacity', transform: 'number', aliases: ['capacity', 'seats', 'seating', 'passengers'] },
+        { key: 'status', label: 'Status', aliases: ['status'] },
+        { key: 'notes', label: 'Notes', aliases: ['notes', 'comments'] }
+    ],
+    fieldTrips: [
+        { key: 'name', label: 'Trip', transform: 'trip-name', aliases: ['trip', 'trip #', 'trip name', 'field trip', 'name'] },
+        { key: 'destination', label: 'Destination', required: true, aliases: ['destination', 'location', 'where', 'going to'] },
+        { key: 'departureTime', label: 'Departure time', transform: 'time', aliases: ['departure', 'departure time', 'depart', 'leave', 'time out'] },
+        { key: 'returnTime', label: 'Return time', transform: 'time', aliases: ['return', 'return time', 'back', 'time back'] },
+        { key: 'notes', label: 'Notes', aliases: ['notes', 'comments', 'group', 'school'] }
+    ]
+};
+
+const DATA_TYPE_LABELS = { staff: 'Staff', routes: 'Routes', assets: 'Assets', fieldTrips: 'Field trips' };
+
+// =============================================================================
+// TRANSFORMS
+// =============================================================================
+
+function titleCase(value) {
+    return value.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Route type id for the many ways spreadsheets spell it
+ */
+function normalizeRouteType(value) {
+    if (ROUTE_TYPE_SHEET_NAMES[value]) return ROUTE_TYPE_SHEET_NAMES[value];
+    const byId = Object.values(ROUTE_TYPES).find(type => type.id === value || type.label.toLowerCase() === value.toLowerCase());
+    if (byId) return byId.id;
+
+    const text = value.toLowerCase().replace(/\b(bus|route|run)s?\b/g, '').trim();
+    if (/^s\.?e\.?$|special|sped/.test(text)) return 'special-education';
+    if (/^g\.?e\.?$|^gen|general|regular/.test(text)) return 'general-education';
+    if (/misc/.test(text)) return 'miscellaneous';
+    if (/field/.test(text)) return 'field-trips';
+    if (/not run|inactive|^off$|^none$/.test(text)) return 'inactive';
+    return null;
+}
+
+function normalizeShift(value) {
+    const text = value.toLowerCase().replace(/[^a-z]/g, '');
+    if (text === 'am' || text === 'morning') return 'am';
+    if (text === 'pm' || text === 'afternoon') return 'pm';
+    if (['both', 'ampm', 'all', 'allday'].includes(text)) return 'both';
+    if (['none', 'off', 'notrunning'].includes(text)) return 'none';
+    return null;
+}
+
+/**
+ * "HH:MM" from "9:30 AM", "0930" or "14:05"
+ */
+function normalizeTime(value) {
+    const match = value.trim().match(/^(\d{1,2}):?(\d{2})\s*([ap])?\.?m?\.?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// apply(value) returns the field value, an object of several fields, or
+// null when the value cannot be read (reported as a problem)
+const TRANSFORMS = {
+    none: { label: 'As is', apply: value => value },
+    'last-first': {
+        label: 'Split "Last, First"',
+        apply: value => {
+            const [lastName, ...rest] = value.split(',');
+            const firstName = rest.join(',').trim();
+            if (!firstName) return { name: value };
+            return { name: `${firstName} ${lastName.trim()}`, firstName, lastName: lastName.trim() };
+        }
+    },
+    'first-last': {
+        label: 'Split "First Last"',
+        apply: value => {
+            const parts = value.split(/\s+/);
+            return { name: value, firstName: parts.slice(0, -1).join(' ') || value, lastName: parts.length > 1 ? parts[parts.length - 1] : '' };
+        }
+    },
+    'title-case': { label: 'Title Case', apply: titleCase },
+    uppercase: { label: 'UPPERCASE', apply: value => value.toUpperCase() },
+    number: { label: 'Number only ("Bus #12" → 12)', apply: value => value.match(/\d+/)?.[0] ?? null },
+    'route-type': { label: 'Route type ("SE Bus" → special-education)', apply: normalizeRouteType },
+    'asset-type': { label: 'Asset type ("SUV" → Suburban)', apply: value => ASSET_TYPE_SHEET_NAMES[value] || value },
+    shift: { label: 'Shift (AM, PM, Both)', apply: normalizeShift },
+    time: { label: 'Time ("9:30 AM" → 09:30)', apply: normalizeTime },
+    'trip-name': { label: 'Trip name ("3" → Field Trip 3)', apply: value => value.replace(/^(ft\s*)?(\d+)$/i, 'Field Trip $2') }
+};
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+function headerKey(header) {
+    return String(header || '').trim().toLowerCase();
+}
+
+/**
+ * Best-guess mapping for a file's headers
+ * @param {string} dataType - staff, routes or assets
+ * @param {string[]} headers
+ * @param {string[][]} [sampleRows] - data rows used to spot "Last, First" names
+ * @returns {Object<string, {field: string, transform: string}>} by header; unmapped headers have field ''
+ */
+function guessMapping(dataType, headers, sampleRows = []) {
+    const fields = IMPORT_FIELDS[dataType] || [];
+    const used = new Set();
+    const mapping = {};
+
+    headers.forEach((header, index) => {
+        const field = fields.find(candidate => !used.has(candidate.key) && candidate.aliases.includes(headerKey(header)));
+        if (!field) {
+            mapping[header] = { field: '', transform: 'none' };
+            return;
+        }
+        used.add(field.key);
+
+        let transform = field.transform || 'none';
+        const samples = sampleRows.map(row => row[index]).filter(Boolean);
+        if (dataType === 'staff' && field.key === 'name' && samples.length > 0 &&
+            samples.filter(value => value.includes(',')).length >= samples.length / 2) {
+            transform = 'last-first';
+        }
+        mapping[header] = { field: field.key, transform };
+    });
+
+    return mapping;
+}
+
+// Sheet names that say what a workbook sheet holds
+const SHEET_NAME_TYPES = [
+    [/report|summary|log\b/i, null],
+    [/staff|roster|employee|driver|personnel/i, 'staff'],
+    [/field\s*trip|trips/i, 'fieldTrips'],
+    [/route/i, 'routes'],
+    [/asset|fleet|vehicle|bus/i, 'assets']
+];
+
+/**
+ * Which data type a sheet most likely holds, from its name or else its headers
+ * @returns {string|null} null when nothing fits or the sheet is a report
+ */
+function guessDataType(headers, sheetName = '') {
+    const named = SHEET_NAME_TYPES.find(([pattern]) => pattern.test(sheetName));
+    if (named) return named[1];
+
+    const keys = headers.map(headerKey);
+    const scores = Object.entries(IMPORT_FIELDS).map(([dataType, fields]) => [
+        dataType,
+        fields.filter(field => field.aliases.some(alias => keys.includes(alias))).length
+    ]);
+    const [best, score] = scores.sort((a, b) => b[1] - a[1])[0];
+    return score >= 2 ? best : null;
+}
+
+/**
+ * Turn parsed rows into board records with a mapping
+ * @param {string} dataType
+ * @param {Array<{cells: string[], line: number}>} rows - the header row first, as from readCsvRows()
+ * @param {Object} mapping - from guessMapping() or a profile
+ * @returns {{records: Object[], problems: Array<{line: number, message: string}>}}
+ */
+function mapRecords(dataType, rows, mapping) {
+    const fields = IMPORT_FIELDS[dataType] || [];
+    const headers = rows[0]?.cells || [];
+    const records = [];
+    const problems = [];
+
+    fields.filter(field => field.required && !Object.values(mapping).some(entry => entry.field === field.key))
+        .forEach(field => problems.push({ line: rows[0]?.line || 1, message: `No column is mapped to ${field.label}` }));
+    if (problems.length > 0) return { records, problems };
+
+    rows.slice(1).forEach(({ cells, line }) => {
+        const record = { _line: line };
+
+        headers.forEach((header, index) => {
+            const entry = mapping[header];
+            const raw = (cells[index] || '').trim();
+            if (!entry?.field || raw === '') return;
+
+            const result = (TRANSFORMS[entry.transform] || TRANSFORMS.none).apply(raw);
+            if (result === null) {
+                problems.push({ line, message: `"${raw}" in ${header} could not be read as ${TRANSFORMS[entry.transform].label}` });
+            } else if (typeof result === 'object') {
+                Object.assign(record, result);
+            } else {
+                record[entry.field] = result;
+            }
+        });
+
+        if (dataType === 'staff' && !record.name && (record.firstName || record.lastName)) {
+            record.name = [record.firstName, record.lastName].filter(Boolean).join(' ');
+        }
+
+        const missing = dataType === 'staff'
+            ? (record.name ? null : 'name')
+            : fields.filter(field => field.required && !record[field.key]).map(field => field.label)[0];
+        if (missing) {
+            problems.push({ line, message: `Skipped: no ${missing}` });
+            return;
+        }
+        records.push(record);
+    });
+
+    return { records, problems };
+}
+
+/**
+ * Map already-parsed objects (JSON, or CSV read with readCsvRecords) by
+ * guessing the mapping from their keys
+ * @param {string} dataType
+ * @param {Object[]} objects
+ * @returns {{records: Object[], problems: Array<{line: number, message: string}>}}
+ */
+function mapObjects(dataType, objects) {
+    const headers = [...new Set(objects.flatMap(object => Object.keys(object)))];
+    const rows = [
+        { cells: headers, line: 1 },
+        ...objects.map((object, index) => ({ cells: headers.map(header => String(object[header] ?? '')), line: index + 2 }))
+    ];
+    return mapRecords(dataType, rows, guessMapping(dataType, headers, rows.slice(1).map(row => row.cells)));
+}
+
+// =============================================================================
+// PROFILES
+// =============================================================================
+
+function getImportProfiles() {
+    return STATE.data?.importProfiles || [];
+}
+
+/**
+ * Saved profile whose headers match a file's headers, if any
+ */
+function findProfileForHeaders(headers) {
+    const signature = headers.map(headerKey).filter(Boolean).sort().join('|');
+    return getImportProfiles().find(profile =>
+        profile.headers.map(headerKey).filter(Boolean).sort().join('|') === signature) || null;
+}
+
+/**
+ * Save a mapping for a source. A profile with the same name is replaced.
+ * Profiles are configuration, so saving one is not an undoable board action.
+ */
+function saveImportProfile({ name, dataType, headers, mapping, mergeStrategy = 'merge-by-key' }) {
+    if (!name || !name.trim()) throw new Error('A profile needs a name');
+    if (!STATE.data.importProfiles) STATE.data.importProfiles = [];
+
+    const profiles = STATE.data.importProfiles;
+    const existing = profiles.find(profile => profile.name.toLowerCase() === name.trim().toLowerCase());
+    const profile = {
+        id: existing?.id || generateId(),
+        name: name.trim(),
+        dataType,
+        headers: [...headers],
+        mapping: JSON.parse(JSON.stringify(mapping)),
+        mergeStrategy,
+        updatedAt: new Date().toISOString()
+    };
+
+    if (existing) profiles[profiles.indexOf(existing)] = profile;
+    else profiles.push(profile);
+
+    STATE.isDirty = true;
+    saveToLocalStorage();
+    return profile;
+}
+
+function deleteImportProfile(id) {
+    if (!STATE.data?.importProfiles) return false;
+    const before = STATE.data.importProfiles.length;
+    STATE.data.importProfiles = STATE.data.importProfiles.filter(profile => profile.id !== id);
+    if (STATE.data.importProfiles.length === before) return false;
+
+    STATE.isDirty = true;
+    saveToLocalStorage();
+    return true;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    IMPORT_FIELDS,
+    DATA_TYPE_LABELS,
+    TRANSFORMS,
+    normalizeRouteType,
+    guessMapping,
+    guessDataType,
+    mapRecords,
+    mapObjects,
+    getImportProfiles,
+    findProfileForHeaders,
+    saveImportProfile,
+    deleteImportProfile
+};
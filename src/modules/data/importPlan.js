@@ -0,0 +1,392 @@
+/* DATA - IMPORT PLAN MODULE
+   Transportation Dispatch Dashboard
+
+   Dry run for imports. planImport() compares imported records with the
+   board and lists what would happen to each one: added, updated (with the
+   fields that change), deleted or skipped. Nothing is written until
+   applyImportPlan() is called with the rows the dispatcher accepted.
+
+   Merge strategies work the same way for staff, routes, assets and field
+   trips:
+   - merge-by-key: update records that match, add the rest
+   - append-only: add records that are not on the board, leave matches alone
+   - replace: as merge-by-key, and delete board records missing from the file
+
+   Records match by key: staff by employee ID, then name; routes by route
+   number; assets by asset number; field trips by trip name, then
+   destination. Rows that need a second look are marked as conflicts and
+   start out rejected: a key repeated in the file, a staff member whose
+   employee ID differs from the board's, and deleting anything that is
+   assigned on the board.
+
+   Applying emits data:before-import first, so Settings can take a backup
+   when "Backup before import" is on, and then runs as one undoable action.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { debounceRender } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { createRoute, createRouteTemplate } from '../dispatch/routeCards.js';
+import { clearStaffAssignments, isStaffAssigned, getStaffAssignmentInfo } from '../dispatch/staff.js';
+import { clearAssetAssignments, isAssetAssigned, getAssetAssignmentInfo } from '../dispatch/assets.js';
+import { DATA_TYPE_LABELS } from './importMapping.js';
+
+// =============================================================================
+// MERGE STRATEGIES
+// =============================================================================
+
+const MERGE_STRATEGIES = {
+    'merge-by-key': { label: 'Merge by key', description: 'Update records that match, add new ones' },
+    'append-only': { label: 'Append only', description: 'Add new records, leave records on the board untouched' },
+    replace: { label: 'Replace', description: 'Make the board match the file: update, add, and delete records not in the file' }
+};
+
+// Strategies saved before the three above existed
+const LEGACY_STRATEGIES = { update: 'merge-by-key', skip: 'append-only', append: 'append-only' };
+
+function normalizeMergeStrategy(strategy) {
+    if (MERGE_STRATEGIES[strategy]) return strategy;
+    return LEGACY_STRATEGIES[strategy] || 'merge-by-key';
+}
+
+// =============================================================================
+// DATA SETS
+// =============================================================================
+
+function sameText(a, b) {
+    return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+function withoutLine(record) {
+    const fields = { ...record };
+    delete fields._line;
+    return fields;
+}
+
+function routeAssignments(route) {
+    const uses = [];
+    if (route.driver?.name) uses.push(`driver ${route.driver.name}`);
+    if (route.asset?.name) uses.push(`asset ${route.asset.name}`);
+    if (route.trailer?.name) uses.push(`trailer ${route.trailer.name}`);
+    (route.safetyEscorts || []).forEach(escort => uses.push(`escort ${escort.name}`));
+    Object.entries(STATE.assignments || {}).forEach(([runKey, assignment]) => {
+        if (runKey.startsWith(`${route.name}_`) && assignment?.driver) uses.push(`driver ${assignment.driver}`);
+        if (runKey.startsWith(`${route.name}_`) && assignment?.asset) uses.push(`asset ${assignment.asset}`);
+    });
+    return [...new Set(uses)].join(', ');
+}
+
+function removeRoute(route) {
+    STATE.data.routes = STATE.data.routes.filter(candidate => candidate !== route);
+    Object.keys(STATE.assignments || {}).forEach(runKey => {
+        if (runKey.startsWith(`${route.name}_`)) delete STATE.assignments[runKey];
+    });
+}
+
+function nextFieldTripNumber() {
+    const used = (STATE.data.routes || [])
+        .filter(route => route.type === 'field-trips')
+        .map(route => parseInt(route.name?.match(/Field Trip (\d+)/)?.[1]))
+        .filter(Number.isFinite);
+    let number = 1;
+    while (used.includes(number)) number++;
+    return number;
+}
+
+// list: board records; match: board records for an imported record;
+// fields: compared for the diff; inUse: the assignments a delete would clear, or ''
+const DATA_SETS = {
+    staff: {
+        keyOf: record => record.employeeId ? `id:${record.employeeId}` : `name:${String(record.name).toLowerCase()}`,
+        list: () => STATE.data.staff || [],
+        match: record => {
+            const staff = STATE.data.staff || [];
+            const member = (record.employeeId && staff.find(candidate => candidate.employeeId && candidate.employeeId === record.employeeId))
+                || staff.find(candidate => sameText(candidate.name, record.name));
+            return member ? [member] : [];
+        },
+        conflict: (record, [member]) => record.employeeId && member.employeeId && member.employeeId !== record.employeeId
+            ? `Employee ID ${member.employeeId} on the board, ${record.employeeId} in the file`
+            : null,
+        fields: ['name', 'firstName', 'lastName', 'role', 'employeeId', 'department', 'status', 'phone', 'email', 'notes'],
+        inUse: member => isStaffAssigned(member.name) ? getStaffAssignmentInfo(member.name) : '',
+        add: (record, now) => {
+            const fields = withoutLine(record);
+            if (!Array.isArray(STATE.data.staff)) STATE.data.staff = [];
+            STATE.data.staff.push({
+                id: `staff_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                role: 'Driver',
+                position: fields.role || 'Driver',
+                department: 'Transportation',
+                status: 'Active',
+                ...fields,
+                dateAdded: now
+            });
+        },
+        update: (member, record) => {
+            const fields = withoutLine(record);
+            if (fields.role) fields.position = fields.role;
+            Object.assign(member, fields);
+        },
+        remove: member => {
+            clearStaffAssignments(member.name);
+            STATE.data.staff = STATE.data.staff.filter(candidate => candidate !== member);
+            STATE.staffOut = (STATE.staffOut || []).filter(out => out.name !== member.name);
+        }
+    },
+
+    routes: {
+        keyOf: record => String(record.routeNumber),
+        list: () => (STATE.data.routes || []).filter(route => route.type !== 'field-trips'),
+        // The same route number can be on the board once per shift
+        match: record => (STATE.data.routes || []).filter(route =>
+            route.type !== 'field-trips' && String(route.routeNumber) === String(record.routeNumber)),
+        conflict: () => null,
+        fields: ['type', 'schedule', 'notes'],
+        inUse: routeAssignments,
+        add: record => {
+            const type = record.type || 'general-education';
+            const schedule = record.schedule || (type === 'inactive' ? 'none' : 'both');
+            const route = createRoute(Number(record.routeNumber), type, schedule);
+            if (route && record.notes) route.notes = record.notes;
+        },
+        update: (route, record, now) => {
+            if (record.type) route.type = record.type;
+            if (record.schedule) route.schedule = record.schedule;
+            else if (record.type === 'inactive') route.schedule = 'none';
+            else if (record.type && route.schedule === 'none') route.schedule = 'both';
+            if (record.notes !== undefined) route.notes = record.notes;
+            route.updatedAt = now;
+        },
+        remove: removeRoute
+    },
+
+    assets: {
+        keyOf: record => String(record.name).toLowerCase(),
+        list: () => STATE.data.assets || [],
+        match: record => (STATE.data.assets || []).filter(asset => sameText(asset.name, record.name)).slice(0, 1),
+        conflict: () => null,
+        fields: ['type', 'capacity', 'status', 'notes'],
+        inUse: asset => isAssetAssigned(asset.name) ? getAssetAssignmentInfo(asset.name) : '',
+        add: record => {
+            const fields = withoutLine(record);
+            if (fields.capacity !== undefined) fields.capacity = parseInt(fields.capacity) || 0;
+            if (!Array.isArray(STATE.data.assets)) STATE.data.assets = [];
+            STATE.data.assets.push({ type: 'Other', ...fields });
+        },
+        update: (asset, record) => {
+            const fields = withoutLine(record);
+            if (fields.capacity !== undefined) fields.capacity = parseInt(fields.capacity) || 0;
+            Object.assign(asset, fields);
+        },
+        remove: asset => {
+            clearAssetAssignments(asset.name);
+            STATE.data.assets = STATE.data.assets.filter(candidate => candidate !== asset);
+        }
+    },
+
+    fieldTrips: {
+        keyOf: record => record.name ? `name:${record.name.toLowerCase()}` : `to:${String(record.destination).toLowerCase()}@${record.departureTime || ''}`,
+        list: () => (STATE.data.routes || []).filter(route => route.type === 'field-trips'),
+        match: record => {
+            const trips = (STATE.data.routes || []).filter(route => route.type === 'field-trips');
+            const trip = record.name
+                ? trips.find(candidate => sameText(candidate.name, record.name))
+                : trips.find(candidate => sameText(candidate.destination, record.destination) &&
+                    (!record.departureTime || candidate.departureTime === record.departureTime));
+            return trip ? [trip] : [];
+        },
+        conflict: () => null,
+        fields: ['destination', 'departureTime', 'returnTime', 'notes'],
+        inUse: routeAssignments,
+        add: record => {
+            const requested = parseInt(record.name?.match(/Field Trip (\d+)/i)?.[1]);
+            const taken = (STATE.data.routes || []).some(route => route.type === 'field-trips' && sameText(route.name, `Field Trip ${requested}`));
+            const number = Number.isFinite(requested) && !taken ? requested : nextFieldTripNumber();
+
+            const id = `fieldtrip-${Date.now()}-${number}`;
+            const trip = createRouteTemplate(id, 'field-trips', 'both');
+            Object.assign(trip, {
+                id,
+                name: `Field Trip ${number}`,
+                routeNumber: `FT${number}`,
+                destination: record.destination || '',
+                departureTime: record.departureTime || '',
+                returnTime: record.returnTime || '',
+                notes: record.notes || ''
+            });
+            if (!Array.isArray(STATE.data.routes)) STATE.data.routes = [];
+            STATE.data.routes.push(trip);
+        },
+        update: (trip, record, now) => {
+            DATA_SETS.fieldTrips.fields.forEach(field => {
+                if (record[field] !== undefined) trip[field] = record[field];
+            });
+            trip.updatedAt = now;
+        },
+        remove: removeRoute
+    }
+};
+
+function describe(dataType, item) {
+    if (dataType === 'routes') return `Route ${item.routeNumber}`;
+    if (dataType === 'fieldTrips') return item.name || item.destination || 'Field trip';
+    return item.name || '';
+}
+
+function diffFields(dataSet, existing, record) {
+    return dataSet.fields
+        .filter(field => record[field] !== undefined && String(existing[field] ?? '') !== String(record[field]))
+        .map(field => ({ field, before: existing[field] ?? '', after: record[field] }));
+}
+
+// =============================================================================
+// PLAN
+// =============================================================================
+
+/**
+ * Dry run: what importing the records would do to the board
+ * @param {string} dataType - staff, routes, assets or fieldTrips
+ * @param {Object[]} records - from mapRecords(); _line is the file line
+ * @param {string} mergeStrategy - a MERGE_STRATEGIES key
+ * @returns {{dataType: string, mergeStrategy: string, records: Object[], rows: Array<{
+ *   id: number, action: 'add'|'update'|'delete'|'skip', name: string, line: number|null,
+ *   record: Object, changes: Array<{field, before, after}>, reason: string, conflict: string|null,
+ *   accepted: boolean}>}}
+ */
+function planImport(dataType, records, mergeStrategy = 'merge-by-key') {
+    const dataSet = DATA_SETS[dataType];
+    if (!dataSet) throw new Error(`Unknown data type: ${dataType}`);
+
+    const strategy = normalizeMergeStrategy(mergeStrategy);
+    const rows = [];
+    const matched = new Set();
+    const seenKeys = new Map();
+
+    records.forEach(record => {
+        const existing = dataSet.match(record);
+        existing.forEach(item => matched.add(item));
+
+        const key = dataSet.keyOf(record);
+        const firstLine = seenKeys.get(key);
+        if (firstLine === undefined) seenKeys.set(key, record._line ?? null);
+
+        const row = {
+            id: rows.length,
+            name: describe(dataType, existing[0] || record),
+            line: record._line ?? null,
+            record,
+            changes: [],
+            reason: '',
+            conflict: firstLine !== undefined ? `Also on line ${firstLine} of the file` : null
+        };
+
+        if (existing.length === 0) {
+            row.action = 'add';
+        } else if (strategy === 'append-only') {
+            row.action = 'skip';
+            row.reason = 'Already on the board';
+        } else {
+            row.changes = diffFields(dataSet, existing[0], record);
+            row.action = row.changes.length > 0 ? 'update' : 'skip';
+            row.reason = row.changes.length > 0 ? '' : 'No changes';
+            row.conflict = row.conflict || dataSet.conflict(record, existing);
+        }
+
+        row.accepted = row.action !== 'skip' && !row.conflict;
+        rows.push(row);
+    });
+
+    if (strategy === 'replace') {
+        const missing = new Set();
+        dataSet.list().filter(item => !matched.has(item)).forEach(item => {
+            // One row per key: a route on the board once per shift is deleted once
+            const key = dataSet.keyOf(item);
+            if (missing.has(key)) return;
+            missing.add(key);
+
+            const uses = dataSet.inUse(item);
+            rows.push({
+                id: rows.length,
+                action: 'delete',
+                name: describe(dataType, item),
+                line: null,
+                record: { ...item },
+                changes: [],
+                reason: 'Not in the file',
+                conflict: uses ? `Assigned: ${uses}` : null,
+                accepted: !uses
+            });
+        });
+    }
+
+    return { dataType, mergeStrategy: strategy, records, rows };
+}
+
+/**
+ * Counts of each action in a plan, and how many rows are accepted
+ */
+function summarizePlan(plan) {
+    const summary = { add: 0, update: 0, delete: 0, skip: 0, conflicts: 0, accepted: 0 };
+    plan.rows.forEach(row => {
+        summary[row.action]++;
+        if (row.conflict) summary.conflicts++;
+        if (row.accepted && row.action !== 'skip') summary.accepted++;
+    });
+    return summary;
+}
+
+/**
+ * Write the accepted rows of a plan to the board as one undoable action
+ * @returns {{added: number, updated: number, deleted: number, skipped: number}}
+ */
+function applyImportPlan(plan) {
+    const dataSet = DATA_SETS[plan.dataType];
+    const accepted = plan.rows.filter(row => row.accepted && row.action !== 'skip');
+    const counts = { added: 0, updated: 0, deleted: 0, skipped: plan.rows.length - accepted.length };
+    if (accepted.length === 0) return counts;
+
+    const label = `imported ${DATA_TYPE_LABELS[plan.dataType].toLowerCase()} (${MERGE_STRATEGIES[plan.mergeStrategy].label.toLowerCase()})`;
+    eventBus.emit('data:before-import', { dataType: plan.dataType, source: `${DATA_TYPE_LABELS[plan.dataType]} import` });
+
+    recordAction(label, () => {
+        const now = new Date().toISOString();
+        accepted.forEach(row => {
+            // Match again: the board may have changed since the plan was made
+            const existing = dataSet.match(row.record);
+            if (row.action === 'add') {
+                dataSet.add(row.record, now);
+                counts.added++;
+            } else if (existing.length === 0) {
+                counts.skipped++;
+            } else if (row.action === 'update') {
+                existing.forEach(item => dataSet.update(item, row.record, now));
+                counts.updated++;
+            } else {
+                existing.forEach(item => dataSet.remove(item));
+                counts.deleted++;
+            }
+        });
+        STATE.isDirty = true;
+        saveToLocalStorage();
+    });
+
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    debounceRender('renderAssetPanel');
+    return counts;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    MERGE_STRATEGIES,
+    normalizeMergeStrategy,
+    planImport,
+    summarizePlan,
+    applyImportPlan
+};
@@ -0,0 +1,397 @@
+/* DATA - PDF WRITER MODULE
+   Transportation Dispatch Dashboard
+
+   Minimal client-side PDF writer for reports, so they can be downloaded,
+   emailed and archived without a print dialog or an outside service.
+
+   Documents use the standard Helvetica and Helvetica-Bold fonts every PDF
+   reader ships with, so nothing is embedded. Text is written in WinAnsi
+   encoding: Latin-1 and typographic punctuation survive, anything else
+   (emoji, symbols) is dropped. Every page gets a running header with the
+   district name and report title and a "Page X of Y" footer.
+
+   Layout is a simple top-to-bottom flow: headings, wrapped text, label/value
+   pairs and tables whose rows wrap and repeat the header row on each page.
+*/
+
+// =============================================================================
+// PAGE AND FONT METRICS
+// =============================================================================
+
+const PAGE_SIZES = {
+    portrait: [612, 792], // US Letter, in points
+    landscape: [792, 612]
+};
+
+const MARGIN = 40;
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 30;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Advance widths (1/1000 em) of WinAnsi characters 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Unicode punctuation that WinAnsi has a slot for, with regular/bold widths
+const WIN_ANSI_EXTRAS = {
+    '…': [0x85, 1000, 1000], // ellipsis
+    '‘': [0x91, 222, 278],
+    '’': [0x92, 222, 278],
+    '“': [0x93, 333, 500],
+    '”': [0x94, 333, 500],
+    '•': [0x95, 350, 350], // bullet
+    '–': [0x96, 556, 556], // en dash
+    '—': [0x97, 1000, 1000] // em dash
+};
+
+/**
+ * Reduce text to characters the standard fonts can show
+ */
+function toWinAnsi(text) {
+    let result = '';
+    let dropped = false;
+    for (const char of String(text ?? '').replace(/\t/g, ' ')) {
+        const code = char.charCodeAt(0);
+        if (WIN_ANSI_EXTRAS[char]) result += String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+        // 128-159 are already WinAnsi, so converted text passes through unchanged
+        else if ((code >= 32 && code <= 126) || (code >= 128 && code <= 255) || code === 10) result += char;
+        else dropped = true;
+    }
+    // "🚌 Field Trips" should not keep the space left behind by the icon
+    return dropped ? result.replace(/^ +/, '').replace(/ {2,}/g, ' ') : result;
+}
+
+function charWidth(char, bold) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+    const extra = Object.values(WIN_ANSI_EXTRAS).find(([slot]) => slot === code);
+    if (extra) return bold ? extra[2] : extra[1];
+    return 556;
+}
+
+/**
+ * Width of text in points
+ * @param {string} text - already WinAnsi, see toWinAnsi
+ */
+function measureText(text, size, bold = false) {
+    let width = 0;
+    for (const char of text) width += charWidth(char, bold);
+    return (width * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth; long words are split
+ */
+function wrapText(text, size, bold, maxWidth) {
+    const lines = [];
+    toWinAnsi(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measureText(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            for (const char of word) {
+                if (line && measureText(line + char, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+function escapePdfString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    if (Number.isNaN(value)) return [0, 0, 0];
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => (channel / 255).toFixed(3));
+}
+
+// Spelled out rather than toLocaleString(), whose narrow no-break space before
+// AM/PM has no WinAnsi slot and would be dropped ("3:45PM")
+function formatGeneratedAt(date) {
+    const hours = date.getHours();
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()} ${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function formatPdfDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// =============================================================================
+// DOCUMENT
+// =============================================================================
+
+class PdfDocument {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - report title, repeated on every page
+     * @param {string} [options.subtitle] - second header line, e.g. the service date
+     * @param {string} [options.district] - district name shown above the title
+     * @param {'portrait'|'landscape'} [options.orientation]
+     */
+    constructor({ title, subtitle = '', district = '', orientation = 'portrait' }) {
+        this.title = title;
+        this.subtitle = subtitle;
+        this.district = district;
+        [this.width, this.height] = PAGE_SIZES[orientation] || PAGE_SIZES.portrait;
+        this.createdAt = new Date();
+        this.pages = [];
+        this.addPage();
+    }
+
+    get contentWidth() {
+        return this.width - MARGIN * 2;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.y = MARGIN + HEADER_HEIGHT;
+    }
+
+    pageBreak() {
+        if (this.y > MARGIN + HEADER_HEIGHT) this.addPage();
+        return this;
+    }
+
+    // Start a new page when the next block would run into the footer
+    ensureSpace(height) {
+        if (this.y + height > this.height - MARGIN - FOOTER_HEIGHT) this.addPage();
+    }
+
+    // ===== DRAWING PRIMITIVES (top-left origin) =====
+
+    drawText(text, x, y, { size = 10, bold = false, color = '#111111', page = this.pages[this.pages.length - 1] } = {}) {
+        const [r, g, b] = hexToRgb(color);
+        page.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${r} ${g} ${b} rg ${x.toFixed(2)} ${(this.height - y - size).toFixed(2)} Td (${escapePdfString(toWinAnsi(text))}) Tj ET`);
+    }
+
+    drawRect(x, y, width, height, { fill = null, stroke = null, page = this.pages[this.pages.length - 1] } = {}) {
+        const bottom = this.height - y - height;
+        const ops = [`${x.toFixed(2)} ${bottom.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re`];
+        if (fill) ops.unshift(`${hexToRgb(fill).join(' ')} rg`);
+        if (stroke) ops.unshift(`0.5 w ${hexToRgb(stroke).join(' ')} RG`);
+        ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        page.push(ops.join(' '));
+    }
+
+    // ===== FLOW CONTENT =====
+
+    /**
+     * Section heading; with a color it is drawn as a filled band
+     */
+    heading(text, { color = null, size = 13 } = {}) {
+        const height = size + 10;
+        this.ensureSpace(height + 30);
+        this.y += 6;
+        if (color) {
+            this.drawRect(MARGIN, this.y, this.contentWidth, height, { fill: color });
+            this.drawText(text, MARGIN + 6, this.y + 5, { size, bold: true, color: '#ffffff' });
+        } else {
+            this.drawText(text, MARGIN, this.y + 5, { size, bold: true });
+        }
+        this.y += height + 4;
+        return this;
+    }
+
+    /**
+     * Wrapped paragraph
+     */
+    text(text, { size = 10, bold = false, color = '#111111', indent = 0 } = {}) {
+        const lineHeight = size * 1.3;
+        wrapText(text, size, bold, this.contentWidth - indent).forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.drawText(line, MARGIN + indent, this.y, { size, bold, color });
+            this.y += lineHeight;
+        });
+        return this;
+    }
+
+    /**
+     * Label/value pairs in two columns; empty values are skipped
+     * @param {Array<[string, *]>} pairs
+     */
+    keyValues(pairs, { size = 10, labelWidth = 130 } = {}) {
+        const lineHeight = size * 1.3;
+        pairs.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+            const lines = wrapText(String(value), size, false, this.contentWidth - labelWidth);
+            this.ensureSpace(lineHeight * lines.length);
+            this.drawText(label, MARGIN, this.y, { size, bold: true, color: '#374151' });
+            lines.forEach((line, index) => {
+                this.drawText(line, MARGIN + labelWidth, this.y + index * lineHeight, { size });
+            });
+            this.y += lineHeight * lines.length + 2;
+        });
+        return this;
+    }
+
+    /**
+     * Table with wrapping cells; the header row repeats on every page
+     * @param {Array<{label: string, width?: number, bold?: boolean}>} columns - widths are relative
+     * @param {Array<Array<*>|{cells: Array<*>, fill?: string}>} rows
+     */
+    table(columns, rows, { size = 8.5, headerFill = '#e5e7eb' } = {}) {
+        const padding = 3;
+        const lineHeight = size * 1.25;
+        const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+        const widths = columns.map(column => ((column.width || 1) / totalWeight) * this.contentWidth);
+
+        const layoutRow = (cells, bold) => {
+            const lines = cells.map((cell, index) =>
+                wrapText(cell === null || cell === undefined ? '' : String(cell), size, bold || columns[index].bold, widths[index] - padding * 2));
+            return { lines, height: Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight + padding * 2 };
+        };
+
+        const drawRow = ({ lines, height }, { bold = false, fill = null } = {}) => {
+            let x = MARGIN;
+            lines.forEach((cellLines, index) => {
+                this.drawRect(x, this.y, widths[index], height, { fill, stroke: '#9ca3af' });
+                cellLines.forEach((line, lineIndex) => {
+                    this.drawText(line, x + padding, this.y + padding + lineIndex * lineHeight, { size, bold: bold || columns[index].bold });
+                });
+                x += widths[index];
+            });
+            this.y += height;
+        };
+
+        const header = layoutRow(columns.map(column => column.label), true);
+        const drawHeader = () => drawRow(header, { bold: true, fill: headerFill });
+
+        this.ensureSpace(header.height * 2);
+        drawHeader();
+        rows.forEach(row => {
+            const cells = Array.isArray(row) ? row : row.cells;
+            const layout = layoutRow(cells, false);
+            if (this.y + layout.height > this.height - MARGIN - FOOTER_HEIGHT) {
+                this.addPage();
+                drawHeader();
+            }
+            drawRow(layout, { fill: Array.isArray(row) ? null : row.fill });
+        });
+        this.y += 8;
+        return this;
+    }
+
+    space(points = 10) {
+        this.y += points;
+        return this;
+    }
+
+    // ===== OUTPUT =====
+
+    drawPageFrame(page, number) {
+        const generated = `Generated ${formatGeneratedAt(this.createdAt)}`;
+        const top = MARGIN;
+        if (this.district) this.drawText(this.district, MARGIN, top, { size: 9, bold: true, color: '#4b5563', page });
+        this.drawText(generated, this.width - MARGIN - measureText(toWinAnsi(generated), 8), top, { size: 8, color: '#6b7280', page });
+        this.drawText(this.title, MARGIN, top + 13, { size: 15, bold: true, page });
+        if (this.subtitle) this.drawText(this.subtitle, MARGIN, top + 33, { size: 9, color: '#374151', page });
+        this.drawRect(MARGIN, top + HEADER_HEIGHT - 12, this.contentWidth, 0.75, { fill: '#111111', page });
+
+        const footerY = this.height - MARGIN + 8;
+        const pageLabel = `Page ${number} of ${this.pages.length}`;
+        const footerLeft = [this.district, this.title].filter(Boolean).join(' • ');
+        this.drawText(footerLeft, MARGIN, footerY, { size: 8, color: '#6b7280', page });
+        this.drawText(pageLabel, this.width - MARGIN - measureText(pageLabel, 8), footerY, { size: 8, color: '#6b7280', page });
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Uint8Array}
+     */
+    output() {
+        const objects = [];
+        const pageIds = this.pages.map((_, index) => 6 + index * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        objects[5] = `<< /Title (${escapePdfString(toWinAnsi(this.title))}) /Author (${escapePdfString(toWinAnsi(this.district))}) `
+            + `/Producer (Transportation Dispatch Dashboard) /CreationDate (${formatPdfDate(this.createdAt)}) >>`;
+
+        this.pages.forEach((ops, index) => {
+            const page = [...ops];
+            this.drawPageFrame(page, index + 1);
+            const stream = page.join('\n');
+            objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] `
+                + `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+            objects[pageIds[index] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+
+        // Every character is a single byte, so string offsets are byte offsets
+        let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+        return bytes;
+    }
+}
+
+/**
+ * Save a document as a file download
+ */
+function downloadPdf(doc, filename) {
+    const blob = new Blob([doc.output()], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    PAGE_SIZES,
+    PdfDocument,
+    measureText,
+    wrapText,
+    toWinAnsi,
+    downloadPdf
+};
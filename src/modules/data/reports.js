@@ -0,0 +1,300 @@
+/* DATA - REPORTS MODULE
+   Transportation Dispatch Dashboard
+
+   Run-time analytics over the saved status history of every service day.
+
+   A run is one trip out and back on a shift: it starts at the route's
+   10-8 and ends at the next 10-7. A 10-8 that never reached 10-7 is kept
+   as an incomplete run so it still shows up in the counts. Status entries
+   whose code opens an incident (10-11 and 10-33 by default) are counted as
+   incident events. Runs are credited to the driver recorded with the 10-8,
+   or for older history to the driver on the route's card for that service
+   day.
+
+   Aggregates are built per service day and shift, per route and per driver:
+   run counts, average, median (p50) and p90 run time, first out and last in.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, readRecords, getTodayServiceDate, addDaysToServiceDate } from '../core/state.js';
+import { IN_SERVICE_STATUS, OUT_OF_SERVICE_STATUS, getStatusCodes } from '../core/statusCodes.js';
+
+// =============================================================================
+// SOURCE DATA
+// =============================================================================
+
+const DEFAULT_REPORT_DAYS = 30;
+const SHIFTS = ['AM', 'PM'];
+
+function getDefaultReportRange() {
+    const to = getTodayServiceDate();
+    return { from: addDaysToServiceDate(to, -(DEFAULT_REPORT_DAYS - 1)), to };
+}
+
+/**
+ * The open day's board and status history, straight from STATE
+ * @returns {{date: string, day: Object, timestamps: Object}}
+ */
+function getOpenServiceDay() {
+    const routeBoard = {};
+    (STATE.data?.routes || []).forEach(route => {
+        routeBoard[route.id] = { driver: route.driver, asset: route.asset, deviations: route.deviations };
+    });
+    return {
+        date: STATE.serviceDate,
+        day: { assignments: STATE.assignments, staffOut: STATE.staffOut, routeBoard },
+        timestamps: STATE.statusTimestamps || {}
+    };
+}
+
+/**
+ * Read the stored board and status history of every day in the range.
+ * The open day is taken from STATE so unsaved changes are included.
+ * @returns {Promise<Array<{date: string, day: Object, timestamps: Object}>>} oldest first
+ */
+async function loadServiceDays(from, to) {
+    const [dayRecords, timestampRecords] = await Promise.all([readRecords('days'), readRecords('timestamps')]);
+    const days = new Map(dayRecords.map(record => [record.key, record.value || {}]));
+    const timestamps = new Map(timestampRecords.map(record => [record.key, record.value || {}]));
+
+    if (STATE.serviceDate) {
+        const openDay = getOpenServiceDay();
+        days.set(openDay.date, openDay.day);
+        timestamps.set(openDay.date, openDay.timestamps);
+    }
+
+    return [...new Set([...days.keys(), ...timestamps.keys()])]
+        .filter(date => (!from || date >= from) && (!to || date <= to))
+        .sort()
+        .map(date => ({ date, day: days.get(date) || {}, timestamps: timestamps.get(date) || {} }));
+}
+
+// =============================================================================
+// RUNS
+// =============================================================================
+
+/**
+ * Name, type and shift for a status history key: a route id, or a legacy
+ * runKey such as "Route 5_AM". The shift is null when the key does not pin
+ * one (a route running both shifts).
+ */
+function describeRouteKey(key) {
+    const route = (STATE.data?.routes || []).find(r => r.id === key);
+    if (route) {
+        const schedule = String(route.schedule || '').toUpperCase();
+        return { routeName: route.name, routeType: route.type, shift: SHIFTS.includes(schedule) ? schedule : null };
+    }
+
+    const [name, shift] = String(key).split('_');
+    return { routeName: name, routeType: null, shift: SHIFTS.includes(shift) ? shift : null };
+}
+
+function nameOf(value) {
+    if (!value) return null;
+    return typeof value === 'object' ? value.name || null : String(value);
+}
+
+function getDayAssignment(day, key, role) {
+    return nameOf(day.routeBoard?.[key]?.[role]) || nameOf(day.assignments?.[key]?.[role]);
+}
+
+/**
+ * Shift of a status entry. Entries written before shifts were recorded take
+ * the route's shift, or failing that the half of the day they were logged in.
+ */
+function getEntryShift(entry, route) {
+    if (SHIFTS.includes(entry.shift)) return entry.shift;
+    if (route.shift) return route.shift;
+    return new Date(entry.timestamp).getHours() < 12 ? 'AM' : 'PM';
+}
+
+function minutesBetween(start, end) {
+    return (new Date(end) - new Date(start)) / 60000;
+}
+
+/**
+ * Break one service day's status history into runs and incident events
+ */
+function extractRuns({ date, day, timestamps }) {
+    const incidentCodes = new Set(getStatusCodes().filter(code => code.opensIncident).map(code => code.code));
+    const runs = [];
+    const events = [];
+
+    Object.entries(timestamps || {}).forEach(([key, history]) => {
+        if (!Array.isArray(history)) return;
+
+        const route = describeRouteKey(key);
+        const base = {
+            date,
+            routeKey: key,
+            routeName: route.routeName,
+            routeType: route.routeType,
+            driver: getDayAssignment(day, key, 'driver') || 'Unassigned',
+            asset: getDayAssignment(day, key, 'asset')
+        };
+
+        SHIFTS.forEach(shift => {
+            const entries = history
+                .filter(entry => entry && entry.timestamp && getEntryShift(entry, route) === shift)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+            let open = null;
+            entries.forEach(entry => {
+                if (incidentCodes.has(entry.status)) {
+                    events.push({ ...base, shift, status: entry.status, at: entry.timestamp });
+                }
+                if (entry.status === IN_SERVICE_STATUS && !open) {
+                    open = { ...base, driver: entry.driver || base.driver, shift, start: entry.timestamp, end: null, minutes: null, complete: false };
+                } else if (entry.status === OUT_OF_SERVICE_STATUS && open) {
+                    runs.push({ ...open, end: entry.timestamp, minutes: minutesBetween(open.start, entry.timestamp), complete: true });
+                    open = null;
+                }
+            });
+            if (open) runs.push(open);
+        });
+    });
+
+    return { runs, events };
+}
+
+// =============================================================================
+// STATISTICS
+// =============================================================================
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} values
+ * @param {number} percent - 0-100
+ */
+function percentile(values, percent) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.max(1, Math.ceil((percent / 100) * sorted.length));
+    return sorted[rank - 1];
+}
+
+function average(values) {
+    return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Minutes after midnight, so times from different days can be compared
+function timeOfDay(iso) {
+    const date = new Date(iso);
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Run-time statistics for a set of runs
+ */
+function summarizeRuns(runs, incidentEvents) {
+    const complete = runs.filter(run => run.complete);
+    const minutes = complete.map(run => run.minutes);
+    const starts = runs.map(run => run.start);
+    const ends = complete.map(run => run.end);
+
+    return {
+        runs: runs.length,
+        completed: complete.length,
+        incomplete: runs.length - complete.length,
+        averageMinutes: average(minutes),
+        p50Minutes: percentile(minutes, 50),
+        p90Minutes: percentile(minutes, 90),
+        shortestMinutes: minutes.length ? Math.min(...minutes) : null,
+        longestMinutes: minutes.length ? Math.max(...minutes) : null,
+        medianOut: percentile(starts.map(timeOfDay), 50),
+        medianIn: percentile(ends.map(timeOfDay), 50),
+        firstOut: [...starts].sort()[0] || null,
+        lastIn: [...ends].sort().pop() || null,
+        incidentEvents
+    };
+}
+
+/**
+ * Aggregate runs and events into one row per group
+ * @param {Function} keyOf - run/event -> group key
+ * @param {Function} describe - first run/event of a group -> extra row fields
+ */
+function aggregate(runs, events, keyOf, describe) {
+    const groups = new Map();
+    const groupFor = (item) => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, { key, ...describe(item), runs: [], events: 0 });
+        return groups.get(key);
+    };
+
+    runs.forEach(run => groupFor(run).runs.push(run));
+    events.forEach(event => { groupFor(event).events++; });
+
+    return [...groups.values()].map(({ runs: groupRuns, events: groupEvents, ...group }) => ({
+        ...group,
+        ...summarizeRuns(groupRuns, groupEvents)
+    }));
+}
+
+/**
+ * First route out and last route in for each service day and shift
+ */
+function summarizeDays(runs, events) {
+    const rows = aggregate(runs, events, item => `${item.date}|${item.shift}`, item => ({ date: item.date, shift: item.shift }));
+    return rows.map(row => {
+        const dayRuns = runs.filter(run => run.date === row.date && run.shift === row.shift);
+        const first = dayRuns.find(run => run.start === row.firstOut);
+        const last = dayRuns.find(run => run.end === row.lastIn);
+        return { ...row, firstOutRoute: first?.routeName || null, lastInRoute: last?.routeName || null };
+    }).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+/**
+ * Build the run-time report for a date range
+ * @param {{from?: string, to?: string, routeType?: string, shift?: string}} [filters]
+ *   dates are YYYY-MM-DD service dates; routeType is a ROUTE_TYPES id
+ */
+async function buildTimestampReport(filters = {}) {
+    const range = { ...getDefaultReportRange(), ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)) };
+    const days = await loadServiceDays(range.from, range.to);
+
+    let runs = [];
+    let events = [];
+    days.forEach(day => {
+        const extracted = extractRuns(day);
+        runs.push(...extracted.runs);
+        events.push(...extracted.events);
+    });
+
+    const keep = item => (!range.routeType || item.routeType === range.routeType) && (!range.shift || item.shift === range.shift);
+    runs = runs.filter(keep);
+    events = events.filter(keep);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        filters: range,
+        serviceDays: days.length,
+        incidentCodes: getStatusCodes().filter(code => code.opensIncident).map(code => code.code),
+        totals: summarizeRuns(runs, events.length),
+        days: summarizeDays(runs, events),
+        routes: aggregate(runs, events, item => item.routeKey, item => ({ routeName: item.routeName, routeType: item.routeType })),
+        drivers: aggregate(runs, events, item => item.driver, item => ({ driver: item.driver })),
+        runs,
+        events
+    };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    DEFAULT_REPORT_DAYS,
+    getDefaultReportRange,
+    getOpenServiceDay,
+    loadServiceDays,
+    extractRuns,
+    percentile,
+    summarizeRuns,
+    aggregate,
+    buildTimestampReport
+};
@@ -0,0 +1,372 @@
+/* DATA - ROUTING DATABASE MODULE
+   Transportation Dispatch Dashboard
+
+   Importer for the shared "Routing Database" spreadsheet exported as CSV.
+   The sheet keeps four tables side by side, each under a section header
+   cell such as "--- ROUTES ---" on the same row:
+
+     --- ROUTES ---  | --- STAFF ROSTER --- | --- ASSET LIST --- | --- APP SETTINGS ---
+     Route, Type     | Staff Name, Role     | Asset #, Type      | Setting, Color Preview
+
+   A section owns every column from its header cell up to the next one. The
+   tables have different lengths, so a row can be blank in one section and
+   filled in another.
+
+   Import is three steps: parseRoutingDatabase() reads the file into
+   routes, staff, assets and role colors plus a list of problems,
+   diffRoutingDatabase() compares that against the board for a preview, and
+   applyRoutingDatabase() commits it as one undoable action. Nothing on the
+   board is removed: staff and assets missing from the sheet are reported
+   in the diff and kept.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { debounceRender } from '../core/utils.js';
+import { parseCsvRows } from '../core/csv.js';
+import { recordAction } from '../core/history.js';
+import { ROUTE_TYPES, ROUTE_TYPE_SHEET_NAMES, createRoute } from '../dispatch/routeCards.js';
+import { setRoleColor } from '../dispatch/staff.js';
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+const SECTION_HEADER = /^-{2,}\s*(.+?)\s*-{2,}$/;
+const HEADER_SEARCH_ROWS = 10;
+const MAX_ROUTE_NUMBER = 100;
+
+// Section titles in the sheet -> table name
+const SECTIONS = {
+    'ROUTES': 'routes',
+    'STAFF ROSTER': 'staff',
+    'ASSET LIST': 'assets',
+    'APP SETTINGS': 'settings'
+};
+
+// Asset types in the sheet -> asset types used on the board
+const ASSET_TYPE_SHEET_NAMES = {
+    'Gen Ed': 'Gen Ed Bus',
+    'SE': 'SE Bus',
+    'SUV': 'Suburban'
+};
+
+/**
+ * Find the row of "--- X ---" cells and the column range of each section
+ * @returns {{headerIndex: number, sections: Array<{title: string, table: string|null, start: number, end: number}>}|null}
+ */
+function detectSections(rows) {
+    const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS)
+        .findIndex(row => row.cells.some(cell => SECTION_HEADER.test(cell.trim())));
+    if (headerIndex === -1) return null;
+
+    const starts = [];
+    rows[headerIndex].cells.forEach((cell, column) => {
+        const match = cell.trim().match(SECTION_HEADER);
+        if (match) starts.push({ title: match[1].toUpperCase(), column });
+    });
+
+    const width = Math.max(...rows.map(row => row.cells.length));
+    const sections = starts.map((start, index) => ({
+        title: start.title,
+        table: SECTIONS[start.title] || null,
+        start: start.column,
+        end: index + 1 < starts.length ? starts[index + 1].column : width
+    }));
+
+    return { headerIndex, sections };
+}
+
+/**
+ * Cut the side-by-side sheet into one list of records per section, keyed
+ * by the column names on the row under the section headers
+ */
+function splitSections(rows, layout) {
+    const columnRow = rows[layout.headerIndex + 1]?.cells || [];
+    const tables = {};
+
+    layout.sections.forEach(section => {
+        const columns = columnRow.slice(section.start, section.end).map(name => name.trim());
+        const records = [];
+
+        rows.slice(layout.headerIndex + 2).forEach(row => {
+            const values = row.cells.slice(section.start, section.end).map(value => value.trim());
+            if (values.every(value => value === '')) return;
+
+            const record = { _line: row.line };
+            columns.forEach((column, index) => {
+                if (column) record[column] = values[index] || '';
+            });
+            records.push(record);
+        });
+
+        tables[section.table || section.title] = { columns, records };
+    });
+
+    return tables;
+}
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+function normalizeColor(value) {
+    const hex = String(value || '').trim().replace(/^#/, '');
+    if (/^[0-9a-f]{6}$/i.test(hex)) return `#${hex.toLowerCase()}`;
+    if (/^[0-9a-f]{3}$/i.test(hex)) return `#${hex.split('').map(digit => digit + digit).join('').toLowerCase()}`;
+    return null;
+}
+
+function mapRoutes(table, problems) {
+    const routes = new Map();
+    (table?.records || []).forEach(record => {
+        const number = Number(record.Route);
+        if (!Number.isInteger(number) || number < 1 || number > MAX_ROUTE_NUMBER) {
+            problems.push({ section: 'Routes', line: record._line, message: `"${record.Route}" is not a route number from 1 to ${MAX_ROUTE_NUMBER}` });
+            return;
+        }
+
+        const type = ROUTE_TYPE_SHEET_NAMES[record.Type] || Object.values(ROUTE_TYPES).find(t => t.id === record.Type || t.label === record.Type)?.id;
+        if (!type) {
+            problems.push({ section: 'Routes', line: record._line, message: `Route ${number} has unknown type "${record.Type}", imported as inactive` });
+        }
+        if (routes.has(number)) {
+            problems.push({ section: 'Routes', line: record._line, message: `Route ${number} is listed twice, the last row wins` });
+        }
+        routes.set(number, { routeNumber: number, type: type || 'inactive', sheetType: record.Type });
+    });
+    return [...routes.values()];
+}
+
+function mapStaff(table, problems) {
+    const staff = new Map();
+    (table?.records || []).forEach(record => {
+        const name = record['Staff Name'];
+        if (!name) {
+            problems.push({ section: 'Staff', line: record._line, message: `Role "${record.Role}" has no staff name` });
+            return;
+        }
+        if (staff.has(name)) {
+            problems.push({ section: 'Staff', line: record._line, message: `${name} is listed twice, the last row wins` });
+        }
+        staff.set(name, { name, role: record.Role || 'Driver' });
+    });
+    return [...staff.values()];
+}
+
+function mapAssets(table, problems) {
+    const assets = new Map();
+    (table?.records || []).forEach(record => {
+        const name = record['Asset #'];
+        if (!name) {
+            problems.push({ section: 'Assets', line: record._line, message: `Type "${record.Type}" has no asset number` });
+            return;
+        }
+        if (assets.has(name)) {
+            problems.push({ section: 'Assets', line: record._line, message: `Asset ${name} is listed twice, the last row wins` });
+        }
+        assets.set(name, { name, type: ASSET_TYPE_SHEET_NAMES[record.Type] || record.Type || 'Other' });
+    });
+    return [...assets.values()];
+}
+
+/**
+ * Role colors from APP SETTINGS. Rows without a color in "Color Preview"
+ * keep the board's color; settings that are not staff roles are skipped.
+ */
+function mapRoleColors(table, staff, problems) {
+    const roles = new Set([...staff, ...(STATE.data?.staff || [])].map(member => member.role).filter(Boolean));
+    const roleColors = {};
+
+    (table?.records || []).forEach(record => {
+        const setting = record.Setting;
+        // The sheet's instructions live in this column too
+        if (!setting || setting.includes('\n')) return;
+
+        const preview = record['Color Preview'];
+        if (!preview) return;
+
+        const color = normalizeColor(preview);
+        if (!color) {
+            problems.push({ section: 'Settings', line: record._line, message: `"${preview}" is not a hex color for ${setting}` });
+        } else if (!roles.has(setting)) {
+            problems.push({ section: 'Settings', line: record._line, message: `${setting} is not a staff role, color skipped` });
+        } else {
+            roleColors[setting] = color;
+        }
+    });
+    return roleColors;
+}
+
+/**
+ * Read a Routing Database CSV
+ * @param {string|Array<{cells: string[], line: number}>} source - CSV text, or rows from readCsvRows()
+ * @returns {{sections: Array, routes: Array, staff: Array, assets: Array, roleColors: Object,
+ *   problems: Array<{section: string, line: number, message: string}>}}
+ * @throws {Error} when the text has no section header row
+ */
+function parseRoutingDatabase(source) {
+    const rows = typeof source === 'string' ? parseCsvRows(source) : source;
+    const layout = detectSections(rows);
+    if (!layout) {
+        throw new Error('No "--- ROUTES ---" style section headers found in the first rows. Is this the Routing Database sheet?');
+    }
+
+    const problems = [];
+    layout.sections.filter(section => !section.table).forEach(section => {
+        problems.push({ section: section.title, line: rows[layout.headerIndex].line, message: `Unknown section "${section.title}" ignored` });
+    });
+
+    const tables = splitSections(rows, layout);
+    const staff = mapStaff(tables.staff, problems);
+
+    return {
+        sections: layout.sections.map(section => ({ ...section, columns: tables[section.table || section.title].columns })),
+        routes: mapRoutes(tables.routes, problems),
+        staff,
+        assets: mapAssets(tables.assets, problems),
+        roleColors: mapRoleColors(tables.settings, staff, problems),
+        problems
+    };
+}
+
+// =============================================================================
+// DIFF AND APPLY
+// =============================================================================
+
+function findBoardRoutes(routeNumber) {
+    return (STATE.data?.routes || []).filter(route =>
+        route.type !== 'field-trips' && String(route.routeNumber) === String(routeNumber));
+}
+
+/**
+ * Compare a parsed sheet with the board
+ * @returns {{routes: Object, staff: Object, assets: Object, roleColors: Object}} each with
+ *   added, changed ({name, field, before, after}), unchanged (count) and, for staff and
+ *   assets, missing (on the board but not in the sheet)
+ */
+function diffRoutingDatabase(parsed) {
+    const diff = {};
+    const emptyDiff = () => ({ added: [], changed: [], unchanged: 0, missing: [] });
+
+    diff.routes = emptyDiff();
+    parsed.routes.forEach(route => {
+        const existing = findBoardRoutes(route.routeNumber);
+        const name = `Route ${route.routeNumber}`;
+        if (existing.length === 0) diff.routes.added.push({ name, type: route.type });
+        else if (existing.some(r => r.type !== route.type)) diff.routes.changed.push({ name, field: 'type', before: existing[0].type, after: route.type });
+        else diff.routes.unchanged++;
+    });
+
+    const diffByName = (incoming, current, field) => {
+        const result = emptyDiff();
+        const byName = new Map((current || []).map(item => [item.name, item]));
+        incoming.forEach(item => {
+            const existing = byName.get(item.name);
+            if (!existing) result.added.push({ name: item.name, [field]: item[field] });
+            else if (existing[field] !== item[field]) result.changed.push({ name: item.name, field, before: existing[field] || '', after: item[field] });
+            else result.unchanged++;
+        });
+        const names = new Set(incoming.map(item => item.name));
+        result.missing = (current || []).filter(item => !names.has(item.name)).map(item => item.name);
+        return result;
+    };
+
+    diff.staff = diffByName(parsed.staff, STATE.data?.staff, 'role');
+    diff.assets = diffByName(parsed.assets, STATE.data?.assets, 'type');
+
+    diff.roleColors = emptyDiff();
+    const currentColors = STATE.data?.colors?.roles || {};
+    Object.entries(parsed.roleColors).forEach(([role, color]) => {
+        if (!currentColors[role]) diff.roleColors.added.push({ name: role, color });
+        else if (currentColors[role].toLowerCase() !== color) diff.roleColors.changed.push({ name: role, field: 'color', before: currentColors[role], after: color });
+        else diff.roleColors.unchanged++;
+    });
+
+    return diff;
+}
+
+/**
+ * Commit a parsed sheet to the board as one undoable action
+ * @returns {{routes: number, staff: number, assets: number, roleColors: number}} records added or changed
+ */
+function applyRoutingDatabase(parsed) {
+    const diff = diffRoutingDatabase(parsed);
+    const count = section => diff[section].added.length + diff[section].changed.length;
+
+    eventBus.emit('data:before-import', { dataType: 'routingDatabase', source: 'Routing Database import' });
+    recordAction('imported the Routing Database', () => {
+        const now = new Date().toISOString();
+
+        parsed.routes.forEach(({ routeNumber, type }) => {
+            const existing = findBoardRoutes(routeNumber);
+            if (existing.length === 0) {
+                createRoute(routeNumber, type, type === 'inactive' ? 'none' : 'both');
+                return;
+            }
+            existing.filter(route => route.type !== type).forEach(route => {
+                const wasInactive = route.type === 'inactive';
+                route.type = type;
+                // Same schedule rules as the route configuration grid
+                if (type === 'inactive') route.schedule = 'none';
+                else if (wasInactive || !route.schedule || route.schedule === 'none') route.schedule = 'both';
+                route.updatedAt = now;
+            });
+        });
+
+        if (!Array.isArray(STATE.data.staff)) STATE.data.staff = [];
+        parsed.staff.forEach(({ name, role }) => {
+            const existing = STATE.data.staff.find(member => member.name === name);
+            if (existing) {
+                existing.role = role;
+                existing.position = role;
+                return;
+            }
+            STATE.data.staff.push({
+                id: `staff_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name,
+                role,
+                position: role,
+                status: 'Active',
+                dateAdded: now
+            });
+        });
+
+        if (!Array.isArray(STATE.data.assets)) STATE.data.assets = [];
+        parsed.assets.forEach(({ name, type }) => {
+            const existing = STATE.data.assets.find(asset => asset.name === name);
+            if (existing) existing.type = type;
+            else STATE.data.assets.push({ name, type });
+        });
+
+        Object.entries(parsed.roleColors).forEach(([role, color]) => setRoleColor(role, color));
+
+        STATE.isDirty = true;
+        saveToLocalStorage();
+    });
+
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    debounceRender('renderAssetPanel');
+    return {
+        routes: count('routes'),
+        staff: count('staff'),
+        assets: count('assets'),
+        roleColors: count('roleColors')
+    };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    SECTIONS,
+    ASSET_TYPE_SHEET_NAMES,
+    detectSections,
+    findBoardRoutes,
+    parseRoutingDatabase,
+    diffRoutingDatabase,
+    applyRoutingDatabase
+};
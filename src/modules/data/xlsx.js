@@ -0,0 +1,421 @@
+/* DATA - XLSX MODULE
+   Transportation Dispatch Dashboard
+
+   Reads and writes Excel workbooks (.xlsx, as saved by Excel and Google
+   Sheets) in the browser, with no library and no network.
+
+   Reading returns every sheet with typed cells: strings, numbers, booleans
+   and dates (cells with a date or time number format become Date objects in
+   local time). sheetToRows() turns a sheet into the same rows readCsvRows()
+   produces, after finding the header row below any title rows, so a sheet
+   can go through the import wizard like a CSV file.
+
+   Writing takes sheets of plain values: strings, numbers, booleans and
+   Dates are written with their types, the first row is bold and frozen,
+   and columns are sized to their contents.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { readZip, writeZip } from './zip.js';
+
+// =============================================================================
+// XML HELPERS
+// =============================================================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(point);
+        }
+        return XML_ENTITIES[code] ?? entity;
+    });
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, value] of text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name.replace(/^\w+:(?!id$)/, '')] = decodeXml(value);
+    }
+    return attributes;
+}
+
+// Elements may carry a namespace prefix (<x:row>) depending on the writer
+function elements(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+    return [...xml.matchAll(pattern)].map(([, attributes, body]) => ({ attributes: parseAttributes(attributes), body: body ?? '' }));
+}
+
+// Text of <t> elements, leaving out phonetic guides (<rPh>)
+function richText(xml) {
+    const plain = xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, '');
+    return elements(plain, 't').map(t => decodeXml(t.body)).join('');
+}
+
+// =============================================================================
+// DATES
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+// Built-in number formats that show a date or a time
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+function isDateFormat(code) {
+    const stripped = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+    return /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped.trim());
+}
+
+function serialToDate(serial, date1904) {
+    const utc = new Date((date1904 ? EPOCH_1904 : EPOCH_1900) + Math.round(serial * DAY_MS / 1000) * 1000);
+    // Workbooks have no time zone: keep the wall-clock time
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+}
+
+function dateToSerial(date) {
+    const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+    return (wallClock - EPOCH_1900) / DAY_MS;
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Cell value as text: dates as YYYY-MM-DD, times as HH:MM, both when both
+ * are set; whole numbers without decimals
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        const time = `${pad(value.getHours())}:${pad(value.getMinutes())}`;
+        if (value.getFullYear() < 1900) return time; // a time with no date
+        return time === '00:00' ? date : `${date} ${time}`;
+    }
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') return String(Number.isInteger(value) ? value : parseFloat(value.toPrecision(15)));
+    return String(value);
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+function columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function resolveTarget(target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = `xl/${target}`.split('/');
+    const resolved = [];
+    parts.forEach(part => {
+        if (part === '..') resolved.pop();
+        else if (part !== '.') resolved.push(part);
+    });
+    return resolved.join('/');
+}
+
+function readCell({ attributes, body }, context) {
+    const type = attributes.t || 'n';
+    const raw = elements(body, 'v')[0]?.body;
+
+    switch (type) {
+        case 's': return raw === undefined ? null : context.sharedStrings[parseInt(raw)] ?? '';
+        case 'inlineStr': return richText(elements(body, 'is')[0]?.body || '');
+        case 'str': return raw === undefined ? '' : decodeXml(raw);
+        case 'b': return raw === '1';
+        case 'e': return raw === undefined ? null : decodeXml(raw);
+        case 'd': return raw === undefined ? null : new Date(decodeXml(raw));
+        default: {
+            if (raw === undefined || raw === '') return null;
+            const number = parseFloat(raw);
+            if (Number.isNaN(number)) return decodeXml(raw);
+            const style = parseInt(attributes.s || '0');
+            return context.dateStyles.has(style) ? serialToDate(number, context.date1904) : number;
+        }
+    }
+}
+
+function readSheet(xml, context) {
+    const rows = [];
+    let nextRow = 0;
+
+    elements(xml, 'row').forEach(({ attributes, body }) => {
+        const rowIndex = attributes.r ? parseInt(attributes.r) - 1 : nextRow;
+        nextRow = rowIndex + 1;
+
+        const cells = [];
+        let nextColumn = 0;
+        elements(body, 'c').forEach(cell => {
+            const column = cell.attributes.r ? columnIndex(cell.attributes.r) : nextColumn;
+            nextColumn = column + 1;
+            const value = readCell(cell, context);
+            if (value !== null && value !== '') cells[column] = value;
+        });
+
+        if (cells.length > 0) {
+            rows[rowIndex] = Array.from(cells, value => value ?? null);
+        }
+    });
+
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Read an .xlsx workbook
+ * @param {Blob|File|ArrayBuffer|Uint8Array} source
+ * @returns {Promise<{sheets: Array<{name: string, hidden: boolean, rows: Array<Array<string|number|boolean|Date|null>>}>}>}
+ *   rows are indexed from sheet row 1; empty rows are []
+ */
+async function readWorkbook(source) {
+    const zip = await readZip(source);
+    const workbookXml = await zip.readText('xl/workbook.xml');
+    if (!workbookXml) throw new Error('Not an Excel workbook: xl/workbook.xml is missing');
+
+    const relationships = new Map(elements(await zip.readText('xl/_rels/workbook.xml.rels') || '', 'Relationship')
+        .map(({ attributes }) => [attributes.Id, resolveTarget(attributes.Target)]));
+
+    const sharedStringsXml = await zip.readText('xl/sharedStrings.xml');
+    const stylesXml = await zip.readText('xl/styles.xml') || '';
+
+    const customFormats = new Map(elements(stylesXml, 'numFmt')
+        .map(({ attributes }) => [parseInt(attributes.numFmtId), attributes.formatCode || '']));
+    const cellFormats = elements(elements(stylesXml, 'cellXfs')[0]?.body || '', 'xf');
+    const dateStyles = new Set();
+    cellFormats.forEach(({ attributes }, index) => {
+        const id = parseInt(attributes.numFmtId || '0');
+        if (DATE_FORMAT_IDS.has(id) || (customFormats.has(id) && isDateFormat(customFormats.get(id)))) {
+            dateStyles.add(index);
+        }
+    });
+
+    const workbookProperties = elements(workbookXml, 'workbookPr')[0]?.attributes || {};
+    const context = {
+        sharedStrings: sharedStringsXml ? elements(sharedStringsXml, 'si').map(si => richText(si.body)) : [],
+        dateStyles,
+        date1904: ['1', 'true'].includes(workbookProperties.date1904)
+    };
+
+    const sheets = [];
+    for (const { attributes } of elements(workbookXml, 'sheet')) {
+        const path = relationships.get(attributes['r:id']);
+        const xml = path ? await zip.readText(path) : null;
+        if (xml === null) continue;
+        sheets.push({
+            name: attributes.name,
+            hidden: attributes.state === 'hidden' || attributes.state === 'veryHidden',
+            rows: readSheet(xml, context)
+        });
+    }
+    return { sheets };
+}
+
+/**
+ * Index of the header row: the first of the top rows that is mostly text
+ * and about as wide as the data under it, so title rows above it are skipped
+ */
+function detectHeaderRow(rows) {
+    const filled = row => row.filter(value => value !== null && value !== '').length;
+    const width = Math.max(0, ...rows.slice(0, 50).map(filled));
+    if (width === 0) return 0;
+
+    const candidates = rows.slice(0, 20);
+    const index = candidates.findIndex(row => {
+        const count = filled(row);
+        const text = row.filter(value => typeof value === 'string' && value.trim() !== '').length;
+        return count >= Math.max(2, Math.ceil(width * 0.6)) && text === count;
+    });
+    return index >= 0 ? index : candidates.findIndex(row => filled(row) > 0);
+}
+
+/**
+ * A sheet as the rows readCsvRows() returns, starting at the header row
+ * @param {{rows: Array<Array>}} sheet
+ * @param {Object} [options]
+ * @param {number} [options.headerRow] - 0-based index; found automatically if omitted
+ * @returns {Array<{cells: string[], line: number}>} line is the sheet row number
+ */
+function sheetToRows(sheet, { headerRow = detectHeaderRow(sheet.rows) } = {}) {
+    // Columns past the last header have nothing to map to
+    const header = sheet.rows[headerRow] || [];
+    const width = header.length || sheet.rows.slice(headerRow).reduce((widest, row) => Math.max(widest, row.length), 0);
+
+    return sheet.rows.slice(headerRow)
+        .map((row, index) => ({
+            cells: Array.from({ length: width }, (_, column) => cellText(row[column]).trim()),
+            line: headerRow + index + 1
+        }))
+        .filter(row => row.cells.some(cell => cell !== ''));
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Cell style indexes in STYLES_XML
+const STYLE = { header: 1, date: 2, dateTime: 3, time: 4 };
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">
+<numFmts count="3"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/><numFmt numFmtId="166" formatCode="hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function writeCell(value, reference, header) {
+    if (value === null || value === undefined || value === '') return '';
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        const serial = dateToSerial(value);
+        const style = value.getFullYear() < 1900 ? STYLE.time
+            : value.getHours() || value.getMinutes() ? STYLE.dateTime : STYLE.date;
+        return `<c r="${reference}" s="${style}"><v>${serial}</v></c>`;
+    }
+    const style = header ? ` s="${STYLE.header}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"${style}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${reference}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(rows) {
+    const widths = [];
+    rows.forEach(row => row.forEach((value, column) => {
+        widths[column] = Math.max(widths[column] || 8, Math.min(60, cellText(value).length + 2));
+    }));
+
+    const cols = widths.length === 0 ? '' : `<cols>${widths.map((width, column) =>
+        `<col min="${column + 1}" max="${column + 1}" width="${width || 8}" customWidth="1"/>`).join('')}</cols>`;
+    const data = rows.map((row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row.map((value, column) => writeCell(value, `${columnName(column)}${rowIndex + 1}`, rowIndex === 0)).join('')}</row>`
+    ).join('');
+
+    return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `${cols}<sheetData>${data}</sheetData></worksheet>`;
+}
+
+// Excel: at most 31 characters, none of []:*?/\ and unique ignoring case
+function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, index) => {
+        const base = String(sheet.name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').replace(/^'+|'+$/g, '').trim().slice(0, 31) || `Sheet${index + 1}`;
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base.slice(0, 31 - String(n).length - 3)} (${n})`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array<{name: string, rows: Array<Array<string|number|boolean|Date|null>>}>} sheets
+ *   the first row of each sheet is its header
+ * @returns {Promise<Uint8Array>}
+ */
+async function writeWorkbook(sheets) {
+    if (sheets.length === 0) throw new Error('A workbook needs at least one sheet');
+    const names = sheetNames(sheets);
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+                `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+                names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+                sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`
+        },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: sheetXml(sheet.rows) }))
+    ];
+
+    return writeZip(files);
+}
+
+/**
+ * Build a workbook and save it as a file
+ */
+async function downloadWorkbook(sheets, filename) {
+    const blob = new Blob([await writeWorkbook(sheets)], { type: XLSX_MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function isWorkbookFile(file) {
+    return /\.xlsx$/i.test(file?.name || '') || file?.type === XLSX_MIME_TYPE;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    XLSX_MIME_TYPE,
+    cellText,
+    readWorkbook,
+    detectHeaderRow,
+    sheetToRows,
+    writeWorkbook,
+    downloadWorkbook,
+    isWorkbookFile
+};
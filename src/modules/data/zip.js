@@ -0,0 +1,238 @@
+/* DATA - ZIP MODULE
+   Transportation Dispatch Dashboard
+
+   Just enough of the ZIP format to read and write .xlsx workbooks without
+   a library or an outside service.
+
+   Reading walks the central directory and inflates entries with the
+   browser's built-in DecompressionStream. Writing deflates with
+   CompressionStream where the browser has it and stores entries
+   uncompressed where it does not; both are valid ZIP files. ZIP64 archives
+   (over 4 GB or 65,535 entries) and encrypted entries are not supported.
+*/
+
+// =============================================================================
+// CHECKSUM
+// =============================================================================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// =============================================================================
+// STREAMS
+// =============================================================================
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot open compressed workbooks; please update it');
+    }
+    return transform(bytes, new DecompressionStream('deflate-raw'));
+}
+
+function deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+    let stream;
+    try {
+        stream = new CompressionStream('deflate-raw');
+    } catch (error) {
+        return null; // an older CompressionStream without raw deflate
+    }
+    return transform(bytes, stream);
+}
+
+async function toBytes(source) {
+    if (source instanceof Uint8Array) return source;
+    if (source instanceof ArrayBuffer) return new Uint8Array(source);
+    if (typeof source?.arrayBuffer === 'function') return new Uint8Array(await source.arrayBuffer());
+    throw new Error('Expected a file or binary data');
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+const SIGNATURES = {
+    local: 0x04034b50,
+    central: 0x02014b50,
+    end: 0x06054b50
+};
+
+/**
+ * Open a ZIP archive
+ * @param {Blob|ArrayBuffer|Uint8Array} source
+ * @returns {Promise<{names: string[], has: Function, read: Function, readText: Function}>}
+ *   read(name) and readText(name) resolve to null for a missing entry
+ */
+async function readZip(source) {
+    const bytes = await toBytes(source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === SIGNATURES.end) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP file (is it an .xlsx workbook?)');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xffffffff || count === 0xffff) throw new Error('ZIP64 archives are not supported');
+
+    const decoder = new TextDecoder('utf-8');
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== SIGNATURES.central) throw new Error('Damaged ZIP directory');
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.set(name, { flags, method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const read = async name => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        if (entry.flags & 1) throw new Error(`${name} is encrypted`);
+
+        const local = entry.localOffset;
+        if (view.getUint32(local, true) !== SIGNATURES.local) throw new Error(`Damaged ZIP entry: ${name}`);
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return inflateRaw(data);
+        throw new Error(`Unsupported compression in ${name}`);
+    };
+
+    return {
+        names: [...entries.keys()],
+        has: name => entries.has(name),
+        read,
+        readText: async name => {
+            const data = await read(name);
+            return data === null ? null : decoder.decode(data);
+        }
+    };
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} files
+ * @returns {Promise<Uint8Array>}
+ */
+async function writeZip(files) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(new Date());
+    const chunks = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const deflated = await deflateRaw(data);
+        const compressed = deflated && deflated.length < data.length ? deflated : data;
+        const method = compressed === data ? 0 : 8;
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, SIGNATURES.local, true);
+        header.setUint16(4, 20, true);          // version needed
+        header.setUint16(6, 0x0800, true);      // UTF-8 names
+        header.setUint16(8, method, true);
+        header.setUint16(10, stamp.time, true);
+        header.setUint16(12, stamp.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, compressed.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, SIGNATURES.central, true);
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, stamp.time, true);
+        central.setUint16(14, stamp.date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, compressed.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(header.buffer), name, compressed);
+        directory.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + compressed.length;
+    }
+
+    const directorySize = directory.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, SIGNATURES.end, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...directory, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    parts.forEach(chunk => {
+        output.set(chunk, position);
+        position += chunk.length;
+    });
+    return output;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    crc32,
+    readZip,
+    writeZip
+};
@@ -12,6 +12,7 @@
 import { eventBus } from '../core/events.js';
 import { STATE, saveToLocalStorage } from '../core/state.js';
 import { debounceRender, PERFORMANCE } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
 
 // =============================================================================
 // ASSET RENDERING SYSTEM
@@ -214,87 +215,91 @@ function handleAssetAction(event) {
 
 // Mark an asset as down
 function markAssetDown(assetName) {
-    console.log(`🔧 Marking asset ${assetName} as down`);
+    return recordAction(`marked ${assetName} down`, () => {
+        console.log(`🔧 Marking asset ${assetName} as down`);
     
-    if (!STATE.data?.assets) {
-        console.error('❌ No asset data available');
-        return;
-    }
+        if (!STATE.data?.assets) {
+            console.error('❌ No asset data available');
+            return;
+        }
     
-    // Find the asset and update its status
-    const asset = STATE.data.assets.find(a => 
-        (a.name === assetName) || (a.vehicleNumber === assetName)
-    );
+        // Find the asset and update its status
+        const asset = STATE.data.assets.find(a => 
+            (a.name === assetName) || (a.vehicleNumber === assetName)
+        );
     
-    if (!asset) {
-        console.error(`❌ Asset ${assetName} not found`);
-        return;
-    }
+        if (!asset) {
+            console.error(`❌ Asset ${assetName} not found`);
+            return;
+        }
     
-    // Update asset status
-    asset.status = 'down';
-        asset.downReason = 'Out of service';
-    asset.downDate = new Date().toISOString();
+        // Update asset status
+        asset.status = 'down';
+            asset.downReason = 'Out of service';
+        asset.downDate = new Date().toISOString();
     
-    // Save to localStorage
-    saveToLocalStorage();
+        // Save to localStorage
+        saveToLocalStorage();
     
-    // Emit event for other modules
-    eventBus.emit('asset:statusChanged', { 
-        assetName, 
-        oldStatus: 'active', 
-        newStatus: 'down',
-        reason: asset.downReason
-    });
+        // Emit event for other modules
+        eventBus.emit('asset:statusChanged', { 
+            assetName, 
+            oldStatus: 'active', 
+            newStatus: 'down',
+            reason: asset.downReason
+        });
     
-    // Re-render the asset panel
-    renderAssetPanel();
+        // Re-render the asset panel
+        renderAssetPanel();
     
-    console.log(`✅ Asset ${assetName} marked as down: ${asset.downReason}`);
+        console.log(`✅ Asset ${assetName} marked as down: ${asset.downReason}`);
+    });
 }
 
 // Mark an asset as repaired (back to active)
 function markAssetRepaired(assetName) {
-    console.log(`🔧 Marking asset ${assetName} as repaired`);
+    return recordAction(`marked ${assetName} repaired`, () => {
+        console.log(`🔧 Marking asset ${assetName} as repaired`);
     
-    if (!STATE.data?.assets) {
-        console.error('❌ No asset data available');
-        return;
-    }
+        if (!STATE.data?.assets) {
+            console.error('❌ No asset data available');
+            return;
+        }
     
-    // Find the asset and update its status
-    const asset = STATE.data.assets.find(a => 
-        (a.name === assetName) || (a.vehicleNumber === assetName)
-    );
+        // Find the asset and update its status
+        const asset = STATE.data.assets.find(a => 
+            (a.name === assetName) || (a.vehicleNumber === assetName)
+        );
     
-    if (!asset) {
-        console.error(`❌ Asset ${assetName} not found`);
-        return;
-    }
+        if (!asset) {
+            console.error(`❌ Asset ${assetName} not found`);
+            return;
+        }
     
-    // Update asset status
-    const oldStatus = asset.status;
-    asset.status = 'active';
-    asset.repairedDate = new Date().toISOString();
+        // Update asset status
+        const oldStatus = asset.status;
+        asset.status = 'active';
+        asset.repairedDate = new Date().toISOString();
     
-    // Clear down-related fields
-    delete asset.downReason;
-    delete asset.downDate;
+        // Clear down-related fields
+        delete asset.downReason;
+        delete asset.downDate;
     
-    // Save to localStorage
-    saveToLocalStorage();
+        // Save to localStorage
+        saveToLocalStorage();
     
-    // Emit event for other modules
-    eventBus.emit('asset:statusChanged', { 
-        assetName, 
-        oldStatus, 
-        newStatus: 'active'
-    });
+        // Emit event for other modules
+        eventBus.emit('asset:statusChanged', { 
+            assetName, 
+            oldStatus, 
+            newStatus: 'active'
+        });
     
-    // Re-render the asset panel
-    renderAssetPanel();
+        // Re-render the asset panel
+        renderAssetPanel();
     
-    console.log(`✅ Asset ${assetName} marked as repaired and active`);
+        console.log(`✅ Asset ${assetName} marked as repaired and active`);
+    });
 }
 
 function renderDownAssetList(container, downAssets) {
@@ -477,50 +482,52 @@ function generateAssetCardHtml(asset) {
 // =============================================================================
 
 function toggleAssetStatus(assetName, reason = '') {
-    console.log(`🔧 Toggling status for asset: ${assetName}`);
-    console.log(`🔍 STATE.assetStatus before:`, STATE.assetStatus);
-    
-    const currentStatus = STATE.assetStatus[assetName];
-    
-    if (currentStatus === 'Down') {
-        // Mark as repaired (available)
-        delete STATE.assetStatus[assetName];
-        console.log(`✅ ${assetName} marked as repaired`);
-        eventBus.emit('assets:repaired', { assetName });
-    } else {
-        // Mark as down
-        STATE.assetStatus[assetName] = 'Down';
+    return recordAction(STATE.assetStatus[assetName] === 'Down' ? `marked ${assetName} repaired` : `marked ${assetName} down`, () => {
+        console.log(`🔧 Toggling status for asset: ${assetName}`);
+        console.log(`🔍 STATE.assetStatus before:`, STATE.assetStatus);
+    
+        const currentStatus = STATE.assetStatus[assetName];
+    
+        if (currentStatus === 'Down') {
+            // Mark as repaired (available)
+            delete STATE.assetStatus[assetName];
+            console.log(`✅ ${assetName} marked as repaired`);
+            eventBus.emit('assets:repaired', { assetName });
+        } else {
+            // Mark as down
+            STATE.assetStatus[assetName] = 'Down';
         
-        // Store reason if provided
-        if (reason) {
-            if (!STATE.assetDownReasons) {
-                STATE.assetDownReasons = {};
+            // Store reason if provided
+            if (reason) {
+                if (!STATE.assetDownReasons) {
+                    STATE.assetDownReasons = {};
+                }
+                STATE.assetDownReasons[assetName] = {
+                    reason: reason,
+                    timestamp: new Date().toISOString()
+                };
             }
-            STATE.assetDownReasons[assetName] = {
-                reason: reason,
-                timestamp: new Date().toISOString()
-            };
-        }
         
-        // Clear any current assignments
-        clearAssetAssignments(assetName);
+            // Clear any current assignments
+            clearAssetAssignments(assetName);
         
-        console.log(`🔧 ${assetName} marked as down for maintenance`);
-        eventBus.emit('assets:markedDown', { assetName, reason });
-    }
+            console.log(`🔧 ${assetName} marked as down for maintenance`);
+            eventBus.emit('assets:markedDown', { assetName, reason });
+        }
     
-    console.log(`🔍 STATE.assetStatus after:`, STATE.assetStatus);
+        console.log(`🔍 STATE.assetStatus after:`, STATE.assetStatus);
     
-    // Save state and re-render IMMEDIATELY (not debounced) to test race condition
-    saveToLocalStorage();
+        // Save state and re-render IMMEDIATELY (not debounced) to test race condition
+        saveToLocalStorage();
     
-    // Add a small delay to ensure state is saved before re-render
-    setTimeout(() => {
-        console.log(`🔍 About to re-render, STATE.assetStatus:`, STATE.assetStatus);
-        renderAssetPanel();
-    }, 50);
+        // Add a small delay to ensure state is saved before re-render
+        setTimeout(() => {
+            console.log(`🔍 About to re-render, STATE.assetStatus:`, STATE.assetStatus);
+            renderAssetPanel();
+        }, 50);
     
-    return true;
+        return true;
+    });
 }
 
 function clearAssetAssignments(assetName) {
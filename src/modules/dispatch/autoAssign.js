@@ -0,0 +1,616 @@
+/* DISPATCH - AUTO ASSIGN MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: driver and bus pairings on route definitions, the board
+   fill solver for the current AM/PM view, and the review dialog that shows
+   the proposed board as a diff before anything is applied
+
+   Only empty slots are filled; nothing already on a card is moved. Drivers
+   come from staff with a driver or sub role (or a pairing on the route) who
+   are not out, not on another card, on shift, under the hours caps and
+   qualified (see dispatch/staffSchedule.js and dispatch/certifications.js).
+   Buses come from non-trailer assets that are not down and not on a card.
+
+   The solver works in passes:
+     permanent  pairings marked permanent are placed first, and that driver
+                or bus is never offered to another route
+     preferred  other pairings are placed next when still free
+     the rest   the most constrained route picks first. Drivers are scored on
+                familiarity, role (regular drivers before subs) and hours.
+                Buses go to the biggest loads first, each getting the
+                smallest bus that seats the route's ridership
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { eventBus } from '../core/events.js';
+import { STATE, saveToLocalStorage, getTodayServiceDate } from '../core/state.js';
+import { debounceRender, escapeHtml } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { uiSystem } from '../ui/system.js';
+import { getBoardRoutes, assignDriver, assignAsset, describeRoute } from './routeCards.js';
+import { getDownAssets } from './assets.js';
+import { getStopProgress } from './routeStops.js';
+import { getDriverAvailability, getShiftPattern, getStaffHours, getWeekRuns } from './staffSchedule.js';
+import { checkQualifications } from './certifications.js';
+import { getDrivingRole, loadRouteHistory } from './substitutes.js';
+
+// =============================================================================
+// PAIRINGS
+// =============================================================================
+
+const AUTO_ASSIGN_MODAL_ID = 'auto-assign-modal';
+
+const AUTO_ASSIGN_WEIGHTS = {
+    regularDriver: 20,
+    subDriver: 0,
+    familiarityPerDay: 3,
+    familiarityMax: 24,
+    scheduled: 5,
+    perHourToday: -3,
+    perHourThisWeek: -0.5,
+    expiringCertificate: -5
+};
+
+function findRoute(routeId) {
+    return (STATE.data?.routes || []).find(route => route.id === routeId) || null;
+}
+
+function findStaff(name) {
+    return (STATE.data?.staff || []).find(staff => staff.name === name) || null;
+}
+
+function assetKey(asset) {
+    return asset ? String(asset.name || asset.number || '') : '';
+}
+
+function findAsset(name) {
+    return (STATE.data?.assets || []).find(asset => assetKey(asset) === name) || null;
+}
+
+function isTrailer(asset) {
+    return String(asset?.type || '').toLowerCase().includes('trailer');
+}
+
+/**
+ * The driver and bus that normally run a route
+ * @returns {{driver: string, driverPermanent: boolean, asset: string, assetPermanent: boolean}}
+ */
+function getRoutePairing(route) {
+    const pairing = route?.pairing || {};
+    return {
+        driver: pairing.driver || '',
+        driverPermanent: Boolean(pairing.driver && pairing.driverPermanent),
+        asset: pairing.asset || '',
+        assetPermanent: Boolean(pairing.asset && pairing.assetPermanent)
+    };
+}
+
+/**
+ * Save a route's pairing. Pairings are part of the route definition, so they
+ * carry over from day to day.
+ */
+function setRoutePairing(routeId, pairing) {
+    const route = findRoute(routeId);
+    if (!route) throw new Error('Route not found');
+
+    const driver = String(pairing?.driver || '').trim();
+    const asset = String(pairing?.asset || '').trim();
+    if (driver && !findStaff(driver)) throw new Error(`${driver} is not on the staff list`);
+    if (asset && !findAsset(asset)) throw new Error(`${asset} is not in the fleet`);
+
+    const owner = (STATE.data.routes || []).find(other => other.id !== routeId && (
+        (driver && pairing?.driverPermanent && other.pairing?.driverPermanent && other.pairing.driver === driver) ||
+        (asset && pairing?.assetPermanent && other.pairing?.assetPermanent && other.pairing.asset === asset)));
+    if (owner) throw new Error(`${owner.name} already has that permanent pairing`);
+
+    return recordAction(`set the pairing for ${describeRoute(routeId)}`, () => {
+        const cleaned = {
+            driver,
+            driverPermanent: Boolean(driver && pairing.driverPermanent),
+            asset,
+            assetPermanent: Boolean(asset && pairing.assetPermanent)
+        };
+        route.pairing = driver || asset ? cleaned : null;
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
+        eventBus.emit('routes:pairingChanged', { routeId, pairing: route.pairing });
+        return true;
+    });
+}
+
+// =============================================================================
+// SOLVER
+// =============================================================================
+
+/**
+ * Students riding the route on a shift, from its stops. Routes that run both
+ * shifts need a bus for the bigger of the two loads.
+ */
+function getRouteRidership(route, view = STATE.currentView) {
+    const shifts = route.schedule === 'both' ? ['AM', 'PM'] : [view];
+    const students = Math.max(...shifts.map(shift => getStopProgress(route, shift).students));
+    return students || Number(route.ridership) || 0;
+}
+
+function isOut(name) {
+    return STATE.staffOut.some(out => out.name === name);
+}
+
+/**
+ * Why a driver can't take the route, or null when they can
+ */
+function driverBlocker(staff, route, asset, runs) {
+    if (isOut(staff.name)) return `${staff.name} is out`;
+    const availability = getDriverAvailability(staff, route, runs);
+    if (!availability.available) return `${staff.name}: ${availability.reason}`;
+    const { blocking } = checkQualifications(staff, { route, asset });
+    return blocking.length > 0 ? blocking.join('; ') : null;
+}
+
+/**
+ * Why a bus can't run the route, or null when it can
+ */
+function assetBlocker(asset, ridership, downNames) {
+    if (downNames.has(assetKey(asset)) || asset.status === 'down') return `${assetKey(asset)} is down`;
+    const capacity = Number(asset.capacity) || 0;
+    if (capacity && capacity < ridership) return `${assetKey(asset)} seats ${capacity}, the route carries ${ridership}`;
+    return null;
+}
+
+function scoreDriver(staff, route, history, runs, date) {
+    const reasons = [];
+    let score = 0;
+
+    const role = getDrivingRole(staff);
+    if (role === 'driver') {
+        score += AUTO_ASSIGN_WEIGHTS.regularDriver;
+    } else if (role === 'sub') {
+        score += AUTO_ASSIGN_WEIGHTS.subDriver;
+        reasons.push('sub driver');
+    }
+
+    const familiarDays = history.driver.get(`${route.id}|${staff.name}`)?.size || 0;
+    if (familiarDays > 0) {
+        score += Math.min(familiarDays * AUTO_ASSIGN_WEIGHTS.familiarityPerDay, AUTO_ASSIGN_WEIGHTS.familiarityMax);
+        reasons.push(`drove it ${familiarDays} day${familiarDays === 1 ? '' : 's'} recently`);
+    }
+    if (getShiftPattern(staff, date)) score += AUTO_ASSIGN_WEIGHTS.scheduled;
+
+    const hours = getStaffHours(staff.name, runs);
+    score += (hours.dayMinutes / 60) * AUTO_ASSIGN_WEIGHTS.perHourToday + (hours.weekMinutes / 60) * AUTO_ASSIGN_WEIGHTS.perHourThisWeek;
+
+    const { warnings } = checkQualifications(staff, { route });
+    score += warnings.length * AUTO_ASSIGN_WEIGHTS.expiringCertificate;
+    return { score, reasons, warnings };
+}
+
+/**
+ * Propose drivers and buses for every empty slot on the board for a shift
+ * @param {Object} [options]
+ * @param {string} [options.view] - 'AM' or 'PM', defaults to the current view
+ * @param {Object} [options.history] - from loadRouteHistory(), loaded when not given
+ * @returns {Promise<{changes: Array<{routeId: string, routeName: string, field: 'driver'|'asset', to: Object, reason: string, warnings: string[]}>, unfilled: Array<{routeId: string, routeName: string, field: 'driver'|'asset', reason: string}>}>}
+ */
+async function solveBoard({ view = STATE.currentView, history = null } = {}) {
+    const routeHistory = history || await loadRouteHistory();
+    const date = STATE.serviceDate || getTodayServiceDate();
+    const runs = getWeekRuns();
+    const routes = getBoardRoutes(view);
+    const allRoutes = STATE.data.routes || [];
+    const changes = [];
+    const unfilled = [];
+
+    // Anyone on any card is taken, whichever shift shows it
+    const busyStaff = new Set(allRoutes.flatMap(route => [
+        route.driver?.name,
+        ...(route.safetyEscorts || []).map(escort => escort.name)
+    ]).filter(Boolean));
+    const busyAssets = new Set(allRoutes.map(route => assetKey(route.asset)).filter(Boolean));
+    const downNames = new Set(getDownAssets().map(assetKey));
+
+    const pairedDrivers = new Set(allRoutes.map(route => getRoutePairing(route).driver).filter(Boolean));
+    const freeDrivers = new Map((STATE.data.staff || [])
+        .filter(staff => staff.name && !busyStaff.has(staff.name) && !isOut(staff.name))
+        .filter(staff => String(staff.status || '').toLowerCase() !== 'inactive' && staff.canDrive !== false)
+        .filter(staff => getDrivingRole(staff) || pairedDrivers.has(staff.name))
+        .map(staff => [staff.name, staff]));
+    const freeAssets = new Map((STATE.data.assets || [])
+        .filter(asset => assetKey(asset) && !isTrailer(asset) && !busyAssets.has(assetKey(asset)))
+        .map(asset => [assetKey(asset), asset]));
+
+    // Permanent pairings hold their driver and bus for their own route
+    const heldDrivers = new Map();
+    const heldAssets = new Map();
+    routes.forEach(route => {
+        const pairing = getRoutePairing(route);
+        if (pairing.driverPermanent) heldDrivers.set(pairing.driver, route.id);
+        if (pairing.assetPermanent) heldAssets.set(pairing.asset, route.id);
+    });
+    const canUseDriver = (name, route) => freeDrivers.has(name) && (!heldDrivers.has(name) || heldDrivers.get(name) === route.id);
+    const canUseAsset = (name, route) => freeAssets.has(name) && (!heldAssets.has(name) || heldAssets.get(name) === route.id);
+
+    const proposedDriver = new Map();
+    const proposedAsset = new Map();
+    const driverOf = route => proposedDriver.get(route.id) || findStaff(route.driver?.name) || route.driver || null;
+    const assetOf = route => proposedAsset.get(route.id) || route.asset || null;
+    const notes = new Map();
+    const note = (route, field, text) => notes.set(`${route.id}|${field}`, text);
+
+    const proposeDriver = (route, staff, reason, warnings = []) => {
+        proposedDriver.set(route.id, staff);
+        freeDrivers.delete(staff.name);
+        changes.push({ routeId: route.id, routeName: route.name, field: 'driver', to: staff, reason, warnings });
+    };
+    const proposeAsset = (route, asset, reason) => {
+        proposedAsset.set(route.id, asset);
+        freeAssets.delete(assetKey(asset));
+        changes.push({ routeId: route.id, routeName: route.name, field: 'asset', to: asset, reason, warnings: [] });
+    };
+
+    const needsDriver = routes.filter(route => !route.driver);
+    const needsAsset = routes.filter(route => !route.asset);
+
+    // Pairings: permanent first, then preferred
+    [true, false].forEach(permanent => {
+        needsDriver.forEach(route => {
+            const pairing = getRoutePairing(route);
+            if (!pairing.driver || pairing.driverPermanent !== permanent || proposedDriver.has(route.id)) return;
+            const label = permanent ? 'permanent driver' : 'preferred driver';
+            const staff = freeDrivers.get(pairing.driver);
+            if (!staff || !canUseDriver(pairing.driver, route)) {
+                note(route, 'driver', `${label} ${pairing.driver} is ${isOut(pairing.driver) ? 'out' : 'not free'}`);
+                return;
+            }
+            const blocker = driverBlocker(staff, route, assetOf(route), runs);
+            if (blocker) {
+                note(route, 'driver', `${label} unavailable (${blocker})`);
+                return;
+            }
+            proposeDriver(route, staff, label, checkQualifications(staff, { route, asset: assetOf(route) }).warnings);
+        });
+        needsAsset.forEach(route => {
+            const pairing = getRoutePairing(route);
+            if (!pairing.asset || pairing.assetPermanent !== permanent || proposedAsset.has(route.id)) return;
+            const label = permanent ? 'permanent bus' : 'preferred bus';
+            const asset = freeAssets.get(pairing.asset);
+            if (!asset || !canUseAsset(pairing.asset, route)) {
+                note(route, 'asset', `${label} ${pairing.asset} is ${downNames.has(pairing.asset) ? 'down' : 'not free'}`);
+                return;
+            }
+            const blocker = assetBlocker(asset, getRouteRidership(route, view), downNames);
+            const driver = driverOf(route);
+            const driverBlock = driver ? checkQualifications(driver, { route, asset }).blocking[0] : null;
+            if (blocker || driverBlock) {
+                note(route, 'asset', `${label} unavailable (${blocker || driverBlock})`);
+                return;
+            }
+            proposeAsset(route, asset, label);
+        });
+    });
+
+    // Drivers for the rest, most constrained route first
+    const eligible = new Map(needsDriver.filter(route => !proposedDriver.has(route.id)).map(route => [
+        route.id,
+        [...freeDrivers.values()]
+            .filter(staff => getDrivingRole(staff) || getRoutePairing(route).driver === staff.name)
+            .filter(staff => canUseDriver(staff.name, route) && !driverBlocker(staff, route, assetOf(route), runs))
+    ]));
+    while (eligible.size > 0) {
+        const options = routeId => eligible.get(routeId).filter(staff => freeDrivers.has(staff.name));
+        const [routeId] = [...eligible.keys()].sort((a, b) => options(a).length - options(b).length);
+        const route = findRoute(routeId);
+        const candidates = options(routeId);
+        eligible.delete(routeId);
+
+        const best = candidates
+            .map(staff => ({ staff, ...scoreDriver(staff, route, routeHistory, runs, date) }))
+            .sort((a, b) => b.score - a.score || a.staff.name.localeCompare(b.staff.name))[0];
+        if (!best) {
+            unfilled.push({ routeId, routeName: route.name, field: 'driver', reason: notes.get(`${routeId}|driver`) || 'no free driver is on shift and qualified' });
+            continue;
+        }
+        const prefix = notes.get(`${routeId}|driver`);
+        proposeDriver(route, best.staff, [prefix, ...best.reasons].filter(Boolean).join('; ') || 'best available', best.warnings);
+    }
+
+    // Buses for the rest, biggest load first, smallest bus that fits
+    needsAsset
+        .filter(route => !proposedAsset.has(route.id))
+        .map(route => ({ route, ridership: getRouteRidership(route, view) }))
+        .sort((a, b) => b.ridership - a.ridership || a.route.name.localeCompare(b.route.name))
+        .forEach(({ route, ridership }) => {
+            const driver = driverOf(route);
+            const seats = [...freeAssets.values()]
+                .filter(asset => canUseAsset(assetKey(asset), route) && !assetBlocker(asset, ridership, downNames));
+            const fits = seats
+                .filter(asset => !driver || checkQualifications(driver, { route, asset }).blocking.length === 0)
+                .sort((a, b) => (Number(a.capacity) || Infinity) - (Number(b.capacity) || Infinity) || assetKey(a).localeCompare(assetKey(b)));
+            const prefix = notes.get(`${route.id}|asset`);
+            if (fits.length === 0) {
+                const reason = seats.length > 0 ? `${driver.name} is not qualified for any free bus that seats ${ridership}` : `no free bus seats ${ridership}`;
+                unfilled.push({ routeId: route.id, routeName: route.name, field: 'asset', reason: prefix ? `${prefix}; ${reason}` : reason });
+                return;
+            }
+            const capacity = Number(fits[0].capacity);
+            const fit = capacity ? `seats ${capacity} for ${ridership}` : 'capacity unknown';
+            proposeAsset(route, fits[0], [prefix, fit].filter(Boolean).join('; '));
+        });
+
+    const order = new Map(routes.map((route, index) => [route.id, index]));
+    const byBoard = (a, b) => order.get(a.routeId) - order.get(b.routeId) || (a.field === 'driver' ? -1 : 1);
+    return { changes: changes.sort(byBoard), unfilled: unfilled.sort(byBoard) };
+}
+
+/**
+ * Put the chosen proposals on the board as one undoable action. Slots filled
+ * and drivers or buses taken since the proposal was made are skipped.
+ * @returns {{applied: number, skipped: string[]}}
+ */
+function applyProposal(changes, view = STATE.currentView) {
+    const skipped = [];
+    let applied = 0;
+
+    recordAction(`auto-filled ${changes.length} slot${changes.length === 1 ? '' : 's'} on the ${view} board`, () => {
+        changes.forEach(change => {
+            const route = findRoute(change.routeId);
+            const label = `${change.routeName} ${change.field === 'driver' ? 'driver' : 'bus'}`;
+            if (!route || route[change.field]) {
+                skipped.push(`${label}: already filled`);
+                return;
+            }
+            if (change.field === 'driver') {
+                if (STATE.data.routes.some(other => other.driver?.name === change.to.name) || isOut(change.to.name)) {
+                    skipped.push(`${label}: ${change.to.name} is no longer free`);
+                    return;
+                }
+                assignDriver(route.id, { name: change.to.name, id: change.to.id });
+            } else {
+                const name = assetKey(change.to);
+                if (STATE.data.routes.some(other => assetKey(other.asset) === name) || STATE.assetStatus[name] === 'Down') {
+                    skipped.push(`${label}: ${name} is no longer free`);
+                    return;
+                }
+                assignAsset(route.id, findAsset(name) || change.to);
+            }
+            applied++;
+        });
+    });
+
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    debounceRender('renderAssetPanel');
+    return { applied, skipped };
+}
+
+// =============================================================================
+// REVIEW DIALOG
+// =============================================================================
+
+/**
+ * Solve the board and show the proposal as a diff, with a pairings editor
+ * @param {Object} [options]
+ * @param {'proposal'|'pairings'} [options.mode] - open on the pairings editor instead
+ */
+function openAutoAssignDialog({ mode: initialMode = 'proposal' } = {}) {
+    const view = STATE.currentView;
+    const modal = uiSystem.createModal(AUTO_ASSIGN_MODAL_ID, `🪄 Auto-Fill ${view} Board`, '<div id="auto-assign-body"></div>');
+    const body = modal.querySelector('#auto-assign-body');
+    let mode = initialMode;
+    let proposal = null;
+    let history = null;
+    let error = '';
+
+    const slotLabel = field => field === 'driver' ? 'Driver' : 'Bus';
+    const display = change => change.field === 'driver' ? change.to.name : assetKey(change.to);
+
+    const renderProposal = () => {
+        if (!proposal) {
+            body.innerHTML = '<p class="p-3 text-gray-500">Working out the board…</p>';
+            return;
+        }
+        const { changes, unfilled } = proposal;
+        body.innerHTML = `
+            <div class="space-y-3" style="min-width: min(860px, 94vw);">
+                <p class="text-sm text-gray-600">
+                    ${changes.length} proposed assignment${changes.length === 1 ? '' : 's'} for empty slots on the ${view} board.
+                    Nothing already on a card changes. Untick anything you don't want.
+                </p>
+                <div class="max-h-[50vh] overflow-y-auto border rounded">
+                    ${changes.length === 0 ? '<p class="p-3 text-sm text-gray-500">Nothing to propose.</p>' : `
+                        <table class="w-full text-sm">
+                            <thead class="bg-gray-100 sticky top-0">
+                                <tr>
+                                    <th class="px-2 py-1"><input type="checkbox" data-action="toggle-all" checked></th>
+                                    <th class="px-2 py-1 text-left">Route</th>
+                                    <th class="px-2 py-1 text-left">Slot</th>
+                                    <th class="px-2 py-1 text-left">Change</th>
+                                    <th class="px-2 py-1 text-left">Why</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${changes.map((change, index) => `
+                                    <tr class="border-t align-top">
+                                        <td class="px-2 py-1 text-center"><input type="checkbox" data-change="${index}" checked></td>
+                                        <td class="px-2 py-1 font-semibold">${escapeHtml(change.routeName)}</td>
+                                        <td class="px-2 py-1">${slotLabel(change.field)}</td>
+                                        <td class="px-2 py-1"><span class="text-gray-400 line-through">empty</span> → <span class="text-green-700 font-semibold">${escapeHtml(display(change))}</span></td>
+                                        <td class="px-2 py-1 text-xs text-gray-600">
+                                            ${escapeHtml(change.reason)}
+                                            ${change.warnings.map(warning => `<span class="block text-yellow-800">⚠️ ${escapeHtml(warning)}</span>`).join('')}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+                ${unfilled.length > 0 ? `
+                    <div class="border border-yellow-200 bg-yellow-50 rounded p-2 text-sm">
+                        <div class="font-semibold text-yellow-800 mb-1">Left open (${unfilled.length})</div>
+                        <ul class="list-disc pl-5 text-yellow-900">
+                            ${unfilled.map(slot => `<li>${escapeHtml(slot.routeName)} ${slotLabel(slot.field).toLowerCase()}: ${escapeHtml(slot.reason)}</li>`).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                ${error ? `<p class="text-sm text-red-600">${escapeHtml(error)}</p>` : ''}
+                <div class="flex justify-between gap-2">
+                    <div class="flex gap-2">
+                        <button type="button" data-action="pairings" class="px-3 py-2 border rounded hover:bg-gray-50">Home Assignments…</button>
+                        <button type="button" data-action="rerun" class="px-3 py-2 border rounded hover:bg-gray-50">Re-run</button>
+                    </div>
+                    <div class="flex gap-2">
+                        <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Cancel</button>
+                        <button type="button" data-action="apply" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600" ${changes.length === 0 ? 'disabled' : ''}>Apply Selected</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    };
+
+    const renderPairings = () => {
+        const drivers = (STATE.data.staff || []).filter(staff => staff.name && (getDrivingRole(staff) || staff.canDrive));
+        const assets = (STATE.data.assets || []).filter(asset => assetKey(asset) && !isTrailer(asset));
+        const select = (route, field, values, current) => `
+            <select data-route="${escapeHtml(route.id)}" data-field="${field}" class="border rounded px-1 py-0.5 text-sm w-full">
+                <option value="">—</option>
+                ${values.map(value => `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('')}
+            </select>
+        `;
+
+        body.innerHTML = `
+            <div class="space-y-3" style="min-width: min(860px, 94vw);">
+                <p class="text-sm text-gray-600">
+                    The home driver and bus of each ${view} route. A new day starts with them, and Auto-Fill tries
+                    them first. Permanent ones are held for the route and never offered elsewhere.
+                </p>
+                <div class="max-h-[55vh] overflow-y-auto border rounded">
+                    <table class="w-full text-sm">
+                        <thead class="bg-gray-100 sticky top-0">
+                            <tr>
+                                <th class="px-2 py-1 text-left">Route</th>
+                                <th class="px-2 py-1 text-left">Driver</th>
+                                <th class="px-2 py-1">Permanent</th>
+                                <th class="px-2 py-1 text-left">Bus</th>
+                                <th class="px-2 py-1">Permanent</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${getBoardRoutes(view).map(route => {
+                                const pairing = getRoutePairing(route);
+                                return `
+                                    <tr class="border-t">
+                                        <td class="px-2 py-1 font-semibold">${escapeHtml(route.name)}</td>
+                                        <td class="px-2 py-1">${select(route, 'driver', drivers.map(staff => staff.name), pairing.driver)}</td>
+                                        <td class="px-2 py-1 text-center"><input type="checkbox" data-route="${escapeHtml(route.id)}" data-field="driverPermanent" ${pairing.driverPermanent ? 'checked' : ''}></td>
+                                        <td class="px-2 py-1">${select(route, 'asset', assets.map(assetKey), pairing.asset)}</td>
+                                        <td class="px-2 py-1 text-center"><input type="checkbox" data-route="${escapeHtml(route.id)}" data-field="assetPermanent" ${pairing.assetPermanent ? 'checked' : ''}></td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${error ? `<p class="text-sm text-red-600">${escapeHtml(error)}</p>` : ''}
+                <div class="flex justify-end">
+                    <button type="button" data-action="back" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">Back to Proposal</button>
+                </div>
+            </div>
+        `;
+    };
+
+    const render = () => (mode === 'pairings' ? renderPairings() : renderProposal());
+
+    const solve = async () => {
+        proposal = null;
+        error = '';
+        render();
+        try {
+            if (!history) history = await loadRouteHistory();
+            proposal = await solveBoard({ view, history });
+        } catch (solveError) {
+            console.error('❌ Error solving the board:', solveError);
+            proposal = { changes: [], unfilled: [] };
+            error = solveError.message;
+        }
+        if (mode === 'proposal') render();
+    };
+
+    body.addEventListener('change', (e) => {
+        const target = e.target;
+        if (target.dataset.action === 'toggle-all') {
+            body.querySelectorAll('[data-change]').forEach(box => { box.checked = target.checked; });
+            return;
+        }
+        if (mode !== 'pairings' || !target.dataset.route) return;
+
+        const route = findRoute(target.dataset.route);
+        if (!route) return;
+        const pairing = { ...getRoutePairing(route) };
+        pairing[target.dataset.field] = target.type === 'checkbox' ? target.checked : target.value;
+        try {
+            setRoutePairing(route.id, pairing);
+            error = '';
+        } catch (pairingError) {
+            error = pairingError.message;
+        }
+        renderPairings();
+    });
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'pairings':
+                mode = 'pairings';
+                error = '';
+                render();
+                break;
+            case 'back':
+                mode = 'proposal';
+                solve();
+                break;
+            case 'rerun':
+                solve();
+                break;
+            case 'apply': {
+                const chosen = [...body.querySelectorAll('[data-change]:checked')].map(box => proposal.changes[Number(box.dataset.change)]);
+                if (chosen.length === 0) {
+                    uiSystem.showNotification('Choose at least one assignment', 'info');
+                    return;
+                }
+                const { applied, skipped } = applyProposal(chosen, view);
+                uiSystem.closeCurrentModal();
+                uiSystem.showNotification(`Filled ${applied} slot${applied === 1 ? '' : 's'} on the ${view} board`, 'success');
+                if (skipped.length > 0) alert(`Skipped because the board changed:\n${skipped.join('\n')}`);
+                break;
+            }
+        }
+    });
+
+    uiSystem.openModal(modal.id);
+    if (mode === 'pairings') render();
+    solve();
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.openAutoAssignDialog = openAutoAssignDialog;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    AUTO_ASSIGN_WEIGHTS,
+    getRoutePairing,
+    setRoutePairing,
+    getRouteRidership,
+    solveBoard,
+    applyProposal,
+    openAutoAssignDialog
+};
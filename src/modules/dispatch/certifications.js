@@ -0,0 +1,544 @@
+/* DISPATCH - CERTIFICATIONS MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: the certification registry per staff member, required
+   certifications per route type and asset type, qualification checks for
+   driver assignments, the expiring-soon panel and dialogs
+
+   A staff record carries its certificates:
+     certifications: [{ id, type, number, expires }]  (expires is YYYY-MM-DD, empty for none)
+   Requirements live in STATE.data.certificationRequirements:
+     { routeTypes: { 'special-education': ['wheelchair-lift'] },
+       assetTypes: { 'Bus': ['cdl', 'cdl-school-bus'] },
+       enforcement: 'block' | 'warn' }
+   They apply to the driver: a route needs the certificates for its type and
+   for the type of the asset on it. No requirements are set until a
+   dispatcher adds them, so existing boards keep working.
+
+   A missing or expired certificate blocks the assignment (or only warns when
+   enforcement is 'warn'); one expiring within EXPIRY_WARNING_DAYS of the
+   service day warns.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { STATE, saveToLocalStorage, getTodayServiceDate } from '../core/state.js';
+import { debounceRender, generateId, escapeHtml } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { uiSystem } from '../ui/system.js';
+import { ROUTE_TYPES } from './routeCards.js';
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+const CERTIFICATION_TYPES = {
+    'cdl': 'CDL',
+    'cdl-passenger': 'CDL passenger endorsement (P)',
+    'cdl-school-bus': 'CDL school bus endorsement (S)',
+    'wheelchair-lift': 'Wheelchair lift training',
+    'first-aid': 'First aid / CPR'
+};
+
+const EXPIRY_WARNING_DAYS = 30;
+const EXPIRY_WINDOWS = [30, 60, 90];
+const PANEL_LIMIT = 8;
+const CERTIFICATIONS_MODAL_ID = 'certifications-modal';
+
+function findStaff(staffId) {
+    return (STATE.data?.staff || []).find(staff => staff.id === staffId || staff.name === staffId) || null;
+}
+
+function findAsset(asset) {
+    if (!asset) return null;
+    const name = typeof asset === 'object' ? asset.name || asset.number : asset;
+    return (STATE.data?.assets || []).find(candidate => candidate.name === name || candidate.id === name) ||
+        (typeof asset === 'object' ? asset : null);
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function daysBetween(from, to) {
+    const toUtc = date => {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+}
+
+function certificationLabel(type) {
+    return CERTIFICATION_TYPES[type] || type;
+}
+
+function routeTypeLabel(id) {
+    return Object.values(ROUTE_TYPES).find(type => type.id === id)?.label || id;
+}
+
+function getStaffCertifications(staff) {
+    return Array.isArray(staff?.certifications) ? staff.certifications : [];
+}
+
+/**
+ * The staff member's certificate of a type that lasts longest
+ */
+function findCertification(staff, type) {
+    return getStaffCertifications(staff)
+        .filter(certification => certification.type === type)
+        .sort((a, b) => (b.expires || '9999-12-31').localeCompare(a.expires || '9999-12-31'))[0] || null;
+}
+
+// =============================================================================
+// REQUIREMENTS
+// =============================================================================
+
+function getCertificationRequirements() {
+    const saved = STATE.data?.certificationRequirements || {};
+    return {
+        routeTypes: { ...(saved.routeTypes || {}) },
+        assetTypes: { ...(saved.assetTypes || {}) },
+        enforcement: saved.enforcement === 'warn' ? 'warn' : 'block'
+    };
+}
+
+function setCertificationRequirements({ routeTypes = {}, assetTypes = {}, enforcement = 'block' }) {
+    const clean = map => Object.fromEntries(Object.entries(map)
+        .map(([key, types]) => [key, [...new Set((types || []).filter(Boolean))]])
+        .filter(([key, types]) => key && types.length > 0));
+    const requirements = {
+        routeTypes: clean(routeTypes),
+        assetTypes: clean(assetTypes),
+        enforcement: enforcement === 'warn' ? 'warn' : 'block'
+    };
+
+    return recordAction('changed the certification requirements', () => {
+        STATE.data.certificationRequirements = requirements;
+        saveToLocalStorage();
+        return requirements;
+    });
+}
+
+/**
+ * Asset types to offer requirements for: the fleet's types plus any already required
+ */
+function getAssetTypes() {
+    const types = new Set((STATE.data?.assets || []).map(asset => asset.type).filter(Boolean));
+    Object.keys(getCertificationRequirements().assetTypes).forEach(type => types.add(type));
+    return [...types].sort();
+}
+
+/**
+ * Certificates the driver of a route needs, with where each requirement comes from
+ * @returns {Array<{type: string, source: string}>}
+ */
+function getRequiredCertifications(route, asset = route?.asset) {
+    const requirements = getCertificationRequirements();
+    const required = new Map();
+    const add = (types, source) => (types || []).forEach(type => {
+        if (!required.has(type)) required.set(type, source);
+    });
+
+    if (route?.type) add(requirements.routeTypes[route.type], `${routeTypeLabel(route.type)} routes`);
+    const assetType = findAsset(asset)?.type;
+    if (assetType) add(requirements.assetTypes[assetType], assetType);
+
+    return [...required].map(([type, source]) => ({ type, source }));
+}
+
+// =============================================================================
+// QUALIFICATION CHECKS
+// =============================================================================
+
+/**
+ * Can the staff member drive this route (and asset) on the service day?
+ * @param {Object} staff
+ * @param {Object} options
+ * @param {Object} [options.route]
+ * @param {Object|string} [options.asset] - defaults to the asset on the route
+ * @param {string} [options.date] - defaults to the open service day
+ * @returns {{blocking: string[], warnings: string[]}}
+ */
+function checkQualifications(staff, { route = null, asset = route?.asset, date = STATE.serviceDate || getTodayServiceDate() } = {}) {
+    const blocking = [];
+    const warnings = [];
+    if (!staff) return { blocking, warnings };
+
+    getRequiredCertifications(route, asset).forEach(({ type, source }) => {
+        const certification = findCertification(staff, type);
+        if (!certification) {
+            blocking.push(`${staff.name} has no ${certificationLabel(type)} (required for ${source})`);
+            return;
+        }
+        if (!certification.expires) return;
+
+        const daysLeft = daysBetween(date, certification.expires);
+        if (daysLeft < 0) {
+            blocking.push(`${staff.name}'s ${certificationLabel(type)} expired on ${certification.expires}`);
+        } else if (daysLeft <= EXPIRY_WARNING_DAYS) {
+            warnings.push(`${staff.name}'s ${certificationLabel(type)} expires on ${certification.expires} (${daysLeft} day${daysLeft === 1 ? '' : 's'})`);
+        }
+    });
+
+    if (getCertificationRequirements().enforcement === 'warn') {
+        return { blocking: [], warnings: [...blocking, ...warnings] };
+    }
+    return { blocking, warnings };
+}
+
+/**
+ * Every certificate expired or expiring within the window, soonest first
+ * @returns {Array<{staff: Object, certification: Object, daysLeft: number}>}
+ */
+function getExpiringCertifications(days = EXPIRY_WINDOWS[EXPIRY_WINDOWS.length - 1], from = getTodayServiceDate()) {
+    return (STATE.data?.staff || [])
+        .flatMap(staff => getStaffCertifications(staff)
+            .filter(certification => isValidDate(certification.expires))
+            .map(certification => ({ staff, certification, daysLeft: daysBetween(from, certification.expires) })))
+        .filter(entry => entry.daysLeft <= days)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * The expiry window (30, 60, 90) an entry falls in, or 'expired'
+ */
+function getExpiryBucket(daysLeft) {
+    if (daysLeft < 0) return 'expired';
+    return EXPIRY_WINDOWS.find(window => daysLeft <= window) || null;
+}
+
+// =============================================================================
+// EDITING
+// =============================================================================
+
+function normalizeCertifications(certifications) {
+    return (certifications || []).map((certification, index) => {
+        const type = String(certification.type || '').trim();
+        const expires = String(certification.expires || '').trim();
+        if (!type) {
+            throw new Error(`Certificate ${index + 1} needs a type`);
+        }
+        if (expires && !isValidDate(expires)) {
+            throw new Error(`Certificate ${index + 1} has an invalid expiry date`);
+        }
+        return {
+            id: certification.id || generateId('cert'),
+            type,
+            number: String(certification.number || '').trim(),
+            expires
+        };
+    });
+}
+
+function setStaffCertifications(staffId, certifications) {
+    const staff = findStaff(staffId);
+    if (!staff) return false;
+
+    const cleaned = normalizeCertifications(certifications);
+    return recordAction(`updated certifications for ${staff.name}`, () => {
+        staff.certifications = cleaned;
+        saveToLocalStorage();
+        debounceRender('renderStaffPanel');
+        return true;
+    });
+}
+
+// =============================================================================
+// EXPIRING-SOON PANEL
+// =============================================================================
+
+const BUCKET_STYLES = {
+    expired: { label: 'Expired', classes: 'bg-red-100 text-red-800' },
+    30: { label: '≤ 30 days', classes: 'bg-orange-100 text-orange-800' },
+    60: { label: '≤ 60 days', classes: 'bg-yellow-100 text-yellow-800' },
+    90: { label: '≤ 90 days', classes: 'bg-blue-100 text-blue-800' }
+};
+
+function renderCertificationPanel() {
+    const panel = document.getElementById('certification-expiry');
+    if (!panel) return;
+
+    const entries = getExpiringCertifications();
+    const counts = { expired: 0, 30: 0, 60: 0, 90: 0 };
+    entries.forEach(entry => counts[getExpiryBucket(entry.daysLeft)]++);
+
+    panel.innerHTML = `
+        <div class="flex flex-wrap gap-1 mb-2">
+            ${Object.entries(BUCKET_STYLES).map(([bucket, style]) => `
+                <span class="px-2 py-0.5 rounded-full text-xs font-semibold ${style.classes}">${style.label}: ${counts[bucket]}</span>
+            `).join('')}
+        </div>
+        ${entries.length === 0 ? '<div class="text-sm text-gray-500">No certificates due in the next 90 days</div>' : `
+            <ul class="text-sm space-y-1">
+                ${entries.slice(0, PANEL_LIMIT).map(({ staff, certification, daysLeft }) => `
+                    <li class="flex justify-between gap-2">
+                        <span class="truncate"><span class="font-semibold">${escapeHtml(staff.name)}</span> · ${escapeHtml(certificationLabel(certification.type))}</span>
+                        <span class="whitespace-nowrap px-1 rounded text-xs ${BUCKET_STYLES[getExpiryBucket(daysLeft)].classes}">${daysLeft < 0 ? 'expired' : `${daysLeft} d`}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${entries.length > PANEL_LIMIT ? `<div class="text-xs text-gray-500 mt-1">and ${entries.length - PANEL_LIMIT} more</div>` : ''}
+        `}
+    `;
+}
+
+// =============================================================================
+// DIALOGS
+// =============================================================================
+
+function certificationTypeOptions(selected) {
+    const types = { ...CERTIFICATION_TYPES };
+    if (selected && !types[selected]) types[selected] = selected;
+    return Object.entries(types).map(([id, label]) =>
+        `<option value="${escapeHtml(id)}" ${id === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+}
+
+/**
+ * Edit one staff member's certificates
+ */
+function openStaffCertificationsDialog(staffId) {
+    const initialStaff = findStaff(staffId);
+    if (!initialStaff) return;
+
+    // Undo and live sync replace staff objects, so look the record up on every save
+    const currentStaff = () => findStaff(staffId) || initialStaff;
+    let draft = getStaffCertifications(initialStaff).map(certification => ({ ...certification }));
+    const modal = uiSystem.createModal(CERTIFICATIONS_MODAL_ID, `📜 ${escapeHtml(initialStaff.name)} Certifications`, '<div id="staff-certifications-body"></div>');
+    const body = modal.querySelector('#staff-certifications-body');
+
+    const render = () => {
+        const today = getTodayServiceDate();
+        body.innerHTML = `
+            <div class="space-y-3" style="min-width: min(640px, 90vw);">
+                ${draft.length === 0 ? '<p class="text-sm text-gray-500">No certificates on file.</p>' : `
+                    <table class="w-full text-sm">
+                        <thead class="bg-gray-100">
+                            <tr>
+                                <th class="px-1 py-1 text-left">Type</th>
+                                <th class="px-1 py-1 text-left">Number</th>
+                                <th class="px-1 py-1 text-left">Expires</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${draft.map((certification, index) => {
+                                const daysLeft = isValidDate(certification.expires) ? daysBetween(today, certification.expires) : null;
+                                const bucket = daysLeft === null ? null : getExpiryBucket(daysLeft);
+                                return `
+                                    <tr data-index="${index}">
+                                        <td class="px-1 py-1"><select data-field="type" class="w-full border rounded px-1">${certificationTypeOptions(certification.type)}</select></td>
+                                        <td class="px-1 py-1"><input data-field="number" class="w-full border rounded px-1" value="${escapeHtml(certification.number)}"></td>
+                                        <td class="px-1 py-1 whitespace-nowrap">
+                                            <input data-field="expires" type="date" class="border rounded px-1" value="${escapeHtml(certification.expires)}">
+                                            ${bucket ? `<span class="px-1 rounded text-xs ${BUCKET_STYLES[bucket].classes}">${daysLeft < 0 ? 'expired' : `${daysLeft} d`}</span>` : ''}
+                                        </td>
+                                        <td class="px-1 py-1"><button type="button" data-action="remove" class="text-red-600" title="Remove">✕</button></td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `}
+                <p id="staff-certifications-error" class="text-sm text-red-600 hidden"></p>
+                <div class="flex justify-between">
+                    <button type="button" data-action="add" class="btn btn-secondary">+ Add certificate</button>
+                    <div class="flex gap-2">
+                        <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Close</button>
+                        <button type="button" data-action="save" class="btn btn-primary">Save certifications</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    };
+
+    const readField = (e) => {
+        const row = e.target.closest('tr[data-index]');
+        if (row && e.target.dataset.field) {
+            draft[Number(row.dataset.index)][e.target.dataset.field] = e.target.value;
+        }
+    };
+    body.addEventListener('input', readField);
+    body.addEventListener('change', readField);
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'add':
+                draft.push({ type: Object.keys(CERTIFICATION_TYPES)[0], number: '', expires: '' });
+                break;
+            case 'remove':
+                draft.splice(Number(button.closest('tr[data-index]').dataset.index), 1);
+                break;
+            case 'save':
+                try {
+                    setStaffCertifications(staffId, draft);
+                    draft = getStaffCertifications(currentStaff()).map(certification => ({ ...certification }));
+                    uiSystem.showNotification(`Saved certifications for ${currentStaff().name}`, 'success');
+                } catch (error) {
+                    const errorEl = body.querySelector('#staff-certifications-error');
+                    errorEl.textContent = error.message;
+                    errorEl.classList.remove('hidden');
+                    return;
+                }
+                break;
+        }
+        render();
+    });
+
+    render();
+    uiSystem.openModal(modal.id);
+}
+
+function requirementRows(kind, keys, labelOf, required) {
+    return keys.map(key => `
+        <tr class="border-t">
+            <td class="px-1 py-1 font-medium whitespace-nowrap">${escapeHtml(labelOf(key))}</td>
+            ${Object.keys(CERTIFICATION_TYPES).map(type => `
+                <td class="px-1 py-1 text-center">
+                    <input type="checkbox" data-kind="${kind}" data-key="${escapeHtml(key)}" data-type="${type}" ${(required[key] || []).includes(type) ? 'checked' : ''}>
+                </td>
+            `).join('')}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Everything due in the next 90 days, and the requirements per route and asset type
+ */
+function openCertificationsDialog() {
+    const modal = uiSystem.createModal(CERTIFICATIONS_MODAL_ID, '📜 Certifications', '<div id="certifications-body"></div>');
+    const body = modal.querySelector('#certifications-body');
+
+    const render = () => {
+        const entries = getExpiringCertifications();
+        const requirements = getCertificationRequirements();
+        const routeTypes = Object.values(ROUTE_TYPES).map(type => type.id).filter(id => id !== 'inactive');
+        const assetTypes = getAssetTypes();
+        const typeHeaders = Object.values(CERTIFICATION_TYPES).map(label =>
+            `<th class="px-1 py-1 text-xs font-medium text-gray-600">${escapeHtml(label)}</th>`).join('');
+
+        body.innerHTML = `
+            <div class="space-y-4" style="min-width: min(860px, 94vw);">
+                <div>
+                    <h4 class="font-semibold mb-2">Expired and due within 90 days</h4>
+                    ${entries.length === 0 ? '<p class="text-sm text-gray-500">Nothing due.</p>' : `
+                        <div class="max-h-64 overflow-y-auto border rounded">
+                            <table class="w-full text-sm">
+                                <thead class="bg-gray-100 sticky top-0">
+                                    <tr>
+                                        <th class="px-2 py-1 text-left">Staff</th>
+                                        <th class="px-2 py-1 text-left">Certificate</th>
+                                        <th class="px-2 py-1 text-left">Number</th>
+                                        <th class="px-2 py-1 text-left">Expires</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${entries.map(({ staff, certification, daysLeft }) => `
+                                        <tr class="border-t">
+                                            <td class="px-2 py-1 font-semibold">${escapeHtml(staff.name)}</td>
+                                            <td class="px-2 py-1">${escapeHtml(certificationLabel(certification.type))}</td>
+                                            <td class="px-2 py-1">${escapeHtml(certification.number)}</td>
+                                            <td class="px-2 py-1 whitespace-nowrap">
+                                                ${escapeHtml(certification.expires)}
+                                                <span class="px-1 rounded text-xs ${BUCKET_STYLES[getExpiryBucket(daysLeft)].classes}">${daysLeft < 0 ? 'expired' : `${daysLeft} d`}</span>
+                                            </td>
+                                            <td class="px-2 py-1 text-right">
+                                                <button type="button" data-action="edit-staff" data-staff-id="${escapeHtml(staff.id || staff.name)}" class="px-2 py-0.5 border rounded text-blue-700 hover:bg-blue-50">Edit</button>
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+
+                <div>
+                    <h4 class="font-semibold mb-2">Required for drivers</h4>
+                    <div class="overflow-x-auto border rounded">
+                        <table class="w-full text-sm">
+                            <thead class="bg-gray-100"><tr><th class="px-1 py-1 text-left">Route type</th>${typeHeaders}</tr></thead>
+                            <tbody>${requirementRows('routeTypes', routeTypes, routeTypeLabel, requirements.routeTypes)}</tbody>
+                            <thead class="bg-gray-100"><tr><th class="px-1 py-1 text-left">Asset type</th>${typeHeaders}</tr></thead>
+                            <tbody>
+                                ${assetTypes.length === 0
+                                    ? `<tr><td colspan="${Object.keys(CERTIFICATION_TYPES).length + 1}" class="px-1 py-1 text-gray-500">No asset types in the fleet yet</td></tr>`
+                                    : requirementRows('assetTypes', assetTypes, type => type, requirements.assetTypes)}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="flex flex-wrap items-center justify-between gap-2 mt-2">
+                        <label class="text-sm">When a driver is not qualified
+                            <select id="certification-enforcement" class="border rounded px-1 ml-1">
+                                <option value="block" ${requirements.enforcement === 'block' ? 'selected' : ''}>block the assignment</option>
+                                <option value="warn" ${requirements.enforcement === 'warn' ? 'selected' : ''}>warn and allow it</option>
+                            </select>
+                        </label>
+                        <button type="button" data-action="save-requirements" class="btn btn-primary">Save requirements</button>
+                    </div>
+                </div>
+
+                <div class="flex justify-end">
+                    <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Close</button>
+                </div>
+            </div>
+        `;
+    };
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'edit-staff') {
+            openStaffCertificationsDialog(button.dataset.staffId);
+            return;
+        }
+        if (button.dataset.action === 'save-requirements') {
+            const next = { routeTypes: {}, assetTypes: {} };
+            body.querySelectorAll('input[data-kind]:checked').forEach(input => {
+                const map = next[input.dataset.kind];
+                (map[input.dataset.key] = map[input.dataset.key] || []).push(input.dataset.type);
+            });
+            setCertificationRequirements({ ...next, enforcement: body.querySelector('#certification-enforcement').value });
+            uiSystem.showNotification('Certification requirements saved', 'success');
+            render();
+        }
+    });
+
+    render();
+    uiSystem.openModal(modal.id);
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.renderCertificationPanel = renderCertificationPanel;
+    window.openCertificationsDialog = openCertificationsDialog;
+    window.openStaffCertificationsDialog = openStaffCertificationsDialog;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    CERTIFICATION_TYPES,
+    EXPIRY_WARNING_DAYS,
+    EXPIRY_WINDOWS,
+    certificationLabel,
+    findCertification,
+    getCertificationRequirements,
+    setCertificationRequirements,
+    getRequiredCertifications,
+    checkQualifications,
+    getExpiringCertifications,
+    getExpiryBucket,
+    setStaffCertifications,
+    renderCertificationPanel,
+    openStaffCertificationsDialog,
+    openCertificationsDialog
+};
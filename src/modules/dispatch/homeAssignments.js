@@ -0,0 +1,452 @@
+/* DISPATCH - HOME ASSIGNMENTS MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: pre-filling a new service day from each route's home
+   driver and bus, spotting cards that differ from home, keeping the reason
+   for each difference, and the deviations report
+
+   A route's home assignment is its pairing (see dispatch/autoAssign.js). It is
+   part of the route definition, so it stays put while the board changes from
+   day to day. A deviation is a route whose driver or bus on a day's board is
+   not the home one, including a slot left empty. Each day's board keeps a
+   reason per deviation in route.deviations ({ driver, asset }). The reason
+   is captured when the slot changes: the home driver is out, on time off or
+   on another route, or the home bus is down or on another route. The
+   dispatcher can overwrite it. While a day is today or ahead, its board also
+   keeps the home driver and bus in route.deviations.home, so once it is in
+   the past it is judged against the home assignments it ran under rather
+   than today's. Past days saved without one fall back to today's.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { eventBus } from '../core/events.js';
+import { STATE, saveToLocalStorage, getTodayServiceDate, isNewServiceDay } from '../core/state.js';
+import { debounceRender, escapeHtml } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { downloadCsv } from '../core/csv.js';
+import { uiSystem } from '../ui/system.js';
+import { loadServiceDays } from '../data/reports.js';
+import { assignDriver, assignAsset, describeRoute } from './routeCards.js';
+import { getRoutePairing, openAutoAssignDialog } from './autoAssign.js';
+import { getTimeOff } from './staffSchedule.js';
+
+// =============================================================================
+// DEVIATIONS
+// =============================================================================
+
+const DEVIATIONS_MODAL_ID = 'deviations-modal';
+const DEVIATION_FIELDS = ['driver', 'asset'];
+const FIELD_LABELS = { driver: 'Driver', asset: 'Bus' };
+
+// Service days already pre-filled in this session
+const prefilledDates = new Set();
+
+function findRoute(routeId) {
+    return (STATE.data?.routes || []).find(route => route.id === routeId) || null;
+}
+
+function nameOf(value) {
+    if (!value) return '';
+    return typeof value === 'object' ? String(value.name || value.number || '') : String(value);
+}
+
+/**
+ * Home driver and bus names for a route
+ * @returns {{driver: string, asset: string}}
+ */
+function getHomeAssignment(route) {
+    const pairing = getRoutePairing(route);
+    return { driver: pairing.driver, asset: pairing.asset };
+}
+
+/**
+ * Home driver and bus a day's board is judged against: the snapshot kept
+ * with a past day's deviations, otherwise the current home assignment
+ * @param {Object} [entry] - the route's board entry for the day
+ */
+function getDayHome(route, entry, date) {
+    const snapshot = entry?.deviations?.home;
+    if (snapshot && date < getTodayServiceDate()) {
+        return { driver: snapshot.driver || '', asset: snapshot.asset || '' };
+    }
+    return getHomeAssignment(route);
+}
+
+/**
+ * Why a slot is not its home assignment, from what the board shows
+ * @param {Object} context
+ * @param {Object} context.routeBoard - { [routeId]: { driver, asset } } for the day
+ * @param {Array} context.staffOut - the day's out of service list
+ * @param {string} context.date - service date
+ * @param {boolean} [context.live] - the open day, where today's fleet status applies
+ */
+function explainDeviation(route, field, { routeBoard, staffOut, date, live = false }) {
+    const home = getDayHome(route, routeBoard[route.id], date)[field];
+    const actual = nameOf(routeBoard[route.id]?.[field]);
+    const elsewhere = Object.entries(routeBoard)
+        .find(([routeId, entry]) => routeId !== route.id && nameOf(entry?.[field]) === home);
+    const movedTo = elsewhere ? `${home} moved to ${describeRoute(elsewhere[0])}` : null;
+
+    if (field === 'driver') {
+        const out = (staffOut || []).find(entry => entry.name === home);
+        if (out) return `${home} out${out.reason ? `: ${out.reason}` : ''}`;
+        const staff = (STATE.data?.staff || []).find(member => member.name === home);
+        const timeOff = staff ? getTimeOff(staff, date) : null;
+        if (timeOff) return `${home} on time off${timeOff.reason ? `: ${timeOff.reason}` : ''}`;
+    } else if (live && STATE.assetStatus[home] === 'Down') {
+        return `${home} down`;
+    }
+
+    if (movedTo) return movedTo;
+    return actual ? '' : 'not filled';
+}
+
+/**
+ * Where the route's board differs from its home assignment
+ * @returns {Array<{field: 'driver'|'asset', home: string, actual: string, reason: string}>}
+ */
+function getRouteDeviations(route, context = null) {
+    if (!route || route.type === 'inactive' || route.type === 'field-trips') return [];
+    const dayContext = context || getOpenDayContext();
+    const entry = dayContext.routeBoard[route.id] || {};
+    const home = getDayHome(route, entry, dayContext.date);
+
+    return DEVIATION_FIELDS.flatMap(field => {
+        if (!home[field]) return [];
+        const actual = nameOf(entry[field]);
+        if (actual === home[field]) return [];
+        const reason = entry.deviations?.[field] || explainDeviation(route, field, dayContext) || 'no reason given';
+        return [{ field, home: home[field], actual, reason }];
+    });
+}
+
+function getOpenDayContext() {
+    const routeBoard = {};
+    (STATE.data?.routes || []).forEach(route => {
+        routeBoard[route.id] = { driver: route.driver, asset: route.asset, deviations: route.deviations };
+    });
+    return { routeBoard, staffOut: STATE.staffOut, date: STATE.serviceDate || getTodayServiceDate(), live: true };
+}
+
+/**
+ * Keep the open day's deviation reasons in step with the board: capture the
+ * reason for a new deviation while it is still known, and drop it once the
+ * slot is back to home. Reasons the dispatcher typed are kept. Until the day
+ * is past, its home snapshot follows the current home assignments.
+ */
+function captureDeviationReasons() {
+    const context = getOpenDayContext();
+    const live = context.date >= getTodayServiceDate();
+    let changed = false;
+
+    (STATE.data?.routes || []).forEach(route => {
+        const home = getDayHome(route, route, context.date);
+        if (live && updateHomeSnapshot(route, home)) changed = true;
+
+        DEVIATION_FIELDS.forEach(field => {
+            if (!home[field]) return;
+            const stored = route.deviations?.[field];
+            if (nameOf(route[field]) === home[field]) {
+                if (stored) {
+                    delete route.deviations[field];
+                    changed = true;
+                }
+                return;
+            }
+            const reason = explainDeviation(route, field, context);
+            if (stored || !reason || reason === 'not filled') return;
+            route.deviations = { ...(route.deviations || {}), [field]: reason };
+            changed = true;
+        });
+    });
+
+    if (changed) saveToLocalStorage();
+    return changed;
+}
+
+function updateHomeSnapshot(route, home) {
+    const stored = route.deviations?.home;
+    if (!home.driver && !home.asset) {
+        if (!stored) return false;
+        delete route.deviations.home;
+        return true;
+    }
+    if (stored && stored.driver === home.driver && stored.asset === home.asset) return false;
+
+    route.deviations = { ...(route.deviations || {}), home: { driver: home.driver, asset: home.asset } };
+    return true;
+}
+
+/**
+ * Record the dispatcher's reason for a deviation on the open day
+ */
+function setDeviationReason(routeId, field, reason) {
+    const route = findRoute(routeId);
+    if (!route || !DEVIATION_FIELDS.includes(field)) return false;
+
+    return recordAction(`noted why ${describeRoute(routeId)} is off its home ${FIELD_LABELS[field].toLowerCase()}`, () => {
+        const text = String(reason || '').trim();
+        const deviations = { ...(route.deviations || {}) };
+        if (text) deviations[field] = text;
+        else delete deviations[field];
+        route.deviations = deviations;
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
+        debounceRender('renderRouteCards');
+        return true;
+    });
+}
+
+// =============================================================================
+// NEW DAY PRE-FILL
+// =============================================================================
+
+/**
+ * Put each route's home driver and bus on its empty slots. Home drivers who
+ * are out or on time off, home buses that are down and anything already on
+ * another card are left off, and the reason is kept.
+ * @returns {number} slots filled
+ */
+function prefillFromHome() {
+    const date = STATE.serviceDate || getTodayServiceDate();
+    let filled = 0;
+
+    recordAction(`filled ${date} from home assignments`, () => {
+        (STATE.data?.routes || []).forEach(route => {
+            if (route.type === 'inactive' || route.type === 'field-trips') return;
+            const home = getHomeAssignment(route);
+            const routes = STATE.data.routes;
+
+            if (home.driver && !route.driver) {
+                const staff = (STATE.data.staff || []).find(member => member.name === home.driver);
+                const taken = routes.some(other => nameOf(other.driver) === home.driver ||
+                    (other.safetyEscorts || []).some(escort => escort.name === home.driver));
+                if (staff && !taken && !STATE.staffOut.some(out => out.name === home.driver) && !getTimeOff(staff, date)) {
+                    assignDriver(route.id, { name: staff.name, id: staff.id });
+                    filled++;
+                }
+            }
+
+            if (home.asset && !route.asset) {
+                const asset = (STATE.data.assets || []).find(candidate => nameOf(candidate) === home.asset);
+                const taken = routes.some(other => nameOf(other.asset) === home.asset);
+                if (asset && !taken && STATE.assetStatus[home.asset] !== 'Down' && asset.status !== 'down') {
+                    assignAsset(route.id, asset);
+                    filled++;
+                }
+            }
+        });
+        captureDeviationReasons();
+    });
+
+    prefilledDates.add(date);
+    if (filled > 0) {
+        debounceRender('renderRouteCards');
+        debounceRender('renderStaffPanel');
+        debounceRender('renderAssetPanel');
+    }
+    return filled;
+}
+
+/**
+ * Pre-fill the open day if it started blank and is not in the past
+ */
+function prefillNewServiceDay() {
+    const date = STATE.serviceDate || getTodayServiceDate();
+    if (!isNewServiceDay() || prefilledDates.has(date) || date < getTodayServiceDate()) return 0;
+
+    const filled = prefillFromHome();
+    if (filled > 0) {
+        uiSystem.showNotification(`Started ${date} with ${filled} home assignment${filled === 1 ? '' : 's'}`, 'info');
+    }
+    return filled;
+}
+
+// =============================================================================
+// DEVIATIONS REPORT
+// =============================================================================
+
+/**
+ * Every deviation from home on the saved boards in the range, by day
+ * @returns {Promise<Array<{date: string, routeId: string, routeName: string, field: string, home: string, actual: string, reason: string, open: boolean}>>}
+ */
+async function buildDeviationReport(from, to) {
+    const serviceDays = await loadServiceDays(from, to);
+    const routes = STATE.data?.routes || [];
+
+    return serviceDays
+        .filter(({ day }) => day.routeBoard)
+        .flatMap(({ date, day }) => {
+            const open = date === STATE.serviceDate;
+            const context = { routeBoard: day.routeBoard, staffOut: day.staffOut, date, live: open };
+            return routes.flatMap(route => getRouteDeviations(route, context).map(deviation => ({
+                date,
+                routeId: route.id,
+                routeName: route.name,
+                ...deviation,
+                open
+            })));
+        });
+}
+
+/**
+ * Deviations report with editable reasons for the open day and CSV export
+ */
+function openDeviationsDialog() {
+    const today = STATE.serviceDate || getTodayServiceDate();
+    const range = { from: today, to: today };
+    let rows = [];
+    let loading = true;
+
+    const modal = uiSystem.createModal(DEVIATIONS_MODAL_ID, '↔️ Deviations from Home', '<div id="deviations-body"></div>');
+    const body = modal.querySelector('#deviations-body');
+
+    const render = () => {
+        const substitutes = new Set(rows.filter(row => row.field === 'driver' && row.actual).map(row => row.actual));
+        body.innerHTML = `
+            <div class="space-y-3" style="min-width: min(900px, 94vw);">
+                <div class="flex flex-wrap items-end gap-3">
+                    <label class="text-sm">From <input type="date" data-range="from" value="${range.from}" class="border rounded px-2 py-1"></label>
+                    <label class="text-sm">To <input type="date" data-range="to" value="${range.to}" class="border rounded px-2 py-1"></label>
+                    <span class="text-sm text-gray-600">
+                        ${loading ? 'Loading…' : `${rows.length} deviation${rows.length === 1 ? '' : 's'}, ${substitutes.size} substitute driver${substitutes.size === 1 ? '' : 's'}`}
+                    </span>
+                    <span class="flex-1"></span>
+                    <button type="button" data-action="home" class="px-3 py-1 border rounded hover:bg-gray-50">Home Assignments…</button>
+                    <button type="button" data-action="csv" class="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600" ${rows.length === 0 ? 'disabled' : ''}>Download CSV</button>
+                </div>
+                <div class="max-h-[60vh] overflow-y-auto border rounded">
+                    ${!loading && rows.length === 0 ? '<p class="p-3 text-sm text-gray-500">Every route with a home assignment ran on it.</p>' : `
+                        <table class="w-full text-sm">
+                            <thead class="bg-gray-100 sticky top-0">
+                                <tr>
+                                    <th class="px-2 py-1 text-left">Date</th>
+                                    <th class="px-2 py-1 text-left">Route</th>
+                                    <th class="px-2 py-1 text-left">Slot</th>
+                                    <th class="px-2 py-1 text-left">Home</th>
+                                    <th class="px-2 py-1 text-left">Ran with</th>
+                                    <th class="px-2 py-1 text-left">Reason</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows.map((row, index) => `
+                                    <tr class="border-t align-top">
+                                        <td class="px-2 py-1 whitespace-nowrap">${escapeHtml(row.date)}</td>
+                                        <td class="px-2 py-1 font-semibold">${escapeHtml(row.routeName)}</td>
+                                        <td class="px-2 py-1">${FIELD_LABELS[row.field]}</td>
+                                        <td class="px-2 py-1">${escapeHtml(row.home)}</td>
+                                        <td class="px-2 py-1 ${row.actual ? '' : 'text-red-600'}">${escapeHtml(row.actual || 'nobody')}</td>
+                                        <td class="px-2 py-1">
+                                            ${row.open
+                                                ? `<input type="text" data-row="${index}" value="${escapeHtml(row.reason === 'no reason given' ? '' : row.reason)}" placeholder="no reason given" class="w-full border rounded px-1 py-0.5">`
+                                                : escapeHtml(row.reason)}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+                <div class="flex justify-end">
+                    <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Close</button>
+                </div>
+            </div>
+        `;
+    };
+
+    const refresh = async () => {
+        loading = true;
+        render();
+        try {
+            rows = await buildDeviationReport(range.from, range.to);
+        } catch (error) {
+            console.error('❌ Error building deviations report:', error);
+            uiSystem.showNotification(`Could not build the report: ${error.message}`, 'error');
+            rows = [];
+        }
+        loading = false;
+        render();
+    };
+
+    body.addEventListener('change', (e) => {
+        const target = e.target;
+        if (target.dataset.range) {
+            range[target.dataset.range] = target.value;
+            if (range.from && range.to && range.from > range.to) {
+                range[target.dataset.range === 'from' ? 'to' : 'from'] = target.value;
+            }
+            refresh();
+            return;
+        }
+        if (target.dataset.row !== undefined) {
+            const row = rows[Number(target.dataset.row)];
+            if (!row) return;
+            setDeviationReason(row.routeId, row.field, target.value);
+            row.reason = target.value.trim() || 'no reason given';
+        }
+    });
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'home') {
+            openAutoAssignDialog({ mode: 'pairings' });
+        } else if (button.dataset.action === 'csv') {
+            downloadCsv([
+                ['Date', 'Route', 'Slot', 'Home', 'Ran with', 'Reason'],
+                ...rows.map(row => [row.date, row.routeName, FIELD_LABELS[row.field], row.home, row.actual, row.reason])
+            ], `deviations-${range.from}${range.to !== range.from ? `-to-${range.to}` : ''}.csv`);
+        }
+    });
+
+    uiSystem.openModal(modal.id);
+    refresh();
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Pre-fill new days and keep deviation reasons current as the board changes
+ */
+function startHomeAssignments() {
+    eventBus.on('serviceDay:changed', () => openServiceDayFromHome());
+    ['routes:driverAssigned', 'routes:assetAssigned', 'routes:pairingChanged', 'staff:markedOut'].forEach(eventName => {
+        eventBus.on(eventName, () => captureDeviationReasons());
+    });
+    openServiceDayFromHome();
+}
+
+// Pre-fill a new day, and make sure a current day keeps its home snapshot
+function openServiceDayFromHome() {
+    prefillNewServiceDay();
+    if ((STATE.serviceDate || getTodayServiceDate()) >= getTodayServiceDate()) {
+        captureDeviationReasons();
+    }
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.openDeviationsDialog = openDeviationsDialog;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    getHomeAssignment,
+    getRouteDeviations,
+    captureDeviationReasons,
+    setDeviationReason,
+    prefillFromHome,
+    prefillNewServiceDay,
+    buildDeviationReport,
+    openDeviationsDialog,
+    startHomeAssignments
+};
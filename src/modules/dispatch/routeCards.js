@@ -10,7 +10,29 @@
 // Transportation Dispatch Dashboard Module Dependencies
 import { eventBus } from '../core/events.js';
 import { STATE, saveToLocalStorage } from '../core/state.js';
-import { debounceRender, PERFORMANCE } from '../core/utils.js';
+import { debounceRender, PERFORMANCE, escapeHtml, inlineArgument } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { readCsv, downloadCsv } from '../core/csv.js';
+import {
+    getLateBadgeHtml,
+    getStopProgressHtml,
+    updateLateIndicators,
+    getLateThresholdMinutes,
+    setLateThresholdMinutes
+} from './routeStops.js';
+import { getTimerBadgeHtml, updateRouteTimers, getAlarmMinutes } from './routeTimers.js';
+import { getDriverAvailability, getWeekRuns } from './staffSchedule.js';
+import { checkQualifications } from './certifications.js';
+import { getRouteDeviations } from './homeAssignments.js';
+import {
+    getStatusCode,
+    getSelectableStatusCodes,
+    isRadioStatus,
+    checkStatusTransition,
+    getCurrentStatus,
+    changeRouteStatus,
+    getStatusBadgeStyle
+} from '../core/statusCodes.js';
 
 // =============================================================================
 // ROUTE CARD DATA STRUCTURE
@@ -22,34 +44,51 @@ const ROUTE_TYPES = {
         id: 'general-education',
         label: 'General Education',
         color: '#3b82f6', // blue
-        icon: '🎒'
+        icon: '🎒',
+        alarmMinutes: 75 // minutes after 10-8 without a 10-7 before the timer alarms
     },
     SPECIAL_ED: {
         id: 'special-education', 
         label: 'Special Education',
         color: '#f59e0b', // amber
-        icon: '🌟'
+        icon: '🌟',
+        alarmMinutes: 90
     },
     MISCELLANEOUS: {
         id: 'miscellaneous',
         label: 'Miscellaneous',
         color: '#10b981', // emerald
-        icon: '📋'
+        icon: '📋',
+        alarmMinutes: 90
     },
     FIELD_TRIPS: {
         id: 'field-trips',
         label: 'Field Trips',
         color: '#8b5cf6', // violet
-        icon: '🚌'
+        icon: '🚌',
+        alarmMinutes: 480
     },
     INACTIVE: {
         id: 'inactive',
         label: 'Inactive',
         color: '#6b7280', // gray
-        icon: '⏸️'
+        icon: '⏸️',
+        alarmMinutes: null // never alarms
     }
 };
 
+// Route type names used in the Routing Database sheet, including its misspellings
+const ROUTE_TYPE_SHEET_NAMES = {
+    'Gen Ed': 'general-education',
+    'SE': 'special-education',
+    'Miscellanesous': 'miscellaneous',
+    'Miscellaneous': 'miscellaneous',
+    'Field Trip': 'field-trips',
+    'Field Trips': 'field-trips',
+    'Not Runining': 'inactive',
+    'Not Running': 'inactive'
+};
+
 // Route schedule options
 const ROUTE_SCHEDULES = {
     AM: {
@@ -94,7 +133,12 @@ function createRouteTemplate(routeNumber, routeType, schedule = 'none') {
         // Route details
         notes: '', // text notes
         destination: routeType === 'field-trips' ? '' : null, // field trips only
-        status: 'unassigned', // unassigned, 10-8, 10-7, 10-11
+        departureTime: routeType === 'field-trips' ? '' : null, // 'HH:MM', field trips only
+        returnTime: routeType === 'field-trips' ? '' : null, // 'HH:MM', field trips only
+        status: 'unassigned', // 'unassigned' or a radio code from core/statusCodes.js
+        stops: [], // ordered { id, name, address, amTime, pmTime, students } (dispatch/routeStops.js)
+        stopCalls: {}, // { AM: { [stopId]: ISO time }, PM: {...} } stops called in today
+        deviations: {}, // { driver, asset } why today's differs from the home assignment (dispatch/homeAssignments.js)
         
         // Metadata
         createdAt: new Date().toISOString(),
@@ -174,7 +218,7 @@ function computeContrastColors(hex) {
 function createRoute(routeNumber, routeType, schedule = 'none') {
     console.log(`📝 Creating route ${routeNumber} as ${routeType} with ${schedule} schedule`);
     
-    if (!ROUTE_TYPES[routeType.toUpperCase().replace('-', '_')]) {
+    if (!Object.values(ROUTE_TYPES).some(type => type.id === routeType)) {
         console.error('❌ Invalid route type:', routeType);
         return null;
     }
@@ -353,19 +397,10 @@ function updateRouteConfig(routeNumber, routeType, schedule) {
 function importRoutesFromCSV(csvData) {
     console.log('📥 Importing routes from CSV data...');
     
-    const typeMapping = {
-        'Gen Ed': 'general-education',
-        'SE': 'special-education', 
-        'Miscellanesous': 'miscellaneous',
-        'Miscellaneous': 'miscellaneous',
-        'Not Runining': 'inactive',
-        'Not Running': 'inactive'
-    };
-    
     csvData.forEach(row => {
         if (row.Route && row.Type) {
             const routeNumber = parseInt(row.Route);
-            const routeType = typeMapping[row.Type] || 'inactive';
+            const routeType = ROUTE_TYPE_SHEET_NAMES[row.Type] || 'inactive';
             const schedule = routeType === 'inactive' ? 'none' : 'both'; // Default active routes to both shifts
             
             if (routeNumber >= 1 && routeNumber <= 100) {
@@ -378,191 +413,258 @@ function importRoutesFromCSV(csvData) {
 }
 
 function assignDriver(routeId, driverInfo) {
-    console.log(`👨‍💼 Assigning driver to route ${routeId}:`, driverInfo);
+    return recordAction(driverInfo ? `assigned ${driverInfo.name} to ${describeRoute(routeId)}` : `removed driver from ${describeRoute(routeId)}`, () => {
+        console.log(`👨‍💼 Assigning driver to route ${routeId}:`, driverInfo);
     
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return false;
-    }
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return false;
+        }
     
-    // Remove driver from any other routes first
-    if (driverInfo) {
-        STATE.data.routes.forEach(r => {
-            if (r.driver && r.driver.name === driverInfo.name) {
-                r.driver = null;
-                r.updatedAt = new Date().toISOString();
-            }
-        });
-    }
+        // Remove driver from any other routes first
+        if (driverInfo) {
+            STATE.data.routes.forEach(r => {
+                if (r.driver && r.driver.name === driverInfo.name) {
+                    r.driver = null;
+                    r.updatedAt = new Date().toISOString();
+                }
+            });
+        }
     
-    route.driver = driverInfo;
-    route.updatedAt = new Date().toISOString();
-    saveToLocalStorage();
+        route.driver = driverInfo;
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
     
-    eventBus.emit('routes:driverAssigned', { routeId, driver: driverInfo });
-    return true;
+        eventBus.emit('routes:driverAssigned', { routeId, driver: driverInfo });
+        return true;
+    });
 }
 
 function assignAsset(routeId, assetInfo) {
-    console.log(`🚌 Assigning asset to route ${routeId}:`, assetInfo);
+    return recordAction(assetInfo ? `assigned ${assetInfo.name || assetInfo.number} to ${describeRoute(routeId)}` : `removed vehicle from ${describeRoute(routeId)}`, () => {
+        console.log(`🚌 Assigning asset to route ${routeId}:`, assetInfo);
     
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return false;
-    }
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return false;
+        }
     
-    // Remove asset from any other routes first
-    if (assetInfo) {
-        STATE.data.routes.forEach(r => {
-            if (r.asset && r.asset.number === assetInfo.number) {
-                r.asset = null;
-                r.updatedAt = new Date().toISOString();
-            }
-        });
-    }
+        // Remove asset from any other routes first
+        if (assetInfo) {
+            STATE.data.routes.forEach(r => {
+                if (r.asset && assetName(r.asset) === assetName(assetInfo)) {
+                    r.asset = null;
+                    r.updatedAt = new Date().toISOString();
+                }
+            });
+        }
     
-    route.asset = assetInfo;
-    route.updatedAt = new Date().toISOString();
-    saveToLocalStorage();
+        route.asset = assetInfo;
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
     
-    eventBus.emit('routes:assetAssigned', { routeId, asset: assetInfo });
-    return true;
+        eventBus.emit('routes:assetAssigned', { routeId, asset: assetInfo });
+        return true;
+    });
 }
 
 function assignTrailer(routeId, trailerInfo) {
-    console.log(`🚛 Assigning trailer to route ${routeId}:`, trailerInfo);
+    return recordAction(trailerInfo ? `assigned trailer ${trailerInfo.name || trailerInfo.number} to ${describeRoute(routeId)}` : `removed trailer from ${describeRoute(routeId)}`, () => {
+        console.log(`🚛 Assigning trailer to route ${routeId}:`, trailerInfo);
     
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return false;
-    }
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return false;
+        }
     
-    // Remove trailer from any other routes first
-    if (trailerInfo) {
-        STATE.data.routes.forEach(r => {
-            if (r.trailer && r.trailer.number === trailerInfo.number) {
-                r.trailer = null;
-                r.updatedAt = new Date().toISOString();
-            }
-        });
-    }
+        // Remove trailer from any other routes first
+        if (trailerInfo) {
+            STATE.data.routes.forEach(r => {
+                if (r.trailer && r.trailer.number === trailerInfo.number) {
+                    r.trailer = null;
+                    r.updatedAt = new Date().toISOString();
+                }
+            });
+        }
     
-    route.trailer = trailerInfo;
-    route.updatedAt = new Date().toISOString();
-    saveToLocalStorage();
+        route.trailer = trailerInfo;
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
     
-    eventBus.emit('routes:trailerAssigned', { routeId, trailer: trailerInfo });
-    return true;
+        eventBus.emit('routes:trailerAssigned', { routeId, trailer: trailerInfo });
+        return true;
+    });
 }
 
 function addSafetyEscort(routeId, escortInfo) {
-    console.log(`🛡️ Adding safety escort to route ${routeId}:`, escortInfo);
-    
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return false;
-    }
+    return recordAction(`added ${escortInfo?.name} as safety escort on ${describeRoute(routeId)}`, () => {
+        console.log(`🛡️ Adding safety escort to route ${routeId}:`, escortInfo);
     
-    // Check if escort already assigned to this route
-    if (route.safetyEscorts.some(escort => escort.name === escortInfo.name)) {
-        console.warn('⚠️ Escort already assigned to this route:', escortInfo.name);
-        return false;
-    }
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return false;
+        }
     
-    // Check maximum escorts limit (5)
-    if (route.safetyEscorts.length >= 5) {
-        console.warn('⚠️ Maximum safety escorts (5) already assigned to route');
-        return false;
-    }
+        // Check if escort already assigned to this route
+        if (route.safetyEscorts.some(escort => escort.name === escortInfo.name)) {
+            console.warn('⚠️ Escort already assigned to this route:', escortInfo.name);
+            return false;
+        }
     
-    // Remove escort from other routes
-    STATE.data.routes.forEach(r => {
-        r.safetyEscorts = r.safetyEscorts.filter(escort => escort.name !== escortInfo.name);
-        if (r.safetyEscorts.length !== r.safetyEscorts.length) {
-            r.updatedAt = new Date().toISOString();
+        // Check maximum escorts limit (5)
+        if (route.safetyEscorts.length >= 5) {
+            console.warn('⚠️ Maximum safety escorts (5) already assigned to route');
+            return false;
         }
-    });
     
-    route.safetyEscorts.push(escortInfo);
-    route.updatedAt = new Date().toISOString();
-    saveToLocalStorage();
+        // Remove escort from other routes
+        STATE.data.routes.forEach(r => {
+            r.safetyEscorts = r.safetyEscorts.filter(escort => escort.name !== escortInfo.name);
+            if (r.safetyEscorts.length !== r.safetyEscorts.length) {
+                r.updatedAt = new Date().toISOString();
+            }
+        });
     
-    eventBus.emit('routes:safetyEscortAdded', { routeId, escort: escortInfo });
-    return true;
+        route.safetyEscorts.push(escortInfo);
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
+    
+        eventBus.emit('routes:safetyEscortAdded', { routeId, escort: escortInfo });
+        return true;
+    });
 }
 
 function removeSafetyEscort(routeId, escortName) {
-    console.log(`🛡️ Removing safety escort from route ${routeId}:`, escortName);
+    return recordAction(`removed safety escort ${escortName} from ${describeRoute(routeId)}`, () => {
+        console.log(`🛡️ Removing safety escort from route ${routeId}:`, escortName);
     
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return false;
-    }
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return false;
+        }
     
-    const originalLength = route.safetyEscorts.length;
-    route.safetyEscorts = route.safetyEscorts.filter(escort => escort.name !== escortName);
+        const originalLength = route.safetyEscorts.length;
+        route.safetyEscorts = route.safetyEscorts.filter(escort => escort.name !== escortName);
     
-    if (route.safetyEscorts.length === originalLength) {
-        console.warn('⚠️ Escort not found on route:', escortName);
-        return false;
-    }
+        if (route.safetyEscorts.length === originalLength) {
+            console.warn('⚠️ Escort not found on route:', escortName);
+            return false;
+        }
     
-    route.updatedAt = new Date().toISOString();
-    saveToLocalStorage();
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
     
-    eventBus.emit('routes:safetyEscortRemoved', { routeId, escortName });
-    return true;
+        eventBus.emit('routes:safetyEscortRemoved', { routeId, escortName });
+        return true;
+    });
 }
 
 function updateRouteNotes(routeId, notes) {
-    console.log(`📝 Updating notes for route ${routeId}`);
+    return recordAction(`updated notes on ${describeRoute(routeId)}`, () => {
+        console.log(`📝 Updating notes for route ${routeId}`);
     
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return false;
-    }
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return false;
+        }
     
-    route.notes = notes;
-    route.updatedAt = new Date().toISOString();
-    saveToLocalStorage();
+        route.notes = notes;
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
     
-    eventBus.emit('routes:notesUpdated', { routeId, notes });
-    return true;
+        eventBus.emit('routes:notesUpdated', { routeId, notes });
+        return true;
+    });
 }
 
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
+/**
+ * Route name for history labels, falling back to the id
+ */
+function describeRoute(routeId) {
+    return findRouteById(routeId)?.name || routeId;
+}
+
+/**
+ * Fleet assets are keyed by name; older records carry a number instead
+ */
+function assetName(asset) {
+    return asset ? asset.name || asset.number || null : null;
+}
+
 function findRouteById(routeId) {
     if (!STATE.data?.routes) return null;
     return STATE.data.routes.find(route => route.id === routeId);
 }
 
+/**
+ * Routes on the board for a shift: active routes scheduled for it or for both
+ */
+function getBoardRoutes(view = STATE.currentView) {
+    if (!STATE.data?.routes) return [];
+    return STATE.data.routes.filter(route => {
+        // Exclude inactive routes from dashboard
+        if (route.type === 'inactive') return false;
+        
+        // Filter by current view (AM/PM) - show routes for current shift or both
+        const routeSchedule = route.schedule || route.shift; // support both schedule and shift properties
+        const currentView = view.toLowerCase(); // ensure lowercase comparison
+        return routeSchedule === currentView || routeSchedule === 'both';
+    });
+}
+
 function getRoutesByType(routeType) {
     if (!STATE.data?.routes) return [];
     return STATE.data.routes.filter(route => route.type === routeType);
 }
 
-function getAvailableDrivers() {
+/**
+ * Staff free to drive: not on another card, not out of service, on shift,
+ * under the hours caps (see dispatch/staffSchedule.js) and qualified for the
+ * route and its asset (see dispatch/certifications.js)
+ * @param {string} [routeId] - the route being assigned, used for its shifts, projected hours and requirements
+ * @param {Array} [hidden] - collects { staff, reason } for drivers left out by their schedule, hours or certificates
+ */
+function getAvailableDrivers(routeId = null, hidden = []) {
     if (!STATE.data?.staff) return [];
     
     // Get all assigned drivers
     const assignedDrivers = STATE.data.routes
         .map(route => route.driver?.name)
         .filter(Boolean);
+    const route = routeId ? findRouteById(routeId) : null;
+    const runs = getWeekRuns();
     
-    // Return available staff (not assigned as drivers and not out of service)
-    return STATE.data.staff.filter(staff => 
-        !assignedDrivers.includes(staff.name) &&
-        !STATE.staffOut.some(out => out.name === staff.name)
-    );
+    // Return available staff (not assigned as drivers, not out of service, on shift, under the caps and qualified)
+    return STATE.data.staff.filter(staff => {
+        if (assignedDrivers.includes(staff.name) || STATE.staffOut.some(out => out.name === staff.name)) {
+            return false;
+        }
+        const availability = getDriverAvailability(staff, route, runs);
+        if (!availability.available) {
+            hidden.push({ staff, reason: availability.reason });
+            return false;
+        }
+        const { blocking } = checkQualifications(staff, { route });
+        if (blocking.length > 0) {
+            hidden.push({ staff, reason: blocking.join('; ') });
+            return false;
+        }
+        return true;
+    });
+}
+
+function findDriverStaff(driver) {
+    return (STATE.data?.staff || []).find(staff => staff.name === driver?.name) || driver;
 }
 
 function getAvailableAssets() {
@@ -570,7 +672,7 @@ function getAvailableAssets() {
     
     // Get all assigned assets
     const assignedAssets = STATE.data.routes
-        .map(route => route.asset?.number)
+        .map(route => assetName(route.asset))
         .filter(Boolean);
     
     // Return available assets (not assigned to routes and NOT trailers)
@@ -627,9 +729,13 @@ function generateRouteCardHtml(route) {
     const isFieldTrip = route.type === 'field-trips';
     const roleAccent = getDriverRoleColorForRoute(route);
     const contrast = computeContrastColors(roleAccent);
+    const deviations = getRouteDeviations(route);
+    const deviationTitle = deviations
+        .map(deviation => `${deviation.field === 'driver' ? 'Driver' : 'Bus'}: home ${deviation.home}, today ${deviation.actual || 'nobody'} (${deviation.reason})`)
+        .join('\n');
     
     return `
-       <div class="route-card bg-white rounded-lg shadow-md border p-4 hover:shadow-lg transition-shadow" 
+       <div class="route-card ${deviations.length > 0 ? 'route-deviation' : ''} bg-white rounded-lg shadow-md border p-4 hover:shadow-lg transition-shadow" 
            data-route-id="${route.id}"
            data-route-type="${route.type}"
            style="background: ${roleAccent}; color: ${contrast.textColor}; border-left:6px solid ${roleAccent}; --panel-bg: ${contrast.panelBg}; --panel-border: ${contrast.panelBorder}; min-height: 400px; width: 300px;">
@@ -667,6 +773,20 @@ function generateRouteCardHtml(route) {
                     color: #111827 !important;
                     border: 1px solid rgba(0,0,0,0.08) !important;
                 }
+                .route-card.route-late {
+                    box-shadow: 0 0 0 3px #dc2626;
+                }
+                .route-card.route-deviation {
+                    outline: 3px dashed #f59e0b;
+                    outline-offset: 2px;
+                }
+                .route-card.route-overdue {
+                    animation: routeOverdue 1.5s ease-in-out infinite;
+                }
+                @keyframes routeOverdue {
+                    0%, 100% { box-shadow: 0 0 0 3px #dc2626; }
+                    50% { box-shadow: 0 0 0 6px rgba(220, 38, 38, 0.35); }
+                }
                 .route-card.collapsed {
                     min-height: auto !important;
                     max-width: 300px;
@@ -696,6 +816,9 @@ function generateRouteCardHtml(route) {
             <div class="route-header flex items-center justify-between mb-4">
                 <h3 class="font-bold text-lg text-gray-800">${route.name || 'Unnamed Route'}</h3>
                 <div class="flex items-center gap-2">
+                    <span class="route-timer-slot">${getTimerBadgeHtml(route)}</span>
+                    <span class="late-badge-slot">${isFieldTrip ? '' : getLateBadgeHtml(route)}</span>
+                    ${deviations.length > 0 ? `<span class="deviation-badge px-2 py-0.5 rounded bg-amber-500 text-white text-xs font-bold" title="${escapeHtml(deviationTitle)}">≠ Home</span>` : ''}
                     ${isFieldTrip ? `
                         <button class="delete-field-trip-btn text-red-400 hover:text-red-600 transition-colors" 
                                 onclick="handleDeleteFieldTrip('${route.id}')"
@@ -721,28 +844,20 @@ function generateRouteCardHtml(route) {
                 <div class="status-section mb-4">
                     <label class="block text-sm font-medium text-gray-700 mb-2">STATUS:</label>
                     <div class="flex justify-between">
-                        <label class="flex flex-col items-center cursor-pointer">
-                            <input type="radio" name="status-${route.id}" value="10-8" 
-                                   class="mb-1" ${route.status === '10-8' ? 'checked' : ''}
-                                   onchange="updateRouteStatus('${route.id}', '10-8')">
-                            <span class="text-xs font-medium text-green-600">10-8</span>
-                        </label>
-                        <label class="flex flex-col items-center cursor-pointer">
-                            <input type="radio" name="status-${route.id}" value="10-7" 
-                                   class="mb-1" ${route.status === '10-7' ? 'checked' : ''}
-                                   onchange="updateRouteStatus('${route.id}', '10-7')">
-                            <span class="text-xs font-medium text-red-600">10-7</span>
-                        </label>
-                        <label class="flex flex-col items-center cursor-pointer">
-                            <input type="radio" name="status-${route.id}" value="10-11" 
-                                   class="mb-1" ${route.status === '10-11' ? 'checked' : ''}
-                                   onchange="updateRouteStatus('${route.id}', '10-11')">
-                            <span class="text-xs font-medium text-orange-600">10-11</span>
-                        </label>
+                        ${getSelectableStatusCodes().map(code => `
+                            <label class="flex flex-col items-center cursor-pointer" title="${escapeHtml(`${code.label}: ${code.meaning}`)}">
+                                <input type="radio" name="status-${route.id}" value="${escapeHtml(code.code)}" 
+                                       class="mb-1" ${route.status === code.code ? 'checked' : ''}
+                                       onchange="updateRouteStatus('${route.id}', ${inlineArgument(code.code)})">
+                                <span class="text-xs font-medium" style="color: ${escapeHtml(code.color)}">${escapeHtml(code.code)}</span>
+                            </label>
+                        `).join('')}
                     </div>
                     <hr class="mt-3 border-gray-300">
                 </div>
 
+                ${isFieldTrip ? '' : getStopProgressHtml(route)}
+
                 ${isFieldTrip ? `
                     <!-- Destination (Field Trips Only) -->
                     <div class="destination-section mb-4">
@@ -753,6 +868,20 @@ function generateRouteCardHtml(route) {
                                value="${route.destination || ''}"
                                onchange="updateRouteDestination('${route.id}', this.value)">
                     </div>
+                    <div class="trip-times-section mb-4 grid grid-cols-2 gap-2">
+                        <label class="block text-sm font-medium text-gray-600">DEPARTS:
+                            <input type="time"
+                                   class="w-full p-2 border border-gray-300 rounded text-sm"
+                                   value="${route.departureTime || ''}"
+                                   onchange="updateRouteTripTime('${route.id}', 'departureTime', this.value)">
+                        </label>
+                        <label class="block text-sm font-medium text-gray-600">RETURNS:
+                            <input type="time"
+                                   class="w-full p-2 border border-gray-300 rounded text-sm"
+                                   value="${route.returnTime || ''}"
+                                   onchange="updateRouteTripTime('${route.id}', 'returnTime', this.value)">
+                        </label>
+                    </div>
                 ` : ''}
             
             <!-- Driver Assignment -->
@@ -821,7 +950,7 @@ function generateRouteCardHtml(route) {
                                 <div class="flex items-center justify-between p-1 bg-green-50 rounded text-sm">
                                     <span class="text-gray-800">${escort.name}</span>
                                     <button class="remove-escort-btn text-red-500 hover:text-red-700 text-xs" 
-                                            onclick="handleRemoveSafetyEscort('${route.id}', '${escort.name}')">
+                                            onclick="handleRemoveSafetyEscort('${route.id}', ${inlineArgument(escort.name)})">
                                         ✕
                                     </button>
                                 </div>
@@ -885,15 +1014,7 @@ function renderRouteCards() {
         deduplicateRoutes();
 
         // Filter out inactive routes and filter by current view (AM/PM)
-        const activeRoutes = STATE.data.routes.filter(route => {
-            // Exclude inactive routes from dashboard
-            if (route.type === 'inactive') return false;
-            
-            // Filter by current view (AM/PM) - show routes for current shift or both
-            const routeSchedule = route.schedule || route.shift; // support both schedule and shift properties
-            const currentView = STATE.currentView.toLowerCase(); // ensure lowercase comparison
-            return routeSchedule === currentView || routeSchedule === 'both';
-        });
+        const activeRoutes = getBoardRoutes();
         
         console.log(`🔍 Displaying ${activeRoutes.length} routes for ${STATE.currentView} shift`);
         
@@ -943,6 +1064,11 @@ function renderRouteCards() {
                             <span class="text-sm font-normal text-gray-500 ml-2">(${routes.length})</span>
                         </h2>
                         <div class="flex items-center gap-2">
+                            <button class="route-alarm-btn text-gray-500 hover:text-gray-700 text-sm"
+                                    onclick="editRouteTypeAlarm('${type.id}')"
+                                    title="Alarm when a ${type.label} route is out this long without 10-7">
+                                ⏱ ${getAlarmMinutes(type.id) ? `${getAlarmMinutes(type.id)} min` : 'No alarm'}
+                            </button>
                             ${type.id === 'field-trips' ? `
                                 <button class="add-field-trip-btn bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 transition-colors"
                                         onclick="addNewFieldTripRoute()">
@@ -982,6 +1108,8 @@ function renderRouteCards() {
         
         // Add event listeners
         setupRouteCardEventListeners();
+        updateLateIndicators();
+        updateRouteTimers();
         
         console.log('✅ Route cards rendered successfully');
         
@@ -998,6 +1126,11 @@ eventBus.on('colors:changed', (data) => {
     debounceRender('renderRouteCards');
 });
 
+// Re-render when the radio status code table changes
+eventBus.on('statusCodes:changed', () => {
+    debounceRender('renderRouteCards');
+});
+
 // Initialize sample routes for demonstration
 function initializeSampleRoutes() {
     console.log('🎯 Initializing sample route data...');
@@ -1075,19 +1208,23 @@ function handleCreateRoute(routeType) {
 
 function handleAssignDriver(routeId) {
     console.log('Assigning driver to route:', routeId);
-    const availableDrivers = getAvailableDrivers();
+    const hiddenDrivers = [];
+    const availableDrivers = getAvailableDrivers(routeId, hiddenDrivers);
+    const hiddenSummary = hiddenDrivers.map(({ staff, reason }) => `${staff.name} (${reason})`).join('\n');
     if (availableDrivers.length === 0) {
-        alert('No available drivers');
+        alert(hiddenDrivers.length > 0
+            ? `No available drivers. Off shift, over hours or not qualified:\n${hiddenSummary}`
+            : 'No available drivers');
         return;
     }
     
     showSelectionModal({
-        title: 'Assign Driver',
+        title: hiddenDrivers.length > 0 ? `Assign Driver (${hiddenDrivers.length} off shift, over hours or not qualified)` : 'Assign Driver',
         items: availableDrivers,
         itemDisplayKey: 'name',
         multiSelect: false,
         onConfirm: (selectedItems) => {
-            if (selectedItems.length > 0) {
+            if (selectedItems.length > 0 && confirmQualifications(selectedItems[0], findRouteById(routeId))) {
                 assignDriver(routeId, selectedItems[0]);
                 debounceRender('renderRouteCards');
             }
@@ -1095,6 +1232,22 @@ function handleAssignDriver(routeId) {
     });
 }
 
+/**
+ * Check the driver's certificates for the route and asset before assigning.
+ * Blocks with an alert, or asks to go ahead when a certificate expires soon.
+ */
+function confirmQualifications(driver, route, asset = route?.asset) {
+    const { blocking, warnings } = checkQualifications(driver, { route, asset });
+    if (blocking.length > 0) {
+        alert(`Cannot assign:\n${blocking.join('\n')}`);
+        return false;
+    }
+    if (warnings.length > 0) {
+        return confirm(`${warnings.join('\n')}\n\nAssign anyway?`);
+    }
+    return true;
+}
+
 function handleAssignAsset(routeId) {
     console.log('Assigning asset to route:', routeId);
     const availableAssets = getAvailableAssets();
@@ -1110,7 +1263,8 @@ function handleAssignAsset(routeId) {
         itemIdKey: 'name', // Use name as the unique identifier for assets
         multiSelect: false,
         onConfirm: (selectedItems) => {
-            if (selectedItems.length > 0) {
+            const route = findRouteById(routeId);
+            if (selectedItems.length > 0 && (!route?.driver || confirmQualifications(findDriverStaff(route.driver), route, selectedItems[0]))) {
                 assignAsset(routeId, selectedItems[0]);
                 debounceRender('renderRouteCards');
             }
@@ -1147,62 +1301,66 @@ function handleAssignTrailer(routeId) {
 }
 
 function handleRemoveTrailer(routeId) {
-    console.log('Removing trailer from route:', routeId);
-    const route = findRouteById(routeId);
-    if (route) {
-        route.trailer = null;
-        route.updatedAt = new Date().toISOString();
-        saveToLocalStorage();
-        debounceRender('renderRouteCards');
-    }
+    return recordAction(`removed trailer from ${describeRoute(routeId)}`, () => {
+        console.log('Removing trailer from route:', routeId);
+        const route = findRouteById(routeId);
+        if (route) {
+            route.trailer = null;
+            route.updatedAt = new Date().toISOString();
+            saveToLocalStorage();
+            debounceRender('renderRouteCards');
+        }
+    });
 }
 
 function handleDeleteFieldTrip(routeId) {
-    console.log('Deleting field trip:', routeId);
-    const route = findRouteById(routeId);
-    if (!route) {
-        console.error('❌ Route not found:', routeId);
-        return;
-    }
+    return recordAction(`deleted ${describeRoute(routeId)}`, () => {
+        console.log('Deleting field trip:', routeId);
+        const route = findRouteById(routeId);
+        if (!route) {
+            console.error('❌ Route not found:', routeId);
+            return;
+        }
 
-    // Confirm deletion
-    const routeName = route.name || 'this field trip';
-    const confirmMessage = `Are you sure you want to delete "${routeName}"?\n\nThis action cannot be undone.`;
+        // Confirm deletion
+        const routeName = route.name || 'this field trip';
+        const confirmMessage = `Are you sure you want to delete "${routeName}"?\n\nThis action cannot be undone.`;
     
-    if (!confirm(confirmMessage)) {
-        return;
-    }
+        if (!confirm(confirmMessage)) {
+            return;
+        }
 
-    // Check if route has assignments
-    const hasAssignments = route.driver || route.asset || route.trailer || 
-                          (route.safetyEscorts && route.safetyEscorts.length > 0);
+        // Check if route has assignments
+        const hasAssignments = route.driver || route.asset || route.trailer || 
+                              (route.safetyEscorts && route.safetyEscorts.length > 0);
     
-    if (hasAssignments) {
-        const warningMessage = `"${routeName}" has assignments (driver, vehicle, or escorts).\n\nDeleting this field trip will remove all assignments. Continue?`;
-        if (!confirm(warningMessage)) {
-            return;
+        if (hasAssignments) {
+            const warningMessage = `"${routeName}" has assignments (driver, vehicle, or escorts).\n\nDeleting this field trip will remove all assignments. Continue?`;
+            if (!confirm(warningMessage)) {
+                return;
+            }
         }
-    }
 
-    // Remove the route from the routes array
-    const routeIndex = STATE.data.routes.findIndex(r => r.id === routeId);
-    if (routeIndex !== -1) {
-        STATE.data.routes.splice(routeIndex, 1);
+        // Remove the route from the routes array
+        const routeIndex = STATE.data.routes.findIndex(r => r.id === routeId);
+        if (routeIndex !== -1) {
+            STATE.data.routes.splice(routeIndex, 1);
         
-        // Save and re-render
-        saveToLocalStorage();
-        debounceRender('renderRouteCards');
+            // Save and re-render
+            saveToLocalStorage();
+            debounceRender('renderRouteCards');
         
-        // Emit event for other systems that might be listening
-        eventBus.emit('routes:deleted', { routeId, route });
+            // Emit event for other systems that might be listening
+            eventBus.emit('routes:deleted', { routeId, route });
         
-        console.log(`✅ Field trip "${routeName}" deleted successfully`);
+            console.log(`✅ Field trip "${routeName}" deleted successfully`);
         
-        // Show success message
-        showTemporaryMessage(`Field trip "${routeName}" has been deleted`, 'success');
-    } else {
-        console.error('❌ Could not find route to delete:', routeId);
-    }
+            // Show success message
+            showTemporaryMessage(`Field trip "${routeName}" has been deleted`, 'success');
+        } else {
+            console.error('❌ Could not find route to delete:', routeId);
+        }
+    });
 }
 
 /**
@@ -1231,54 +1389,56 @@ function showTemporaryMessage(message, type = 'info') {
  * Delete all field trips with confirmation
  */
 function deleteAllFieldTrips() {
-    console.log('Delete all field trips requested');
+    return recordAction('deleted all field trips', () => {
+        console.log('Delete all field trips requested');
     
-    // Get all field trip routes
-    const fieldTrips = getRoutesByType('field-trips');
+        // Get all field trip routes
+        const fieldTrips = getRoutesByType('field-trips');
     
-    if (fieldTrips.length === 0) {
-        showTemporaryMessage('No field trips to delete', 'info');
-        return;
-    }
+        if (fieldTrips.length === 0) {
+            showTemporaryMessage('No field trips to delete', 'info');
+            return;
+        }
     
-    // Count field trips with assignments
-    const fieldTripsWithAssignments = fieldTrips.filter(route => {
-        return route.driver || route.asset || route.trailer || 
-               (route.safetyEscorts && route.safetyEscorts.length > 0);
-    });
+        // Count field trips with assignments
+        const fieldTripsWithAssignments = fieldTrips.filter(route => {
+            return route.driver || route.asset || route.trailer || 
+                   (route.safetyEscorts && route.safetyEscorts.length > 0);
+        });
     
-    // Build confirmation message
-    let confirmMessage = `Are you sure you want to delete ALL ${fieldTrips.length} field trips?\n\nThis action cannot be undone.`;
+        // Build confirmation message
+        let confirmMessage = `Are you sure you want to delete ALL ${fieldTrips.length} field trips?\n\nThis action cannot be undone.`;
     
-    if (fieldTripsWithAssignments.length > 0) {
-        confirmMessage += `\n\nWarning: ${fieldTripsWithAssignments.length} field trip(s) have assignments (drivers, vehicles, or escorts) that will be removed.`;
-    }
+        if (fieldTripsWithAssignments.length > 0) {
+            confirmMessage += `\n\nWarning: ${fieldTripsWithAssignments.length} field trip(s) have assignments (drivers, vehicles, or escorts) that will be removed.`;
+        }
     
-    if (!confirm(confirmMessage)) {
-        return;
-    }
+        if (!confirm(confirmMessage)) {
+            return;
+        }
     
-    // Delete all field trips
-    const deletedNames = fieldTrips.map(route => route.name || 'Unnamed Field Trip');
+        // Delete all field trips
+        const deletedNames = fieldTrips.map(route => route.name || 'Unnamed Field Trip');
     
-    // Remove all field trip routes from the routes array
-    STATE.data.routes = STATE.data.routes.filter(route => route.type !== 'field-trips');
+        // Remove all field trip routes from the routes array
+        STATE.data.routes = STATE.data.routes.filter(route => route.type !== 'field-trips');
     
-    // Save and re-render
-    saveToLocalStorage();
-    debounceRender('renderRouteCards');
+        // Save and re-render
+        saveToLocalStorage();
+        debounceRender('renderRouteCards');
     
-    // Emit event for other systems that might be listening
-    eventBus.emit('routes:bulkDeleted', { 
-        type: 'field-trips', 
-        count: fieldTrips.length,
-        deletedRoutes: fieldTrips 
-    });
+        // Emit event for other systems that might be listening
+        eventBus.emit('routes:bulkDeleted', { 
+            type: 'field-trips', 
+            count: fieldTrips.length,
+            deletedRoutes: fieldTrips 
+        });
     
-    console.log(`✅ All ${fieldTrips.length} field trips deleted successfully`);
+        console.log(`✅ All ${fieldTrips.length} field trips deleted successfully`);
     
-    // Show success message
-    showTemporaryMessage(`All ${fieldTrips.length} field trips have been deleted`, 'success');
+        // Show success message
+        showTemporaryMessage(`All ${fieldTrips.length} field trips have been deleted`, 'success');
+    });
 }
 
 function handleAddSafetyEscort(routeId) {
@@ -1476,79 +1636,124 @@ function handleUpdateNotes(routeId, notes) {
 }
 
 function handleResetCard(routeId) {
-    console.log('Resetting card for route:', routeId);
-    if (confirm('Are you sure you want to reset this route? This will clear all assignments and notes.')) {
+    return recordAction(`reset ${describeRoute(routeId)}`, () => {
+        console.log('Resetting card for route:', routeId);
+        if (confirm('Are you sure you want to reset this route? This will clear all assignments and notes.')) {
+            const route = findRouteById(routeId);
+            if (route) {
+                route.driver = null;
+                route.asset = null;
+                route.safetyEscorts = [];
+                route.notes = '';
+                route.status = 'unassigned';
+                // Reasons go with the assignments; the day's home snapshot stays
+                route.deviations = route.deviations?.home ? { home: route.deviations.home } : {};
+                if (route.destination !== null) route.destination = '';
+                if (route.departureTime) route.departureTime = '';
+                if (route.returnTime) route.returnTime = '';
+                route.updatedAt = new Date().toISOString();
+                saveToLocalStorage();
+                debounceRender('renderRouteCards');
+            }
+        }
+    });
+}
+
+function handleEditRoute(routeId) {
+    return recordAction(`renamed ${describeRoute(routeId)}`, () => {
+        console.log('Editing route:', routeId);
         const route = findRouteById(routeId);
         if (route) {
-            route.driver = null;
-            route.asset = null;
-            route.safetyEscorts = [];
-            route.notes = '';
-            route.status = 'unassigned';
-            if (route.destination !== null) route.destination = '';
-            route.updatedAt = new Date().toISOString();
+            const newName = prompt('Enter new route name:', route.name);
+            if (newName !== null) {
+                route.name = newName;
+                route.updatedAt = new Date().toISOString();
+                saveToLocalStorage();
+                debounceRender('renderRouteCards');
+            }
+        }
+    });
+}
+
+function handleDeleteRoute(routeId) {
+    return recordAction(`deleted ${describeRoute(routeId)}`, () => {
+        console.log('Deleting route:', routeId);
+        if (confirm('Are you sure you want to delete this route?')) {
+            STATE.data.routes = STATE.data.routes.filter(route => route.id !== routeId);
             saveToLocalStorage();
             debounceRender('renderRouteCards');
         }
-    }
+    });
 }
 
-function handleEditRoute(routeId) {
-    console.log('Editing route:', routeId);
-    const route = findRouteById(routeId);
-    if (route) {
-        const newName = prompt('Enter new route name:', route.name);
-        if (newName !== null) {
-            route.name = newName;
-            route.updatedAt = new Date().toISOString();
-            saveToLocalStorage();
+// Global functions for onclick handlers in HTML
+window.updateRouteStatus = function(routeId, status) {
+    console.log('🔄 Updating route status:', routeId, 'to:', status);
+    const check = checkStatusTransition(getCurrentStatus(routeId), status);
+    let note = '';
+
+    if (check.needsNote) {
+        const code = getStatusCode(status);
+        note = prompt(`${code.code} (${code.label}) needs a note.\n${code.meaning}:`, '');
+        if (note === null) {
+            // Cancelled: put the radio back on the current status
             debounceRender('renderRouteCards');
+            return { ok: false, reason: 'Cancelled', code };
         }
     }
-}
 
-function handleDeleteRoute(routeId) {
-    console.log('Deleting route:', routeId);
-    if (confirm('Are you sure you want to delete this route?')) {
-        STATE.data.routes = STATE.data.routes.filter(route => route.id !== routeId);
-        saveToLocalStorage();
+    const result = changeRouteStatus(routeId, status, { note });
+    if (!result.ok) {
+        window.uiSystem?.showNotification(result.reason, 'error');
         debounceRender('renderRouteCards');
+        return result;
     }
-}
 
-// Global functions for onclick handlers in HTML
-window.updateRouteStatus = function(routeId, status) {
-    console.log('🔄 Updating route status:', routeId, 'to:', status);
-    const route = findRouteById(routeId);
-    if (route) {
-        console.log('📊 Route found, old status:', route.status, '→ new status:', status);
-        route.status = status;
-        route.updatedAt = new Date().toISOString();
-        saveToLocalStorage();
-        
-        // Update collapsed summary if it exists
-        const card = document.querySelector(`[data-route-id="${routeId}"]`);
-        if (card && card.classList.contains('collapsed')) {
-            console.log('🔄 Updating collapsed summary for route:', routeId);
-            const existingSummary = card.querySelector('.collapsed-summary');
-            if (existingSummary) {
-                existingSummary.remove();
-                createCollapsedSummary(routeId, card);
-            }
+    if (['warning', 'critical'].includes(result.code.severity)) {
+        window.uiSystem?.showNotification(
+            `${describeRoute(routeId)} marked ${result.code.code} (${result.code.label})${note ? `: ${note}` : ''}`,
+            result.code.severity === 'critical' ? 'error' : 'warning'
+        );
+    }
+    updateLateIndicators();
+    updateRouteTimers();
+
+    // Update collapsed summary if it exists
+    const card = document.querySelector(`[data-route-id="${routeId}"]`);
+    if (card && card.classList.contains('collapsed')) {
+        console.log('🔄 Updating collapsed summary for route:', routeId);
+        const existingSummary = card.querySelector('.collapsed-summary');
+        if (existingSummary) {
+            existingSummary.remove();
+            createCollapsedSummary(routeId, card);
         }
-    } else {
-        console.error('❌ Route not found for status update:', routeId);
     }
+    return result;
 };
 
 window.updateRouteDestination = function(routeId, destination) {
-    console.log('Updating route destination:', routeId, destination);
-    const route = findRouteById(routeId);
-    if (route) {
-        route.destination = destination;
-        route.updatedAt = new Date().toISOString();
-        saveToLocalStorage();
-    }
+    return recordAction(`set destination on ${describeRoute(routeId)}`, () => {
+        console.log('Updating route destination:', routeId, destination);
+        const route = findRouteById(routeId);
+        if (route) {
+            route.destination = destination;
+            route.updatedAt = new Date().toISOString();
+            saveToLocalStorage();
+        }
+    });
+};
+
+window.updateRouteTripTime = function(routeId, field, time) {
+    if (field !== 'departureTime' && field !== 'returnTime') return;
+    const label = field === 'departureTime' ? 'departure' : 'return';
+    return recordAction(`set ${label} time on ${describeRoute(routeId)}`, () => {
+        const route = findRouteById(routeId);
+        if (route) {
+            route[field] = time;
+            route.updatedAt = new Date().toISOString();
+            saveToLocalStorage();
+        }
+    });
 };
 
 // =============================================================================
@@ -1559,94 +1764,96 @@ window.updateRouteDestination = function(routeId, destination) {
  * Add a new field trip route
  */
 function addNewFieldTripRoute() {
-    console.log('🚌 Creating new field trip...');
-    console.log('🔍 Current STATE.data:', STATE.data);
-    console.log('🔍 Current STATE.currentView:', STATE.currentView);
+    return recordAction('added a field trip', () => {
+        console.log('🚌 Creating new field trip...');
+        console.log('🔍 Current STATE.data:', STATE.data);
+        console.log('🔍 Current STATE.currentView:', STATE.currentView);
     
-    // Ensure routes array exists
-    if (!Array.isArray(STATE.data.routes)) {
-        STATE.data.routes = [];
-    }
+        // Ensure routes array exists
+        if (!Array.isArray(STATE.data.routes)) {
+            STATE.data.routes = [];
+        }
     
-    // Clean up any sample field trips that might be interfering with numbering
-    // Only run cleanup once per session to avoid removing legitimate field trips
-    if (!window.fieldTripCleanupDone) {
-        cleanupSampleFieldTrips();
-        window.fieldTripCleanupDone = true;
-    }
+        // Clean up any sample field trips that might be interfering with numbering
+        // Only run cleanup once per session to avoid removing legitimate field trips
+        if (!window.fieldTripCleanupDone) {
+            cleanupSampleFieldTrips();
+            window.fieldTripCleanupDone = true;
+        }
     
-    // Find existing field trip routes to determine next number
-    const existingFieldTrips = STATE.data.routes.filter(route => route.type === 'field-trips');
-    console.log('🔍 Existing field trips after cleanup:', existingFieldTrips);
-    
-    // Smart numbering: find the lowest available number starting from 1
-    let nextNumber = 1;
-    if (existingFieldTrips.length > 0) {
-        // Extract existing numbers from field trip names
-        const existingNumbers = existingFieldTrips
-            .map(ft => {
-                console.log('🔍 Checking field trip:', ft.name, 'ID:', ft.id);
-                // Try to extract number from name like "Field Trip 1", "Field Trip 2", etc.
-                const match = ft.name.match(/Field Trip (\d+)/);
-                const number = match ? parseInt(match[1]) : null;
-                console.log('🔍 Extracted number:', number);
-                return number;
-            })
-            .filter(num => num !== null)
-            .sort((a, b) => a - b); // Sort numerically ascending
+        // Find existing field trip routes to determine next number
+        const existingFieldTrips = STATE.data.routes.filter(route => route.type === 'field-trips');
+        console.log('🔍 Existing field trips after cleanup:', existingFieldTrips);
+    
+        // Smart numbering: find the lowest available number starting from 1
+        let nextNumber = 1;
+        if (existingFieldTrips.length > 0) {
+            // Extract existing numbers from field trip names
+            const existingNumbers = existingFieldTrips
+                .map(ft => {
+                    console.log('🔍 Checking field trip:', ft.name, 'ID:', ft.id);
+                    // Try to extract number from name like "Field Trip 1", "Field Trip 2", etc.
+                    const match = ft.name.match(/Field Trip (\d+)/);
+                    const number = match ? parseInt(match[1]) : null;
+                    console.log('🔍 Extracted number:', number);
+                    return number;
+                })
+                .filter(num => num !== null)
+                .sort((a, b) => a - b); // Sort numerically ascending
         
-        console.log('🔍 Existing field trip numbers:', existingNumbers);
+            console.log('🔍 Existing field trip numbers:', existingNumbers);
         
-        // Find the first gap in the sequence, or use the next number after the highest
-        for (let i = 1; i <= existingNumbers.length + 1; i++) {
-            if (!existingNumbers.includes(i)) {
-                nextNumber = i;
-                break;
+            // Find the first gap in the sequence, or use the next number after the highest
+            for (let i = 1; i <= existingNumbers.length + 1; i++) {
+                if (!existingNumbers.includes(i)) {
+                    nextNumber = i;
+                    break;
+                }
             }
         }
-    }
     
-    console.log(`🔍 Next field trip number will be: ${nextNumber}`);
-    const fieldTripName = `Field Trip ${nextNumber}`;
+        console.log(`🔍 Next field trip number will be: ${nextNumber}`);
+        const fieldTripName = `Field Trip ${nextNumber}`;
     
-    // Generate unique ID with timestamp to avoid conflicts
-    const timestamp = Date.now();
-    const uniqueId = `fieldtrip-${timestamp}`;
+        // Generate unique ID with timestamp to avoid conflicts
+        const timestamp = Date.now();
+        const uniqueId = `fieldtrip-${timestamp}`;
     
-    // Create a new field trip route - use 'both' schedule so it appears on the board
-    const fieldTrip = createRouteTemplate(uniqueId, 'field-trips', 'both');
-    fieldTrip.name = fieldTripName;
-    fieldTrip.id = uniqueId; // Override the default ID
-    fieldTrip.routeNumber = `FT${nextNumber}`; // Use FT prefix for field trips
-    fieldTrip.destination = ''; // Initialize empty destination
+        // Create a new field trip route - use 'both' schedule so it appears on the board
+        const fieldTrip = createRouteTemplate(uniqueId, 'field-trips', 'both');
+        fieldTrip.name = fieldTripName;
+        fieldTrip.id = uniqueId; // Override the default ID
+        fieldTrip.routeNumber = `FT${nextNumber}`; // Use FT prefix for field trips
+        fieldTrip.destination = ''; // Initialize empty destination
     
-    console.log('🔍 Created field trip:', fieldTrip);
+        console.log('🔍 Created field trip:', fieldTrip);
     
-    // Add to routes array
-    STATE.data.routes.push(fieldTrip);
+        // Add to routes array
+        STATE.data.routes.push(fieldTrip);
     
-    console.log(`🔍 Routes array after adding: ${STATE.data.routes.length} total routes`);
-    console.log('🔍 Field trips in array:', STATE.data.routes.filter(r => r.type === 'field-trips'));
+        console.log(`🔍 Routes array after adding: ${STATE.data.routes.length} total routes`);
+        console.log('🔍 Field trips in array:', STATE.data.routes.filter(r => r.type === 'field-trips'));
     
-    // Save and re-render
-    saveToLocalStorage();
+        // Save and re-render
+        saveToLocalStorage();
     
-    // Force immediate re-render
-    console.log('🔄 Forcing immediate re-render...');
-    PERFORMANCE.isRendering = false; // Reset the rendering flag
-    renderRouteCards();
+        // Force immediate re-render
+        console.log('🔄 Forcing immediate re-render...');
+        PERFORMANCE.isRendering = false; // Reset the rendering flag
+        renderRouteCards();
     
-    eventBus.emit('routes:created', { route: fieldTrip });
-    console.log(`✅ Field trip created successfully: ${fieldTripName} (ID: ${uniqueId})`);
+        eventBus.emit('routes:created', { route: fieldTrip });
+        console.log(`✅ Field trip created successfully: ${fieldTripName} (ID: ${uniqueId})`);
     
-    // Show success notification
-    if (typeof window !== 'undefined' && window.uiSystem) {
-        window.uiSystem.showNotification(
-            `${fieldTripName} added to ${STATE.currentView} board`,
-            'success',
-            3000
-        );
-    }
+        // Show success notification
+        if (typeof window !== 'undefined' && window.uiSystem) {
+            window.uiSystem.showNotification(
+                `${fieldTripName} added to ${STATE.currentView} board`,
+                'success',
+                3000
+            );
+        }
+    });
 }
 
 /**
@@ -1854,9 +2061,9 @@ function createCollapsedSummary(routeId, card) {
                 <!-- Status Row -->
                 <div class="flex items-center justify-between">
                     <div class="flex items-center gap-1 min-w-0 flex-1">
-                        ${route.status && ['10-8', '10-7', '10-11'].includes(route.status) ? `
+                        ${isRadioStatus(route.status) ? `
                         <span class="text-xs font-medium text-gray-500 shrink-0">Status:</span>
-                        <span class="status-indicator ${getStatusColor(route.status)} px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap">
+                        <span class="status-indicator px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap" style="${getStatusBadgeStyle(route.status)}">
                             ${route.status}
                         </span>
                         ` : ''}
@@ -1916,20 +2123,6 @@ function createCollapsedSummary(routeId, card) {
     }
 }
 
-/**
- * Get CSS classes for status color coding
- * @param {string} status - The route status
- * @returns {string} CSS classes
- */
-function getStatusColor(status) {
-    switch (status) {
-        case '10-8': return 'bg-green-100 text-green-700';
-        case '10-7': return 'bg-red-100 text-red-700';
-        case '10-11': return 'bg-orange-100 text-orange-700';
-        default: return 'bg-gray-100 text-gray-600';
-    }
-}
-
 /**
  * Toggle collapse/expand state of all cards in a route type section
  * @param {string} sectionId - The section ID (route type)
@@ -2031,39 +2224,41 @@ window.deduplicateRoutes = deduplicateRoutes;
  * Clears all routes from STATE and re-renders empty board
  */
 function resetRouteBoard() {
-    try {
-        console.log('🔄 Resetting route board...');
+    return recordAction('reset the route board', () => {
+        try {
+            console.log('🔄 Resetting route board...');
         
-        // Clear all route data from STATE
-        if (STATE.data) {
-            STATE.data.routes = [];
-        }
+            // Clear all route data from STATE
+            if (STATE.data) {
+                STATE.data.routes = [];
+            }
         
-        // Save empty state to localStorage
-        saveToLocalStorage();
+            // Save empty state to localStorage
+            saveToLocalStorage();
         
-        // Clear the UI container
-        const container = document.getElementById('route-cards-grid');
-        if (container) {
-            container.innerHTML = `
-                <div class="col-span-full text-center py-12">
-                    <div class="text-gray-500 text-lg">
-                        <div class="mb-4">🔄</div>
-                        <div>Route board has been reset</div>
-                        <div class="text-sm mt-2">Click "Add Route" to start adding routes</div>
+            // Clear the UI container
+            const container = document.getElementById('route-cards-grid');
+            if (container) {
+                container.innerHTML = `
+                    <div class="col-span-full text-center py-12">
+                        <div class="text-gray-500 text-lg">
+                            <div class="mb-4">🔄</div>
+                            <div>Route board has been reset</div>
+                            <div class="text-sm mt-2">Click "Add Route" to start adding routes</div>
+                        </div>
                     </div>
-                </div>
-            `;
-        }
+                `;
+            }
         
-        // Emit reset event
-        eventBus.emit('routeBoard:reset');
+            // Emit reset event
+            eventBus.emit('routeBoard:reset');
         
-        console.log('✅ Route board reset complete');
+            console.log('✅ Route board reset complete');
         
-    } catch (error) {
-        console.error('❌ Error resetting route board:', error);
-    }
+        } catch (error) {
+            console.error('❌ Error resetting route board:', error);
+        }
+    });
 }
 
 // =============================================================================
@@ -2132,7 +2327,11 @@ function renderRouteConfigGrid() {
                 <td class="px-3 py-2 text-xs text-gray-600">
                     ${assignments}
                 </td>
-                <td class="px-3 py-2">
+                <td class="px-3 py-2 whitespace-nowrap">
+                    <button class="route-stops-btn px-2 py-1 text-blue-600 hover:bg-blue-50 rounded text-xs"
+                            onclick="openRouteStopsDialog('${route.id}')" title="Edit stops">
+                        🚏 ${(route.stops || []).length}
+                    </button>
                     <button class="clear-route-btn px-2 py-1 text-red-600 hover:bg-red-50 rounded text-xs" 
                             data-route-number="${i}" title="Clear assignments">
                         🗑️
@@ -2222,6 +2421,20 @@ function setupRouteConfigEventListeners() {
         });
     });
     
+    // Late threshold shared by every route
+    const lateThresholdInput = document.getElementById('late-threshold-input');
+    if (lateThresholdInput) {
+        lateThresholdInput.value = getLateThresholdMinutes();
+        lateThresholdInput.onchange = (e) => {
+            try {
+                setLateThresholdMinutes(e.target.value);
+            } catch (error) {
+                e.target.value = getLateThresholdMinutes();
+                window.uiSystem?.showNotification(error.message, 'error');
+            }
+        };
+    }
+    
     // Clear route handlers
     document.querySelectorAll('.clear-route-btn').forEach(button => {
         button.addEventListener('click', (e) => {
@@ -2235,31 +2448,33 @@ function setupRouteConfigEventListeners() {
  * Clear all assignments for a route
  */
 function clearRouteAssignments(routeNumber) {
-    console.log(`🗑️ Clearing assignments for route ${routeNumber}`);
-    
-    const route = STATE.data.routes.find(r => r.routeNumber === routeNumber);
-    if (route) {
-        route.driver = null;
-        route.asset = null;
-        route.safetyEscorts = [];
-        route.notes = '';
-        route.status = 'unassigned';
-        route.updatedAt = new Date().toISOString();
+    return recordAction(`cleared assignments on Route ${routeNumber}`, () => {
+        console.log(`🗑️ Clearing assignments for route ${routeNumber}`);
+    
+        const route = STATE.data.routes.find(r => r.routeNumber === routeNumber);
+        if (route) {
+            route.driver = null;
+            route.asset = null;
+            route.safetyEscorts = [];
+            route.notes = '';
+            route.status = 'unassigned';
+            route.updatedAt = new Date().toISOString();
         
-        saveToLocalStorage();
+            saveToLocalStorage();
         
-        // Update the assignments display
-        const row = document.querySelector(`tr[data-route-number="${routeNumber}"]`);
-        if (row) {
-            const assignmentCell = row.querySelector('td:nth-child(4)');
-            if (assignmentCell) {
-                assignmentCell.innerHTML = '<span class="text-gray-500 text-xs">No assignments</span>';
+            // Update the assignments display
+            const row = document.querySelector(`tr[data-route-number="${routeNumber}"]`);
+            if (row) {
+                const assignmentCell = row.querySelector('td:nth-child(4)');
+                if (assignmentCell) {
+                    assignmentCell.innerHTML = '<span class="text-gray-500 text-xs">No assignments</span>';
+                }
             }
-        }
         
-        // Re-render dashboard if needed
-        renderRouteCards();
-    }
+            // Re-render dashboard if needed
+            renderRouteCards();
+        }
+    });
 }
 
 /**
@@ -2286,38 +2501,40 @@ function populateBulkActionDropdowns() {
  * Apply bulk changes to route range
  */
 function applyBulkRouteChanges() {
-    const startRange = parseInt(document.getElementById('bulk-route-range-start')?.value) || 1;
-    const endRange = parseInt(document.getElementById('bulk-route-range-end')?.value) || 100;
-    const bulkType = document.getElementById('bulk-route-type')?.value;
-    const bulkSchedule = document.getElementById('bulk-route-schedule')?.value;
-    
-    if (!bulkType && !bulkSchedule) {
-        alert('Please select a type or schedule to apply');
-        return;
-    }
+    return recordAction('applied bulk route changes', () => {
+        const startRange = parseInt(document.getElementById('bulk-route-range-start')?.value) || 1;
+        const endRange = parseInt(document.getElementById('bulk-route-range-end')?.value) || 100;
+        const bulkType = document.getElementById('bulk-route-type')?.value;
+        const bulkSchedule = document.getElementById('bulk-route-schedule')?.value;
+    
+        if (!bulkType && !bulkSchedule) {
+            alert('Please select a type or schedule to apply');
+            return;
+        }
     
-    console.log(`🔧 Applying bulk changes: Routes ${startRange}-${endRange}, Type: ${bulkType}, Schedule: ${bulkSchedule}`);
+        console.log(`🔧 Applying bulk changes: Routes ${startRange}-${endRange}, Type: ${bulkType}, Schedule: ${bulkSchedule}`);
     
-    let changedCount = 0;
-    for (let i = startRange; i <= endRange; i++) {
-        const existingRoute = STATE.data.routes.find(r => r.routeNumber === i);
-        if (existingRoute) {
-            if (bulkType) existingRoute.type = bulkType;
-            if (bulkSchedule) existingRoute.schedule = bulkSchedule;
-            existingRoute.updatedAt = new Date().toISOString();
-            changedCount++;
+        let changedCount = 0;
+        for (let i = startRange; i <= endRange; i++) {
+            const existingRoute = STATE.data.routes.find(r => r.routeNumber === i);
+            if (existingRoute) {
+                if (bulkType) existingRoute.type = bulkType;
+                if (bulkSchedule) existingRoute.schedule = bulkSchedule;
+                existingRoute.updatedAt = new Date().toISOString();
+                changedCount++;
+            }
         }
-    }
     
-    saveToLocalStorage();
+        saveToLocalStorage();
     
-    // Re-render the grid
-    renderRouteConfigGrid();
+        // Re-render the grid
+        renderRouteConfigGrid();
     
-    // Re-render dashboard
-    renderRouteCards();
+        // Re-render dashboard
+        renderRouteCards();
     
-    alert(`✅ Updated ${changedCount} routes`);
+        alert(`✅ Updated ${changedCount} routes`);
+    });
 }
 
 /**
@@ -2332,29 +2549,15 @@ function exportRouteConfigCSV() {
         .filter(route => route.routeNumber >= 1 && route.routeNumber <= 100)
         .sort((a, b) => a.routeNumber - b.routeNumber);
     
-    // Create CSV content
-    let csvContent = 'Route,Type\n';
-    routes.forEach(route => {
-        const typeMap = {
-            'general-education': 'Gen Ed',
-            'special-education': 'SE', 
-            'miscellaneous': 'Miscellaneous',
-            'inactive': 'Not Running'
-        };
-        const typeLabel = typeMap[route.type] || route.type;
-        csvContent += `${route.routeNumber},${typeLabel}\n`;
-    });
+    const typeMap = {
+        'general-education': 'Gen Ed',
+        'special-education': 'SE', 
+        'miscellaneous': 'Miscellaneous',
+        'inactive': 'Not Running'
+    };
+    const rows = routes.map(route => [route.routeNumber, typeMap[route.type] || route.type]);
     
-    // Download CSV
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `route-configuration-${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadCsv([['Route', 'Type'], ...rows], `route-configuration-${new Date().toISOString().split('T')[0]}.csv`);
     
     console.log('✅ Route configuration exported');
 }
@@ -2362,90 +2565,76 @@ function exportRouteConfigCSV() {
 /**
  * Handle CSV import for route configuration
  */
-function handleRouteCSVImport(event) {
+async function handleRouteCSVImport(event) {
     const file = event.target.files[0];
     if (!file) return;
     
     console.log('📥 Importing route configuration from CSV...');
     
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const csvText = e.target.result;
-            const lines = csvText.split('\n').filter(line => line.trim());
-            
-            // Skip header if present
-            const dataLines = lines[0].toLowerCase().includes('route') ? lines.slice(1) : lines;
+    // Reset file input so the same file can be chosen again
+    event.target.value = '';
+    
+    try {
+        const rows = await readCsv(file);
+        
+        // Skip header if present
+        const dataRows = rows.length > 0 && rows[0].join(' ').toLowerCase().includes('route') ? rows.slice(1) : rows;
+        
+        let importedCount = 0;
+        dataRows.forEach(([routeStr, typeStr]) => {
+            const routeNumber = parseInt(routeStr);
             
-            let importedCount = 0;
-            dataLines.forEach(line => {
-                const [routeStr, typeStr] = line.split(',').map(s => s.trim());
-                const routeNumber = parseInt(routeStr);
+            if (routeNumber >= 1 && routeNumber <= 100 && typeStr) {
+                const routeType = ROUTE_TYPE_SHEET_NAMES[typeStr] || 'inactive';
+                const schedule = routeType === 'inactive' ? 'none' : 'both';
                 
-                if (routeNumber >= 1 && routeNumber <= 100 && typeStr) {
-                    const typeMap = {
-                        'Gen Ed': 'general-education',
-                        'SE': 'special-education',
-                        'Miscellaneous': 'miscellaneous', 
-                        'Miscellanesous': 'miscellaneous', // Handle typo from user's CSV
-                        'Not Running': 'inactive',
-                        'Not Runining': 'inactive' // Handle typo from user's CSV
-                    };
-                    
-                    const routeType = typeMap[typeStr] || 'inactive';
-                    const schedule = routeType === 'inactive' ? 'none' : 'both';
-                    
-                    updateRouteConfig(routeNumber, routeType, schedule);
-                    importedCount++;
-                }
-            });
-            
-            // Re-render grid and dashboard
-            renderRouteConfigGrid();
-            renderRouteCards();
-            
-            alert(`✅ Imported ${importedCount} routes from CSV`);
-            console.log(`✅ Successfully imported ${importedCount} routes`);
-            
-        } catch (error) {
-            console.error('❌ Error importing CSV:', error);
-            alert('❌ Error importing CSV file. Please check the format.');
-        }
-    };
-    
-    reader.readAsText(file);
-    
-    // Reset file input
-    event.target.value = '';
+                updateRouteConfig(routeNumber, routeType, schedule);
+                importedCount++;
+            }
+        });
+        
+        // Re-render grid and dashboard
+        renderRouteConfigGrid();
+        renderRouteCards();
+        
+        alert(`✅ Imported ${importedCount} routes from CSV`);
+        console.log(`✅ Successfully imported ${importedCount} routes`);
+        
+    } catch (error) {
+        console.error('❌ Error importing CSV:', error);
+        alert('❌ Error importing CSV file. Please check the format.');
+    }
 }
 
 /**
  * Reset all routes to inactive
  */
 function resetAllRoutes() {
-    if (!confirm('Are you sure you want to reset all 100 routes to inactive? This will clear all route configurations but preserve assignments.')) {
-        return;
-    }
+    return recordAction('reset all routes to inactive', () => {
+        if (!confirm('Are you sure you want to reset all 100 routes to inactive? This will clear all route configurations but preserve assignments.')) {
+            return;
+        }
     
-    console.log('🔄 Resetting all routes to inactive...');
+        console.log('🔄 Resetting all routes to inactive...');
     
-    ensureAllRoutesExist();
+        ensureAllRoutesExist();
     
-    STATE.data.routes.forEach(route => {
-        if (route.routeNumber >= 1 && route.routeNumber <= 100) {
-            route.type = 'inactive';
-            route.schedule = 'none';
-            route.updatedAt = new Date().toISOString();
-        }
-    });
+        STATE.data.routes.forEach(route => {
+            if (route.routeNumber >= 1 && route.routeNumber <= 100) {
+                route.type = 'inactive';
+                route.schedule = 'none';
+                route.updatedAt = new Date().toISOString();
+            }
+        });
     
-    saveToLocalStorage();
+        saveToLocalStorage();
     
-    // Re-render grid and dashboard
-    renderRouteConfigGrid();
-    renderRouteCards();
+        // Re-render grid and dashboard
+        renderRouteConfigGrid();
+        renderRouteCards();
     
-    alert('✅ All routes reset to inactive');
+        alert('✅ All routes reset to inactive');
+    });
 }
 
 /**
@@ -2502,7 +2691,9 @@ window.cleanupSampleFieldTrips = cleanupSampleFieldTrips;
 
 export {
     ROUTE_TYPES,
+    ROUTE_TYPE_SHEET_NAMES,
     ROUTE_SCHEDULES,
+    createRouteTemplate,
     createRoute,
     initializeAllRoutes,
     updateRouteConfig,
@@ -2514,6 +2705,8 @@ export {
     updateRouteNotes,
     findRouteById,
     getRoutesByType,
+    describeRoute,
+    getBoardRoutes,
     getAvailableDrivers,
     getAvailableAssets,
     getAvailableSafetyEscorts,
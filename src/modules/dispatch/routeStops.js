@@ -0,0 +1,494 @@
+/* DISPATCH - ROUTE STOPS MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: ordered stop lists per route, stop call-ins, route
+   progress and late-running detection, the route stops dialog
+
+   A route definition carries its ordered stops:
+     stops: [{ id, name, address, amTime, pmTime, students }]  (times are "HH:MM")
+   The day's board records when the driver called each stop in:
+     stopCalls: { AM: { [stopId]: ISO time }, PM: { ... } }
+
+   A route is late when its 10-8 time is later than its first scheduled stop
+   for the shift plus STATE.data.routeTiming.lateThresholdMinutes. On today's
+   board a route that has not gone 10-8 yet is late once that time has passed.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { eventBus } from '../core/events.js';
+import { STATE, saveToLocalStorage, getTodayServiceDate } from '../core/state.js';
+import { debounceRender, generateId, escapeHtml } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { uiSystem } from '../ui/system.js';
+import { IN_SERVICE_STATUS } from '../core/statusCodes.js';
+
+// =============================================================================
+// STOP DATA
+// =============================================================================
+
+const DEFAULT_LATE_THRESHOLD_MINUTES = 10;
+const STOP_TIME_FIELDS = { AM: 'amTime', PM: 'pmTime' };
+const STOPS_MODAL_ID = 'route-stops-modal';
+const LATE_CHECK_INTERVAL = 60000;
+
+// Routes already announced as late, "<serviceDate>|<shift>|<routeId>"
+const announcedLateRoutes = new Set();
+let lateMonitorTimer = null;
+
+function findRoute(routeId) {
+    return (STATE.data?.routes || []).find(route => route.id === routeId) || null;
+}
+
+function describeRoute(routeId) {
+    return findRoute(routeId)?.name || routeId;
+}
+
+function isValidTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function normalizeStop(stop) {
+    const students = parseInt(stop.students, 10);
+    return {
+        id: stop.id || generateId('stop'),
+        name: String(stop.name || '').trim(),
+        address: String(stop.address || '').trim(),
+        amTime: isValidTime(stop.amTime) ? stop.amTime : '',
+        pmTime: isValidTime(stop.pmTime) ? stop.pmTime : '',
+        students: Number.isFinite(students) && students > 0 ? students : 0
+    };
+}
+
+function getRouteStops(route) {
+    return Array.isArray(route?.stops) ? route.stops : [];
+}
+
+/**
+ * Stops served on a shift, in route order. A stop with no time for either
+ * shift is served on both.
+ */
+function getShiftStops(route, shift = STATE.currentView) {
+    const field = STOP_TIME_FIELDS[shift];
+    return getRouteStops(route).filter(stop => stop[field] || (!stop.amTime && !stop.pmTime));
+}
+
+function formatStopTime(time) {
+    if (!isValidTime(time)) return '';
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+// =============================================================================
+// PROGRESS AND LATENESS
+// =============================================================================
+
+/**
+ * @returns {{total: number, called: number, students: number, nextStop: Object|null, calls: Object}}
+ */
+function getStopProgress(route, shift = STATE.currentView) {
+    const stops = getShiftStops(route, shift);
+    const calls = route?.stopCalls?.[shift] || {};
+    const called = stops.filter(stop => calls[stop.id]).length;
+
+    return {
+        total: stops.length,
+        called,
+        students: stops.reduce((sum, stop) => sum + (stop.students || 0), 0),
+        nextStop: stops.find(stop => !calls[stop.id]) || null,
+        calls
+    };
+}
+
+function getLateThresholdMinutes() {
+    const minutes = Number(STATE.data?.routeTiming?.lateThresholdMinutes);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_LATE_THRESHOLD_MINUTES;
+}
+
+function setLateThresholdMinutes(minutes) {
+    const value = parseInt(minutes, 10);
+    if (!Number.isFinite(value) || value < 0 || value > 240) {
+        throw new Error('Late threshold must be between 0 and 240 minutes');
+    }
+
+    return recordAction(`set the late threshold to ${value} min`, () => {
+        STATE.data.routeTiming = { ...(STATE.data.routeTiming || {}), lateThresholdMinutes: value };
+        saveToLocalStorage();
+        updateLateIndicators();
+        return value;
+    });
+}
+
+/**
+ * Earliest scheduled stop on the shift, as a Date on the open service day
+ */
+function getFirstStopTime(route, shift = STATE.currentView) {
+    const field = STOP_TIME_FIELDS[shift];
+    const times = getShiftStops(route, shift).map(stop => stop[field]).filter(isValidTime).sort();
+    if (times.length === 0 || !STATE.serviceDate) return null;
+    return new Date(`${STATE.serviceDate}T${times[0]}:00`);
+}
+
+/**
+ * When the route first went 10-8 on the shift, from the day's status history
+ */
+function getInServiceTime(route, shift = STATE.currentView) {
+    const history = STATE.statusTimestamps?.[route.id] || [];
+    const entry = history.find(item => item.status === IN_SERVICE_STATUS && (!item.shift || item.shift === shift));
+    return entry ? new Date(entry.timestamp) : null;
+}
+
+/**
+ * @returns {{minutesLate: number, scheduled: Date, inServiceAt: Date|null}|null} null when on time or unscheduled
+ */
+function getRouteLateness(route, shift = STATE.currentView, now = new Date()) {
+    const scheduled = getFirstStopTime(route, shift);
+    if (!scheduled) return null;
+
+    const inServiceAt = getInServiceTime(route, shift);
+    let reference = inServiceAt;
+    if (!reference) {
+        // Without a 10-8 the route can only be running late today
+        if (STATE.serviceDate !== getTodayServiceDate()) return null;
+        reference = now;
+    }
+
+    const minutesLate = Math.floor((reference - scheduled) / 60000);
+    if (minutesLate <= getLateThresholdMinutes()) return null;
+    return { minutesLate, scheduled, inServiceAt };
+}
+
+function getLateBadgeHtml(route) {
+    const lateness = getRouteLateness(route);
+    if (!lateness) return '';
+
+    const title = lateness.inServiceAt
+        ? `10-8 at ${lateness.inServiceAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}, first stop scheduled ${lateness.scheduled.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`
+        : `Not 10-8 yet, first stop scheduled ${lateness.scheduled.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+    return `<span class="late-badge px-2 py-0.5 rounded bg-red-600 text-white text-xs font-bold" title="${title}">⏰ ${lateness.minutesLate} min late</span>`;
+}
+
+/**
+ * Stops progress block for a route card
+ */
+function getStopProgressHtml(route) {
+    const progress = getStopProgress(route);
+    if (progress.total === 0) {
+        return `
+            <div class="stops-section mb-3">
+                <button class="text-xs text-blue-600 hover:underline" onclick="openRouteStopsDialog('${route.id}')">+ Add stops</button>
+            </div>
+        `;
+    }
+
+    const percent = Math.round((progress.called / progress.total) * 100);
+    const next = progress.nextStop;
+    const nextTime = next ? formatStopTime(next[STOP_TIME_FIELDS[STATE.currentView]]) : '';
+
+    return `
+        <div class="stops-section mb-3 p-2 rounded-md border border-gray-300 bg-white text-gray-800">
+            <div class="flex items-center justify-between text-sm mb-1">
+                <button class="font-medium text-blue-600 hover:underline" onclick="openRouteStopsDialog('${route.id}')">
+                    STOPS: ${progress.called}/${progress.total}
+                </button>
+                ${next ? `
+                    <button class="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs hover:bg-green-200"
+                            onclick="callInNextStop('${route.id}')" title="Driver called in ${escapeHtml(next.name)}">
+                        ✓ Next stop
+                    </button>
+                ` : '<span class="text-xs text-green-700 font-semibold">All stops called in</span>'}
+            </div>
+            <div class="w-full h-2 bg-gray-200 rounded">
+                <div class="h-2 rounded bg-green-500" style="width: ${percent}%"></div>
+            </div>
+            ${next ? `<div class="text-xs text-gray-600 mt-1">Next: ${escapeHtml(next.name)}${nextTime ? ` (${nextTime})` : ''}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Refresh late badges on rendered cards in place, without re-rendering the board
+ */
+function updateLateIndicators() {
+    if (typeof document === 'undefined') return;
+
+    document.querySelectorAll('.route-card[data-route-id]').forEach(card => {
+        const route = findRoute(card.dataset.routeId);
+        const slot = card.querySelector('.late-badge-slot');
+        if (!route || !slot) return;
+
+        const badge = getLateBadgeHtml(route);
+        if (slot.innerHTML.trim() !== badge) slot.innerHTML = badge;
+        card.classList.toggle('route-late', Boolean(badge));
+
+        if (badge) announceLateRoute(route);
+    });
+}
+
+function announceLateRoute(route) {
+    const key = `${STATE.serviceDate}|${STATE.currentView}|${route.id}`;
+    if (announcedLateRoutes.has(key)) return;
+    announcedLateRoutes.add(key);
+
+    const lateness = getRouteLateness(route);
+    eventBus.emit('route:late', { routeId: route.id, shift: STATE.currentView, ...lateness });
+    uiSystem.showNotification(`${route.name} is running ${lateness.minutesLate} min late`, 'warning', 8000);
+}
+
+function startLateMonitor() {
+    if (lateMonitorTimer) return;
+    lateMonitorTimer = setInterval(updateLateIndicators, LATE_CHECK_INTERVAL);
+    updateLateIndicators();
+}
+
+function stopLateMonitor() {
+    clearInterval(lateMonitorTimer);
+    lateMonitorTimer = null;
+}
+
+// =============================================================================
+// STOP MUTATIONS
+// =============================================================================
+
+/**
+ * Replace a route's stop list; call-ins for removed stops are dropped
+ * @param {string} routeId
+ * @param {Array} stops - in route order
+ */
+function setRouteStops(routeId, stops) {
+    const route = findRoute(routeId);
+    if (!route) {
+        console.error('❌ Route not found for stops update:', routeId);
+        return false;
+    }
+
+    const cleaned = stops.map(normalizeStop);
+    const unnamed = cleaned.findIndex(stop => !stop.name);
+    if (unnamed !== -1) {
+        throw new Error(`Stop ${unnamed + 1} needs a name`);
+    }
+
+    return recordAction(`updated stops on ${describeRoute(routeId)}`, () => {
+        route.stops = cleaned;
+        const ids = new Set(cleaned.map(stop => stop.id));
+        Object.values(route.stopCalls || {}).forEach(calls => {
+            Object.keys(calls).forEach(stopId => {
+                if (!ids.has(stopId)) delete calls[stopId];
+            });
+        });
+        route.updatedAt = new Date().toISOString();
+        saveToLocalStorage();
+        debounceRender('renderRouteCards');
+        return true;
+    });
+}
+
+/**
+ * Record (or undo) the driver calling a stop in on the current shift
+ */
+function toggleStopCall(routeId, stopId) {
+    const route = findRoute(routeId);
+    const stop = getRouteStops(route).find(item => item.id === stopId);
+    if (!route || !stop) return false;
+
+    const shift = STATE.currentView;
+    const called = Boolean(route.stopCalls?.[shift]?.[stopId]);
+
+    return recordAction(`${called ? 'cleared the call-in for' : 'called in'} ${stop.name} on ${route.name}`, () => {
+        route.stopCalls = route.stopCalls || {};
+        route.stopCalls[shift] = { ...(route.stopCalls[shift] || {}) };
+        if (called) {
+            delete route.stopCalls[shift][stopId];
+        } else {
+            route.stopCalls[shift][stopId] = new Date().toISOString();
+        }
+        saveToLocalStorage();
+        eventBus.emit('route:stopCalled', { routeId, stopId, shift, called: !called });
+        debounceRender('renderRouteCards');
+        return true;
+    });
+}
+
+function callInNextStop(routeId) {
+    const next = getStopProgress(findRoute(routeId)).nextStop;
+    return next ? toggleStopCall(routeId, next.id) : false;
+}
+
+// =============================================================================
+// ROUTE STOPS DIALOG
+// =============================================================================
+
+/**
+ * Call-in list for the current shift plus an editor for the stop list
+ */
+function openRouteStopsDialog(routeId) {
+    const initialRoute = findRoute(routeId);
+    if (!initialRoute) return;
+
+    // Undo and live sync replace route objects, so look the route up on every render
+    const currentRoute = () => findRoute(routeId) || initialRoute;
+    let draft = getRouteStops(initialRoute).map(stop => ({ ...stop }));
+    const modal = uiSystem.createModal(STOPS_MODAL_ID, `🚏 ${escapeHtml(initialRoute.name)} Stops`, '<div id="route-stops-body"></div>');
+    const body = modal.querySelector('#route-stops-body');
+
+    const render = () => {
+        const route = currentRoute();
+        const progress = getStopProgress(route);
+        const timeField = STOP_TIME_FIELDS[STATE.currentView];
+        const shiftStops = getShiftStops(route);
+
+        body.innerHTML = `
+            <div class="space-y-4" style="min-width: min(760px, 90vw);">
+                <div>
+                    <div class="flex justify-between items-center mb-2">
+                        <h4 class="font-semibold">${STATE.currentView} call-ins: ${progress.called}/${progress.total} stops, ${progress.students} students</h4>
+                        ${getLateBadgeHtml(route)}
+                    </div>
+                    ${shiftStops.length === 0 ? '<p class="text-sm text-gray-500">No stops on this shift yet.</p>' : `
+                        <ol class="space-y-1">
+                            ${shiftStops.map((stop, index) => {
+                                const calledAt = progress.calls[stop.id];
+                                return `
+                                    <li class="flex items-center justify-between p-2 rounded border ${calledAt ? 'bg-green-50 border-green-300' : 'bg-gray-50 border-gray-200'}">
+                                        <div class="text-sm">
+                                            <span class="font-mono text-gray-500">${index + 1}.</span>
+                                            <span class="font-medium">${escapeHtml(stop.name)}</span>
+                                            ${stop[timeField] ? `<span class="text-gray-600">· ${formatStopTime(stop[timeField])}</span>` : ''}
+                                            ${stop.students ? `<span class="text-gray-600">· ${stop.students} students</span>` : ''}
+                                            ${stop.address ? `<div class="text-xs text-gray-500">${escapeHtml(stop.address)}</div>` : ''}
+                                        </div>
+                                        <button type="button" data-action="call" data-stop-id="${stop.id}"
+                                                class="px-2 py-1 rounded text-xs ${calledAt ? 'bg-green-600 text-white' : 'bg-white border border-gray-300 hover:bg-green-100'}">
+                                            ${calledAt ? `✓ ${new Date(calledAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : 'Call in'}
+                                        </button>
+                                    </li>
+                                `;
+                            }).join('')}
+                        </ol>
+                    `}
+                </div>
+
+                <div>
+                    <h4 class="font-semibold mb-2">Stop list</h4>
+                    <table class="w-full text-sm">
+                        <thead class="bg-gray-100">
+                            <tr>
+                                <th class="px-1 py-1 text-left">#</th>
+                                <th class="px-1 py-1 text-left">Name</th>
+                                <th class="px-1 py-1 text-left">Address</th>
+                                <th class="px-1 py-1 text-left">AM</th>
+                                <th class="px-1 py-1 text-left">PM</th>
+                                <th class="px-1 py-1 text-left">Students</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${draft.map((stop, index) => `
+                                <tr data-index="${index}">
+                                    <td class="px-1 py-1 font-mono text-gray-500">${index + 1}</td>
+                                    <td class="px-1 py-1"><input data-field="name" class="w-full border rounded px-1" value="${escapeHtml(stop.name)}"></td>
+                                    <td class="px-1 py-1"><input data-field="address" class="w-full border rounded px-1" value="${escapeHtml(stop.address)}"></td>
+                                    <td class="px-1 py-1"><input data-field="amTime" type="time" class="border rounded px-1" value="${escapeHtml(stop.amTime)}"></td>
+                                    <td class="px-1 py-1"><input data-field="pmTime" type="time" class="border rounded px-1" value="${escapeHtml(stop.pmTime)}"></td>
+                                    <td class="px-1 py-1"><input data-field="students" type="number" min="0" class="w-16 border rounded px-1" value="${escapeHtml(stop.students || '')}"></td>
+                                    <td class="px-1 py-1 whitespace-nowrap">
+                                        <button type="button" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                                        <button type="button" data-action="down" title="Move down" ${index === draft.length - 1 ? 'disabled' : ''}>↓</button>
+                                        <button type="button" data-action="remove" class="text-red-600" title="Remove stop">✕</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <p id="route-stops-error" class="text-sm text-red-600 mt-1 hidden"></p>
+                    <div class="flex justify-between mt-2">
+                        <button type="button" data-action="add" class="btn btn-secondary">+ Add stop</button>
+                        <button type="button" data-action="save" class="btn btn-primary">Save stops</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    };
+
+    body.addEventListener('input', (e) => {
+        const row = e.target.closest('tr[data-index]');
+        if (row && e.target.dataset.field) {
+            draft[Number(row.dataset.index)][e.target.dataset.field] = e.target.value;
+        }
+    });
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const index = Number(button.closest('tr[data-index]')?.dataset.index);
+        switch (button.dataset.action) {
+            case 'call':
+                toggleStopCall(routeId, button.dataset.stopId);
+                break;
+            case 'add':
+                draft.push({ name: '', address: '', amTime: '', pmTime: '', students: 0 });
+                break;
+            case 'remove':
+                draft.splice(index, 1);
+                break;
+            case 'up':
+            case 'down': {
+                const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+                [draft[index], draft[target]] = [draft[target], draft[index]];
+                break;
+            }
+            case 'save':
+                try {
+                    setRouteStops(routeId, draft);
+                    draft = getRouteStops(currentRoute()).map(stop => ({ ...stop }));
+                    uiSystem.showNotification(`Saved ${draft.length} stop(s) on ${currentRoute().name}`, 'success');
+                } catch (error) {
+                    const errorEl = body.querySelector('#route-stops-error');
+                    errorEl.textContent = error.message;
+                    errorEl.classList.remove('hidden');
+                    return;
+                }
+                break;
+        }
+        render();
+    });
+
+    render();
+    uiSystem.openModal(modal.id);
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.openRouteStopsDialog = openRouteStopsDialog;
+    window.callInNextStop = callInNextStop;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    DEFAULT_LATE_THRESHOLD_MINUTES,
+    normalizeStop,
+    getRouteStops,
+    getShiftStops,
+    formatStopTime,
+    getStopProgress,
+    getLateThresholdMinutes,
+    setLateThresholdMinutes,
+    getFirstStopTime,
+    getInServiceTime,
+    getRouteLateness,
+    getLateBadgeHtml,
+    getStopProgressHtml,
+    updateLateIndicators,
+    startLateMonitor,
+    stopLateMonitor,
+    setRouteStops,
+    toggleStopCall,
+    callInNextStop,
+    openRouteStopsDialog
+};
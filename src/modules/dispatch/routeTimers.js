@@ -0,0 +1,279 @@
+/* DISPATCH - ROUTE TIMERS MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: elapsed-time counters on route and field trip cards,
+   per route type alarm thresholds, escalation of expired timers
+
+   Each card shows how long the route has held its current radio status,
+   from the shift's statusTimestamps history. A route's run starts at its
+   first 10-8 after the last 10-7 and ends at the next 10-7, so a route sent
+   out again after coming in starts a new run; once a run has gone longer than
+   its route type's alarmMinutes (ROUTE_TYPES in routeCards.js, overridden
+   by STATE.data.routeTiming.alarmMinutes) the timer expires. Expired timers
+   turn the card red and raise a toast, repeated and escalated while the
+   route stays out, so a route that never called 10-7 is not forgotten.
+   Alarms are checked over every route on both shifts, whichever shift the
+   board is showing.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { eventBus } from '../core/events.js';
+import { STATE, saveToLocalStorage, getTodayServiceDate } from '../core/state.js';
+import { debounceRender, escapeHtml } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { IN_SERVICE_STATUS, OUT_OF_SERVICE_STATUS, isRadioStatus } from '../core/statusCodes.js';
+import { showToast, triggerHapticFeedback } from '../touch/feedback.js';
+import { ROUTE_TYPES, getBoardRoutes } from './routeCards.js';
+
+// =============================================================================
+// ALARM THRESHOLDS
+// =============================================================================
+
+const TIMER_REFRESH_INTERVAL = 30000;
+const WARNING_LEAD_MINUTES = 10; // timer turns amber this long before it expires
+const REPEAT_ALARM_MINUTES = 15; // expired timers alarm again this often
+const MAX_ALARM_MINUTES = 720;
+const SHIFTS = ['AM', 'PM'];
+
+// Alarms raised so far, "<serviceDate>|<shift>|<routeId>" -> { count, lastAt }
+const raisedAlarms = new Map();
+let timerMonitor = null;
+
+function findRoute(routeId) {
+    return (STATE.data?.routes || []).find(route => route.id === routeId) || null;
+}
+
+function getRouteType(typeId) {
+    return Object.values(ROUTE_TYPES).find(type => type.id === typeId) || null;
+}
+
+/**
+ * Alarm threshold for a route type, in minutes; null when it never alarms
+ */
+function getAlarmMinutes(typeId) {
+    const override = STATE.data?.routeTiming?.alarmMinutes?.[typeId];
+    if (override === null || Number.isInteger(override)) return override || null;
+    return getRouteType(typeId)?.alarmMinutes ?? null;
+}
+
+/**
+ * @param {string} typeId - ROUTE_TYPES id
+ * @param {number|string} minutes - 0 turns the alarm off
+ */
+function setAlarmMinutes(typeId, minutes) {
+    const type = getRouteType(typeId);
+    if (!type) {
+        throw new Error(`Unknown route type ${typeId}`);
+    }
+
+    const value = Number(minutes);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_ALARM_MINUTES) {
+        throw new Error(`Alarm must be a whole number of minutes from 0 to ${MAX_ALARM_MINUTES}`);
+    }
+
+    return recordAction(`set ${type.label} timer alarm to ${value ? `${value} min` : 'off'}`, () => {
+        if (!STATE.data.routeTiming) STATE.data.routeTiming = {};
+        STATE.data.routeTiming.alarmMinutes = { ...STATE.data.routeTiming.alarmMinutes, [typeId]: value || null };
+        saveToLocalStorage();
+        debounceRender('renderRouteCards');
+        return value || null;
+    });
+}
+
+// =============================================================================
+// ELAPSED TIME
+// =============================================================================
+
+function formatDuration(minutes) {
+    const whole = Math.max(0, Math.floor(minutes));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Timer state for a route on the shift
+ * @returns {{status: string, since: Date, statusMinutes: number, startedAt: Date|null,
+ *   runMinutes: number|null, running: boolean, alarmMinutes: number|null,
+ *   level: 'ok'|'warning'|'expired'}|null} null when the route has no radio status
+ */
+function getRouteTimer(route, shift = STATE.currentView, now = new Date()) {
+    const history = (STATE.statusTimestamps?.[route.id] || [])
+        .filter(entry => !entry.shift || entry.shift === shift)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    // A route running both shifts has one status; the other shift stands
+    // where its own history left it
+    const status = shift === STATE.currentView ? route.status : history[history.length - 1]?.status;
+    if (!isRadioStatus(status)) return null;
+
+    const current = history.filter(entry => entry.status === status).pop();
+    if (!current) return null;
+
+    const since = new Date(current.timestamp);
+
+    // The run is what followed the last 10-7 before it ends (now, or at its own 10-7)
+    const runHistory = history.slice(0, status === OUT_OF_SERVICE_STATUS ? history.lastIndexOf(current) : history.length);
+    const lastOut = runHistory.map(entry => entry.status).lastIndexOf(OUT_OF_SERVICE_STATUS);
+    const start = runHistory.slice(lastOut + 1).find(entry => entry.status === IN_SERVICE_STATUS);
+    const startedAt = start ? new Date(start.timestamp) : null;
+
+    // Only today's board has a clock running; past days show how things stood
+    const isToday = STATE.serviceDate === getTodayServiceDate();
+    const running = Boolean(startedAt) && status !== OUT_OF_SERVICE_STATUS && isToday;
+    const runEnd = status === OUT_OF_SERVICE_STATUS ? since : now;
+    const runMinutes = startedAt ? (runEnd - startedAt) / 60000 : null;
+
+    const alarmMinutes = getAlarmMinutes(route.type);
+    let level = 'ok';
+    if (running && alarmMinutes) {
+        if (runMinutes >= alarmMinutes) level = 'expired';
+        else if (runMinutes >= alarmMinutes - WARNING_LEAD_MINUTES) level = 'warning';
+    }
+
+    return {
+        status,
+        since,
+        statusMinutes: ((isToday ? now : since) - since) / 60000,
+        startedAt,
+        runMinutes,
+        running,
+        alarmMinutes,
+        level
+    };
+}
+
+const TIMER_CLASSES = {
+    ok: 'bg-gray-100 text-gray-700',
+    warning: 'bg-amber-100 text-amber-800',
+    expired: 'bg-red-600 text-white'
+};
+
+function getTimerBadgeHtml(route) {
+    const timer = getRouteTimer(route);
+    if (!timer) return '';
+
+    const at = date => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const title = [
+        `${timer.status} since ${at(timer.since)}`,
+        timer.startedAt ? `${IN_SERVICE_STATUS} at ${at(timer.startedAt)}, out ${formatDuration(timer.runMinutes)}` : '',
+        timer.alarmMinutes ? `alarm after ${timer.alarmMinutes} min` : 'no alarm for this route type'
+    ].filter(Boolean).join(' · ');
+
+    // A finished run also shows how long it took
+    const text = timer.status === OUT_OF_SERVICE_STATUS && timer.runMinutes !== null
+        ? `${timer.status} ${formatDuration(timer.statusMinutes)} · run ${formatDuration(timer.runMinutes)}`
+        : `${timer.status} ${formatDuration(timer.statusMinutes)}`;
+
+    return `<span class="route-timer px-2 py-0.5 rounded text-xs font-semibold ${TIMER_CLASSES[timer.level]}" title="${escapeHtml(title)}">⏱ ${escapeHtml(text)}</span>`;
+}
+
+// =============================================================================
+// MONITOR AND ESCALATION
+// =============================================================================
+
+/**
+ * Raise alarms for expired timers on both shifts, then refresh timer badges
+ * on rendered cards in place, without re-rendering the board
+ */
+function updateRouteTimers() {
+    SHIFTS.forEach(shift => {
+        getBoardRoutes(shift).forEach(route => {
+            const timer = getRouteTimer(route, shift);
+            if (timer?.level === 'expired') raiseTimerAlarm(route, timer, shift);
+        });
+    });
+
+    if (typeof document === 'undefined') return;
+
+    document.querySelectorAll('.route-card[data-route-id]').forEach(card => {
+        const route = findRoute(card.dataset.routeId);
+        const slot = card.querySelector('.route-timer-slot');
+        if (!route || !slot) return;
+
+        const badge = getTimerBadgeHtml(route);
+        if (slot.innerHTML.trim() !== badge) slot.innerHTML = badge;
+        card.classList.toggle('route-overdue', getRouteTimer(route)?.level === 'expired');
+    });
+}
+
+/**
+ * Alarm for an expired timer: a warning toast first, then a persistent
+ * error toast every REPEAT_ALARM_MINUTES until the route goes 10-7
+ */
+function raiseTimerAlarm(route, timer, shift) {
+    const key = `${STATE.serviceDate}|${shift}|${route.id}`;
+    const previous = raisedAlarms.get(key);
+    const now = Date.now();
+    if (previous && now - previous.lastAt < REPEAT_ALARM_MINUTES * 60000) return;
+
+    const count = previous ? previous.count + 1 : 1;
+    raisedAlarms.set(key, { count, lastAt: now });
+
+    const escalated = count > 1;
+    const otherShift = shift !== STATE.currentView ? ` ${shift}` : '';
+    const message = `⏱ ${route.name}${otherShift} has been out ${formatDuration(timer.runMinutes)} without ${OUT_OF_SERVICE_STATUS}`
+        + ` (alarm ${timer.alarmMinutes} min)${escalated ? `, alarm #${count}` : ''}`;
+
+    eventBus.emit('route:timerExpired', { routeId: route.id, shift, count, ...timer });
+    triggerHapticFeedback(escalated ? 'error' : 'warning');
+    showToast(message, escalated ? 'error' : 'warning', escalated ? 0 : 10000, [
+        { id: 'show-route', text: 'Show route', handler: () => revealRouteCard(route.id, shift) }
+    ]);
+}
+
+function revealRouteCard(routeId, shift) {
+    if (shift !== STATE.currentView) window.DispatchApp?.switchToView(shift);
+
+    const card = document.querySelector(`.route-card[data-route-id="${routeId}"]`);
+    if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function startTimerMonitor() {
+    if (timerMonitor) return;
+    timerMonitor = setInterval(updateRouteTimers, TIMER_REFRESH_INTERVAL);
+    updateRouteTimers();
+}
+
+function stopTimerMonitor() {
+    clearInterval(timerMonitor);
+    timerMonitor = null;
+}
+
+// Prompt-based editor for the section headers on the board
+function editRouteTypeAlarm(typeId) {
+    const type = getRouteType(typeId);
+    if (!type) return;
+
+    const answer = prompt(`Timer alarm for ${type.label} routes, in minutes after ${IN_SERVICE_STATUS} (0 for no alarm):`, getAlarmMinutes(typeId) || 0);
+    if (answer === null) return;
+
+    try {
+        setAlarmMinutes(typeId, answer.trim());
+    } catch (error) {
+        window.uiSystem?.showNotification(error.message, 'error');
+    }
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.editRouteTypeAlarm = editRouteTypeAlarm;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    WARNING_LEAD_MINUTES,
+    REPEAT_ALARM_MINUTES,
+    getAlarmMinutes,
+    setAlarmMinutes,
+    formatDuration,
+    getRouteTimer,
+    getTimerBadgeHtml,
+    updateRouteTimers,
+    startTimerMonitor,
+    stopTimerMonitor
+};
@@ -10,7 +10,8 @@
 
 // Transportation Dispatch Dashboard Module Dependencies
 import { eventBus } from '../core/events.js';
-import { STATE, updateRouteNote, updateRouteStatus } from '../core/state.js';
+import { STATE, updateRouteNote } from '../core/state.js';
+import { checkStatusTransition, getCurrentStatus, getStatusCode, changeRouteStatus } from '../core/statusCodes.js';
 import { debounceRender, PERFORMANCE } from '../core/utils.js';
 
 // =============================================================================
@@ -447,7 +448,18 @@ function handleStatusChange(button) {
     const newStatus = button.dataset.status;
     const runKey = `${routeName}_${STATE.currentView}`;
     
-    updateRouteStatus(runKey, newStatus);
+    let note = '';
+    if (checkStatusTransition(getCurrentStatus(runKey), newStatus).needsNote) {
+        const code = getStatusCode(newStatus);
+        note = prompt(`${code.code} (${code.label}) needs a note:`, '');
+        if (note === null) return;
+    }
+
+    const result = changeRouteStatus(runKey, newStatus, { note });
+    if (!result.ok) {
+        window.uiSystem?.showNotification(result.reason, 'error');
+        return;
+    }
     console.log(`📊 Status updated for ${routeName}: ${newStatus}`);
     
     // Re-render to show changes
@@ -11,7 +11,11 @@
 // Transportation Dispatch Dashboard Module Dependencies
 import { eventBus } from '../core/events.js';
 import { STATE, saveToLocalStorage } from '../core/state.js';
-import { debounceRender, PERFORMANCE } from '../core/utils.js';
+import { debounceRender, PERFORMANCE, inlineArgument } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { readCsv, downloadCsv } from '../core/csv.js';
+import { describeShiftPattern, getWeekRuns, getStaffHours, getTimeOff, formatHours } from './staffSchedule.js';
+import { certificationLabel, renderCertificationPanel } from './certifications.js';
 
 // =============================================================================
 // STAFF RENDERING SYSTEM
@@ -89,6 +93,9 @@ function renderStaffPanel() {
         // Update summary counters
         updateStaffSummary(availableStaff);
         
+        // Certificates due soon, alongside the people they belong to
+        renderCertificationPanel();
+        
         console.log(`✅ Staff panel rendered: ${availableStaff.length} available, ${STATE.staffOut.length} out`);
         
     } catch (error) {
@@ -197,63 +204,80 @@ function createAvailableStaffElement(staff) {
 // =============================================================================
 
 function markStaffOut(staffName, reason = '') {
-    console.log(`🔴 Marking ${staffName} as out of service`);
-    
-    // Check if staff exists in data
-    const staffMember = STATE.data.staff.find(s => s.name === staffName);
-    if (!staffMember) {
-        console.error(`❌ Staff member ${staffName} not found`);
-        return false;
-    }
+    return recordAction(`marked ${staffName} out`, () => {
+        console.log(`🔴 Marking ${staffName} as out of service`);
+    
+        // Check if staff exists in data
+        const staffMember = STATE.data.staff.find(s => s.name === staffName);
+        if (!staffMember) {
+            console.error(`❌ Staff member ${staffName} not found`);
+            return false;
+        }
     
-    // Check if already out
-    if (STATE.staffOut.some(s => s.name === staffName)) {
-        console.warn(`⚠️ ${staffName} is already marked as out`);
-        return false;
-    }
+        // Check if already out
+        if (STATE.staffOut.some(s => s.name === staffName)) {
+            console.warn(`⚠️ ${staffName} is already marked as out`);
+            return false;
+        }
     
-    // Add to out list
-    STATE.staffOut.push({ 
-        name: staffName, 
-        reason: reason,
-        timestamp: new Date().toISOString()
-    });
+        // Add to out list
+        STATE.staffOut.push({ 
+            name: staffName, 
+            reason: reason,
+            timestamp: new Date().toISOString()
+        });
     
-    // Clear any current assignments
-    clearStaffAssignments(staffName);
+        // Clear any current assignments, noting the route card slots left empty
+        const orphaned = getStaffRouteSlots(staffName);
+        clearStaffAssignments(staffName);
     
-    // Save state and re-render
-    saveToLocalStorage();
-    debounceRender('renderStaffPanel');
+        // Save state and re-render
+        saveToLocalStorage();
+        debounceRender('renderStaffPanel');
+        if (orphaned.length > 0) debounceRender('renderRouteCards');
     
-    // Broadcast event
-    eventBus.emit('staff:markedOut', { staffName, reason });
+        // Broadcast event (dispatch/substitutes.js proposes replacements for orphaned slots)
+        eventBus.emit('staff:markedOut', { staffName, reason, orphaned });
     
-    console.log(`✅ ${staffName} marked as out of service`);
-    return true;
+        console.log(`✅ ${staffName} marked as out of service`);
+        return true;
+    });
 }
 
 function markStaffAvailable(staffName) {
-    console.log(`🟢 Marking ${staffName} as available`);
+    return recordAction(`marked ${staffName} available`, () => {
+        console.log(`🟢 Marking ${staffName} as available`);
     
-    // Remove from out list
-    const originalLength = STATE.staffOut.length;
-    STATE.staffOut = STATE.staffOut.filter(s => s.name !== staffName);
+        // Remove from out list
+        const originalLength = STATE.staffOut.length;
+        STATE.staffOut = STATE.staffOut.filter(s => s.name !== staffName);
     
-    if (STATE.staffOut.length === originalLength) {
-        console.warn(`⚠️ ${staffName} was not in the out list`);
-        return false;
-    }
+        if (STATE.staffOut.length === originalLength) {
+            console.warn(`⚠️ ${staffName} was not in the out list`);
+            return false;
+        }
     
-    // Save state and re-render
-    saveToLocalStorage();
-    debounceRender('renderStaffPanel');
+        // Save state and re-render
+        saveToLocalStorage();
+        debounceRender('renderStaffPanel');
     
-    // Broadcast event
-    eventBus.emit('staff:markedAvailable', { staffName });
+        // Broadcast event
+        eventBus.emit('staff:markedAvailable', { staffName });
     
-    console.log(`✅ ${staffName} marked as available`);
-    return true;
+        console.log(`✅ ${staffName} marked as available`);
+        return true;
+    });
+}
+
+/**
+ * Route card slots a staff member fills on the open day's board
+ * @returns {Array<{routeId: string, role: 'driver'|'escort'}>}
+ */
+function getStaffRouteSlots(staffName) {
+    return (STATE.data?.routes || []).flatMap(route => [
+        ...(route.driver?.name === staffName ? [{ routeId: route.id, role: 'driver' }] : []),
+        ...((route.safetyEscorts || []).some(escort => escort.name === staffName) ? [{ routeId: route.id, role: 'escort' }] : [])
+    ]);
 }
 
 function clearStaffAssignments(staffName) {
@@ -261,6 +285,24 @@ function clearStaffAssignments(staffName) {
     
     let assignmentsCleared = 0;
     
+    // Clear route cards
+    (STATE.data?.routes || []).forEach(route => {
+        let changed = false;
+        if (route.driver?.name === staffName) {
+            route.driver = null;
+            changed = true;
+        }
+        if ((route.safetyEscorts || []).some(escort => escort.name === staffName)) {
+            route.safetyEscorts = route.safetyEscorts.filter(escort => escort.name !== staffName);
+            changed = true;
+        }
+        if (changed) {
+            route.updatedAt = new Date().toISOString();
+            assignmentsCleared++;
+            console.log(`🗑️ Cleared ${staffName} from ${route.name}`);
+        }
+    });
+    
     // Clear route assignments
     Object.keys(STATE.assignments).forEach(runKey => {
         const assignment = STATE.assignments[runKey];
@@ -788,8 +830,10 @@ function createStaffModalItem(staff) {
         </div>
         <div class="flex items-center space-x-2">
             <span class="px-2 py-1 text-xs rounded-full ${getStatusBadgeColor(staff.status || 'Active')}">${staff.status || 'Active'}</span>
-            <button onclick="editStaffMember('${staff.id || staff.name}')" class="text-blue-600 hover:text-blue-800 text-sm">Edit</button>
-            <button onclick="removeStaffMember('${staff.id || staff.name}')" class="text-red-600 hover:text-red-800 text-sm">Remove</button>
+            <button onclick="editStaffMember(${inlineArgument(staff.id || staff.name)})" class="text-blue-600 hover:text-blue-800 text-sm">Edit</button>
+            <button onclick="openStaffScheduleDialog(${inlineArgument(staff.id || staff.name)})" class="text-gray-600 hover:text-gray-800 text-sm">Schedule</button>
+            <button onclick="openStaffCertificationsDialog(${inlineArgument(staff.id || staff.name)})" class="text-gray-600 hover:text-gray-800 text-sm">Certs</button>
+            <button onclick="removeStaffMember(${inlineArgument(staff.id || staff.name)})" class="text-red-600 hover:text-red-800 text-sm">Remove</button>
         </div>
     `;
     
@@ -906,14 +950,16 @@ function renderStaffDetailsPage(container, opts = {}) {
         }
 
         const frag = document.createDocumentFragment();
+        const weekRuns = getWeekRuns();
         filtered.forEach(staff => {
             const displayName = formatStaffDisplayName(staff);
             const assignmentInfo = getStaffAssignmentInfo(staff.name || staff.id);
+            const hours = getStaffHours(staff.name, weekRuns);
             const status = (staff.status || 'Active').toLowerCase().replace(/\s+/g, '-');
 
             // Build a fleet-like card for staff for visual parity
             const cardHtml = `
-                <div class="fleet-card staff ${status} bg-white rounded-lg shadow-sm p-6" onclick="if(event) event.stopPropagation(); if(typeof window.showStaffDetails === 'function'){ window.showStaffDetails('${staff.name || staff.id}'); }">
+                <div class="fleet-card staff ${status} bg-white rounded-lg shadow-sm p-6" onclick="if(event) event.stopPropagation(); if(typeof window.showStaffDetails === 'function'){ window.showStaffDetails(${inlineArgument(staff.name || staff.id)}); }">
                     <!-- Header -->
                     <div class="flex justify-between items-start mb-4">
                         <div>
@@ -945,6 +991,21 @@ function renderStaffDetailsPage(container, opts = {}) {
                             <span class="text-sm text-gray-900">${staff.status || 'Active'}</span>
                         </div>
 
+                        <div class="flex justify-between items-center">
+                            <span class="text-sm font-medium text-gray-600">Shifts:</span>
+                            <span class="text-sm text-gray-900 text-right">${describeShiftPattern(staff) || 'Any'}${getTimeOff(staff) ? ' · off today' : ''}</span>
+                        </div>
+
+                        <div class="flex justify-between items-center">
+                            <span class="text-sm font-medium text-gray-600">Certifications:</span>
+                            <span class="text-sm text-gray-900 text-right">${(staff.certifications || []).map(certification => certificationLabel(certification.type)).join(', ') || '—'}</span>
+                        </div>
+
+                        <div class="flex justify-between items-center">
+                            <span class="text-sm font-medium text-gray-600">Hours:</span>
+                            <span class="text-sm text-gray-900">${formatHours(hours.dayMinutes)} today · ${formatHours(hours.weekMinutes)} this week</span>
+                        </div>
+
                         ${assignmentInfo ? `
                         <div class="flex justify-between items-center">
                             <span class="text-sm font-medium text-gray-600">Assignment:</span>
@@ -958,7 +1019,9 @@ function renderStaffDetailsPage(container, opts = {}) {
 
                     <!-- Actions -->
                     <div class="flex gap-2 mt-4 pt-4 border-t border-gray-100">
-                        <button onclick="event.stopPropagation(); if(typeof window.editStaffMember === 'function') editStaffMember('${staff.id || staff.name}');" class="flex-1 text-sm bg-blue-50 text-blue-600 py-2 px-3 rounded hover:bg-blue-100">Edit Details</button>
+                        <button onclick="event.stopPropagation(); if(typeof window.editStaffMember === 'function') editStaffMember(${inlineArgument(staff.id || staff.name)});" class="flex-1 text-sm bg-blue-50 text-blue-600 py-2 px-3 rounded hover:bg-blue-100">Edit Details</button>
+                        <button onclick="event.stopPropagation(); openStaffScheduleDialog(${inlineArgument(staff.id || staff.name)});" class="flex-1 text-sm bg-gray-50 text-gray-700 py-2 px-3 rounded hover:bg-gray-100">Schedule</button>
+                        <button onclick="event.stopPropagation(); openStaffCertificationsDialog(${inlineArgument(staff.id || staff.name)});" class="flex-1 text-sm bg-gray-50 text-gray-700 py-2 px-3 rounded hover:bg-gray-100">Certifications</button>
                     </div>
                 </div>
             `;
@@ -1073,137 +1136,102 @@ function exportStaffListAsCSV() {
         return;
     }
     
-    // Create CSV content
     const headers = ['First Name', 'Last Name', 'Employee ID', 'Position', 'Department', 'Status', 'Phone', 'Email', 'Notes'];
-    const csvContent = [headers.join(',')];
-    
-    STATE.data.staff.forEach(staff => {
-        const row = [
-            staff.firstName || '',
-            staff.lastName || '',
-            staff.employeeId || '',
-            staff.position || '',
-            staff.department || '',
-            staff.status || '',
-            staff.phone || '',
-            staff.email || '',
-            (staff.notes || '').replace(/,/g, ';') // Replace commas to avoid CSV issues
-        ];
-        csvContent.push(row.map(field => `"${field}"`).join(','));
-    });
-    
-    // Create and download file
-    const blob = new Blob([csvContent.join('\n')], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `staff_list_${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(url);
+    const rows = STATE.data.staff.map(staff => [
+        staff.firstName || '',
+        staff.lastName || '',
+        staff.employeeId || '',
+        staff.position || '',
+        staff.department || '',
+        staff.status || '',
+        staff.phone || '',
+        staff.email || '',
+        staff.notes || ''
+    ]);
+    
+    downloadCsv([headers, ...rows], `staff_list_${new Date().toISOString().split('T')[0]}.csv`);
     
     console.log('✅ Staff list exported as CSV');
 }
 
-function handleStaffCSVImport(file) {
+async function handleStaffCSVImport(file) {
     console.log('👥 Processing staff CSV import:', file.name);
     
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = function(e) {
-            try {
-                const csv = e.target.result;
-                const lines = csv.split('\n').filter(line => line.trim());
-                
-                if (lines.length < 2) {
-                    reject(new Error('CSV file must contain headers and at least one data row'));
-                    return;
-                }
-                
-                const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-                const staffData = [];
-                let importCount = 0;
-                
-                // Get default values from form
-                const defaultStatus = document.getElementById('bulk-default-staff-status')?.value || 'Active';
-                const defaultDepartment = document.getElementById('bulk-default-department')?.value || 'Transportation';
-                
-                for (let i = 1; i < lines.length; i++) {
-                    const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-                    
-                    if (values.length < headers.length) continue;
-                    
-                    const staff = {};
-                    headers.forEach((header, index) => {
-                        const value = values[index] || '';
-                        
-                        switch (header.toLowerCase()) {
-                            case 'first name':
-                            case 'firstname':
-                                staff.firstName = value;
-                                break;
-                            case 'last name':
-                            case 'lastname':
-                                staff.lastName = value;
-                                break;
-                            case 'employee id':
-                            case 'employeeid':
-                            case 'id':
-                                staff.employeeId = value;
-                                break;
-                            case 'position':
-                            case 'role':
-                            case 'title':
-                                staff.position = value;
-                                break;
-                            case 'department':
-                                staff.department = value || defaultDepartment;
-                                break;
-                            case 'status':
-                                staff.status = value || defaultStatus;
-                                break;
-                            case 'phone':
-                            case 'telephone':
-                                staff.phone = value;
-                                break;
-                            case 'email':
-                                staff.email = value;
-                                break;
-                            case 'notes':
-                            case 'comments':
-                                staff.notes = value;
-                                break;
-                        }
-                    });
-                    
-                    // Validate required fields
-                    if (staff.firstName && staff.lastName) {
-                        // Set defaults if not provided
-                        staff.department = staff.department || defaultDepartment;
-                        staff.status = staff.status || defaultStatus;
-                        
-                        addNewStaffMember(staff);
-                        staffData.push(staff);
-                        importCount++;
-                    }
-                }
-                
-                resolve({ 
-                    imported: importCount, 
-                    total: lines.length - 1,
-                    data: staffData 
-                });
-                
-            } catch (error) {
-                reject(error);
+    const rows = await readCsv(file);
+    
+    if (rows.length < 2) {
+        throw new Error('CSV file must contain headers and at least one data row');
+    }
+    
+    const headers = rows[0];
+    const staffData = [];
+    let importCount = 0;
+    
+    // Get default values from form
+    const defaultStatus = document.getElementById('bulk-default-staff-status')?.value || 'Active';
+    const defaultDepartment = document.getElementById('bulk-default-department')?.value || 'Transportation';
+    
+    rows.slice(1).forEach(values => {
+        const staff = {};
+        headers.forEach((header, index) => {
+            const value = values[index] || '';
+            
+            switch (header.toLowerCase()) {
+                case 'first name':
+                case 'firstname':
+                    staff.firstName = value;
+                    break;
+                case 'last name':
+                case 'lastname':
+                    staff.lastName = value;
+                    break;
+                case 'employee id':
+                case 'employeeid':
+                case 'id':
+                    staff.employeeId = value;
+                    break;
+                case 'position':
+                case 'role':
+                case 'title':
+                    staff.position = value;
+                    break;
+                case 'department':
+                    staff.department = value || defaultDepartment;
+                    break;
+                case 'status':
+                    staff.status = value || defaultStatus;
+                    break;
+                case 'phone':
+                case 'telephone':
+                    staff.phone = value;
+                    break;
+                case 'email':
+                    staff.email = value;
+                    break;
+                case 'notes':
+                case 'comments':
+                    staff.notes = value;
+                    break;
             }
-        };
+        });
         
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsText(file);
+        // Validate required fields
+        if (staff.firstName && staff.lastName) {
+            // Set defaults if not provided
+            staff.department = staff.department || defaultDepartment;
+            staff.status = staff.status || defaultStatus;
+            
+            addNewStaffMember(staff);
+            staffData.push(staff);
+            importCount++;
+        }
     });
+    
+    return { 
+        imported: importCount, 
+        total: rows.length - 1,
+        data: staffData 
+    };
 }
 
 // =============================================================================
@@ -1215,8 +1243,10 @@ export {
     markStaffOut,
     markStaffAvailable,
     clearStaffAssignments,
+    getStaffRouteSlots,
     groupStaffByRole,
     getRoleColor,
+    setRoleColor,
     isStaffAssigned,
     getStaffAssignmentInfo,
     updateStaffSummary,
@@ -0,0 +1,545 @@
+/* DISPATCH - STAFF SCHEDULE MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: weekly shift patterns, planned time off, daily and
+   weekly hours from route status history, hours caps, driver availability
+   for an assignment, the staff schedule dialog
+
+   A staff record can carry its week and its time off:
+     shiftPattern: { mon: 'split', tue: 'am', ..., sun: 'off' }  (see SHIFT_PATTERNS)
+     timeOff: [{ id, from, to, reason }]  (inclusive YYYY-MM-DD service dates)
+   A weekday with no pattern is unrestricted, so staff without a schedule
+   are always on shift. STATE.staffOut still covers same-day absences.
+
+   Hours are worked time on route and field trip runs (10-8 to 10-7, see
+   data/reports.js), credited to the driver on the card, for the open
+   service day and its week (Monday to Sunday). A run still out counts up
+   to now on today's board. Caps live in STATE.data.hoursCaps, in hours;
+   an empty cap means no limit.
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { eventBus } from '../core/events.js';
+import { STATE, saveToLocalStorage, getTodayServiceDate, addDaysToServiceDate } from '../core/state.js';
+import { debounceRender, generateId, escapeHtml } from '../core/utils.js';
+import { recordAction } from '../core/history.js';
+import { uiSystem } from '../ui/system.js';
+import { getOpenServiceDay, loadServiceDays, extractRuns } from '../data/reports.js';
+
+// =============================================================================
+// SHIFT PATTERNS
+// =============================================================================
+
+const SHIFT_WINDOWS = {
+    AM: { start: '05:30', end: '09:30' },
+    MIDDAY: { start: '09:30', end: '13:30' },
+    PM: { start: '13:30', end: '17:30' }
+};
+
+const SHIFT_PATTERNS = {
+    am: { label: 'AM only', shifts: ['AM'] },
+    pm: { label: 'PM only', shifts: ['PM'] },
+    split: { label: 'Split (AM & PM)', shifts: ['AM', 'PM'] },
+    midday: { label: 'Midday', shifts: ['MIDDAY'] },
+    off: { label: 'Off', shifts: [] }
+};
+
+const WEEKDAYS = [
+    { key: 'mon', label: 'Mon' },
+    { key: 'tue', label: 'Tue' },
+    { key: 'wed', label: 'Wed' },
+    { key: 'thu', label: 'Thu' },
+    { key: 'fri', label: 'Fri' },
+    { key: 'sat', label: 'Sat' },
+    { key: 'sun', label: 'Sun' }
+];
+
+// Route runs with no history yet are projected at this length per shift
+const DEFAULT_RUN_MINUTES = 60;
+const SCHEDULE_MODAL_ID = 'staff-schedule-modal';
+
+function findStaff(staffId) {
+    return (STATE.data?.staff || []).find(staff => staff.id === staffId || staff.name === staffId) || null;
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function toMinutes(time) {
+    const match = String(time || '').match(/^([01]?\d|2[0-3]):([0-5]\d)/);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Weekday key ("mon".."sun") of a service date
+ */
+function getWeekdayKey(serviceDate) {
+    const [year, month, day] = serviceDate.split('-').map(Number);
+    return WEEKDAYS[(new Date(year, month - 1, day).getDay() + 6) % 7].key;
+}
+
+function getWeekStart(serviceDate) {
+    return addDaysToServiceDate(serviceDate, -WEEKDAYS.findIndex(day => day.key === getWeekdayKey(serviceDate)));
+}
+
+/**
+ * The staff member's pattern id for a service date, or null when unrestricted
+ */
+function getShiftPattern(staff, serviceDate = STATE.serviceDate) {
+    const pattern = staff?.shiftPattern?.[getWeekdayKey(serviceDate)];
+    return SHIFT_PATTERNS[pattern] ? pattern : null;
+}
+
+function getTimeOff(staff, serviceDate = STATE.serviceDate) {
+    return (staff?.timeOff || []).find(entry => entry.from <= serviceDate && serviceDate <= (entry.to || entry.from)) || null;
+}
+
+/**
+ * The shifts a route needs its driver for. Field trips need the span from
+ * departure to return; a route with no schedule needs the shift on the board.
+ */
+function getRouteShiftNeeds(route) {
+    if (route?.type === 'field-trips') {
+        const start = toMinutes(route.departureTime);
+        const end = toMinutes(route.returnTime);
+        return { shifts: [], start, end: end !== null && start !== null && end > start ? end : start };
+    }
+    const schedule = String(route?.schedule || 'none').toLowerCase();
+    const shifts = schedule === 'both' ? ['AM', 'PM'] : schedule === 'am' ? ['AM'] : schedule === 'pm' ? ['PM'] : [STATE.currentView || 'AM'];
+    return { shifts, start: null, end: null };
+}
+
+/**
+ * Is the staff member working when the route needs them? Routes need every
+ * shift they run; a field trip needs the driver on shift when it leaves.
+ */
+function isOnShiftFor(staff, route, serviceDate = STATE.serviceDate) {
+    const patternId = getShiftPattern(staff, serviceDate);
+    if (!patternId) return true;
+
+    const pattern = SHIFT_PATTERNS[patternId];
+    if (!route) return pattern.shifts.length > 0;
+
+    const needs = getRouteShiftNeeds(route);
+    if (needs.start !== null) {
+        return pattern.shifts.some(shift => {
+            const window = SHIFT_WINDOWS[shift];
+            return toMinutes(window.start) <= needs.start && needs.start < toMinutes(window.end);
+        });
+    }
+    if (route.type === 'field-trips') return pattern.shifts.length > 0;
+    return needs.shifts.every(shift => pattern.shifts.includes(shift));
+}
+
+// =============================================================================
+// HOURS
+// =============================================================================
+
+// Runs from the open day's week before the open day, loaded from storage
+let weekHistory = { serviceDate: null, runs: [] };
+let weekHistoryLoading = null;
+
+function getHoursCaps() {
+    const caps = STATE.data?.hoursCaps || {};
+    const cap = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+    return { daily: cap(caps.daily), weekly: cap(caps.weekly) };
+}
+
+function setHoursCaps({ daily, weekly }) {
+    const parse = (value, label, max) => {
+        if (value === '' || value === null || value === undefined) return null;
+        const hours = Number(value);
+        if (!Number.isFinite(hours) || hours < 0 || hours > max) {
+            throw new Error(`${label} hours cap must be between 0 and ${max}`);
+        }
+        return hours || null;
+    };
+    const caps = { daily: parse(daily, 'Daily', 24), weekly: parse(weekly, 'Weekly', 168) };
+
+    return recordAction('changed the driver hours caps', () => {
+        STATE.data.hoursCaps = caps;
+        saveToLocalStorage();
+        return caps;
+    });
+}
+
+/**
+ * Reload the earlier days of the open day's week. Call when the open day
+ * changes or stored days are replaced.
+ */
+function refreshStaffHours() {
+    const serviceDate = STATE.serviceDate;
+    if (!serviceDate) return Promise.resolve(weekHistory);
+
+    const weekStart = getWeekStart(serviceDate);
+    if (weekStart === serviceDate) {
+        weekHistory = { serviceDate, runs: [] };
+        return Promise.resolve(weekHistory);
+    }
+
+    weekHistoryLoading = loadServiceDays(weekStart, addDaysToServiceDate(serviceDate, -1))
+        .then(days => {
+            if (STATE.serviceDate === serviceDate) {
+                weekHistory = { serviceDate, runs: days.flatMap(day => extractRuns(day).runs) };
+            }
+            return weekHistory;
+        })
+        .catch(error => {
+            console.error('❌ Error loading staff hours:', error);
+            return weekHistory;
+        })
+        .finally(() => {
+            weekHistoryLoading = null;
+        });
+    return weekHistoryLoading;
+}
+
+/**
+ * Runs on the open day, with runs still out counted up to now on today's board
+ */
+function getOpenDayRuns() {
+    const openDay = getOpenServiceDay();
+    if (!openDay.date) return [];
+
+    const isToday = openDay.date === getTodayServiceDate();
+    const now = Date.now();
+    return extractRuns(openDay).runs.map(run => (run.complete || !isToday
+        ? run
+        : { ...run, minutes: Math.max(0, (now - new Date(run.start)) / 60000) }));
+}
+
+function getWeekRuns() {
+    if (weekHistory.serviceDate !== STATE.serviceDate) {
+        if (!weekHistoryLoading) refreshStaffHours();
+        return getOpenDayRuns();
+    }
+    return [...weekHistory.runs, ...getOpenDayRuns()];
+}
+
+function sumMinutes(runs) {
+    return runs.reduce((total, run) => total + (run.minutes || 0), 0);
+}
+
+/**
+ * Minutes worked by a staff member on the open day and in its week
+ * @returns {{dayMinutes: number, weekMinutes: number}}
+ */
+function getStaffHours(name, runs = getWeekRuns()) {
+    const own = runs.filter(run => run.driver === name);
+    return {
+        dayMinutes: sumMinutes(own.filter(run => run.date === STATE.serviceDate)),
+        weekMinutes: sumMinutes(own)
+    };
+}
+
+/**
+ * Minutes still to be driven on a route today: the trip length for field
+ * trips, otherwise the route's average run this week for each shift it has
+ * not finished yet.
+ */
+function getProjectedMinutes(route, runs = getWeekRuns()) {
+    if (!route) return 0;
+
+    const needs = getRouteShiftNeeds(route);
+    if (route.type === 'field-trips') {
+        return needs.start !== null && needs.end > needs.start ? needs.end - needs.start : 0;
+    }
+
+    const routeRuns = runs.filter(run => run.routeKey === route.id && run.complete);
+    const average = routeRuns.length > 0 ? sumMinutes(routeRuns) / routeRuns.length : DEFAULT_RUN_MINUTES;
+    const remaining = needs.shifts.filter(shift =>
+        !routeRuns.some(run => run.date === STATE.serviceDate && run.shift === shift));
+    return average * remaining.length;
+}
+
+function formatHours(minutes) {
+    return `${(minutes / 60).toFixed(1)} h`;
+}
+
+// =============================================================================
+// AVAILABILITY
+// =============================================================================
+
+/**
+ * Can this staff member drive the route on the open day?
+ * @param {Object} staff
+ * @param {Object} [route] - the route being assigned; without one only the shift pattern and time off are checked
+ * @returns {{available: boolean, reason: string|null, dayMinutes: number, weekMinutes: number}}
+ */
+function getDriverAvailability(staff, route = null, runs = getWeekRuns()) {
+    const hours = getStaffHours(staff.name, runs);
+    const result = reason => ({ available: !reason, reason, ...hours });
+    const serviceDate = STATE.serviceDate || getTodayServiceDate();
+
+    const timeOff = getTimeOff(staff, serviceDate);
+    if (timeOff) return result(`time off${timeOff.reason ? `: ${timeOff.reason}` : ''}`);
+    if (!isOnShiftFor(staff, route, serviceDate)) {
+        const patternId = getShiftPattern(staff, serviceDate);
+        return result(patternId === 'off' ? 'not scheduled today' : `works ${SHIFT_PATTERNS[patternId].label}`);
+    }
+
+    const caps = getHoursCaps();
+    const projected = getProjectedMinutes(route, runs);
+    if (caps.daily && hours.dayMinutes + projected > caps.daily * 60) {
+        return result(`would pass the ${caps.daily} h daily cap (${formatHours(hours.dayMinutes)} today)`);
+    }
+    if (caps.weekly && hours.weekMinutes + projected > caps.weekly * 60) {
+        return result(`would pass the ${caps.weekly} h weekly cap (${formatHours(hours.weekMinutes)} this week)`);
+    }
+    return result(null);
+}
+
+// =============================================================================
+// SCHEDULE EDITING
+// =============================================================================
+
+function normalizeShiftPattern(pattern) {
+    const cleaned = {};
+    WEEKDAYS.forEach(({ key }) => {
+        if (SHIFT_PATTERNS[pattern?.[key]]) cleaned[key] = pattern[key];
+    });
+    return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+function normalizeTimeOff(entries) {
+    return (entries || []).map((entry, index) => {
+        const from = String(entry.from || '').trim();
+        const to = String(entry.to || '').trim() || from;
+        if (!isValidDate(from) || !isValidDate(to)) {
+            throw new Error(`Time off ${index + 1} needs a start date`);
+        }
+        if (to < from) {
+            throw new Error(`Time off ${index + 1} ends before it starts`);
+        }
+        return { id: entry.id || generateId('off'), from, to, reason: String(entry.reason || '').trim() };
+    }).sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Save a staff member's weekly pattern and time off
+ */
+function setStaffSchedule(staffId, { shiftPattern, timeOff }) {
+    const staff = findStaff(staffId);
+    if (!staff) return false;
+
+    const pattern = normalizeShiftPattern(shiftPattern);
+    const entries = normalizeTimeOff(timeOff);
+
+    return recordAction(`updated the schedule for ${staff.name}`, () => {
+        if (pattern) staff.shiftPattern = pattern;
+        else delete staff.shiftPattern;
+        staff.timeOff = entries;
+        saveToLocalStorage();
+        debounceRender('renderStaffPanel');
+        eventBus.emit('staff:scheduleChanged', { staff });
+        return true;
+    });
+}
+
+/**
+ * One-line summary of the week, e.g. "Mon–Fri Split (AM & PM) · Sat–Sun Off"
+ */
+function describeShiftPattern(staff) {
+    const pattern = staff?.shiftPattern || {};
+    const groups = [];
+    WEEKDAYS.forEach(day => {
+        const id = SHIFT_PATTERNS[pattern[day.key]] ? pattern[day.key] : null;
+        const last = groups[groups.length - 1];
+        if (last && last.id === id) last.to = day.label;
+        else groups.push({ id, from: day.label, to: day.label });
+    });
+    return groups
+        .filter(group => group.id)
+        .map(group => `${group.from === group.to ? group.from : `${group.from}–${group.to}`} ${SHIFT_PATTERNS[group.id].label}`)
+        .join(' · ');
+}
+
+function openStaffScheduleDialog(staffId) {
+    const initialStaff = findStaff(staffId);
+    if (!initialStaff) return;
+
+    // Undo and live sync replace staff objects, so look the record up on every render
+    const currentStaff = () => findStaff(staffId) || initialStaff;
+    let pattern = { ...(initialStaff.shiftPattern || {}) };
+    let timeOff = (initialStaff.timeOff || []).map(entry => ({ ...entry }));
+    const modal = uiSystem.createModal(SCHEDULE_MODAL_ID, `🕒 ${escapeHtml(initialStaff.name)} Schedule`, '<div id="staff-schedule-body"></div>');
+    const body = modal.querySelector('#staff-schedule-body');
+
+    const render = () => {
+        const staff = currentStaff();
+        const hours = getStaffHours(staff.name);
+        const caps = getHoursCaps();
+        const today = getTimeOff(staff);
+
+        body.innerHTML = `
+            <div class="space-y-4" style="min-width: min(640px, 90vw);">
+                <div class="text-sm text-gray-700">
+                    <span class="font-semibold">${formatHours(hours.dayMinutes)}</span> on ${escapeHtml(STATE.serviceDate || 'the open day')}
+                    · <span class="font-semibold">${formatHours(hours.weekMinutes)}</span> this week
+                    ${today ? `<span class="ml-2 px-2 py-0.5 rounded bg-yellow-100 text-yellow-800 text-xs">Off: ${escapeHtml(today.reason || 'time off')}</span>` : ''}
+                </div>
+
+                <div>
+                    <h4 class="font-semibold mb-2">Weekly shifts</h4>
+                    <div class="grid grid-cols-7 gap-1">
+                        ${WEEKDAYS.map(day => `
+                            <label class="text-xs text-gray-600">${day.label}
+                                <select data-day="${day.key}" class="w-full border rounded px-1 py-1 text-sm">
+                                    <option value="">Any</option>
+                                    ${Object.entries(SHIFT_PATTERNS).map(([id, shift]) => `
+                                        <option value="${id}" ${pattern[day.key] === id ? 'selected' : ''}>${shift.label}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="text-xs text-gray-500 mt-1">
+                        AM ${SHIFT_WINDOWS.AM.start}–${SHIFT_WINDOWS.AM.end}, midday ${SHIFT_WINDOWS.MIDDAY.start}–${SHIFT_WINDOWS.MIDDAY.end},
+                        PM ${SHIFT_WINDOWS.PM.start}–${SHIFT_WINDOWS.PM.end}. "Any" leaves the day unrestricted.
+                    </p>
+                </div>
+
+                <div>
+                    <h4 class="font-semibold mb-2">Time off</h4>
+                    ${timeOff.length === 0 ? '<p class="text-sm text-gray-500">No time off planned.</p>' : `
+                        <table class="w-full text-sm">
+                            <thead class="bg-gray-100">
+                                <tr>
+                                    <th class="px-1 py-1 text-left">From</th>
+                                    <th class="px-1 py-1 text-left">To</th>
+                                    <th class="px-1 py-1 text-left">Reason</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${timeOff.map((entry, index) => `
+                                    <tr data-index="${index}">
+                                        <td class="px-1 py-1"><input data-field="from" type="date" class="border rounded px-1" value="${escapeHtml(entry.from)}"></td>
+                                        <td class="px-1 py-1"><input data-field="to" type="date" class="border rounded px-1" value="${escapeHtml(entry.to)}"></td>
+                                        <td class="px-1 py-1"><input data-field="reason" class="w-full border rounded px-1" value="${escapeHtml(entry.reason)}"></td>
+                                        <td class="px-1 py-1"><button type="button" data-action="remove-off" class="text-red-600" title="Remove">✕</button></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                    <button type="button" data-action="add-off" class="btn btn-secondary mt-2">+ Add time off</button>
+                </div>
+
+                <div>
+                    <h4 class="font-semibold mb-2">Hours caps (every driver)</h4>
+                    <div class="flex gap-4 text-sm">
+                        <label>Daily <input id="staff-hours-cap-daily" type="number" min="0" max="24" step="0.5" class="w-20 border rounded px-1" value="${caps.daily ?? ''}"> h</label>
+                        <label>Weekly <input id="staff-hours-cap-weekly" type="number" min="0" max="168" step="0.5" class="w-20 border rounded px-1" value="${caps.weekly ?? ''}"> h</label>
+                    </div>
+                    <p class="text-xs text-gray-500 mt-1">Drivers who would go over a cap are left out of the driver list. Leave empty for no cap.</p>
+                </div>
+
+                <p id="staff-schedule-error" class="text-sm text-red-600 hidden"></p>
+                <div class="flex justify-end gap-2">
+                    <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Close</button>
+                    <button type="button" data-action="save" class="btn btn-primary">Save schedule</button>
+                </div>
+            </div>
+        `;
+    };
+
+    body.addEventListener('input', (e) => {
+        if (e.target.dataset.day) {
+            pattern[e.target.dataset.day] = e.target.value;
+        }
+        const row = e.target.closest('tr[data-index]');
+        if (row && e.target.dataset.field) {
+            timeOff[Number(row.dataset.index)][e.target.dataset.field] = e.target.value;
+        }
+    });
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'add-off': {
+                const from = STATE.serviceDate || getTodayServiceDate();
+                timeOff.push({ from, to: from, reason: '' });
+                break;
+            }
+            case 'remove-off':
+                timeOff.splice(Number(button.closest('tr[data-index]').dataset.index), 1);
+                break;
+            case 'save':
+                try {
+                    const caps = getHoursCaps();
+                    const daily = body.querySelector('#staff-hours-cap-daily').value;
+                    const weekly = body.querySelector('#staff-hours-cap-weekly').value;
+                    if (String(caps.daily ?? '') !== daily || String(caps.weekly ?? '') !== weekly) {
+                        setHoursCaps({ daily, weekly });
+                    }
+                    setStaffSchedule(staffId, { shiftPattern: pattern, timeOff });
+                    pattern = { ...(currentStaff().shiftPattern || {}) };
+                    timeOff = (currentStaff().timeOff || []).map(entry => ({ ...entry }));
+                    uiSystem.showNotification(`Saved the schedule for ${currentStaff().name}`, 'success');
+                } catch (error) {
+                    const errorEl = body.querySelector('#staff-schedule-error');
+                    errorEl.textContent = error.message;
+                    errorEl.classList.remove('hidden');
+                    return;
+                }
+                break;
+        }
+        render();
+    });
+
+    render();
+    uiSystem.openModal(modal.id);
+    // Earlier days of the week load in the background; show them once they arrive
+    refreshStaffHours().then(() => {
+        if (body.isConnected) render();
+    });
+}
+
+/**
+ * Keep the week's hours in step with the open day
+ */
+function startStaffHoursTracking() {
+    refreshStaffHours();
+    eventBus.on('serviceDay:changed', () => refreshStaffHours());
+    eventBus.on('data:restored', () => refreshStaffHours());
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.openStaffScheduleDialog = openStaffScheduleDialog;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    SHIFT_WINDOWS,
+    SHIFT_PATTERNS,
+    WEEKDAYS,
+    DEFAULT_RUN_MINUTES,
+    getWeekdayKey,
+    getWeekStart,
+    getShiftPattern,
+    getTimeOff,
+    isOnShiftFor,
+    getHoursCaps,
+    setHoursCaps,
+    refreshStaffHours,
+    getWeekRuns,
+    getStaffHours,
+    getProjectedMinutes,
+    formatHours,
+    getDriverAvailability,
+    setStaffSchedule,
+    describeShiftPattern,
+    openStaffScheduleDialog,
+    startStaffHoursTracking
+};
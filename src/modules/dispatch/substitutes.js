@@ -0,0 +1,342 @@
+/* DISPATCH - SUBSTITUTES MODULE
+   Transportation Dispatch Dashboard
+
+   Functions included: ranked replacement drivers and escorts for route card
+   slots left empty when someone is marked out, and the cover dialog with
+   one-tap accept
+
+   Candidates must be free (not out, not on another card), on shift for the
+   route and, for drivers, under the hours caps and qualified for the route
+   and its asset (see dispatch/staffSchedule.js and dispatch/certifications.js).
+   They are then scored on:
+     role         a sub driver first, then a spare regular driver, then office
+                  or shop staff holding a current CDL (anyone else can't drive)
+     familiarity  service days they have driven (or escorted) the route in
+                  the last FAMILIARITY_DAYS, from the status history
+     load         hours already worked today and this week
+     schedule     a shift pattern that covers the route, rather than none
+     expiring     a required certificate that runs out within 30 days
+*/
+
+// Transportation Dispatch Dashboard Module Dependencies
+import { eventBus } from '../core/events.js';
+import { STATE, getTodayServiceDate, addDaysToServiceDate } from '../core/state.js';
+import { debounceRender, escapeHtml } from '../core/utils.js';
+import { uiSystem } from '../ui/system.js';
+import { loadServiceDays, extractRuns } from '../data/reports.js';
+import { assignDriver, addSafetyEscort } from './routeCards.js';
+import { getDriverAvailability, getShiftPattern, getTimeOff, isOnShiftFor, getStaffHours, getWeekRuns, formatHours } from './staffSchedule.js';
+import { checkQualifications, findCertification } from './certifications.js';
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+const FAMILIARITY_DAYS = 60;
+const SUGGESTIONS_SHOWN = 3;
+const SUGGESTIONS_MAX = 8;
+const SUBSTITUTES_MODAL_ID = 'substitutes-modal';
+
+const SCORE_WEIGHTS = {
+    subRole: 40,
+    spareDriver: 30,
+    escortRole: 40,
+    cdlHolder: 15,
+    familiarityPerDay: 3,
+    familiarityMax: 24,
+    scheduled: 5,
+    perHourToday: -3,
+    perHourThisWeek: -0.5,
+    expiringCertificate: -5
+};
+
+const SUB_ROLE_PATTERN = /\bsub\b|substitute|utility|spare/i;
+const DRIVER_ROLE_PATTERN = /driver/i;
+const ESCORT_ROLE_PATTERN = /escort|monitor|aide/i;
+
+function findRoute(routeId) {
+    return (STATE.data?.routes || []).find(route => route.id === routeId) || null;
+}
+
+function roleOf(staff) {
+    return String(staff.position || staff.role || '');
+}
+
+/**
+ * 'sub' for sub and utility drivers, 'driver' for regular drivers, otherwise null
+ */
+function getDrivingRole(staff) {
+    const role = roleOf(staff);
+    if (SUB_ROLE_PATTERN.test(role)) return 'sub';
+    if (DRIVER_ROLE_PATTERN.test(role)) return 'driver';
+    return null;
+}
+
+/**
+ * Points and a label for how well the staff member's role suits the slot,
+ * or null when they can't fill it at all
+ */
+function scoreRole(staff, slotRole, date) {
+    const role = roleOf(staff);
+    if (slotRole === 'escort') {
+        if (ESCORT_ROLE_PATTERN.test(role)) return { points: SCORE_WEIGHTS.escortRole, label: role };
+        if (SUB_ROLE_PATTERN.test(role)) return { points: SCORE_WEIGHTS.spareDriver, label: role };
+        return { points: 0, label: role || 'Staff' };
+    }
+
+    const drivingRole = getDrivingRole(staff);
+    if (drivingRole === 'sub') return { points: SCORE_WEIGHTS.subRole, label: role };
+    if (drivingRole === 'driver') return { points: SCORE_WEIGHTS.spareDriver, label: `Spare ${role.toLowerCase()}` };
+
+    const cdl = findCertification(staff, 'cdl');
+    if (cdl && (!cdl.expires || cdl.expires >= date)) {
+        return { points: SCORE_WEIGHTS.cdlHolder, label: `${role || 'Staff'} with CDL` };
+    }
+    return null;
+}
+
+/**
+ * Who drove and escorted each route on each day of the recent history
+ * @returns {Promise<{driver: Map<string, Set<string>>, escort: Map<string, Set<string>>}>} keyed "routeId|name", values are service dates
+ */
+async function loadRouteHistory(days = FAMILIARITY_DAYS) {
+    const to = STATE.serviceDate || getTodayServiceDate();
+    const serviceDays = await loadServiceDays(addDaysToServiceDate(to, -(days - 1)), to);
+    const history = { driver: new Map(), escort: new Map() };
+    const add = (map, routeId, name, date) => {
+        if (!name) return;
+        const key = `${routeId}|${name}`;
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(date);
+    };
+
+    serviceDays.forEach(serviceDay => {
+        extractRuns(serviceDay).runs.forEach(run => add(history.driver, run.routeKey, run.driver, run.date));
+        Object.entries(serviceDay.day.routeBoard || {}).forEach(([routeId, entry]) => {
+            (entry?.safetyEscorts || []).forEach(escort => add(history.escort, routeId, escort?.name, serviceDay.date));
+        });
+    });
+    return history;
+}
+
+/**
+ * Ranked replacements for one route card slot
+ * @param {string} routeId
+ * @param {'driver'|'escort'} [role]
+ * @param {Object} [options]
+ * @param {Object} [options.history] - from loadRouteHistory(), loaded when not given
+ * @returns {Promise<Array<{staff: Object, score: number, reasons: string[], warnings: string[]}>>} best first
+ */
+async function getSubstituteRecommendations(routeId, role = 'driver', { history = null, limit = SUGGESTIONS_MAX } = {}) {
+    const route = findRoute(routeId);
+    if (!route) return [];
+
+    const routeHistory = history || await loadRouteHistory();
+    const date = STATE.serviceDate || getTodayServiceDate();
+    const runs = getWeekRuns();
+    const onCards = new Set((STATE.data.routes || []).flatMap(r => [
+        r.driver?.name,
+        ...(r.safetyEscorts || []).map(escort => escort.name)
+    ]).filter(Boolean));
+
+    const candidates = (STATE.data.staff || []).flatMap(staff => {
+        if (!staff.name || onCards.has(staff.name)) return [];
+        if (STATE.staffOut.some(out => out.name === staff.name)) return [];
+        if (String(staff.status || '').toLowerCase() === 'inactive') return [];
+
+        const roleScore = scoreRole(staff, role, date);
+        if (!roleScore) return [];
+
+        const warnings = [];
+        if (role === 'driver') {
+            if (!getDriverAvailability(staff, route, runs).available) return [];
+            const qualifications = checkQualifications(staff, { route });
+            if (qualifications.blocking.length > 0) return [];
+            warnings.push(...qualifications.warnings);
+        } else if (getTimeOff(staff, date) || !isOnShiftFor(staff, route, date)) {
+            return [];
+        }
+
+        const reasons = [roleScore.label];
+        let score = roleScore.points;
+
+        const familiarDays = routeHistory[role].get(`${route.id}|${staff.name}`)?.size || 0;
+        if (familiarDays > 0) {
+            score += Math.min(familiarDays * SCORE_WEIGHTS.familiarityPerDay, SCORE_WEIGHTS.familiarityMax);
+            reasons.push(`${role === 'driver' ? 'drove' : 'escorted'} it ${familiarDays} day${familiarDays === 1 ? '' : 's'} in ${FAMILIARITY_DAYS}`);
+        }
+
+        if (getShiftPattern(staff, date)) {
+            score += SCORE_WEIGHTS.scheduled;
+            reasons.push('scheduled for this shift');
+        }
+
+        const hours = getStaffHours(staff.name, runs);
+        if (hours.weekMinutes > 0) {
+            score += (hours.dayMinutes / 60) * SCORE_WEIGHTS.perHourToday + (hours.weekMinutes / 60) * SCORE_WEIGHTS.perHourThisWeek;
+            reasons.push(`${formatHours(hours.dayMinutes)} today, ${formatHours(hours.weekMinutes)} this week`);
+        }
+
+        score += warnings.length * SCORE_WEIGHTS.expiringCertificate;
+        return [{ staff, score: Math.round(score * 10) / 10, reasons, warnings }];
+    });
+
+    return candidates
+        .sort((a, b) => b.score - a.score || a.staff.name.localeCompare(b.staff.name))
+        .slice(0, limit);
+}
+
+/**
+ * Put the chosen replacement on the card
+ */
+function acceptSubstitute(routeId, role, staff) {
+    const person = { name: staff.name, id: staff.id };
+    const accepted = role === 'escort' ? addSafetyEscort(routeId, person) : assignDriver(routeId, person);
+    debounceRender('renderRouteCards');
+    debounceRender('renderStaffPanel');
+    return accepted;
+}
+
+// =============================================================================
+// COVER DIALOG
+// =============================================================================
+
+/**
+ * Propose replacements for each empty slot, one tap to accept
+ * @param {Array<{routeId: string, role: 'driver'|'escort'}>} slots
+ * @param {string} [absentName] - who was marked out, for the heading
+ */
+async function openSubstitutePanel(slots, absentName = '') {
+    let open = slots.filter(slot => findRoute(slot.routeId));
+    if (open.length === 0) return;
+
+    const expanded = new Set();
+    const modal = uiSystem.createModal(SUBSTITUTES_MODAL_ID, '🔁 Cover Open Routes', '<div id="substitutes-body"><p class="p-3 text-gray-500">Finding replacements…</p></div>');
+    const body = modal.querySelector('#substitutes-body');
+    uiSystem.openModal(modal.id);
+
+    let history;
+    try {
+        history = await loadRouteHistory();
+    } catch (error) {
+        console.error('❌ Error loading route history for substitutes:', error);
+        history = { driver: new Map(), escort: new Map() };
+    }
+
+    const slotKey = slot => `${slot.routeId}|${slot.role}`;
+    let recommendations = new Map();
+
+    const render = async () => {
+        // Slots someone has filled elsewhere in the meantime drop off
+        open = open.filter(slot => {
+            const route = findRoute(slot.routeId);
+            return route && (slot.role === 'escort' || !route.driver);
+        });
+        if (open.length === 0) {
+            uiSystem.closeCurrentModal();
+            uiSystem.showNotification('All open routes are covered', 'success');
+            return;
+        }
+
+        recommendations = new Map(await Promise.all(open.map(async slot =>
+            [slotKey(slot), await getSubstituteRecommendations(slot.routeId, slot.role, { history })])));
+
+        body.innerHTML = `
+            <div class="space-y-4" style="min-width: min(900px, 94vw);">
+                ${absentName ? `<p class="text-lg">${escapeHtml(absentName)} is out. Tap a name to put them on the route.</p>` : ''}
+                ${open.map(slot => {
+                    const route = findRoute(slot.routeId);
+                    const options = recommendations.get(slotKey(slot)) || [];
+                    const shown = expanded.has(slotKey(slot)) ? options : options.slice(0, SUGGESTIONS_SHOWN);
+                    return `
+                        <section class="border rounded-lg p-3">
+                            <div class="flex justify-between items-center mb-2">
+                                <h4 class="text-xl font-bold">${escapeHtml(route.name)} <span class="text-base font-normal text-gray-600">needs a ${slot.role}</span></h4>
+                                <button type="button" data-action="skip" data-slot="${escapeHtml(slotKey(slot))}" class="btn-lg bg-gray-200 rounded hover:bg-gray-300">Leave open</button>
+                            </div>
+                            ${options.length === 0 ? '<p class="text-gray-500">Nobody free is on shift and qualified for this route.</p>' : `
+                                <div class="grid gap-2">
+                                    ${shown.map((option, index) => `
+                                        <button type="button" data-action="accept" data-slot="${escapeHtml(slotKey(slot))}" data-index="${index}"
+                                                class="btn-lg w-full text-left rounded-lg border-2 ${index === 0 ? 'border-green-500 bg-green-50' : 'border-gray-200 bg-white'} hover:bg-green-100 flex justify-between items-center">
+                                            <span>
+                                                <span class="text-xl font-bold">${escapeHtml(option.staff.name)}</span>
+                                                <span class="block text-sm text-gray-600">${option.reasons.map(escapeHtml).join(' · ')}</span>
+                                                ${option.warnings.map(warning => `<span class="block text-sm text-yellow-800">⚠️ ${escapeHtml(warning)}</span>`).join('')}
+                                            </span>
+                                            <span class="text-green-700 font-semibold whitespace-nowrap">✓ Accept</span>
+                                        </button>
+                                    `).join('')}
+                                </div>
+                                ${options.length > shown.length ? `<button type="button" data-action="more" data-slot="${escapeHtml(slotKey(slot))}" class="mt-2 text-blue-700">Show ${options.length - shown.length} more</button>` : ''}
+                            `}
+                        </section>
+                    `;
+                }).join('')}
+                <div class="flex justify-end">
+                    <button type="button" onclick="uiSystem.closeCurrentModal()" class="btn-lg bg-gray-200 rounded hover:bg-gray-300">Close</button>
+                </div>
+            </div>
+        `;
+    };
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const key = button.dataset.slot;
+        const slot = open.find(candidate => slotKey(candidate) === key);
+        if (!slot) return;
+
+        switch (button.dataset.action) {
+            case 'accept': {
+                const option = (recommendations.get(key) || [])[Number(button.dataset.index)];
+                if (!option || !acceptSubstitute(slot.routeId, slot.role, option.staff)) return;
+                uiSystem.showNotification(`${option.staff.name} is on ${findRoute(slot.routeId)?.name}`, 'success');
+                open = open.filter(candidate => candidate !== slot);
+                break;
+            }
+            case 'skip':
+                open = open.filter(candidate => candidate !== slot);
+                break;
+            case 'more':
+                expanded.add(key);
+                break;
+        }
+        render();
+    });
+
+    await render();
+}
+
+/**
+ * Offer replacements whenever someone on the board is marked out
+ */
+function startSubstituteRecommendations() {
+    eventBus.on('staff:markedOut', ({ staffName, orphaned = [] }) => {
+        if (orphaned.length > 0) openSubstitutePanel(orphaned, staffName);
+    });
+}
+
+// =============================================================================
+// GLOBAL FUNCTIONS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.openSubstitutePanel = openSubstitutePanel;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+    FAMILIARITY_DAYS,
+    SCORE_WEIGHTS,
+    getDrivingRole,
+    loadRouteHistory,
+    getSubstituteRecommendations,
+    acceptSubstitute,
+    openSubstitutePanel,
+    startSubstituteRecommendations
+};
@@ -3,7 +3,7 @@
  * Handles comprehensive fleet asset management
  */
 
-import { eventBus } from '../core/utils.js';
+import { eventBus, inlineArgument } from '../core/utils.js';
 import { STATE, getState, setState, saveToLocalStorage } from '../core/state.js';
 
 export class FleetManagement {
@@ -163,7 +163,7 @@ export class FleetManagement {
         
         return `
             <div class="fleet-card ${status} bg-white rounded-lg shadow-sm p-6 cursor-pointer" 
-                 onclick="openAssetDetails('${asset.name}')">
+                 onclick="openAssetDetails(${inlineArgument(asset.name)})">
                 <!-- Header -->
                 <div class="flex justify-between items-start mb-4">
                     <div>
@@ -207,11 +207,11 @@ export class FleetManagement {
 
                 <!-- Actions -->
                 <div class="flex gap-2 mt-4 pt-4 border-t border-gray-100">
-                    <button onclick="event.stopPropagation(); editAsset('${asset.name}')" 
+                    <button onclick="event.stopPropagation(); editAsset(${inlineArgument(asset.name)})" 
                             class="flex-1 text-sm bg-blue-50 text-blue-600 py-2 px-3 rounded hover:bg-blue-100">
                         Edit Details
                     </button>
-                    <button onclick="event.stopPropagation(); toggleAssetStatus('${asset.name}')" 
+                    <button onclick="event.stopPropagation(); toggleAssetStatus(${inlineArgument(asset.name)})" 
                             class="flex-1 text-sm bg-gray-50 text-gray-600 py-2 px-3 rounded hover:bg-gray-100">
                         Change Status
                     </button>
@@ -352,7 +352,7 @@ export class FleetManagement {
                 <button onclick="closeAssetModal()" class="px-4 py-2 text-gray-600 border border-gray-300 rounded hover:bg-gray-50">
                     Close
                 </button>
-                <button onclick="editAsset('${assetName}')" class="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
+                <button onclick="editAsset(${inlineArgument(assetName)})" class="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
                     Edit Details
                 </button>
             </div>
@@ -550,7 +550,7 @@ export class FleetManagement {
                             class="px-4 py-2 text-gray-600 border border-gray-300 rounded hover:bg-gray-50">
                         Cancel
                     </button>
-                    <button type="button" onclick="window.fleetManager.saveAssetStatus('${assetName}')" 
+                    <button type="button" onclick="window.fleetManager.saveAssetStatus(${inlineArgument(assetName)})" 
                             class="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
                         Update Status
                     </button>
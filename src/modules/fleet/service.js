@@ -82,6 +82,7 @@ class FleetServiceManager {
     // Listen for data updates
     eventBus.on('assets-updated', () => this.updateServiceDisplays());
     eventBus.on('routes-updated', () => this.updateSparesList());
+    eventBus.on('data:restored', () => this.loadServiceData());
   }
 
   // ===== FLEET SERVICE STATUS =====
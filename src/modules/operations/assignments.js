@@ -9,12 +9,13 @@
  * - Assignment validation and conflict resolution
  * - Assignment history and tracking
  * 
- * Dependencies: core/events, core/state, ui/system
+ * Dependencies: core/events, core/state, ui/system, dispatch/certifications
  */
 
 import { eventBus } from '../core/events.js';
 import { STATE } from '../core/state.js';
 import { uiSystem } from '../ui/system.js';
+import { checkQualifications } from '../dispatch/certifications.js';
 
 class AssignmentManager {
   constructor() {
@@ -78,7 +79,7 @@ class AssignmentManager {
   /**
    * Assign staff member to route
    */
-  assignStaffToRoute({ routeId, staffId, role = 'driver' }) {
+  assignStaffToRoute({ routeId, staffId, role = 'driver', acknowledged = false }) {
     console.log(`📋 Assigning staff ${staffId} to route ${routeId} as ${role}`);
     
     // Validate assignment
@@ -89,7 +90,8 @@ class AssignmentManager {
     }
 
     // Check for conflicts
-    const conflicts = this.conflictResolver.checkStaffConflicts(staffId, routeId, role);
+    const conflicts = this.conflictResolver.checkStaffConflicts(staffId, routeId, role)
+      .filter(conflict => !(acknowledged && conflict.type === 'qualification'));
     if (conflicts.length > 0) {
       return this.handleAssignmentConflicts(conflicts, {
         type: 'staff-to-route',
@@ -139,7 +141,7 @@ class AssignmentManager {
   /**
    * Assign asset to route
    */
-  assignAssetToRoute({ routeId, assetId, assetType = 'bus' }) {
+  assignAssetToRoute({ routeId, assetId, assetType = 'bus', acknowledged = false }) {
     console.log(`📋 Assigning asset ${assetId} to route ${routeId} as ${assetType}`);
     
     // Validate assignment
@@ -150,7 +152,8 @@ class AssignmentManager {
     }
 
     // Check for conflicts
-    const conflicts = this.conflictResolver.checkAssetConflicts(assetId, routeId);
+    const conflicts = this.conflictResolver.checkAssetConflicts(assetId, routeId)
+      .filter(conflict => !(acknowledged && conflict.type === 'qualification'));
     if (conflicts.length > 0) {
       return this.handleAssignmentConflicts(conflicts, {
         type: 'asset-to-route',
@@ -217,7 +220,7 @@ class AssignmentManager {
   /**
    * Assign staff to field trip
    */
-  assignStaffToFieldTrip(fieldTripId, staffId, role = 'driver') {
+  assignStaffToFieldTrip(fieldTripId, staffId, role = 'driver', acknowledged = false) {
     // Validate assignment
     const validation = this.validationRules.validateStaffToFieldTrip(staffId, fieldTripId, role);
     if (!validation.valid) {
@@ -226,7 +229,8 @@ class AssignmentManager {
     }
 
     // Check for conflicts
-    const conflicts = this.conflictResolver.checkStaffConflicts(staffId, fieldTripId, role, 'fieldTrip');
+    const conflicts = this.conflictResolver.checkStaffConflicts(staffId, fieldTripId, role, 'fieldTrip')
+      .filter(conflict => !(acknowledged && conflict.type === 'qualification'));
     if (conflicts.length > 0) {
       return this.handleAssignmentConflicts(conflicts, {
         type: 'staff-to-fieldTrip',
@@ -276,7 +280,7 @@ class AssignmentManager {
   /**
    * Assign asset to field trip
    */
-  assignAssetToFieldTrip(fieldTripId, assetId, assetType = 'bus') {
+  assignAssetToFieldTrip(fieldTripId, assetId, assetType = 'bus', acknowledged = false) {
     // Validate assignment
     const validation = this.validationRules.validateAssetToFieldTrip(assetId, fieldTripId, assetType);
     if (!validation.valid) {
@@ -285,7 +289,8 @@ class AssignmentManager {
     }
 
     // Check for conflicts
-    const conflicts = this.conflictResolver.checkAssetConflicts(assetId, fieldTripId, 'fieldTrip');
+    const conflicts = this.conflictResolver.checkAssetConflicts(assetId, fieldTripId, 'fieldTrip')
+      .filter(conflict => !(acknowledged && conflict.type === 'qualification'));
     if (conflicts.length > 0) {
       return this.handleAssignmentConflicts(conflicts, {
         type: 'asset-to-fieldTrip',
@@ -895,7 +900,7 @@ class AssignmentManager {
    */
   handleAssignmentConflicts(conflicts, pendingAssignment) {
     const conflictMessages = conflicts.map(c => c.message).join('\n');
-    const message = `Assignment conflicts detected:\n${conflictMessages}\n\nDo you want to proceed and clear conflicting assignments?`;
+    const message = `Assignment conflicts detected:\n${conflictMessages}\n\nDo you want to proceed? Conflicting assignments will be cleared.`;
     
     if (confirm(message)) {
       // Clear conflicting assignments
@@ -918,15 +923,16 @@ class AssignmentManager {
    * Retry assignment after clearing conflicts
    */
   retryAssignment(assignment) {
+    // Qualification warnings were just accepted, so don't ask about them again
     switch (assignment.type) {
       case 'staff-to-route':
-        return this.assignStaffToRoute(assignment);
+        return this.assignStaffToRoute({ ...assignment, acknowledged: true });
       case 'asset-to-route':
-        return this.assignAssetToRoute(assignment);
+        return this.assignAssetToRoute({ ...assignment, acknowledged: true });
       case 'staff-to-fieldTrip':
-        return this.assignStaffToFieldTrip(assignment.fieldTripId, assignment.staffId, assignment.role);
+        return this.assignStaffToFieldTrip(assignment.fieldTripId, assignment.staffId, assignment.role, true);
       case 'asset-to-fieldTrip':
-        return this.assignAssetToFieldTrip(assignment.fieldTripId, assignment.assetId, assignment.assetType);
+        return this.assignAssetToFieldTrip(assignment.fieldTripId, assignment.assetId, assignment.assetType, true);
     }
     return false;
   }
@@ -981,13 +987,26 @@ class AssignmentManager {
   }
 }
 
+// Route cards, field trips and people live in STATE.data; older saves kept them on STATE
+function findStaffMember(staffId) {
+  return (STATE.data?.staff || STATE.staff || []).find(s => s.id === staffId || s.name === staffId);
+}
+
+function findRoute(routeId) {
+  return (STATE.data?.routes || STATE.routes || []).find(r => r.id === routeId);
+}
+
+function findAsset(assetId) {
+  return (STATE.data?.assets || STATE.assets || []).find(a => a.id === assetId || a.name === assetId);
+}
+
 /**
  * Assignment validation rules
  */
 class AssignmentValidation {
   validateStaffToRoute(staffId, routeId, role) {
-    const staff = STATE.staff.find(s => s.id === staffId);
-    const route = STATE.routes.find(r => r.id === routeId);
+    const staff = findStaffMember(staffId);
+    const route = findRoute(routeId);
     
     if (!staff) {
       return { valid: false, message: 'Staff member not found' };
@@ -1001,16 +1020,24 @@ class AssignmentValidation {
       return { valid: false, message: 'Staff member is currently out' };
     }
     
-    if (role === 'driver' && !staff.canDrive) {
+    if (role === 'driver' && staff.canDrive === false) {
       return { valid: false, message: 'Staff member is not authorized to drive' };
     }
     
+    // Missing or expired certificates for the route type and its asset
+    if (role === 'driver') {
+      const { blocking } = checkQualifications(staff, { route });
+      if (blocking.length > 0) {
+        return { valid: false, message: blocking.join('; ') };
+      }
+    }
+    
     return { valid: true };
   }
   
   validateAssetToRoute(assetId, routeId, assetType) {
-    const asset = STATE.assets.find(a => a.id === assetId);
-    const route = STATE.routes.find(r => r.id === routeId);
+    const asset = findAsset(assetId);
+    const route = findRoute(routeId);
     
     if (!asset) {
       return { valid: false, message: 'Asset not found' };
@@ -1024,6 +1051,15 @@ class AssignmentValidation {
       return { valid: false, message: 'Asset is not available for assignment' };
     }
     
+    // The driver already on the route must be qualified for this asset
+    const driver = route.driver ? findStaffMember(route.driver.name) || route.driver : null;
+    if (driver && assetType !== 'trailer') {
+      const { blocking } = checkQualifications(driver, { route, asset });
+      if (blocking.length > 0) {
+        return { valid: false, message: blocking.join('; ') };
+      }
+    }
+    
     return { valid: true };
   }
   
@@ -1044,7 +1080,7 @@ class AssignmentValidation {
 class ConflictResolver {
   checkStaffConflicts(staffId, targetId, role, targetType = 'route') {
     const conflicts = [];
-    const staff = STATE.staff.find(s => s.id === staffId);
+    const staff = findStaffMember(staffId);
     
     if (!staff) return conflicts;
     
@@ -1059,12 +1095,17 @@ class ConflictResolver {
       });
     }
     
+    // Certificates that expire soon (or missing ones when requirements only warn)
+    if (role === 'driver') {
+      conflicts.push(...this.checkQualificationWarnings(staff, findRoute(targetId)));
+    }
+    
     return conflicts;
   }
   
   checkAssetConflicts(assetId, targetId, targetType = 'route') {
     const conflicts = [];
-    const asset = STATE.assets.find(a => a.id === assetId);
+    const asset = findAsset(assetId);
     
     if (!asset) return conflicts;
     
@@ -1075,12 +1116,28 @@ class ConflictResolver {
       conflicts.push({
         type: 'asset',
         itemId: assetId,
-        message: `${asset.number} is already assigned to ${existingAssignment.type} ${existingAssignment.assignmentId}`
+        message: `${asset.number || asset.name} is already assigned to ${existingAssignment.type} ${existingAssignment.assignmentId}`
       });
     }
     
+    // The route's driver and this asset
+    const route = findRoute(targetId);
+    const driver = route?.driver ? findStaffMember(route.driver.name) || route.driver : null;
+    if (driver) {
+      conflicts.push(...this.checkQualificationWarnings(driver, route, asset));
+    }
+    
     return conflicts;
   }
+  
+  checkQualificationWarnings(staff, route, asset = route?.asset) {
+    if (!route) return [];
+    return checkQualifications(staff, { route, asset }).warnings.map(message => ({
+      type: 'qualification',
+      itemId: staff.id || staff.name,
+      message
+    }));
+  }
 }
 
 // Create and export singleton instance
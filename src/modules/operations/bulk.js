@@ -12,12 +12,17 @@
  * - Bulk validation and error handling
  * - Progress tracking for long operations
  * 
- * Dependencies: core/events, core/state, ui/system, data/import-export
+ * Dependencies: core/csv, core/events, core/state, ui/system, ui/settingsSystem, data/import-export,
+ * data/reports, data/pdfWriter
  */
 
 import { eventBus } from '../core/events.js';
 import { STATE } from '../core/state.js';
+import { toCsv, downloadCsv } from '../core/csv.js';
 import { uiSystem } from '../ui/system.js';
+import { buildTimestampReport } from '../data/reports.js';
+import { PdfDocument, downloadPdf } from '../data/pdfWriter.js';
+import { settingsSystem } from '../ui/settingsSystem.js';
 
 class OperationsBulk {
   constructor() {
@@ -574,6 +579,8 @@ class OperationsBulk {
 
   /**
    * Generate timestamp report
+   * Run times come from data/reports; dateRange is {start, end} as YYYY-MM-DD
+   * service dates and includeTypes picks from days, routes, drivers and runs.
    */
   async generateTimestampReport({ dateRange, includeTypes = [], options = {} }) {
     console.log('🔄 Generating timestamp report', dateRange);
@@ -581,32 +588,26 @@ class OperationsBulk {
     const operationId = this.startOperation('timestamp-report', 1);
     
     try {
+      const runTimes = await buildTimestampReport({
+        from: dateRange?.start,
+        to: dateRange?.end,
+        routeType: options.routeType,
+        shift: options.shift
+      });
+
       const report = {
-        generatedAt: new Date().toISOString(),
-        dateRange,
+        generatedAt: runTimes.generatedAt,
+        dateRange: { start: runTimes.filters.from, end: runTimes.filters.to },
         includeTypes,
+        totals: runTimes.totals,
         data: {}
       };
       
-      // Collect assignment data
-      if (includeTypes.includes('assignments') || includeTypes.length === 0) {
-        report.data.assignments = this.getAssignmentTimestamps(dateRange);
-      }
-      
-      // Collect route data
-      if (includeTypes.includes('routes') || includeTypes.length === 0) {
-        report.data.routes = this.getRouteTimestamps(dateRange);
-      }
-      
-      // Collect staff data
-      if (includeTypes.includes('staff') || includeTypes.length === 0) {
-        report.data.staff = this.getStaffTimestamps(dateRange);
-      }
-      
-      // Collect asset data
-      if (includeTypes.includes('assets') || includeTypes.length === 0) {
-        report.data.assets = this.getAssetTimestamps(dateRange);
-      }
+      ['days', 'routes', 'drivers', 'runs'].forEach(type => {
+        if (includeTypes.includes(type) || includeTypes.length === 0) {
+          report.data[type] = runTimes[type];
+        }
+      });
       
       this.completeOperation(operationId, report);
       
@@ -623,78 +624,6 @@ class OperationsBulk {
     }
   }
 
-  /**
-   * Get assignment timestamps
-   */
-  getAssignmentTimestamps(dateRange) {
-    return (STATE.assignments || [])
-      .filter(assignment => this.isInDateRange(assignment.date, dateRange))
-      .map(assignment => ({
-        id: assignment.id,
-        routeId: assignment.routeId,
-        staffId: assignment.staffId,
-        assetId: assignment.assetId,
-        date: assignment.date,
-        shift: assignment.shift,
-        assignedAt: assignment.assignedAt,
-        assignedBy: assignment.assignedBy,
-        completedAt: assignment.completedAt,
-        status: assignment.status
-      }));
-  }
-
-  /**
-   * Get route timestamps
-   */
-  getRouteTimestamps(dateRange) {
-    return STATE.routes
-      .filter(route => route.date && this.isInDateRange(route.date, dateRange))
-      .map(route => ({
-        id: route.id,
-        name: route.name,
-        type: route.type,
-        shift: route.shift,
-        date: route.date,
-        status: route.status,
-        createdAt: route.createdAt,
-        activatedAt: route.activatedAt,
-        completedAt: route.completedAt
-      }));
-  }
-
-  /**
-   * Get staff timestamps
-   */
-  getStaffTimestamps(dateRange) {
-    return STATE.staff.map(staff => ({
-      id: staff.id,
-      name: staff.name,
-      role: staff.role,
-      status: staff.status,
-      lastUpdated: staff.lastUpdated,
-      statusChanges: staff.statusChanges?.filter(change => 
-        this.isInDateRange(change.timestamp, dateRange)
-      ) || []
-    }));
-  }
-
-  /**
-   * Get asset timestamps
-   */
-  getAssetTimestamps(dateRange) {
-    return STATE.assets.map(asset => ({
-      id: asset.id,
-      number: asset.number,
-      type: asset.type,
-      status: asset.status,
-      lastUpdated: asset.lastUpdated,
-      lastMaintenance: asset.lastMaintenance,
-      statusChanges: asset.statusChanges?.filter(change => 
-        this.isInDateRange(change.timestamp, dateRange)
-      ) || []
-    }));
-  }
-
   /**
    * Export timestamp report
    */
@@ -710,9 +639,11 @@ class OperationsBulk {
         mimeType = 'application/json';
         break;
       case 'csv':
-        content = this.convertReportToCSV(report);
-        mimeType = 'text/csv';
-        break;
+        downloadCsv(this.convertReportToCSV(report), filename);
+        return;
+      case 'pdf':
+        downloadPdf(this.convertReportToPDF(report), filename);
+        return;
       default:
         throw new Error(`Unsupported format: ${format}`);
     }
@@ -1000,19 +931,6 @@ class OperationsBulk {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  /**
-   * Check if date is in range
-   */
-  isInDateRange(date, range) {
-    if (!date || !range) return false;
-    
-    const dateObj = new Date(date);
-    const startDate = new Date(range.start);
-    const endDate = new Date(range.end);
-    
-    return dateObj >= startDate && dateObj <= endDate;
-  }
-
   /**
    * Format date for filename
    */
@@ -1041,8 +959,51 @@ class OperationsBulk {
    * Convert report to CSV
    */
   convertReportToCSV(report) {
-    // Implementation for CSV conversion
-    return JSON.stringify(report); // Simplified for now
+    const columns = ['date', 'shift', 'routeName', 'routeType', 'driver', 'asset', 'start', 'end', 'minutes'];
+    const rows = (report.data.runs || []).map(run => columns.map(column =>
+      column === 'minutes' && run.minutes !== null ? Math.round(run.minutes) : run[column]
+    ));
+    return toCsv([columns, ...rows]);
+  }
+
+  /**
+   * Run-time report as a PDF document
+   */
+  convertReportToPDF(report) {
+    const minutes = value => (value === null || value === undefined ? '' : `${Math.round(value)} min`);
+    const doc = new PdfDocument({
+      title: 'Run Time Report',
+      subtitle: `${report.dateRange.start} to ${report.dateRange.end}`,
+      district: settingsSystem.settings.reports?.districtName || '',
+      orientation: 'landscape'
+    });
+
+    doc.keyValues([
+      ['Runs', report.totals.runs],
+      ['Without 10-7', report.totals.incomplete],
+      ['Average run', minutes(report.totals.averageMinutes)],
+      ['p90 run', minutes(report.totals.p90Minutes)],
+      ['Incident events', report.totals.incidentEvents]
+    ]);
+
+    const runColumns = [
+      { label: 'Runs', width: 0.6 },
+      { label: 'Average', width: 0.8 },
+      { label: 'Median', width: 0.8 },
+      { label: 'p90', width: 0.8 },
+      { label: 'Incidents', width: 0.8 }
+    ];
+    const runCells = row => [row.runs, minutes(row.averageMinutes), minutes(row.p50Minutes), minutes(row.p90Minutes), row.incidentEvents];
+
+    if (report.data.routes) {
+      doc.heading('By Route', { size: 11 });
+      doc.table([{ label: 'Route', width: 1.5, bold: true }, ...runColumns], report.data.routes.map(row => [row.routeName, ...runCells(row)]));
+    }
+    if (report.data.drivers) {
+      doc.heading('By Driver', { size: 11 });
+      doc.table([{ label: 'Driver', width: 1.5, bold: true }, ...runColumns], report.data.drivers.map(row => [row.driver, ...runCells(row)]));
+    }
+    return doc;
   }
 
   /**
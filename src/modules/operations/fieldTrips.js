@@ -6,6 +6,7 @@
 import { eventBus } from '../core/utils.js';
 import { STATE, getState, setState } from '../core/state.js';
 import { formatDate, generateId } from '../core/utils.js';
+import { toCsv } from '../core/csv.js';
 
 export class FieldTripsManager {
     constructor() {
@@ -146,7 +147,7 @@ export class FieldTripsManager {
             formatDate(trip.createdAt)
         ]);
 
-        return [headers, ...rows];
+        return toCsv([headers, ...rows]);
     }
 }
 
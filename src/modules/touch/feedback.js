@@ -421,6 +421,9 @@ function triggerCustomHaptic(pattern) {
 // =============================================================================
 
 function showToast(message, type = 'info', duration = null, actions = null) {
+    // Toasts may be shown before the feedback system is initialized
+    initializeFeedbackStyles();
+    
     const toast = createToastElement(message, type, duration, actions);
     
     // Add to visible toasts
@@ -12,6 +12,7 @@
 import { eventBus } from '../core/events.js';
 import { STATE, saveToLocalStorage } from '../core/state.js';
 import { PERFORMANCE, debounceRender } from '../core/utils.js';
+import { undoLastAction, redoLastAction } from '../core/history.js';
 
 // =============================================================================
 // TOUCH GESTURE CONFIGURATION
@@ -24,6 +25,8 @@ const TOUCH_GESTURES = {
     currentTouch: null,
     gestureType: null,
     swipeDirection: null,
+    twoFingerStart: null,      // Midpoint of a two-finger gesture (undo/redo)
+    twoFingerCurrent: null,
     longPressTimer: null,
     contextMenuElement: null,
     
@@ -219,6 +222,12 @@ function initializeTouchStyles() {
 // =============================================================================
 
 function handleTouchStart(event) {
+    // Two-finger horizontal swipe: left = undo, right = redo
+    if (event.touches.length === 2) {
+        startTwoFingerSwipe(event);
+        return;
+    }
+    
     const touch = event.touches[0];
     const target = event.target.closest('[data-touchable], .route-card, .staff-card, .asset-card, .panel, button');
     
@@ -252,6 +261,14 @@ function handleTouchStart(event) {
 }
 
 function handleTouchMove(event) {
+    if (TOUCH_GESTURES.twoFingerStart) {
+        if (event.touches.length === 2) {
+            TOUCH_GESTURES.twoFingerCurrent = getTouchMidpoint(event.touches);
+            event.preventDefault();
+        }
+        return;
+    }
+    
     if (!TOUCH_GESTURES.startTouch || !TOUCH_GESTURES.activeElement) return;
     
     const touch = event.touches[0];
@@ -300,6 +317,14 @@ function handleTouchMove(event) {
 }
 
 function handleTouchEnd(event) {
+    if (TOUCH_GESTURES.twoFingerStart) {
+        // Wait for both fingers to lift
+        if (event.touches.length === 0) {
+            completeTwoFingerSwipe();
+        }
+        return;
+    }
+    
     if (!TOUCH_GESTURES.startTouch || !TOUCH_GESTURES.activeElement) return;
     
     const duration = Date.now() - TOUCH_GESTURES.startTouch.timestamp;
@@ -343,6 +368,8 @@ function handleTouchEnd(event) {
 
 function handleTouchCancel(event) {
     console.log('👆 Touch cancelled');
+    TOUCH_GESTURES.twoFingerStart = null;
+    TOUCH_GESTURES.twoFingerCurrent = null;
     clearLongPressTimer();
     removeTouchFeedback();
     hideSwipeIndicator();
@@ -456,6 +483,66 @@ function completeSwipeGesture() {
     });
 }
 
+function getTouchMidpoint(touches) {
+    return {
+        x: (touches[0].clientX + touches[1].clientX) / 2,
+        y: (touches[0].clientY + touches[1].clientY) / 2,
+        timestamp: Date.now()
+    };
+}
+
+function startTwoFingerSwipe(event) {
+    // A second finger turns any single-finger gesture in progress into a two-finger one
+    clearLongPressTimer();
+    removeTouchFeedback();
+    hideSwipeIndicator();
+    resetGestureState();
+    
+    TOUCH_GESTURES.twoFingerStart = getTouchMidpoint(event.touches);
+    TOUCH_GESTURES.twoFingerCurrent = TOUCH_GESTURES.twoFingerStart;
+    event.preventDefault();
+}
+
+function completeTwoFingerSwipe() {
+    const start = TOUCH_GESTURES.twoFingerStart;
+    const end = TOUCH_GESTURES.twoFingerCurrent;
+    TOUCH_GESTURES.twoFingerStart = null;
+    TOUCH_GESTURES.twoFingerCurrent = null;
+    
+    const deltaX = end.x - start.x;
+    const deltaY = end.y - start.y;
+    
+    // Require a deliberate, mostly horizontal swipe
+    if (Math.abs(deltaX) < TOUCH_GESTURES.swipeThreshold * 2 || Math.abs(deltaX) < Math.abs(deltaY) * 2) {
+        return;
+    }
+    
+    const direction = deltaX < 0 ? 'left' : 'right';
+    const label = direction === 'left' ? undoLastAction() : redoLastAction();
+    
+    if (TOUCH_GESTURES.hapticsEnabled && TOUCH_GESTURES.hasHaptics) {
+        navigator.vibrate(label ? [20, 10, 20] : 10);
+    }
+    
+    if (TOUCH_GESTURES.visualFeedbackEnabled) {
+        if (label) {
+            showSwipeNotification(`${direction === 'left' ? '↩️ Undo' : '↪️ Redo'}: ${label}`);
+        } else {
+            showSwipeNotification(direction === 'left' ? 'Nothing to undo' : 'Nothing to redo');
+        }
+    }
+    
+    recordGesture({
+        type: 'twoFingerSwipe',
+        direction: direction,
+        distance: Math.abs(deltaX),
+        duration: end.timestamp - start.timestamp,
+        timestamp: Date.now()
+    });
+    
+    eventBus.emit('touch:twoFingerSwipe', { direction, label });
+}
+
 function handleSwipeLeft(target) {
     // Navigate to next panel, tab, or collapse current panel
     if (target.closest('.panel')) {
@@ -793,6 +880,7 @@ function showGestureTutorial() {
                 <p><strong>Long Press:</strong> Open context menu</p>
                 <p><strong>Swipe Left/Right:</strong> Navigate panels</p>
                 <p><strong>Swipe Up/Down:</strong> Scroll or quick actions</p>
+                <p><strong>Two-Finger Swipe Left/Right:</strong> Undo / redo</p>
             </div>
             <button id="close-tutorial" style="background: #3b82f6; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer;">
                 Got it!
@@ -0,0 +1,317 @@
+/**
+ * UI AUDIT LOG MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Dispatcher sign-in and the audit log viewer:
+ * - Header button showing who is signed in at this workstation
+ * - Sign-in dialog (name and initials), prompted at startup
+ * - Filterable audit log (text, dispatcher, service day, date range)
+ * - CSV and JSON export of the filtered entries
+ *
+ * Dependencies: core/audit, core/csv, core/events, core/utils, ui/system
+ */
+
+import { eventBus } from '../core/events.js';
+import { eventBus as syncEventBus, escapeHtml } from '../core/utils.js';
+import { downloadCsv } from '../core/csv.js';
+import {
+  signInDispatcher,
+  signOutDispatcher,
+  getCurrentDispatcher,
+  getAuditLog
+} from '../core/audit.js';
+import { uiSystem } from './system.js';
+
+const SIGN_IN_MODAL_ID = 'dispatcher-sign-in-modal';
+const VIEWER_MODAL_ID = 'audit-log-modal';
+
+class AuditLogViewer {
+  constructor() {
+    this.entries = [];
+    this.filters = { text: '', dispatcher: '', serviceDate: '', from: '', to: '' };
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize sign-in button and live refresh of an open viewer
+   */
+  init() {
+    if (this.initialized) return;
+
+    const dispatcherBtn = document.getElementById('dispatcher-btn');
+    if (dispatcherBtn) {
+      dispatcherBtn.addEventListener('click', () => this.openSignInDialog());
+    }
+
+    eventBus.on('dispatcher:changed', () => this.updateDispatcherButton());
+    eventBus.on('audit:recorded', () => this.refreshIfOpen());
+    syncEventBus.on('sync:appended', () => this.refreshIfOpen());
+
+    this.updateDispatcherButton();
+    if (!getCurrentDispatcher()) {
+      this.openSignInDialog();
+    }
+
+    this.initialized = true;
+    console.log('🧾 Audit log initialized');
+  }
+
+  updateDispatcherButton() {
+    const dispatcherBtn = document.getElementById('dispatcher-btn');
+    if (!dispatcherBtn) return;
+
+    const dispatcher = getCurrentDispatcher();
+    dispatcherBtn.textContent = dispatcher ? `👤 ${dispatcher.initials}` : '👤 Sign in';
+    dispatcherBtn.title = dispatcher ? `Signed in as ${dispatcher.name}` : 'Sign in to record your changes under your name';
+  }
+
+  // ===== SIGN IN =====
+
+  openSignInDialog() {
+    const dispatcher = getCurrentDispatcher();
+
+    const modal = uiSystem.createModal(SIGN_IN_MODAL_ID, dispatcher ? 'Dispatcher' : 'Sign In', `
+      <form id="dispatcher-sign-in-form" class="modal-form">
+        <p class="text-sm text-gray-600 mb-3">
+          ${dispatcher
+            ? `Signed in as <strong>${escapeHtml(dispatcher.name)}</strong> (${escapeHtml(dispatcher.initials)}). Changes you make are recorded under this name.`
+            : 'Changes made at this workstation are recorded in the audit log under your name.'}
+        </p>
+        <div class="form-group">
+          <label for="dispatcher-name">Name:</label>
+          <input type="text" id="dispatcher-name" required autocomplete="name" value="${escapeHtml(dispatcher?.name || '')}">
+        </div>
+        <div class="form-group">
+          <label for="dispatcher-initials">Initials:</label>
+          <input type="text" id="dispatcher-initials" required maxlength="4" class="uppercase" value="${escapeHtml(dispatcher?.initials || '')}">
+        </div>
+        <p id="dispatcher-sign-in-error" class="text-sm text-red-600 hidden"></p>
+        <div class="modal-actions">
+          ${dispatcher ? '<button type="button" id="dispatcher-sign-out" class="btn btn-secondary">Sign Out</button>' : ''}
+          <button type="button" id="dispatcher-open-audit-log" class="btn btn-secondary">🧾 Audit Log</button>
+          <button type="submit" class="btn btn-primary">${dispatcher ? 'Switch Dispatcher' : 'Sign In'}</button>
+        </div>
+      </form>
+    `);
+
+    const nameInput = modal.querySelector('#dispatcher-name');
+    const initialsInput = modal.querySelector('#dispatcher-initials');
+
+    // Suggest initials from the name until the dispatcher types their own
+    let initialsEdited = Boolean(dispatcher);
+    initialsInput.addEventListener('input', () => { initialsEdited = true; });
+    nameInput.addEventListener('input', () => {
+      if (initialsEdited) return;
+      initialsInput.value = nameInput.value.trim().split(/\s+/).map(part => part[0] || '').join('').slice(0, 4).toUpperCase();
+    });
+
+    modal.querySelector('#dispatcher-sign-in-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        const signedIn = signInDispatcher(nameInput.value, initialsInput.value);
+        uiSystem.closeCurrentModal();
+        uiSystem.showNotification(`Signed in as ${signedIn.name}`, 'success');
+      } catch (error) {
+        const errorEl = modal.querySelector('#dispatcher-sign-in-error');
+        errorEl.textContent = error.message;
+        errorEl.classList.remove('hidden');
+      }
+    });
+
+    modal.querySelector('#dispatcher-sign-out')?.addEventListener('click', () => {
+      signOutDispatcher();
+      uiSystem.closeCurrentModal();
+      uiSystem.showNotification('Signed out', 'info');
+    });
+
+    modal.querySelector('#dispatcher-open-audit-log').addEventListener('click', () => this.openViewer());
+
+    uiSystem.openModal(modal.id);
+    nameInput.focus();
+  }
+
+  // ===== VIEWER =====
+
+  async openViewer() {
+    const modal = uiSystem.createModal(VIEWER_MODAL_ID, '🧾 Audit Log', `
+      <div class="space-y-3" style="min-width: min(900px, 90vw);">
+        <div class="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <input type="search" id="audit-filter-text" class="border rounded px-2 py-1 text-sm" placeholder="Search actions and changes...">
+          <select id="audit-filter-dispatcher" class="border rounded px-2 py-1 text-sm">
+            <option value="">All dispatchers</option>
+          </select>
+          <input type="date" id="audit-filter-service-day" class="border rounded px-2 py-1 text-sm" title="Service day">
+          <input type="date" id="audit-filter-from" class="border rounded px-2 py-1 text-sm" title="Recorded from">
+          <input type="date" id="audit-filter-to" class="border rounded px-2 py-1 text-sm" title="Recorded to">
+        </div>
+        <div class="flex justify-between items-center text-sm">
+          <span id="audit-log-count" class="text-gray-600"></span>
+          <div class="space-x-2">
+            <button type="button" id="audit-export-csv" class="btn btn-secondary">📄 Export CSV</button>
+            <button type="button" id="audit-export-json" class="btn btn-secondary">📦 Export JSON</button>
+          </div>
+        </div>
+        <div class="overflow-y-auto border rounded" style="max-height: 60vh;">
+          <table class="w-full text-sm">
+            <thead class="bg-gray-100 sticky top-0">
+              <tr>
+                <th class="text-left px-2 py-1">When</th>
+                <th class="text-left px-2 py-1">Dispatcher</th>
+                <th class="text-left px-2 py-1">Service Day</th>
+                <th class="text-left px-2 py-1">Action</th>
+                <th class="text-left px-2 py-1">Changes</th>
+              </tr>
+            </thead>
+            <tbody id="audit-log-rows"></tbody>
+          </table>
+        </div>
+      </div>
+    `);
+
+    const bindFilter = (id, key) => {
+      modal.querySelector(id).addEventListener('input', (e) => {
+        this.filters[key] = e.target.value;
+        this.renderRows();
+      });
+    };
+    bindFilter('#audit-filter-text', 'text');
+    bindFilter('#audit-filter-dispatcher', 'dispatcher');
+    bindFilter('#audit-filter-service-day', 'serviceDate');
+    bindFilter('#audit-filter-from', 'from');
+    bindFilter('#audit-filter-to', 'to');
+
+    modal.querySelector('#audit-export-csv').addEventListener('click', () => this.exportCSV());
+    modal.querySelector('#audit-export-json').addEventListener('click', () => this.exportJSON());
+
+    this.filters = { text: '', dispatcher: '', serviceDate: '', from: '', to: '' };
+    uiSystem.openModal(modal.id);
+    await this.loadEntries();
+  }
+
+  async loadEntries() {
+    try {
+      this.entries = await getAuditLog();
+    } catch (error) {
+      console.error('❌ Error reading audit log:', error);
+      uiSystem.showNotification('Could not read the audit log', 'error');
+      this.entries = [];
+    }
+
+    const select = document.getElementById('audit-filter-dispatcher');
+    if (select) {
+      const names = [...new Set(this.entries.map(entry => entry.dispatcher?.name).filter(Boolean))].sort();
+      select.innerHTML = '<option value="">All dispatchers</option>' +
+        names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+      select.value = names.includes(this.filters.dispatcher) ? this.filters.dispatcher : '';
+    }
+
+    this.renderRows();
+  }
+
+  refreshIfOpen() {
+    if (uiSystem.activeModal === VIEWER_MODAL_ID) {
+      this.loadEntries();
+    }
+  }
+
+  getFilteredEntries() {
+    const { text, dispatcher, serviceDate, from, to } = this.filters;
+    const needle = text.trim().toLowerCase();
+
+    return this.entries.filter(entry => {
+      if (dispatcher && entry.dispatcher?.name !== dispatcher) return false;
+      if (serviceDate && entry.serviceDate !== serviceDate) return false;
+
+      // Date range compares the local calendar day the entry was recorded on
+      const recorded = new Date(entry.at);
+      const recordedDay = `${recorded.getFullYear()}-${String(recorded.getMonth() + 1).padStart(2, '0')}-${String(recorded.getDate()).padStart(2, '0')}`;
+      if (from && recordedDay < from) return false;
+      if (to && recordedDay > to) return false;
+
+      if (!needle) return true;
+      const haystack = [
+        entry.action,
+        entry.dispatcher?.name,
+        entry.dispatcher?.initials,
+        ...(entry.changes || []).flatMap(change => [change.target, change.field, change.before, change.after])
+      ].join(' ').toLowerCase();
+      return haystack.includes(needle);
+    });
+  }
+
+  renderRows() {
+    const tbody = document.getElementById('audit-log-rows');
+    if (!tbody) return;
+
+    const entries = this.getFilteredEntries();
+    const count = document.getElementById('audit-log-count');
+    if (count) {
+      count.textContent = `${entries.length} of ${this.entries.length} entries`;
+    }
+
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="px-2 py-4 text-center text-gray-500">No audit entries match these filters</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = entries.map(entry => `
+      <tr class="border-t align-top">
+        <td class="px-2 py-1 whitespace-nowrap">${escapeHtml(new Date(entry.at).toLocaleString())}</td>
+        <td class="px-2 py-1 whitespace-nowrap" title="${escapeHtml(entry.dispatcher?.name)}">${escapeHtml(entry.dispatcher?.initials)}</td>
+        <td class="px-2 py-1 whitespace-nowrap">${escapeHtml(entry.serviceDate || '')}</td>
+        <td class="px-2 py-1">${escapeHtml(entry.action)}</td>
+        <td class="px-2 py-1">
+          ${(entry.changes || []).map(change => `
+            <div>
+              <span class="font-semibold">${escapeHtml(change.target)}</span>
+              <span class="text-gray-500">${escapeHtml(change.field)}:</span>
+              <span class="text-red-700">${escapeHtml(change.before || '—')}</span>
+              → <span class="text-green-700">${escapeHtml(change.after || '—')}</span>
+            </div>
+          `).join('')}
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  // ===== EXPORT =====
+
+  /**
+   * One row per changed field; entries without changes (sign-in, sign-out) get one row
+   */
+  exportCSV() {
+    const header = ['Recorded At', 'Service Day', 'Dispatcher', 'Initials', 'Action', 'Target', 'Field', 'Before', 'After'];
+    const rows = this.getFilteredEntries().flatMap(entry => {
+      const base = [entry.at, entry.serviceDate || '', entry.dispatcher?.name, entry.dispatcher?.initials, entry.action];
+      const changes = entry.changes && entry.changes.length > 0 ? entry.changes : [{}];
+      return changes.map(change => [...base, change.target, change.field, change.before, change.after]);
+    });
+
+    downloadCsv([header, ...rows], `dispatch-audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  exportJSON() {
+    const json = JSON.stringify(this.getFilteredEntries(), null, 2);
+    this.downloadFile(json, `dispatch-audit-log-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Create and export singleton instance
+const auditLogViewer = new AuditLogViewer();
+
+// Make functions globally accessible for inline event handlers
+window.auditLogViewer = auditLogViewer;
+
+export { auditLogViewer };
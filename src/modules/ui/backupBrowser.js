@@ -0,0 +1,292 @@
+/**
+ * UI BACKUP BROWSER MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Browse and restore full backups of the dispatch document:
+ * - Every backup on this workstation by date, with why it was taken, its
+ *   size and what it holds
+ * - Restore the whole board or only chosen parts (routes, staff, assets,
+ *   configuration, fleet status, service days), plus the workstation
+ *   settings saved with it
+ * - Download a backup as a JSON file, or delete it
+ *
+ * Dependencies: core/backups, core/events, ui/system
+ */
+
+import {
+  BACKUP_PART_LABELS,
+  BACKUP_TRIGGER_LABELS,
+  getBackupPolicy,
+  createFullBackup,
+  listBackups,
+  getBackup,
+  deleteBackup,
+  restoreBackup
+} from '../core/backups.js';
+import { eventBus } from '../core/events.js';
+import { escapeHtml } from '../core/utils.js';
+import { uiSystem } from './system.js';
+
+const BROWSER_MODAL_ID = 'backup-browser-modal';
+
+const TRIGGER_BADGES = {
+  manual: 'bg-gray-100 text-gray-700',
+  scheduled: 'bg-blue-100 text-blue-800',
+  'before-import': 'bg-yellow-100 text-yellow-800',
+  'before-restore': 'bg-purple-100 text-purple-800'
+};
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+class BackupBrowser {
+  constructor() {
+    this.backups = [];
+    this.restoring = null;
+  }
+
+  /**
+   * Open the backup browser
+   * @param {Object} [options]
+   * @param {Function} [options.getSettings] - workstation settings to keep with manual backups
+   */
+  openBrowser({ getSettings = null } = {}) {
+    this.getSettings = getSettings;
+    this.restoring = null;
+
+    const modal = uiSystem.createModal(BROWSER_MODAL_ID, '🗄️ Backups', `
+      <div class="space-y-3" style="min-width: min(860px, 94vw);">
+        <div class="flex flex-wrap items-center justify-between gap-3">
+          <p id="backup-browser-policy" class="text-sm text-gray-600"></p>
+          <button type="button" id="backup-browser-create" class="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50">Create Backup Now</button>
+        </div>
+        <div id="backup-browser-body" class="max-h-[60vh] overflow-y-auto border rounded">
+          <p class="p-3 text-sm text-gray-500">Loading backups…</p>
+        </div>
+        <div class="flex justify-end">
+          <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Close</button>
+        </div>
+      </div>
+    `);
+
+    this.modal = modal;
+    modal.querySelector('#backup-browser-create').addEventListener('click', () => this.createBackup());
+    modal.querySelector('#backup-browser-body').addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      if (button) this.handleAction(button.dataset.action, button.dataset.id);
+    });
+
+    this.renderPolicy();
+    uiSystem.openModal(modal.id);
+    this.refresh();
+  }
+
+  renderPolicy() {
+    const policy = getBackupPolicy();
+    const schedule = policy.enabled && policy.times.length > 0
+      ? `Automatic backups at ${policy.times.join(', ')}`
+      : 'Automatic backups are off';
+    this.modal.querySelector('#backup-browser-policy').textContent =
+      `${schedule}. Keeping the newest ${policy.keepLatest}, one a day for ${policy.keepDays} days and one a week for ${policy.keepWeeks} weeks.`;
+  }
+
+  async refresh() {
+    try {
+      this.backups = await listBackups();
+      this.renderList();
+    } catch (error) {
+      console.error('❌ Error listing backups:', error);
+      this.modal.querySelector('#backup-browser-body').innerHTML = `<p class="p-3 text-sm text-red-600">Could not read backups: ${escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  renderList() {
+    const body = this.modal.querySelector('#backup-browser-body');
+    if (this.backups.length === 0) {
+      body.innerHTML = '<p class="p-3 text-sm text-gray-500">No backups yet.</p>';
+      return;
+    }
+
+    body.innerHTML = `
+      <table class="w-full text-sm">
+        <thead class="bg-gray-100 sticky top-0">
+          <tr>
+            <th class="px-2 py-1 text-left">Taken</th>
+            <th class="px-2 py-1 text-left">Reason</th>
+            <th class="px-2 py-1 text-left">Size</th>
+            <th class="px-2 py-1 text-left">Contents</th>
+            <th class="px-2 py-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.backups.map(backup => {
+            const counts = backup.counts || {};
+            return `
+              <tr class="border-t align-top">
+                <td class="px-2 py-1 whitespace-nowrap font-semibold">${escapeHtml(new Date(backup.createdAt).toLocaleString())}</td>
+                <td class="px-2 py-1">
+                  <span class="px-2 py-0.5 rounded text-xs font-semibold ${TRIGGER_BADGES[backup.trigger] || TRIGGER_BADGES.manual}">${escapeHtml(BACKUP_TRIGGER_LABELS[backup.trigger] || 'Manual')}</span>
+                  <div class="text-xs text-gray-600">${escapeHtml(backup.reason)}</div>
+                </td>
+                <td class="px-2 py-1 whitespace-nowrap">${formatSize(backup.size || 0)}</td>
+                <td class="px-2 py-1 text-xs text-gray-700">
+                  ${plural(counts.routes || 0, 'route')} · ${plural(counts.fieldTrips || 0, 'field trip')} ·
+                  ${plural(counts.staff || 0, 'staff member')} · ${plural(counts.assets || 0, 'asset')}<br>
+                  ${plural(counts.serviceDays || 0, 'service day')} · ${plural(counts.timestamps || 0, 'timestamp')} · ${plural(counts.notes || 0, 'note')}
+                </td>
+                <td class="px-2 py-1 whitespace-nowrap text-right">
+                  <button type="button" data-action="restore" data-id="${escapeHtml(backup.id)}" class="px-2 py-0.5 border rounded text-blue-700 hover:bg-blue-50">Restore…</button>
+                  <button type="button" data-action="download" data-id="${escapeHtml(backup.id)}" title="Download" class="px-2 py-0.5 border rounded hover:bg-gray-50">⬇️</button>
+                  <button type="button" data-action="delete" data-id="${escapeHtml(backup.id)}" title="Delete" class="px-2 py-0.5 border rounded text-red-600 hover:bg-red-50">🗑️</button>
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderRestore() {
+    const backup = this.restoring;
+    this.modal.querySelector('#backup-browser-body').innerHTML = `
+      <div class="p-3 space-y-3">
+        <h4 class="font-semibold">Restore the backup from ${escapeHtml(new Date(backup.createdAt).toLocaleString())}</h4>
+        <p class="text-xs text-gray-600">${escapeHtml(backup.reason)}</p>
+        <div class="space-y-1">
+          ${Object.entries(BACKUP_PART_LABELS).map(([part, label]) => `
+            <label class="flex items-center gap-2 text-sm">
+              <input type="checkbox" data-part="${part}" checked> ${escapeHtml(label)}
+            </label>
+          `).join('')}
+          ${backup.hasSettings ? `
+            <label class="flex items-center gap-2 text-sm">
+              <input type="checkbox" data-part="settings"> This workstation's settings (theme, CSV format, reports)
+            </label>
+          ` : ''}
+        </div>
+        <p class="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-2">
+          The current board is backed up first, so this can be reversed from this list.
+          Restoring service days puts every day back as it was in the backup, and days
+          saved since then are removed. Undo history is cleared.
+        </p>
+        <div class="flex justify-end gap-2">
+          <button type="button" data-action="cancel-restore" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Back</button>
+          <button type="button" data-action="confirm-restore" data-id="${escapeHtml(backup.id)}" class="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50">Restore</button>
+        </div>
+      </div>
+    `;
+  }
+
+  handleAction(action, id) {
+    const backup = this.backups.find(candidate => candidate.id === id);
+    switch (action) {
+      case 'restore':
+        this.restoring = backup;
+        this.renderRestore();
+        break;
+      case 'cancel-restore':
+        this.restoring = null;
+        this.renderList();
+        break;
+      case 'confirm-restore':
+        this.confirmRestore();
+        break;
+      case 'download':
+        this.downloadBackup(id);
+        break;
+      case 'delete':
+        this.removeBackup(backup);
+        break;
+    }
+  }
+
+  async createBackup() {
+    const button = this.modal.querySelector('#backup-browser-create');
+    button.disabled = true;
+    try {
+      await createFullBackup({ reason: 'Manual backup', trigger: 'manual', settings: this.getSettings ? this.getSettings() : null });
+      uiSystem.showNotification('Backup created successfully', 'success');
+      await this.refresh();
+    } catch (error) {
+      console.error('❌ Error creating backup:', error);
+      uiSystem.showNotification(`Backup failed: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async confirmRestore() {
+    const checked = [...this.modal.querySelectorAll('[data-part]:checked')].map(input => input.dataset.part);
+    const parts = checked.filter(part => part !== 'settings');
+    const withSettings = checked.includes('settings');
+    if (parts.length === 0 && !withSettings) {
+      uiSystem.showNotification('Choose what to restore', 'info');
+      return;
+    }
+    if (!confirm('Restore the chosen parts of this backup? The current board is backed up first.')) return;
+
+    const button = this.modal.querySelector('[data-action="confirm-restore"]');
+    button.disabled = true;
+    try {
+      const id = this.restoring.id;
+      if (parts.length > 0) {
+        await restoreBackup(id, parts);
+      }
+      if (withSettings) {
+        const { settings } = await getBackup(id);
+        eventBus.emit('settings:import', { settings });
+      }
+      this.restoring = null;
+      uiSystem.closeCurrentModal();
+      uiSystem.showNotification('Backup restored', 'success');
+    } catch (error) {
+      console.error('❌ Error restoring backup:', error);
+      uiSystem.showNotification(`Restore failed: ${error.message}`, 'error');
+      button.disabled = false;
+    }
+  }
+
+  async downloadBackup(id) {
+    try {
+      const backup = await getBackup(id);
+      if (!backup) throw new Error('That backup no longer exists');
+
+      const blob = new Blob([JSON.stringify({ version: '1.0.0', type: 'backup', ...backup }, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `dispatch-backup-${backup.createdAt.slice(0, 16).replace(/[T:]/g, '-')}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error downloading backup:', error);
+      uiSystem.showNotification(`Download failed: ${error.message}`, 'error');
+    }
+  }
+
+  async removeBackup(backup) {
+    if (!backup || !confirm(`Delete the backup from ${new Date(backup.createdAt).toLocaleString()}?`)) return;
+    try {
+      await deleteBackup(backup.id);
+      await this.refresh();
+    } catch (error) {
+      console.error('❌ Error deleting backup:', error);
+      uiSystem.showNotification(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+}
+
+// Create and export singleton instance
+const backupBrowser = new BackupBrowser();
+
+// Make functions globally accessible for inline event handlers
+window.backupBrowser = backupBrowser;
+
+export { backupBrowser };
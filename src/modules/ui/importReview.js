@@ -0,0 +1,193 @@
+/**
+ * UI IMPORT REVIEW MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Review step shown before any import touches the board:
+ * - Every row of the dry run with what would happen to it: add, update
+ *   (field by field), delete or skip
+ * - Per-row accept/reject; conflicts start out rejected
+ * - Switch merge strategy and see the plan again before applying
+ *
+ * Dependencies: data/importMapping, data/importPlan, ui/system
+ */
+
+import { escapeHtml } from '../core/utils.js';
+import { IMPORT_FIELDS, DATA_TYPE_LABELS } from '../data/importMapping.js';
+import { MERGE_STRATEGIES, planImport, summarizePlan, applyImportPlan } from '../data/importPlan.js';
+import { uiSystem } from './system.js';
+
+const REVIEW_MODAL_ID = 'import-review-modal';
+
+const ACTION_STYLES = {
+  add: { label: 'Add', badge: 'bg-green-100 text-green-800' },
+  update: { label: 'Update', badge: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'Delete', badge: 'bg-red-100 text-red-800' },
+  skip: { label: 'Skip', badge: 'bg-gray-100 text-gray-600' }
+};
+
+class ImportReview {
+  constructor() {
+    this.plan = null;
+    this.onApplied = null;
+  }
+
+  /**
+   * Show a dry run for review
+   * @param {Object} plan - from planImport()
+   * @param {Object} [options]
+   * @param {Function} [options.onApplied] - called with the counts after applying
+   */
+  openReview(plan, { onApplied = null } = {}) {
+    this.plan = plan;
+    this.onApplied = onApplied;
+
+    const modal = uiSystem.createModal(REVIEW_MODAL_ID, `🔍 Review ${DATA_TYPE_LABELS[plan.dataType]} Import`, `
+      <div class="space-y-3" style="min-width: min(820px, 94vw);">
+        <div class="flex flex-wrap items-end justify-between gap-3">
+          <label class="block text-sm font-medium text-gray-700">Merge strategy
+            <select id="import-review-strategy" class="mt-1 block border rounded px-2 py-1">
+              ${Object.entries(MERGE_STRATEGIES).map(([value, strategy]) => `
+                <option value="${value}" ${value === plan.mergeStrategy ? 'selected' : ''}>${strategy.label}</option>
+              `).join('')}
+            </select>
+          </label>
+          <div class="flex gap-2 text-sm">
+            <button type="button" data-accept="all" class="px-3 py-1 border rounded hover:bg-gray-50">Accept all</button>
+            <button type="button" data-accept="none" class="px-3 py-1 border rounded hover:bg-gray-50">Reject all</button>
+          </div>
+        </div>
+        <p id="import-review-strategy-help" class="text-xs text-gray-500"></p>
+        <div id="import-review-summary" class="text-sm"></div>
+        <div id="import-review-rows" class="max-h-[55vh] overflow-y-auto border rounded"></div>
+        <div class="flex justify-end gap-2">
+          <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Cancel</button>
+          <button type="button" id="import-review-apply" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50">Apply</button>
+        </div>
+      </div>
+    `);
+
+    this.modal = modal;
+
+    modal.querySelector('#import-review-strategy').addEventListener('change', event => {
+      this.plan = planImport(this.plan.dataType, this.plan.records, event.target.value);
+      this.render();
+    });
+    modal.querySelectorAll('[data-accept]').forEach(button => {
+      button.addEventListener('click', () => {
+        const accept = button.dataset.accept === 'all';
+        this.plan.rows.forEach(row => {
+          if (row.action !== 'skip') row.accepted = accept;
+        });
+        this.render();
+      });
+    });
+    modal.querySelector('#import-review-rows').addEventListener('change', event => {
+      const row = this.plan.rows[event.target.dataset.row];
+      if (!row) return;
+      row.accepted = event.target.checked;
+      this.renderSummary();
+    });
+    modal.querySelector('#import-review-apply').addEventListener('click', () => this.applyPlan());
+
+    this.render();
+    uiSystem.openModal(modal.id);
+  }
+
+  render() {
+    this.modal.querySelector('#import-review-strategy-help').textContent = MERGE_STRATEGIES[this.plan.mergeStrategy].description;
+    this.modal.querySelector('#import-review-rows').innerHTML = this.renderRows();
+    this.renderSummary();
+  }
+
+  renderSummary() {
+    const summary = summarizePlan(this.plan);
+    this.modal.querySelector('#import-review-summary').innerHTML = `
+      <span class="text-green-700">${summary.add} to add</span> ·
+      <span class="text-blue-700">${summary.update} to update</span> ·
+      <span class="text-red-700">${summary.delete} to delete</span> ·
+      <span class="text-gray-600">${summary.skip} skipped</span>
+      ${summary.conflicts ? ` · <span class="text-yellow-700 font-semibold">${summary.conflicts} conflict${summary.conflicts === 1 ? '' : 's'} to check</span>` : ''}
+    `;
+
+    const applyButton = this.modal.querySelector('#import-review-apply');
+    applyButton.disabled = summary.accepted === 0;
+    applyButton.textContent = `Apply ${summary.accepted} change${summary.accepted === 1 ? '' : 's'}`;
+  }
+
+  renderRows() {
+    if (this.plan.rows.length === 0) {
+      return '<p class="p-3 text-sm text-gray-500">Nothing to import.</p>';
+    }
+
+    const fieldLabels = Object.fromEntries(IMPORT_FIELDS[this.plan.dataType].map(field => [field.key, field.label]));
+    // Conflicts first, then by action, so what needs a decision is on top
+    const order = { delete: 0, update: 1, add: 2, skip: 3 };
+    const rows = [...this.plan.rows].sort((a, b) =>
+      (b.conflict ? 1 : 0) - (a.conflict ? 1 : 0) || order[a.action] - order[b.action] || a.id - b.id);
+
+    return `
+      <table class="w-full text-sm">
+        <thead class="bg-gray-100 sticky top-0">
+          <tr>
+            <th class="px-2 py-1 w-8"></th>
+            <th class="px-2 py-1 text-left">Action</th>
+            <th class="px-2 py-1 text-left">Record</th>
+            <th class="px-2 py-1 text-left">Line</th>
+            <th class="px-2 py-1 text-left">Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => {
+            const style = ACTION_STYLES[row.action];
+            const details = row.changes.length > 0
+              ? row.changes.map(change => `
+                  <div><span class="text-gray-500">${escapeHtml(fieldLabels[change.field] || change.field)}:</span>
+                  ${escapeHtml(change.before || '—')} → <strong>${escapeHtml(change.after)}</strong></div>
+                `).join('')
+              : `<span class="text-gray-500">${escapeHtml(row.reason)}</span>`;
+            return `
+              <tr class="border-t ${row.conflict ? 'bg-yellow-50' : ''}">
+                <td class="px-2 py-1 text-center">
+                  <input type="checkbox" data-row="${row.id}" ${row.accepted ? 'checked' : ''} ${row.action === 'skip' ? 'disabled' : ''}>
+                </td>
+                <td class="px-2 py-1"><span class="px-2 py-0.5 rounded text-xs font-semibold ${style.badge}">${style.label}</span></td>
+                <td class="px-2 py-1 font-semibold">${escapeHtml(row.name)}</td>
+                <td class="px-2 py-1 text-gray-500">${row.line ?? ''}</td>
+                <td class="px-2 py-1 text-xs">
+                  ${details}
+                  ${row.conflict ? `<div class="text-yellow-800 font-semibold">⚠️ ${escapeHtml(row.conflict)}</div>` : ''}
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  applyPlan() {
+    try {
+      const counts = applyImportPlan(this.plan);
+      const onApplied = this.onApplied;
+      this.plan = null;
+      this.onApplied = null;
+      uiSystem.closeCurrentModal();
+      uiSystem.showNotification(
+        `Import applied: ${counts.added} added, ${counts.updated} updated, ${counts.deleted} deleted, ${counts.skipped} skipped`,
+        'success'
+      );
+      if (onApplied) onApplied(counts);
+    } catch (error) {
+      console.error('❌ Error applying import:', error);
+      uiSystem.showNotification(`Import failed: ${error.message}`, 'error');
+    }
+  }
+}
+
+// Create and export singleton instance
+const importReview = new ImportReview();
+
+// Make functions globally accessible for inline event handlers
+window.importReview = importReview;
+
+export { importReview };
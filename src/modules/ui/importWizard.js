@@ -0,0 +1,459 @@
+/**
+ * UI IMPORT WIZARD MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Spreadsheet import with column mapping:
+ * - Shows each column of the file with sample values
+ * - Map columns to staff, route or asset fields, with a transform per column
+ * - Live preview of the mapped records and any rows that will be skipped
+ * - Save the mapping as a profile for its source; a later file with the same
+ *   headers picks the profile automatically, so a repeat import is one click
+ * - Excel workbooks: pick which sheets to import as staff, routes, assets or
+ *   field trips, then map and review each sheet in turn
+ * - Hands the mapped records to the import review before anything is applied
+ *
+ * Dependencies: core/csv, data/xlsx, data/importMapping, data/importPlan, ui/importReview, ui/system
+ */
+
+import { readCsvRows } from '../core/csv.js';
+import { escapeHtml } from '../core/utils.js';
+import { XLSX_MIME_TYPE, readWorkbook, sheetToRows, isWorkbookFile } from '../data/xlsx.js';
+import {
+  IMPORT_FIELDS,
+  DATA_TYPE_LABELS,
+  TRANSFORMS,
+  guessMapping,
+  guessDataType,
+  mapRecords,
+  getImportProfiles,
+  findProfileForHeaders,
+  saveImportProfile,
+  deleteImportProfile
+} from '../data/importMapping.js';
+import { MERGE_STRATEGIES, normalizeMergeStrategy, planImport } from '../data/importPlan.js';
+import { importReview } from './importReview.js';
+import { uiSystem } from './system.js';
+
+const WIZARD_MODAL_ID = 'import-wizard-modal';
+const SAMPLE_ROWS = 3;
+const PREVIEW_ROWS = 5;
+
+class ImportWizard {
+  constructor() {
+    this.reset('staff');
+  }
+
+  reset(dataType) {
+    this.dataType = dataType;
+    this.rows = [];
+    this.headers = [];
+    this.mapping = {};
+    this.profileId = '';
+    this.fileName = '';
+    this.matchedProfile = null;
+    this.workbook = null;
+    this.workbookName = '';
+    this.sheetQueue = [];
+    this.sheetTotal = 0;
+  }
+
+  /**
+   * Open the wizard
+   * @param {'staff'|'routes'|'assets'|'fieldTrips'} [dataType]
+   */
+  openWizard(dataType = 'staff') {
+    this.reset(DATA_TYPE_LABELS[dataType] ? dataType : 'staff');
+    this.showModal();
+  }
+
+  showModal() {
+    const modal = uiSystem.createModal(WIZARD_MODAL_ID, '📥 Import Spreadsheet', `
+      <div class="space-y-3" style="min-width: min(760px, 92vw);">
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <label class="block text-sm font-medium text-gray-700">Import
+            <select id="import-wizard-type" class="mt-1 w-full border rounded px-2 py-1">
+              ${Object.entries(DATA_TYPE_LABELS).map(([value, label]) => `
+                <option value="${value}" ${value === this.dataType ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label class="block text-sm font-medium text-gray-700">Mapping profile
+            <div class="flex gap-1 mt-1">
+              <select id="import-wizard-profile" class="w-full border rounded px-2 py-1"></select>
+              <button type="button" id="import-wizard-delete-profile" title="Delete profile" class="px-2 border rounded text-red-600 hover:bg-red-50">🗑️</button>
+            </div>
+          </label>
+          <label class="block text-sm font-medium text-gray-700">CSV or Excel file
+            <input type="file" id="import-wizard-file" accept=".csv,text/csv,.xlsx,${XLSX_MIME_TYPE}" class="mt-1 block w-full text-sm">
+          </label>
+        </div>
+        <div id="import-wizard-body" class="max-h-[55vh] overflow-y-auto">
+          <p class="text-sm text-gray-500">Choose a CSV file or an Excel workbook. Its columns are matched to board fields; adjust any that are wrong.</p>
+        </div>
+        <div class="flex flex-wrap items-end justify-between gap-3 border-t pt-3">
+          <div class="flex flex-wrap gap-3">
+            <label class="block text-sm text-gray-700">Merge strategy
+              <select id="import-wizard-merge" class="mt-1 block border rounded px-2 py-1">
+                ${Object.entries(MERGE_STRATEGIES).map(([value, strategy]) => `
+                  <option value="${value}" title="${strategy.description}">${strategy.label}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="block text-sm text-gray-700">Save mapping as profile
+              <input type="text" id="import-wizard-profile-name" placeholder="e.g. HR weekly roster" class="mt-1 block border rounded px-2 py-1">
+            </label>
+          </div>
+          <div class="flex gap-2">
+            <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Cancel</button>
+            <button type="button" id="import-wizard-apply" disabled class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50">Review Import</button>
+          </div>
+        </div>
+      </div>
+    `);
+
+    this.modal = modal;
+    this.renderProfileOptions();
+
+    modal.querySelector('#import-wizard-type').addEventListener('change', event => {
+      this.dataType = event.target.value;
+      this.profileId = '';
+      this.renderProfileOptions();
+      if (this.headers.length > 0) this.mapping = this.guess();
+      this.renderBody();
+    });
+    modal.querySelector('#import-wizard-profile').addEventListener('change', event => {
+      this.useProfile(getImportProfiles().find(profile => profile.id === event.target.value) || null);
+    });
+    modal.querySelector('#import-wizard-delete-profile').addEventListener('click', () => this.deleteSelectedProfile());
+    modal.querySelector('#import-wizard-file').addEventListener('change', event => {
+      const file = event.target.files[0];
+      if (file) this.loadFile(file);
+    });
+    modal.querySelector('#import-wizard-apply').addEventListener('click', () => this.applyImport());
+
+    modal.querySelector('#import-wizard-body').addEventListener('click', event => {
+      if (event.target.closest('#import-wizard-sheets-start')) this.startSheets();
+    });
+
+    // Mapping selects are re-rendered with the preview, so listen on the container
+    modal.querySelector('#import-wizard-body').addEventListener('change', event => {
+      const header = event.target.dataset.header;
+      if (header === undefined) return;
+      const entry = this.mapping[header] || { field: '', transform: 'none' };
+      if (event.target.dataset.role === 'field') {
+        entry.field = event.target.value;
+        const field = IMPORT_FIELDS[this.dataType].find(candidate => candidate.key === entry.field);
+        entry.transform = field?.transform || 'none';
+      } else {
+        entry.transform = event.target.value;
+      }
+      this.mapping[header] = entry;
+      this.renderBody();
+    });
+
+    uiSystem.openModal(modal.id);
+  }
+
+  guess() {
+    return guessMapping(this.dataType, this.headers, this.rows.slice(1, 1 + SAMPLE_ROWS * 3).map(row => row.cells));
+  }
+
+  async loadFile(file) {
+    try {
+      this.workbook = null;
+      this.sheetQueue = [];
+      if (isWorkbookFile(file)) {
+        this.workbook = await readWorkbook(file);
+        this.workbookName = file.name;
+        this.rows = [];
+        this.headers = [];
+        this.renderSheetPicker();
+      } else {
+        this.loadRows(await readCsvRows(file), file.name);
+      }
+    } catch (error) {
+      this.rows = [];
+      this.headers = [];
+      this.modal.querySelector('#import-wizard-body').innerHTML = `<p class="text-sm text-red-600">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</p>`;
+      this.modal.querySelector('#import-wizard-apply').disabled = true;
+    }
+  }
+
+  /**
+   * Map a set of rows (from a CSV file or one workbook sheet)
+   * @param {Array<{cells: string[], line: number}>} rows - header row first
+   */
+  loadRows(rows, fileName) {
+    this.rows = rows;
+    this.fileName = fileName;
+    this.headers = this.rows[0]?.cells.map(header => header.trim()) || [];
+    if (this.headers.length === 0) throw new Error('The file is empty');
+
+    this.matchedProfile = findProfileForHeaders(this.headers);
+    if (this.matchedProfile) {
+      this.useProfile(this.matchedProfile);
+    } else {
+      this.profileId = '';
+      this.mapping = this.guess();
+      this.renderProfileOptions();
+      this.renderBody();
+    }
+  }
+
+  // ===========================================================================
+  // WORKBOOKS
+  // ===========================================================================
+
+  /**
+   * List the workbook's sheets with a data type guessed for each
+   */
+  renderSheetPicker() {
+    const sheets = this.workbook.sheets
+      .map((sheet, index) => ({ sheet, index, rows: sheetToRows(sheet) }))
+      .filter(entry => !entry.sheet.hidden && entry.rows.length > 1);
+    this.modal.querySelector('#import-wizard-apply').disabled = true;
+
+    const body = this.modal.querySelector('#import-wizard-body');
+    if (sheets.length === 0) {
+      body.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(this.workbookName)} has no sheets with data to import.</p>`;
+      return;
+    }
+
+    body.innerHTML = `
+      <p class="text-sm text-gray-600 mb-2">Choose what each sheet holds. Sheets are mapped and reviewed one at a time.</p>
+      <table class="w-full text-sm border">
+        <thead class="bg-gray-100">
+          <tr>
+            <th class="px-2 py-1 text-left">Sheet</th>
+            <th class="px-2 py-1 text-left">Columns</th>
+            <th class="px-2 py-1 text-left">Rows</th>
+            <th class="px-2 py-1 text-left">Import as</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sheets.map(({ sheet, index, rows }) => {
+            const guessed = guessDataType(rows[0].cells, sheet.name);
+            return `
+              <tr class="border-t">
+                <td class="px-2 py-1 font-semibold">${escapeHtml(sheet.name)}</td>
+                <td class="px-2 py-1 text-xs text-gray-500">${escapeHtml(rows[0].cells.filter(Boolean).slice(0, 6).join(', '))}${rows[0].cells.length > 6 ? '…' : ''}</td>
+                <td class="px-2 py-1">${rows.length - 1}</td>
+                <td class="px-2 py-1">
+                  <select data-sheet="${index}" class="border rounded px-1 py-0.5 text-sm">
+                    <option value="">Skip</option>
+                    ${Object.entries(DATA_TYPE_LABELS).map(([value, label]) => `
+                      <option value="${value}" ${value === guessed ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                  </select>
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+      <div class="flex justify-end mt-3">
+        <button type="button" id="import-wizard-sheets-start" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">Map Selected Sheets</button>
+      </div>
+    `;
+  }
+
+  startSheets() {
+    this.sheetQueue = [...this.modal.querySelectorAll('[data-sheet]')]
+      .filter(select => select.value)
+      .map(select => ({ sheet: this.workbook.sheets[select.dataset.sheet], dataType: select.value }));
+    this.sheetTotal = this.sheetQueue.length;
+
+    if (this.sheetQueue.length === 0) {
+      uiSystem.showNotification('Choose at least one sheet to import', 'info');
+      return;
+    }
+    this.nextSheet();
+  }
+
+  nextSheet() {
+    const { sheet, dataType } = this.sheetQueue.shift();
+    this.dataType = dataType;
+    this.modal.querySelector('#import-wizard-type').value = dataType;
+    this.modal.querySelector('#import-wizard-profile-name').value = '';
+    this.loadRows(sheetToRows(sheet), `${this.workbookName} › ${sheet.name}`);
+  }
+
+  /**
+   * Reopen the wizard on the next chosen sheet once a sheet has been applied
+   */
+  continueWorkbook() {
+    if (this.sheetQueue.length === 0) return;
+    this.showModal();
+    this.nextSheet();
+  }
+
+  /**
+   * Apply a saved profile's data type, mapping and merge choice
+   */
+  useProfile(profile) {
+    this.profileId = profile?.id || '';
+    if (profile) {
+      this.dataType = profile.dataType;
+      this.modal.querySelector('#import-wizard-type').value = profile.dataType;
+      this.modal.querySelector('#import-wizard-merge').value = normalizeMergeStrategy(profile.mergeStrategy);
+      this.modal.querySelector('#import-wizard-profile-name').value = profile.name;
+    } else {
+      this.modal.querySelector('#import-wizard-profile-name').value = '';
+    }
+    this.renderProfileOptions();
+
+    if (this.headers.length > 0) {
+      const guessed = this.guess();
+      this.mapping = profile
+        ? Object.fromEntries(this.headers.map(header => [header, profile.mapping[header] || guessed[header]]))
+        : guessed;
+    }
+    this.renderBody();
+  }
+
+  deleteSelectedProfile() {
+    const profile = getImportProfiles().find(candidate => candidate.id === this.profileId);
+    if (!profile) {
+      uiSystem.showNotification('Choose a saved profile to delete', 'info');
+      return;
+    }
+    if (!confirm(`Delete the mapping profile "${profile.name}"?`)) return;
+
+    deleteImportProfile(profile.id);
+    this.profileId = '';
+    this.modal.querySelector('#import-wizard-profile-name').value = '';
+    this.renderProfileOptions();
+    uiSystem.showNotification(`Deleted profile ${profile.name}`, 'success');
+  }
+
+  renderProfileOptions() {
+    const select = this.modal.querySelector('#import-wizard-profile');
+    const profiles = getImportProfiles();
+    select.innerHTML = `
+      <option value="">${profiles.length ? 'Match columns automatically' : 'No saved profiles'}</option>
+      ${profiles.map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === this.profileId ? 'selected' : ''}>
+          ${escapeHtml(profile.name)} (${DATA_TYPE_LABELS[profile.dataType] || profile.dataType})
+        </option>
+      `).join('')}
+    `;
+  }
+
+  renderBody() {
+    const body = this.modal.querySelector('#import-wizard-body');
+    const applyButton = this.modal.querySelector('#import-wizard-apply');
+    if (this.headers.length === 0) return;
+
+    const fields = IMPORT_FIELDS[this.dataType];
+    const { records, problems } = mapRecords(this.dataType, this.rows, this.mapping);
+    applyButton.disabled = records.length === 0;
+
+    const mappingRows = this.headers.map((header, index) => {
+      const entry = this.mapping[header] || { field: '', transform: 'none' };
+      const samples = this.rows.slice(1, 1 + SAMPLE_ROWS).map(row => row.cells[index]).filter(Boolean);
+      return `
+        <tr class="border-t">
+          <td class="px-2 py-1 font-semibold">${escapeHtml(header)}</td>
+          <td class="px-2 py-1 text-xs text-gray-500">${samples.map(escapeHtml).join('<br>') || '—'}</td>
+          <td class="px-2 py-1">
+            <select data-header="${escapeHtml(header)}" data-role="field" class="border rounded px-1 py-0.5 text-sm">
+              <option value="">Ignore</option>
+              ${fields.map(field => `
+                <option value="${field.key}" ${entry.field === field.key ? 'selected' : ''}>${field.label}${field.required ? ' *' : ''}</option>
+              `).join('')}
+            </select>
+          </td>
+          <td class="px-2 py-1">
+            <select data-header="${escapeHtml(header)}" data-role="transform" class="border rounded px-1 py-0.5 text-sm" ${entry.field ? '' : 'disabled'}>
+              ${Object.entries(TRANSFORMS).map(([key, transform]) => `
+                <option value="${key}" ${entry.transform === key ? 'selected' : ''}>${escapeHtml(transform.label)}</option>
+              `).join('')}
+            </select>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    const previewKeys = fields.map(field => field.key).filter(key => records.some(record => record[key] !== undefined));
+    const preview = records.length === 0 ? '' : `
+      <h4 class="font-semibold text-sm mt-3">Preview: first ${Math.min(PREVIEW_ROWS, records.length)} of ${records.length} ${DATA_TYPE_LABELS[this.dataType].toLowerCase()}</h4>
+      <table class="w-full text-xs border mt-1">
+        <thead class="bg-gray-100">
+          <tr>${previewKeys.map(key => `<th class="px-2 py-1 text-left">${fields.find(field => field.key === key).label}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${records.slice(0, PREVIEW_ROWS).map(record => `
+            <tr class="border-t">${previewKeys.map(key => `<td class="px-2 py-1">${escapeHtml(record[key])}</td>`).join('')}</tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    const problemList = problems.length === 0 ? '' : `
+      <div class="bg-yellow-50 border border-yellow-200 rounded p-2 mt-3">
+        <h4 class="font-semibold text-yellow-800 text-sm">${problems.length} row${problems.length === 1 ? '' : 's'} to check</h4>
+        <ul class="text-xs text-yellow-900 list-disc pl-5">
+          ${problems.slice(0, 50).map(problem => `<li>Line ${problem.line}: ${escapeHtml(problem.message)}</li>`).join('')}
+          ${problems.length > 50 ? `<li>…and ${problems.length - 50} more</li>` : ''}
+        </ul>
+      </div>
+    `;
+
+    body.innerHTML = `
+      ${this.matchedProfile && this.matchedProfile.id === this.profileId ? `
+        <p class="text-sm text-green-700 mb-2">✓ Columns match the saved profile "${escapeHtml(this.matchedProfile.name)}"</p>
+      ` : ''}
+      <p class="text-xs text-gray-500 mb-1">
+        ${this.sheetTotal > 1 ? `Sheet ${this.sheetTotal - this.sheetQueue.length} of ${this.sheetTotal} · ` : ''}${escapeHtml(this.fileName)}: ${this.rows.length - 1} data rows, ${this.headers.length} columns
+      </p>
+      <table class="w-full text-sm border">
+        <thead class="bg-gray-100">
+          <tr>
+            <th class="px-2 py-1 text-left">Column</th>
+            <th class="px-2 py-1 text-left">Sample values</th>
+            <th class="px-2 py-1 text-left">Maps to</th>
+            <th class="px-2 py-1 text-left">Transform</th>
+          </tr>
+        </thead>
+        <tbody>${mappingRows}</tbody>
+      </table>
+      ${problemList}
+      ${preview}
+    `;
+  }
+
+  /**
+   * Save the profile if named, then show the dry run for review
+   */
+  applyImport() {
+    const { records } = mapRecords(this.dataType, this.rows, this.mapping);
+    if (records.length === 0) return;
+
+    const mergeStrategy = this.modal.querySelector('#import-wizard-merge').value;
+    const profileName = this.modal.querySelector('#import-wizard-profile-name').value.trim();
+
+    try {
+      if (profileName) {
+        saveImportProfile({ name: profileName, dataType: this.dataType, headers: this.headers, mapping: this.mapping, mergeStrategy });
+        uiSystem.showNotification(`Mapping profile "${profileName}" saved`, 'success');
+      }
+
+      const plan = planImport(this.dataType, records, mergeStrategy);
+      uiSystem.closeCurrentModal();
+      importReview.openReview(plan, {
+        onApplied: this.sheetQueue.length > 0 ? () => this.continueWorkbook() : null
+      });
+    } catch (error) {
+      console.error('❌ Error importing spreadsheet:', error);
+      uiSystem.showNotification(`Import failed: ${error.message}`, 'error');
+    }
+  }
+}
+
+// Create and export singleton instance
+const importWizard = new ImportWizard();
+
+// Make functions globally accessible for inline event handlers
+window.importWizard = importWizard;
+
+export { importWizard };
@@ -0,0 +1,381 @@
+/**
+ * UI INCIDENTS MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Incident workflow on top of core/incidents:
+ * - Red banner under the header listing every open incident, on all views
+ * - Incident dialog, opened automatically when a route is marked 10-11/10-33:
+ *   details, running timeline, notes, resolve
+ * - List of all incidents from the settings slideout
+ * - Printable incident report from the timeline and the route's current assignments
+ *
+ * Dependencies: core/incidents, core/state, core/events, core/utils, ui/system
+ */
+
+import { eventBus } from '../core/events.js';
+import { eventBus as syncEventBus, escapeHtml } from '../core/utils.js';
+import { STATE } from '../core/state.js';
+import {
+  INCIDENT_TYPES,
+  getIncidents,
+  getIncident,
+  getOpenIncidents,
+  updateIncident,
+  addIncidentNote,
+  resolveIncident
+} from '../core/incidents.js';
+import { uiSystem } from './system.js';
+
+const DIALOG_MODAL_ID = 'incident-modal';
+const LIST_MODAL_ID = 'incident-list-modal';
+const BANNER_REFRESH_MS = 60 * 1000;
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '';
+}
+
+function formatElapsed(fromIso, toIso) {
+  const minutes = Math.max(0, Math.round(((toIso ? new Date(toIso) : new Date()) - new Date(fromIso)) / 60000));
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Current assignments for the incident's route, as label/value pairs
+ */
+function getRouteAssignments(incident) {
+  const route = (STATE.data?.routes || []).find(r => r.id === incident.routeId);
+  if (route) {
+    return [
+      ['Driver', route.driver?.name],
+      ['Vehicle', route.asset?.name],
+      ['Trailer', route.trailer?.name],
+      ['Safety escorts', (route.safetyEscorts || []).map(escort => escort.name).join(', ')],
+      ['Route notes', route.notes]
+    ].filter(([, value]) => value);
+  }
+
+  // Legacy runKey boards keep assignments by role
+  return Object.entries(STATE.assignments[incident.routeId] || {})
+    .filter(([, value]) => value)
+    .map(([role, value]) => [role, typeof value === 'object' ? value.name : value]);
+}
+
+class IncidentPanel {
+  constructor() {
+    this.activeIncidentId = null;
+    this.bannerTimer = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the banner and keep it current
+   */
+  init() {
+    if (this.initialized) return;
+
+    eventBus.on('incident:opened', ({ incident }) => {
+      this.renderBanner();
+      uiSystem.showNotification(`🚨 Incident opened on ${incident.routeName}`, 'error');
+      this.openIncidentDialog(incident.id);
+    });
+    ['incident:updated', 'incident:resolved', 'history:undone', 'history:redone'].forEach(event => {
+      eventBus.on(event, () => this.refresh());
+    });
+    syncEventBus.on('sync:remoteChange', () => this.refresh());
+
+    this.renderBanner();
+    this.bannerTimer = setInterval(() => this.renderBanner(), BANNER_REFRESH_MS);
+
+    this.initialized = true;
+    console.log('🚨 Incident panel initialized');
+  }
+
+  refresh() {
+    this.renderBanner();
+    if (uiSystem.activeModal === DIALOG_MODAL_ID && this.activeIncidentId) {
+      this.renderTimeline();
+    }
+  }
+
+  // ===== BANNER =====
+
+  renderBanner() {
+    const banner = document.getElementById('incident-banner');
+    if (!banner) return;
+
+    const open = getOpenIncidents();
+    banner.classList.toggle('hidden', open.length === 0);
+    banner.innerHTML = open.map(incident => `
+      <div class="flex items-center justify-between gap-3 px-4 py-2">
+        <div class="flex items-center gap-3 min-w-0">
+          <span class="font-bold whitespace-nowrap">🚨 ${escapeHtml(incident.status)} ${escapeHtml(incident.routeName)}</span>
+          <span class="truncate">
+            ${escapeHtml([incident.type, incident.location].filter(Boolean).join(' · ') || 'Details not entered yet')}
+          </span>
+          <span class="text-red-100 text-sm whitespace-nowrap">open ${formatElapsed(incident.openedAt)}</span>
+        </div>
+        <button type="button" class="incident-banner-open px-3 py-1 bg-white text-red-700 rounded font-semibold text-sm"
+                data-incident-id="${escapeHtml(incident.id)}">Details</button>
+      </div>
+    `).join('');
+
+    banner.querySelectorAll('.incident-banner-open').forEach(button => {
+      button.addEventListener('click', () => this.openIncidentDialog(button.dataset.incidentId));
+    });
+  }
+
+  // ===== INCIDENT DIALOG =====
+
+  openIncidentDialog(id) {
+    const incident = getIncident(id);
+    if (!incident) return;
+
+    this.activeIncidentId = id;
+    const closed = Boolean(incident.resolvedAt);
+    const disabled = closed ? 'disabled' : '';
+
+    const modal = uiSystem.createModal(DIALOG_MODAL_ID, `🚨 ${escapeHtml(incident.status)} Incident: ${escapeHtml(incident.routeName)}`, `
+      <div class="space-y-3" style="min-width: min(720px, 90vw);">
+        <p class="text-sm text-gray-600">
+          Opened ${formatTime(incident.openedAt)} by ${escapeHtml(incident.openedBy?.name)} (${escapeHtml(incident.serviceDate)} ${escapeHtml(incident.shift)})
+          ${closed ? ` · Resolved ${formatTime(incident.resolvedAt)} by ${escapeHtml(incident.resolvedBy?.name)}` : ''}
+        </p>
+        <form id="incident-details-form" class="grid grid-cols-2 gap-3">
+          <label class="text-sm">Incident type
+            <select id="incident-type" class="w-full border rounded px-2 py-1" ${disabled}>
+              <option value="">Select...</option>
+              ${INCIDENT_TYPES.map(type => `<option value="${escapeHtml(type)}" ${incident.type === type ? 'selected' : ''}>${escapeHtml(type)}</option>`).join('')}
+            </select>
+          </label>
+          <label class="text-sm">Location
+            <input type="text" id="incident-location" class="w-full border rounded px-2 py-1" value="${escapeHtml(incident.location)}" ${disabled}>
+          </label>
+          <label class="text-sm">Students on board
+            <input type="number" min="0" step="1" id="incident-students" class="w-full border rounded px-2 py-1" value="${incident.studentsOnBoard ?? ''}" ${disabled}>
+          </label>
+          <label class="text-sm">Injuries
+            <input type="text" id="incident-injuries" class="w-full border rounded px-2 py-1" placeholder="None reported" value="${escapeHtml(incident.injuries)}" ${disabled}>
+          </label>
+          <label class="text-sm flex items-center gap-2">
+            <input type="checkbox" id="incident-police" ${incident.policeContacted ? 'checked' : ''} ${disabled}> Police contacted
+          </label>
+          <label class="text-sm flex items-center gap-2">
+            <input type="checkbox" id="incident-ems" ${incident.emsContacted ? 'checked' : ''} ${disabled}> EMS contacted
+          </label>
+          ${closed ? '' : '<div class="col-span-2 text-right"><button type="submit" class="btn btn-primary">Save Details</button></div>'}
+        </form>
+        <div>
+          <h4 class="font-semibold text-gray-700 mb-1">Timeline</h4>
+          <ol id="incident-timeline" class="border rounded divide-y text-sm overflow-y-auto" style="max-height: 30vh;"></ol>
+        </div>
+        ${closed ? `
+          <p class="text-sm"><strong>Resolution:</strong> ${escapeHtml(incident.resolution)}</p>
+        ` : `
+          <div class="flex gap-2">
+            <input type="text" id="incident-note" class="flex-1 border rounded px-2 py-1 text-sm" placeholder="Add to the timeline...">
+            <button type="button" id="incident-add-note" class="btn btn-secondary">Add</button>
+          </div>
+          <div class="flex gap-2">
+            <input type="text" id="incident-resolution" class="flex-1 border rounded px-2 py-1 text-sm" placeholder="How was it resolved?">
+            <button type="button" id="incident-resolve" class="btn btn-primary bg-green-600">Resolve</button>
+          </div>
+        `}
+        <p id="incident-error" class="text-sm text-red-600 hidden"></p>
+        <div class="modal-actions">
+          <button type="button" id="incident-print" class="btn btn-secondary">🖨️ Print Report</button>
+        </div>
+      </div>
+    `);
+
+    const run = (action) => {
+      try {
+        action();
+        this.showError('');
+        return true;
+      } catch (error) {
+        this.showError(error.message);
+        return false;
+      }
+    };
+
+    modal.querySelector('#incident-details-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (closed) return;
+      run(() => updateIncident(id, {
+        type: modal.querySelector('#incident-type').value,
+        location: modal.querySelector('#incident-location').value,
+        studentsOnBoard: modal.querySelector('#incident-students').value,
+        injuries: modal.querySelector('#incident-injuries').value,
+        policeContacted: modal.querySelector('#incident-police').checked,
+        emsContacted: modal.querySelector('#incident-ems').checked
+      }));
+    });
+
+    modal.querySelector('#incident-add-note')?.addEventListener('click', () => {
+      const input = modal.querySelector('#incident-note');
+      if (run(() => addIncidentNote(id, input.value))) input.value = '';
+    });
+    modal.querySelector('#incident-note')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') modal.querySelector('#incident-add-note').click();
+    });
+
+    modal.querySelector('#incident-resolve')?.addEventListener('click', () => {
+      const resolution = modal.querySelector('#incident-resolution').value;
+      if (run(() => resolveIncident(id, resolution))) {
+        uiSystem.closeCurrentModal();
+        uiSystem.showNotification(`Incident on ${incident.routeName} resolved`, 'success');
+      }
+    });
+
+    modal.querySelector('#incident-print').addEventListener('click', () => this.printIncidentReport(id));
+
+    this.renderTimeline();
+    uiSystem.openModal(modal.id);
+  }
+
+  renderTimeline() {
+    const list = document.getElementById('incident-timeline');
+    const incident = getIncident(this.activeIncidentId);
+    if (!list || !incident) return;
+
+    list.innerHTML = incident.timeline.map(entry => `
+      <li class="flex gap-3 px-2 py-1">
+        <span class="text-gray-500 whitespace-nowrap">${formatTime(entry.at)}</span>
+        <span class="text-gray-500 whitespace-nowrap">${escapeHtml(entry.initials)}</span>
+        <span>${escapeHtml(entry.text)}</span>
+      </li>
+    `).join('');
+    list.scrollTop = list.scrollHeight;
+  }
+
+  showError(message) {
+    const errorEl = document.getElementById('incident-error');
+    if (!errorEl) return;
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  // ===== INCIDENT LIST =====
+
+  openIncidentList() {
+    const incidents = [...getIncidents()].sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+
+    const modal = uiSystem.createModal(LIST_MODAL_ID, '🚨 Incidents', `
+      <div class="overflow-y-auto border rounded" style="min-width: min(720px, 90vw); max-height: 60vh;">
+        ${incidents.length === 0 ? '<p class="text-center text-gray-500 py-8">No incidents recorded.</p>' : `
+          <table class="w-full text-sm">
+            <thead class="bg-gray-100 sticky top-0">
+              <tr>
+                <th class="text-left px-2 py-1">Opened</th>
+                <th class="text-left px-2 py-1">Route</th>
+                <th class="text-left px-2 py-1">Type</th>
+                <th class="text-left px-2 py-1">Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${incidents.map(incident => `
+                <tr class="border-t">
+                  <td class="px-2 py-1">${escapeHtml(incident.serviceDate)} ${formatTime(incident.openedAt)}</td>
+                  <td class="px-2 py-1">${escapeHtml(incident.status)} ${escapeHtml(incident.routeName)}</td>
+                  <td class="px-2 py-1">${escapeHtml(incident.type || '—')}</td>
+                  <td class="px-2 py-1">${incident.resolvedAt
+                    ? `Resolved after ${formatElapsed(incident.openedAt, incident.resolvedAt)}`
+                    : '<span class="text-red-600 font-semibold">Open</span>'}</td>
+                  <td class="px-2 py-1 text-right">
+                    <button type="button" class="incident-list-open text-blue-600" data-incident-id="${escapeHtml(incident.id)}">Details</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `);
+
+    modal.querySelectorAll('.incident-list-open').forEach(button => {
+      button.addEventListener('click', () => this.openIncidentDialog(button.dataset.incidentId));
+    });
+
+    uiSystem.openModal(modal.id);
+  }
+
+  // ===== PRINTABLE REPORT =====
+
+  printIncidentReport(id) {
+    const incident = getIncident(id);
+    if (!incident) return;
+
+    const details = [
+      ['Route', incident.routeName],
+      ['Service day', `${incident.serviceDate} (${incident.shift})`],
+      ['Status code', incident.status],
+      ['Incident type', incident.type || 'Not recorded'],
+      ['Location', incident.location || 'Not recorded'],
+      ['Students on board', incident.studentsOnBoard ?? 'Not recorded'],
+      ['Injuries', incident.injuries || 'None reported'],
+      ['Police contacted', incident.policeContacted ? 'Yes' : 'No'],
+      ['EMS contacted', incident.emsContacted ? 'Yes' : 'No'],
+      ['Opened', `${new Date(incident.openedAt).toLocaleString()} by ${incident.openedBy?.name || ''}`],
+      ['Resolved', incident.resolvedAt
+        ? `${new Date(incident.resolvedAt).toLocaleString()} by ${incident.resolvedBy?.name || ''} (${formatElapsed(incident.openedAt, incident.resolvedAt)})`
+        : 'Open']
+    ];
+    if (incident.resolution) details.push(['Resolution', incident.resolution]);
+
+    const assignments = getRouteAssignments(incident);
+    const rows = (pairs) => pairs.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Incident Report - ${escapeHtml(incident.routeName)}</title>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.4; }
+            h1 { color: #b91c1c; border-bottom: 2px solid #b91c1c; padding-bottom: 10px; }
+            h2 { color: #1f2937; font-size: 1.1em; margin-top: 20px; }
+            table { border-collapse: collapse; width: 100%; }
+            th, td { text-align: left; vertical-align: top; padding: 4px 8px; border-bottom: 1px solid #ddd; }
+            th { width: 180px; color: #374151; }
+            .timeline td:first-child { white-space: nowrap; width: 90px; }
+            .signature { margin-top: 40px; display: flex; gap: 40px; }
+            .signature div { flex: 1; border-top: 1px solid #333; padding-top: 4px; font-size: 0.9em; }
+          </style>
+        </head>
+        <body>
+          <h1>Incident Report: ${escapeHtml(incident.routeName)}</h1>
+          <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+          <h2>Incident</h2>
+          <table>${rows(details)}</table>
+          <h2>Route Assignments</h2>
+          ${assignments.length > 0 ? `<table>${rows(assignments)}</table>` : '<p><em>No assignments recorded for this route.</em></p>'}
+          <h2>Timeline</h2>
+          <table class="timeline">
+            ${incident.timeline.map(entry => `
+              <tr>
+                <td>${formatTime(entry.at)}</td>
+                <td>${escapeHtml(entry.initials)}</td>
+                <td>${escapeHtml(entry.text)}</td>
+              </tr>
+            `).join('')}
+          </table>
+          <div class="signature">
+            <div>Dispatcher signature</div>
+            <div>Supervisor signature</div>
+          </div>
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.print();
+  }
+}
+
+// Create and export singleton instance
+const incidentPanel = new IncidentPanel();
+
+// Make functions globally accessible for inline event handlers
+window.incidentPanel = incidentPanel;
+
+export { incidentPanel };
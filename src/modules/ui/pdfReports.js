@@ -0,0 +1,312 @@
+/**
+ * UI PDF REPORTS MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Downloadable PDF versions of the board's reports, written in the browser
+ * by data/pdfWriter with the district name from Settings > Data > Reports:
+ * - Route status timestamp report for the open service day
+ * - Daily run sheet by route type
+ * - Fleet down list
+ * - Field trip sheets, one page per trip
+ *
+ * Dependencies: core/state, core/statusCodes, data/pdfWriter, dispatch/assets,
+ * ui/runSheet, ui/settingsSystem, ui/system
+ */
+
+import { STATE } from '../core/state.js';
+import { getStatusCode } from '../core/statusCodes.js';
+import { PdfDocument, downloadPdf } from '../data/pdfWriter.js';
+import { getDownAssets } from '../dispatch/assets.js';
+import {
+  SHIFT_OPTIONS,
+  formatClock,
+  getRoutesForShift,
+  groupRoutesByType,
+  getEscortNames,
+  getScheduleLabel,
+  getTripTimes
+} from './runSheet.js';
+import { settingsSystem } from './settingsSystem.js';
+import { uiSystem } from './system.js';
+
+const EXPORT_MODAL_ID = 'pdf-reports-modal';
+
+function createDocument(title, subtitle, orientation = 'portrait') {
+  return new PdfDocument({
+    title,
+    subtitle,
+    district: settingsSystem.settings.reports?.districtName || '',
+    orientation
+  });
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Route for a status history key: a route id, or a legacy runKey such as "Route 5_AM"
+ */
+function findRouteForKey(key) {
+  const routes = STATE.data?.routes || [];
+  const identifier = key.replace(/_AM$|_PM$/, '');
+  return routes.find(route => route.id === key)
+    || routes.find(route => route.id === identifier || route.name === identifier || String(route.routeNumber) === identifier)
+    || null;
+}
+
+// ===== REPORT BUILDERS =====
+
+function buildTimestampReportPdf() {
+  const doc = createDocument('Route Status Timestamp Report', `Service day ${STATE.serviceDate}`);
+  const entries = Object.entries(STATE.statusTimestamps || {}).filter(([, history]) => Array.isArray(history) && history.length > 0);
+
+  if (entries.length === 0) {
+    doc.text('No status timestamps recorded for this service day.');
+    return doc;
+  }
+
+  entries.forEach(([key, history]) => {
+    const route = findRouteForKey(key);
+    const legacyShift = key.match(/_(AM|PM)$/)?.[1];
+    const shifts = [...new Set(history.map(entry => entry.shift || legacyShift).filter(Boolean))];
+
+    doc.heading(`${route?.name || key.replace(/_AM$|_PM$/, '')}${shifts.length ? ` (${shifts.join(', ')})` : ''}`, { size: 11 });
+    if (route) {
+      doc.keyValues([
+        ['Driver', route.driver?.name || 'Not assigned'],
+        ['Asset', route.asset?.name || 'Not assigned'],
+        ['Safety escorts', getEscortNames(route) || 'None assigned'],
+        ['Notes', route.notes]
+      ], { size: 9 });
+    }
+
+    const rows = [...history]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map(entry => [
+        formatTime(entry.timestamp),
+        entry.shift || legacyShift || '',
+        entry.status,
+        getStatusCode(entry.status)?.label || '',
+        entry.user || 'System',
+        entry.note || ''
+      ]);
+    doc.table([
+      { label: 'Time', width: 1 },
+      { label: 'Shift', width: 0.7 },
+      { label: 'Code', width: 0.9, bold: true },
+      { label: 'Meaning', width: 1.5 },
+      { label: 'Dispatcher', width: 1.5 },
+      { label: 'Note', width: 3 }
+    ], rows);
+  });
+
+  return doc;
+}
+
+function buildRunSheetPdf(shift) {
+  const doc = createDocument(`Daily Run Sheet (${SHIFT_OPTIONS[shift]})`, `Service day ${STATE.serviceDate}`, 'landscape');
+  const groups = groupRoutesByType(getRoutesForShift(shift));
+
+  if (groups.length === 0) {
+    doc.text('No routes are scheduled for this shift.');
+    return doc;
+  }
+
+  groups.forEach(({ type, routes }) => {
+    doc.heading(`${type.label} (${routes.length})`, { color: type.color, size: 11 });
+    doc.table([
+      { label: 'Route', width: 1.2, bold: true },
+      ...(shift === 'BOTH' ? [{ label: 'Shift', width: 0.8 }] : []),
+      { label: 'Driver', width: 1.6 },
+      { label: 'Asset', width: 1 },
+      { label: 'Trailer', width: 1 },
+      { label: 'Safety escorts', width: 1.6 },
+      { label: 'Notes', width: 3 },
+      { label: 'Out', width: 0.7 },
+      { label: 'In', width: 0.7 }
+    ], routes.map(route => [
+      route.name,
+      ...(shift === 'BOTH' ? [getScheduleLabel(route)] : []),
+      route.driver?.name || 'UNASSIGNED',
+      route.asset?.name,
+      route.trailer?.name,
+      getEscortNames(route),
+      [route.destination ? `To: ${route.destination}` : '', getTripTimes(route), route.notes].filter(Boolean).join('\n'),
+      '',
+      ''
+    ]));
+  });
+
+  return doc;
+}
+
+function buildFleetDownListPdf() {
+  const doc = createDocument('Fleet Down List', `As of ${new Date().toLocaleString()}`);
+  const down = getDownAssets();
+
+  if (down.length === 0) {
+    doc.text('No assets are marked down.');
+    return doc;
+  }
+
+  const rows = down
+    .map(asset => {
+      const record = STATE.assetDownReasons?.[asset.name];
+      const since = record?.timestamp ? new Date(record.timestamp) : null;
+      return {
+        since,
+        cells: [
+          asset.name,
+          asset.type || '',
+          record?.reason || asset.downReason || 'Out of service',
+          since ? since.toLocaleString() : 'Unknown',
+          since ? String(Math.floor((Date.now() - since) / 86400000)) : ''
+        ]
+      };
+    })
+    .sort((a, b) => (a.since || 0) - (b.since || 0))
+    .map(row => row.cells);
+
+  doc.text(`${down.length} asset${down.length === 1 ? '' : 's'} out of service, longest down first.`, { size: 9 });
+  doc.space(4);
+  doc.table([
+    { label: 'Asset', width: 1, bold: true },
+    { label: 'Type', width: 1.2 },
+    { label: 'Reason', width: 3 },
+    { label: 'Down since', width: 1.8 },
+    { label: 'Days', width: 0.6 }
+  ], rows);
+
+  return doc;
+}
+
+function buildFieldTripSheetsPdf() {
+  const doc = createDocument('Field Trip Sheets', `Service day ${STATE.serviceDate}`);
+  const trips = (STATE.data?.routes || []).filter(route => route.type === 'field-trips');
+
+  if (trips.length === 0) {
+    doc.text('No field trips on the board.');
+    return doc;
+  }
+
+  trips.forEach((trip, index) => {
+    if (index > 0) doc.pageBreak();
+    doc.heading(trip.name, { color: '#8b5cf6' });
+    doc.keyValues([
+      ['Destination', trip.destination || 'Not recorded'],
+      ['Departs', formatClock(trip.departureTime) || 'Not recorded'],
+      ['Returns', formatClock(trip.returnTime) || 'Not recorded'],
+      ['Driver', trip.driver?.name || 'Not assigned'],
+      ['Vehicle', trip.asset?.name || 'Not assigned'],
+      ['Trailer', trip.trailer?.name],
+      ['Safety escorts', getEscortNames(trip)],
+      ['Status', getStatusCode(trip.status)?.label || trip.status],
+      ['Notes', trip.notes]
+    ]);
+    doc.space(16);
+    doc.table([
+      { label: 'Odometer out', width: 1 },
+      { label: 'Odometer in', width: 1 },
+      { label: 'Actual departure', width: 1 },
+      { label: 'Actual return', width: 1 }
+    ], [['\n', '', '', '']], { size: 11 });
+    doc.space(30);
+    doc.text('Driver signature: ________________________________     Dispatcher: ________________________________', { size: 9 });
+  });
+
+  return doc;
+}
+
+function fileDate() {
+  return STATE.serviceDate || new Date().toISOString().split('T')[0];
+}
+
+class PdfReports {
+  /**
+   * Pick a report and download it as a PDF
+   */
+  openExportDialog() {
+    const current = STATE.currentView === 'PM' ? 'PM' : 'AM';
+    const district = settingsSystem.settings.reports?.districtName;
+
+    const modal = uiSystem.createModal(EXPORT_MODAL_ID, '📄 PDF Reports', `
+      <div class="space-y-3" style="min-width: min(420px, 90vw);">
+        <label class="block text-sm font-medium text-gray-700">Run sheet shift
+          <select id="pdf-report-shift" class="mt-1 w-full border rounded px-2 py-1">
+            ${Object.entries(SHIFT_OPTIONS).map(([value, label]) => `
+              <option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </label>
+        <div class="grid grid-cols-1 gap-2">
+          <button type="button" data-report="timestamps" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 text-left">🕒 Status Timestamp Report</button>
+          <button type="button" data-report="runSheet" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 text-left">🖨️ Daily Run Sheet</button>
+          <button type="button" data-report="fleetDown" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 text-left">🔧 Fleet Down List</button>
+          <button type="button" data-report="fieldTrips" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 text-left">🚌 Field Trip Sheets</button>
+        </div>
+        <p class="text-xs text-gray-500">
+          ${district ? `District: ${district.replace(/&/g, '&amp;').replace(/</g, '&lt;')}` : 'No district name set'} (Settings &gt; Data &gt; Reports)
+        </p>
+      </div>
+    `);
+
+    modal.querySelectorAll('[data-report]').forEach(button => {
+      button.addEventListener('click', () => {
+        const shift = modal.querySelector('#pdf-report-shift').value;
+        const exporters = {
+          timestamps: () => this.exportTimestampReport(),
+          runSheet: () => this.exportRunSheet(shift),
+          fleetDown: () => this.exportFleetDownList(),
+          fieldTrips: () => this.exportFieldTripSheets()
+        };
+        exporters[button.dataset.report]();
+      });
+    });
+
+    uiSystem.openModal(modal.id);
+  }
+
+  exportTimestampReport() {
+    this.download(buildTimestampReportPdf, `timestamp-report-${fileDate()}.pdf`);
+  }
+
+  /**
+   * @param {'AM'|'PM'|'BOTH'} [shift] - defaults to the shift on the board
+   */
+  exportRunSheet(shift = STATE.currentView) {
+    this.download(() => buildRunSheetPdf(shift), `run-sheet-${fileDate()}-${shift.toLowerCase()}.pdf`);
+  }
+
+  exportFleetDownList() {
+    this.download(buildFleetDownListPdf, `fleet-down-list-${fileDate()}.pdf`);
+  }
+
+  exportFieldTripSheets() {
+    this.download(buildFieldTripSheetsPdf, `field-trips-${fileDate()}.pdf`);
+  }
+
+  download(build, filename) {
+    try {
+      downloadPdf(build(), filename);
+      uiSystem.showNotification(`Downloaded ${filename}`, 'success');
+    } catch (error) {
+      console.error('❌ Error writing PDF:', error);
+      uiSystem.showNotification(`Could not write the PDF: ${error.message}`, 'error');
+    }
+  }
+}
+
+// Create and export singleton instance
+const pdfReports = new PdfReports();
+
+// Make functions globally accessible for inline event handlers
+window.pdfReports = pdfReports;
+
+export {
+  pdfReports,
+  buildTimestampReportPdf,
+  buildRunSheetPdf,
+  buildFleetDownListPdf,
+  buildFieldTripSheetsPdf
+};
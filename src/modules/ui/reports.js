@@ -0,0 +1,314 @@
+/**
+ * UI REPORTS MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Run-time analytics viewer on top of data/reports:
+ * - Filters: date range, route type, shift
+ * - Summary tiles: runs, average and p90 run time, incomplete runs, incident events
+ * - Bar charts: average run time per route, runs and incident events per day
+ * - Sortable tables per service day, route and driver
+ *
+ * Dependencies: data/reports, dispatch/routeCards, ui/system
+ */
+
+import { escapeHtml } from '../core/utils.js';
+import { buildTimestampReport, getDefaultReportRange } from '../data/reports.js';
+import { ROUTE_TYPES } from '../dispatch/routeCards.js';
+import { uiSystem } from './system.js';
+
+const REPORTS_MODAL_ID = 'reports-modal';
+const CHART_ROUTE_LIMIT = 15;
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '—';
+  const whole = Math.round(minutes);
+  return whole < 60 ? `${whole} min` : `${Math.floor(whole / 60)} h ${String(whole % 60).padStart(2, '0')}`;
+}
+
+function formatClock(iso) {
+  return iso ? new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '—';
+}
+
+function formatTimeOfDay(minutes) {
+  if (minutes === null || minutes === undefined) return '—';
+  const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+function routeTypeLabel(typeId) {
+  return Object.values(ROUTE_TYPES).find(type => type.id === typeId)?.label || 'Other';
+}
+
+// Columns shared by the route and driver tables
+const RUN_COLUMNS = [
+  { key: 'runs', label: 'Runs' },
+  { key: 'incomplete', label: 'No 10-7' },
+  { key: 'averageMinutes', label: 'Average', format: formatMinutes },
+  { key: 'p50Minutes', label: 'Median', format: formatMinutes },
+  { key: 'p90Minutes', label: 'p90', format: formatMinutes },
+  { key: 'medianOut', label: 'Usually out', format: formatTimeOfDay },
+  { key: 'medianIn', label: 'Usually in', format: formatTimeOfDay },
+  { key: 'incidentEvents', label: 'Incidents' }
+];
+
+const TABLES = {
+  days: {
+    title: 'By Service Day',
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'shift', label: 'Shift' },
+      { key: 'runs', label: 'Runs' },
+      { key: 'incomplete', label: 'No 10-7' },
+      { key: 'firstOut', label: 'First out', format: (value, row) => value ? `${formatClock(value)} (${escapeHtml(row.firstOutRoute)})` : '—' },
+      { key: 'lastIn', label: 'Last in', format: (value, row) => value ? `${formatClock(value)} (${escapeHtml(row.lastInRoute)})` : '—' },
+      { key: 'averageMinutes', label: 'Average', format: formatMinutes },
+      { key: 'p90Minutes', label: 'p90', format: formatMinutes },
+      { key: 'incidentEvents', label: 'Incidents' }
+    ],
+    defaultSort: { key: 'date', direction: 'desc' }
+  },
+  routes: {
+    title: 'By Route',
+    columns: [
+      { key: 'routeName', label: 'Route', format: value => escapeHtml(value) },
+      { key: 'routeType', label: 'Type', format: routeTypeLabel },
+      ...RUN_COLUMNS
+    ],
+    defaultSort: { key: 'averageMinutes', direction: 'desc' }
+  },
+  drivers: {
+    title: 'By Driver',
+    columns: [
+      { key: 'driver', label: 'Driver', format: value => escapeHtml(value) },
+      ...RUN_COLUMNS
+    ],
+    defaultSort: { key: 'runs', direction: 'desc' }
+  }
+};
+
+class ReportsViewer {
+  constructor() {
+    this.report = null;
+    this.filters = {};
+    this.sort = {};
+  }
+
+  async openReports() {
+    this.filters = { ...getDefaultReportRange(), routeType: '', shift: '' };
+    this.sort = Object.fromEntries(Object.entries(TABLES).map(([id, table]) => [id, { ...table.defaultSort }]));
+
+    const modal = uiSystem.createModal(REPORTS_MODAL_ID, '📈 Run Time Reports', `
+      <div class="space-y-4" style="min-width: min(1100px, 94vw);">
+        <div class="flex flex-wrap items-end gap-3 text-sm">
+          <label>From <input type="date" id="report-from" class="border rounded px-2 py-1" value="${this.filters.from}"></label>
+          <label>To <input type="date" id="report-to" class="border rounded px-2 py-1" value="${this.filters.to}"></label>
+          <label>Route type
+            <select id="report-route-type" class="border rounded px-2 py-1">
+              <option value="">All types</option>
+              ${Object.values(ROUTE_TYPES).filter(type => type.id !== 'inactive').map(type => `
+                <option value="${type.id}">${escapeHtml(type.label)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label>Shift
+            <select id="report-shift" class="border rounded px-2 py-1">
+              <option value="">AM &amp; PM</option>
+              <option value="AM">AM</option>
+              <option value="PM">PM</option>
+            </select>
+          </label>
+          <span id="report-status" class="text-gray-500"></span>
+        </div>
+        <div id="report-body" class="overflow-y-auto space-y-6" style="max-height: 70vh;"></div>
+      </div>
+    `);
+
+    const bindFilter = (id, key) => {
+      modal.querySelector(id).addEventListener('change', (e) => {
+        this.filters[key] = e.target.value;
+        this.load();
+      });
+    };
+    bindFilter('#report-from', 'from');
+    bindFilter('#report-to', 'to');
+    bindFilter('#report-route-type', 'routeType');
+    bindFilter('#report-shift', 'shift');
+
+    // Sortable headers survive re-renders, so listen once on the body
+    modal.querySelector('#report-body').addEventListener('click', (e) => {
+      const header = e.target.closest('th[data-sort]');
+      if (!header) return;
+      const tableId = header.closest('table').dataset.table;
+      const current = this.sort[tableId];
+      this.sort[tableId] = {
+        key: header.dataset.sort,
+        direction: current.key === header.dataset.sort && current.direction === 'desc' ? 'asc' : 'desc'
+      };
+      this.renderTable(tableId);
+    });
+
+    uiSystem.openModal(modal.id);
+    await this.load();
+  }
+
+  async load() {
+    const status = document.getElementById('report-status');
+    if (status) status.textContent = 'Loading...';
+
+    try {
+      this.report = await buildTimestampReport(this.filters);
+      if (status) status.textContent = `${this.report.serviceDays} service day${this.report.serviceDays === 1 ? '' : 's'}`;
+      this.render();
+    } catch (error) {
+      console.error('❌ Error building report:', error);
+      if (status) status.textContent = `Could not build the report: ${error.message}`;
+    }
+  }
+
+  render() {
+    const body = document.getElementById('report-body');
+    if (!body || !this.report) return;
+
+    const { totals } = this.report;
+    if (totals.runs === 0 && totals.incidentEvents === 0) {
+      body.innerHTML = '<p class="text-center text-gray-500 py-8">No runs recorded for these filters.</p>';
+      return;
+    }
+
+    const tile = (label, value) => `
+      <div class="bg-gray-50 border rounded p-3">
+        <div class="text-xs text-gray-500">${label}</div>
+        <div class="text-xl font-bold text-gray-800">${value}</div>
+      </div>
+    `;
+
+    body.innerHTML = `
+      <div class="grid grid-cols-2 md:grid-cols-6 gap-3">
+        ${tile('Runs', totals.runs)}
+        ${tile('Average run', formatMinutes(totals.averageMinutes))}
+        ${tile('p90 run', formatMinutes(totals.p90Minutes))}
+        ${tile('Longest run', formatMinutes(totals.longestMinutes))}
+        ${tile('Never went 10-7', totals.incomplete)}
+        ${tile(`Incidents (${this.report.incidentCodes.join('/')})`, totals.incidentEvents)}
+      </div>
+      <div class="grid md:grid-cols-2 gap-6">
+        ${this.getRouteChartHtml()}
+        ${this.getDayChartHtml()}
+      </div>
+      ${Object.keys(TABLES).map(tableId => `<div id="report-table-${tableId}"></div>`).join('')}
+    `;
+
+    Object.keys(TABLES).forEach(tableId => this.renderTable(tableId));
+  }
+
+  // ===== CHARTS =====
+
+  getRouteChartHtml() {
+    const routes = this.report.routes
+      .filter(row => row.averageMinutes !== null)
+      .sort((a, b) => b.averageMinutes - a.averageMinutes)
+      .slice(0, CHART_ROUTE_LIMIT);
+    const max = Math.max(1, ...routes.map(row => row.p90Minutes || row.averageMinutes));
+
+    return `
+      <div>
+        <h4 class="font-semibold text-gray-700 mb-2">Average run time by route <span class="text-xs font-normal text-gray-500">(tick marks p90)</span></h4>
+        <div class="space-y-1 text-xs">
+          ${routes.map(row => `
+            <div class="flex items-center gap-2" title="${escapeHtml(row.routeName)}: average ${formatMinutes(row.averageMinutes)}, p90 ${formatMinutes(row.p90Minutes)}">
+              <span class="w-24 truncate">${escapeHtml(row.routeName)}</span>
+              <div class="flex-1 relative h-4 bg-gray-100 rounded">
+                <div class="h-4 bg-blue-500 rounded" style="width: ${(row.averageMinutes / max) * 100}%"></div>
+                <div class="absolute top-0 h-4 w-0.5 bg-gray-800" style="left: ${(row.p90Minutes / max) * 100}%"></div>
+              </div>
+              <span class="w-16 text-right">${formatMinutes(row.averageMinutes)}</span>
+            </div>
+          `).join('') || '<p class="text-gray-500">No completed runs.</p>'}
+        </div>
+      </div>
+    `;
+  }
+
+  getDayChartHtml() {
+    const byDate = new Map();
+    this.report.days.forEach(row => {
+      const day = byDate.get(row.date) || { runs: 0, incidents: 0 };
+      day.runs += row.runs;
+      day.incidents += row.incidentEvents;
+      byDate.set(row.date, day);
+    });
+    const days = [...byDate.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const max = Math.max(1, ...days.map(([, day]) => day.runs));
+
+    return `
+      <div>
+        <h4 class="font-semibold text-gray-700 mb-2">Runs per day <span class="text-xs font-normal text-red-600">(red: incident events)</span></h4>
+        <div class="flex items-end gap-1 h-40 border-b border-l px-1">
+          ${days.map(([date, day]) => `
+            <div class="flex-1 flex flex-col justify-end h-full" title="${date}: ${day.runs} runs, ${day.incidents} incident events">
+              ${day.incidents ? `<div class="bg-red-500 rounded-t" style="height: ${(day.incidents / max) * 100}%"></div>` : ''}
+              <div class="bg-green-500 ${day.incidents ? '' : 'rounded-t'}" style="height: ${(day.runs / max) * 100}%"></div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="flex justify-between text-xs text-gray-500 mt-1">
+          <span>${days[0]?.[0] || ''}</span>
+          <span>${days.length > 1 ? days[days.length - 1][0] : ''}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  // ===== TABLES =====
+
+  renderTable(tableId) {
+    const container = document.getElementById(`report-table-${tableId}`);
+    if (!container || !this.report) return;
+
+    const table = TABLES[tableId];
+    const { key, direction } = this.sort[tableId];
+    const rows = [...this.report[tableId]].sort((a, b) => {
+      const left = a[key];
+      const right = b[key];
+      if (left === right) return 0;
+      if (left === null || left === undefined) return 1;
+      if (right === null || right === undefined) return -1;
+      const order = typeof left === 'number' ? left - right : String(left).localeCompare(String(right));
+      return direction === 'asc' ? order : -order;
+    });
+
+    container.innerHTML = `
+      <h4 class="font-semibold text-gray-700 mb-2">${table.title}</h4>
+      <div class="border rounded overflow-x-auto">
+        <table class="w-full text-sm" data-table="${tableId}">
+          <thead class="bg-gray-100">
+            <tr>
+              ${table.columns.map(column => `
+                <th class="text-left px-2 py-1 cursor-pointer select-none whitespace-nowrap" data-sort="${column.key}">
+                  ${column.label}${column.key === key ? (direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr class="border-t">
+                ${table.columns.map(column => `
+                  <td class="px-2 py-1 whitespace-nowrap">${column.format ? column.format(row[column.key], row) : escapeHtml(row[column.key])}</td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+}
+
+// Create and export singleton instance
+const reportsViewer = new ReportsViewer();
+
+// Make functions globally accessible for inline event handlers
+window.reportsViewer = reportsViewer;
+
+export { reportsViewer };
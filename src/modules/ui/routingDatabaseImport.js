@@ -0,0 +1,142 @@
+/**
+ * UI ROUTING DATABASE IMPORT MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Dialog for importing the "Routing Database" CSV: pick the file, review
+ * the sections found, any rows that could not be read and what will be
+ * added or changed on the board, then import.
+ *
+ * Dependencies: core/csv, data/routingDatabase, ui/system
+ */
+
+import { readCsvRows } from '../core/csv.js';
+import { escapeHtml } from '../core/utils.js';
+import { parseRoutingDatabase, diffRoutingDatabase, applyRoutingDatabase } from '../data/routingDatabase.js';
+import { uiSystem } from './system.js';
+
+const IMPORT_MODAL_ID = 'routing-database-import-modal';
+
+const DIFF_SECTIONS = [
+  { key: 'routes', label: 'Routes', field: 'type' },
+  { key: 'staff', label: 'Staff', field: 'role' },
+  { key: 'assets', label: 'Assets', field: 'type' },
+  { key: 'roleColors', label: 'Role colors', field: 'color' }
+];
+
+class RoutingDatabaseImport {
+  constructor() {
+    this.parsed = null;
+  }
+
+  /**
+   * Open the import dialog
+   */
+  openImportDialog() {
+    this.parsed = null;
+
+    const modal = uiSystem.createModal(IMPORT_MODAL_ID, '🗂️ Import Routing Database', `
+      <div class="space-y-3" style="min-width: min(640px, 90vw);">
+        <p class="text-sm text-gray-600">
+          Choose the Routing Database sheet saved as CSV. Routes, staff roles, asset types and role
+          colors are read from its ROUTES, STAFF ROSTER, ASSET LIST and APP SETTINGS sections.
+          Nothing is removed from the board.
+        </p>
+        <input type="file" id="routing-database-file" accept=".csv,text/csv" class="block w-full text-sm">
+        <div id="routing-database-preview" class="max-h-96 overflow-y-auto"></div>
+        <div class="flex justify-end gap-2">
+          <button type="button" onclick="uiSystem.closeCurrentModal()" class="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">Cancel</button>
+          <button type="button" id="routing-database-apply" disabled class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50">Import</button>
+        </div>
+      </div>
+    `);
+
+    modal.querySelector('#routing-database-file').addEventListener('change', event => {
+      const file = event.target.files[0];
+      if (file) this.loadFile(file, modal);
+    });
+    modal.querySelector('#routing-database-apply').addEventListener('click', () => this.applyImport());
+
+    uiSystem.openModal(modal.id);
+  }
+
+  async loadFile(file, modal) {
+    const preview = modal.querySelector('#routing-database-preview');
+    const applyButton = modal.querySelector('#routing-database-apply');
+
+    try {
+      this.parsed = parseRoutingDatabase(await readCsvRows(file));
+      preview.innerHTML = this.renderPreview(this.parsed, diffRoutingDatabase(this.parsed));
+      applyButton.disabled = false;
+    } catch (error) {
+      this.parsed = null;
+      applyButton.disabled = true;
+      preview.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  renderPreview(parsed, diff) {
+    const sections = parsed.sections.map(section => `
+      <li>
+        <span class="font-semibold">${escapeHtml(section.title)}</span>
+        <span class="text-gray-500">${section.table ? escapeHtml(section.columns.filter(Boolean).join(', ')) : 'not imported'}</span>
+      </li>
+    `).join('');
+
+    const problems = parsed.problems.length === 0 ? '' : `
+      <div class="bg-yellow-50 border border-yellow-200 rounded p-2">
+        <h4 class="font-semibold text-yellow-800 text-sm">${parsed.problems.length} row${parsed.problems.length === 1 ? '' : 's'} to check</h4>
+        <ul class="text-xs text-yellow-900 list-disc pl-5">
+          ${parsed.problems.map(problem => `<li>${escapeHtml(problem.section)}, line ${problem.line}: ${escapeHtml(problem.message)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+
+    return `
+      <div class="space-y-3 text-sm">
+        <ul class="space-y-1">${sections}</ul>
+        ${problems}
+        ${DIFF_SECTIONS.map(section => this.renderDiffSection(section, diff[section.key])).join('')}
+      </div>
+    `;
+  }
+
+  renderDiffSection({ label, field }, diff) {
+    const added = diff.added.map(item => `<li class="text-green-700">+ ${escapeHtml(item.name)} <span class="text-gray-500">${escapeHtml(item[field])}</span></li>`);
+    const changed = diff.changed.map(item => `<li class="text-blue-700">~ ${escapeHtml(item.name)} <span class="text-gray-500">${escapeHtml(item.before || 'none')} → ${escapeHtml(item.after)}</span></li>`);
+    const missing = diff.missing.map(name => `<li class="text-gray-500">· ${escapeHtml(name)} <span>not in sheet, kept</span></li>`);
+
+    return `
+      <details class="border rounded p-2" ${added.length + changed.length > 0 ? 'open' : ''}>
+        <summary class="font-semibold cursor-pointer">
+          ${label}: ${diff.added.length} new, ${diff.changed.length} changed, ${diff.unchanged} unchanged${diff.missing.length ? `, ${diff.missing.length} not in sheet` : ''}
+        </summary>
+        <ul class="text-xs mt-1 space-y-0.5">${[...added, ...changed, ...missing].join('')}</ul>
+      </details>
+    `;
+  }
+
+  applyImport() {
+    if (!this.parsed) return;
+
+    try {
+      const counts = applyRoutingDatabase(this.parsed);
+      this.parsed = null;
+      uiSystem.closeCurrentModal();
+      uiSystem.showNotification(
+        `Routing Database imported: ${counts.routes} routes, ${counts.staff} staff, ${counts.assets} assets, ${counts.roleColors} role colors updated`,
+        'success'
+      );
+    } catch (error) {
+      console.error('❌ Error importing Routing Database:', error);
+      uiSystem.showNotification(`Could not import the Routing Database: ${error.message}`, 'error');
+    }
+  }
+}
+
+// Create and export singleton instance
+const routingDatabaseImport = new RoutingDatabaseImport();
+
+// Make functions globally accessible for inline event handlers
+window.routingDatabaseImport = routingDatabaseImport;
+
+export { routingDatabaseImport };
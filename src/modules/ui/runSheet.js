@@ -0,0 +1,347 @@
+/**
+ * UI RUN SHEET MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Morning paperwork printed from the current board:
+ * - Daily run sheet: every route grouped by route type with driver, asset,
+ *   trailer, safety escorts and notes, plus blanks for out/in times
+ * - Driver trip tickets: one page per driver with each of their runs, the
+ *   stop list for the shift and field trip destination and times
+ *
+ * Everything is built from STATE and printed with inline styles, so it
+ * works offline.
+ *
+ * Dependencies: core/state, dispatch/routeCards, ui/system, ui/pdfReports
+ */
+
+import { STATE } from '../core/state.js';
+import { escapeHtml } from '../core/utils.js';
+import { ROUTE_TYPES } from '../dispatch/routeCards.js';
+import { uiSystem } from './system.js';
+import { pdfReports } from './pdfReports.js';
+
+const PRINT_MODAL_ID = 'run-sheet-modal';
+const SHIFT_OPTIONS = { AM: 'AM', PM: 'PM', BOTH: 'AM & PM' };
+
+const PRINT_STYLES = `
+  body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.35; color: #111; }
+  h1 { font-size: 1.4em; border-bottom: 2px solid #333; padding-bottom: 6px; margin-bottom: 4px; }
+  h2 { font-size: 1.1em; margin: 18px 0 6px; padding: 4px 8px; color: #fff; }
+  h3 { font-size: 1em; margin: 14px 0 4px; }
+  .meta { font-size: 0.85em; color: #444; margin-bottom: 10px; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  td.blank { width: 60px; }
+  .unassigned { color: #b91c1c; font-weight: bold; }
+  .details th { width: 140px; background: none; border: none; border-bottom: 1px solid #ddd; }
+  .details td { border: none; border-bottom: 1px solid #ddd; }
+  .run { page-break-inside: avoid; border: 1px solid #333; padding: 8px 10px; margin-bottom: 12px; }
+  .ticket { page-break-after: always; }
+  .ticket:last-child { page-break-after: auto; }
+  .signature { margin-top: 30px; display: flex; gap: 40px; }
+  .signature div { flex: 1; border-top: 1px solid #333; padding-top: 4px; font-size: 0.85em; }
+  @page { margin: 12mm; }
+  @media print {
+    body { margin: 0; font-size: 11pt; }
+    h2 { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .type-section { page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+  }
+`;
+
+function formatClock(time) {
+  if (!time) return '';
+  const [hours, minutes] = time.split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) return time;
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+function routeNumberOf(route) {
+  return parseInt(String(route.routeNumber ?? route.name ?? '').replace(/\D/g, ''), 10) || 0;
+}
+
+/**
+ * Routes running on the shift, in board order; 'BOTH' takes every scheduled route
+ */
+function getRoutesForShift(shift) {
+  return (STATE.data?.routes || [])
+    .filter(route => route.type !== 'inactive')
+    .filter(route => {
+      const schedule = String(route.schedule || route.shift || '').toLowerCase();
+      if (shift === 'BOTH') return schedule === 'am' || schedule === 'pm' || schedule === 'both';
+      return schedule === shift.toLowerCase() || schedule === 'both';
+    })
+    .sort((a, b) => routeNumberOf(a) - routeNumberOf(b));
+}
+
+/**
+ * Route types in board order, with an "Other" group for types the board does not know
+ */
+function groupRoutesByType(routes) {
+  const groups = Object.values(ROUTE_TYPES)
+    .filter(type => type.id !== 'inactive')
+    .map(type => ({ type, routes: routes.filter(route => route.type === type.id) }));
+
+  const known = new Set(Object.values(ROUTE_TYPES).map(type => type.id));
+  const other = routes.filter(route => !known.has(route.type));
+  if (other.length) groups.push({ type: { id: 'other', label: 'Other', color: '#6b7280', icon: '📋' }, routes: other });
+
+  return groups.filter(group => group.routes.length > 0);
+}
+
+function getEscortNames(route) {
+  return (route.safetyEscorts || []).map(escort => escort.name).filter(Boolean).join(', ');
+}
+
+function getScheduleLabel(route) {
+  const schedule = String(route.schedule || '').toLowerCase();
+  return schedule === 'both' ? 'AM & PM' : schedule.toUpperCase();
+}
+
+function getTripTimes(route) {
+  const departs = formatClock(route.departureTime);
+  const returns = formatClock(route.returnTime);
+  if (!departs && !returns) return '';
+  return `Departs ${departs || '—'}, returns ${returns || '—'}`;
+}
+
+function getShiftsToPrint(shift) {
+  return shift === 'BOTH' ? ['AM', 'PM'] : [shift];
+}
+
+function openPrintWindow(title, body) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    uiSystem.showNotification('The print window was blocked. Allow pop-ups for this page and try again.', 'error');
+    return;
+  }
+
+  printWindow.document.write(`
+    <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <style>${PRINT_STYLES}</style>
+      </head>
+      <body>${body}</body>
+    </html>
+  `);
+  printWindow.document.close();
+  printWindow.print();
+}
+
+// ===== RUN SHEET =====
+
+function buildRunSheetHtml(shift) {
+  const groups = groupRoutesByType(getRoutesForShift(shift));
+  const total = groups.reduce((sum, group) => sum + group.routes.length, 0);
+  const unassigned = groups.reduce((sum, group) => sum + group.routes.filter(route => !route.driver).length, 0);
+
+  return `
+    <h1>Daily Run Sheet: ${escapeHtml(STATE.serviceDate)} (${SHIFT_OPTIONS[shift]})</h1>
+    <div class="meta">
+      ${total} route${total === 1 ? '' : 's'}${unassigned ? `, <span class="unassigned">${unassigned} without a driver</span>` : ''}
+      · Printed ${new Date().toLocaleString()}
+    </div>
+    ${groups.map(({ type, routes }) => `
+      <div class="type-section">
+        <h2 style="background: ${type.color};">${type.icon} ${escapeHtml(type.label)} (${routes.length})</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Route</th>
+              ${shift === 'BOTH' ? '<th>Shift</th>' : ''}
+              <th>Driver</th>
+              <th>Asset</th>
+              <th>Trailer</th>
+              <th>Safety escorts</th>
+              <th>Notes</th>
+              <th>Out</th>
+              <th>In</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${routes.map(route => `
+              <tr>
+                <td><strong>${escapeHtml(route.name)}</strong></td>
+                ${shift === 'BOTH' ? `<td>${escapeHtml(getScheduleLabel(route))}</td>` : ''}
+                <td>${route.driver ? escapeHtml(route.driver.name) : '<span class="unassigned">UNASSIGNED</span>'}</td>
+                <td>${escapeHtml(route.asset?.name)}</td>
+                <td>${escapeHtml(route.trailer?.name)}</td>
+                <td>${escapeHtml(getEscortNames(route))}</td>
+                <td>
+                  ${route.destination ? `<div><strong>To:</strong> ${escapeHtml(route.destination)}</div>` : ''}
+                  ${getTripTimes(route) ? `<div>${escapeHtml(getTripTimes(route))}</div>` : ''}
+                  ${escapeHtml(route.notes)}
+                </td>
+                <td class="blank"></td>
+                <td class="blank"></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `).join('') || '<p>No routes are scheduled for this shift.</p>'}
+  `;
+}
+
+// ===== TRIP TICKETS =====
+
+/**
+ * Routes grouped by assigned driver, sorted by driver name
+ */
+function groupRoutesByDriver(routes) {
+  const drivers = new Map();
+  routes.filter(route => route.driver?.name).forEach(route => {
+    const key = route.driver.id || route.driver.name;
+    if (!drivers.has(key)) drivers.set(key, { driver: route.driver, routes: [] });
+    drivers.get(key).routes.push(route);
+  });
+  return [...drivers.values()].sort((a, b) => a.driver.name.localeCompare(b.driver.name));
+}
+
+function buildStopsHtml(route, shift) {
+  const stops = route.stops || [];
+  if (stops.length === 0) return '';
+  const shifts = getShiftsToPrint(shift);
+
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Stop</th>
+          <th>Address</th>
+          ${shifts.map(s => `<th>${s}</th>`).join('')}
+          <th>Students</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${stops.map((stop, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(stop.name)}</td>
+            <td>${escapeHtml(stop.address)}</td>
+            ${shifts.map(s => `<td>${escapeHtml(formatClock(s === 'AM' ? stop.amTime : stop.pmTime))}</td>`).join('')}
+            <td>${escapeHtml(stop.students ?? '')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function buildTicketRunHtml(route, shift) {
+  const type = Object.values(ROUTE_TYPES).find(t => t.id === route.type);
+  const details = [
+    ['Type', type?.label || route.type],
+    ['Shift', getScheduleLabel(route)],
+    ['Asset', route.asset?.name],
+    ['Trailer', route.trailer?.name],
+    ['Safety escorts', getEscortNames(route)],
+    ['Destination', route.destination],
+    ['Departs', formatClock(route.departureTime)],
+    ['Returns', formatClock(route.returnTime)],
+    ['Notes', route.notes]
+  ].filter(([, value]) => value);
+
+  return `
+    <div class="run">
+      <h3>${escapeHtml(route.name)}</h3>
+      <table class="details">
+        ${details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+        <tr><th>Out / In</th><td>____________ / ____________</td></tr>
+      </table>
+      ${buildStopsHtml(route, shift)}
+    </div>
+  `;
+}
+
+function buildTripTicketsHtml(shift) {
+  const drivers = groupRoutesByDriver(getRoutesForShift(shift));
+  if (drivers.length === 0) {
+    return '<p>No drivers are assigned for this shift.</p>';
+  }
+
+  return drivers.map(({ driver, routes }) => `
+    <div class="ticket">
+      <h1>Trip Ticket: ${escapeHtml(driver.name)}</h1>
+      <div class="meta">${escapeHtml(STATE.serviceDate)} (${SHIFT_OPTIONS[shift]}) · ${routes.length} run${routes.length === 1 ? '' : 's'}</div>
+      ${routes.map(route => buildTicketRunHtml(route, shift)).join('')}
+      <div class="signature">
+        <div>Driver signature</div>
+        <div>Dispatcher</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+class RunSheetPrinter {
+  /**
+   * Ask which shift to print, then print the run sheet or trip tickets
+   */
+  openPrintDialog() {
+    const current = STATE.currentView === 'PM' ? 'PM' : 'AM';
+    const modal = uiSystem.createModal(PRINT_MODAL_ID, '🖨️ Run Sheet & Trip Tickets', `
+      <div class="space-y-4" style="min-width: min(420px, 90vw);">
+        <label class="block text-sm font-medium text-gray-700">Shift
+          <select id="run-sheet-shift" class="mt-1 w-full border rounded px-2 py-1">
+            ${Object.entries(SHIFT_OPTIONS).map(([value, label]) => `
+              <option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </label>
+        <p class="text-sm text-gray-500">Printed from the board for ${escapeHtml(STATE.serviceDate)}.</p>
+        <div class="flex gap-2 justify-end">
+          <button type="button" id="print-run-sheet" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">Daily Run Sheet</button>
+          <button type="button" id="print-trip-tickets" class="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700">Driver Trip Tickets</button>
+        </div>
+        <div class="flex gap-2 justify-end">
+          <button type="button" id="download-run-sheet-pdf" class="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200">Download Run Sheet PDF</button>
+          <button type="button" id="download-field-trips-pdf" class="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200">Download Field Trip Sheets PDF</button>
+        </div>
+      </div>
+    `);
+
+    const selectedShift = () => modal.querySelector('#run-sheet-shift').value;
+    modal.querySelector('#print-run-sheet').addEventListener('click', () => this.printRunSheet(selectedShift()));
+    modal.querySelector('#print-trip-tickets').addEventListener('click', () => this.printTripTickets(selectedShift()));
+    modal.querySelector('#download-run-sheet-pdf').addEventListener('click', () => pdfReports.exportRunSheet(selectedShift()));
+    modal.querySelector('#download-field-trips-pdf').addEventListener('click', () => pdfReports.exportFieldTripSheets());
+
+    uiSystem.openModal(modal.id);
+  }
+
+  /**
+   * @param {'AM'|'PM'|'BOTH'} [shift] - defaults to the shift on the board
+   */
+  printRunSheet(shift = STATE.currentView) {
+    openPrintWindow(`Run Sheet ${STATE.serviceDate}`, buildRunSheetHtml(shift));
+  }
+
+  /**
+   * @param {'AM'|'PM'|'BOTH'} [shift] - defaults to the shift on the board
+   */
+  printTripTickets(shift = STATE.currentView) {
+    openPrintWindow(`Trip Tickets ${STATE.serviceDate}`, buildTripTicketsHtml(shift));
+  }
+}
+
+// Create and export singleton instance
+const runSheetPrinter = new RunSheetPrinter();
+
+// Make functions globally accessible for inline event handlers
+window.runSheetPrinter = runSheetPrinter;
+
+export {
+  runSheetPrinter,
+  SHIFT_OPTIONS,
+  formatClock,
+  getRoutesForShift,
+  groupRoutesByType,
+  getEscortNames,
+  getScheduleLabel,
+  getTripTimes,
+  buildRunSheetHtml,
+  buildTripTicketsHtml
+};
@@ -7,14 +7,19 @@
  * - Color Settings (theme customization, accessibility)
  * - Control Settings (touch sensitivity, keyboard shortcuts)
  * - Import/Export functionality
+ * - Backup & Recovery (scheduled full backups, retention, backup browser)
  * - User preferences and workspace customization
  * 
- * Dependencies: core/events, core/state, ui/system
+ * Dependencies: core/backups, core/csv, core/events, core/state, ui/backupBrowser, ui/system
  */
 
 import { eventBus } from '../core/events.js';
 import { STATE, getState, setState, saveToLocalStorage } from '../core/state.js';
 import { uiSystem } from './system.js';
+import { recordAction } from '../core/history.js';
+import { CSV_ENCODINGS } from '../core/csv.js';
+import { getBackupPolicy, setBackupPolicy, createFullBackup, startBackupSchedule } from '../core/backups.js';
+import { backupBrowser } from './backupBrowser.js';
 
 class SettingsSystem {
   constructor() {
@@ -25,12 +30,14 @@ class SettingsSystem {
         dataValidation: true,
         strictValidation: false,
         backupBeforeImport: true,
-        maxBackups: 10,
         csvDelimiter: ',',
         csvEncoding: 'utf-8',
         dateFormat: 'MM/DD/YYYY',
         timeFormat: '12h'
       },
+      reports: {
+        districtName: '' // shown in the header of exported PDF reports
+      },
       colors: {
         theme: 'default',
         customTheme: {
@@ -149,8 +156,8 @@ class SettingsSystem {
       }
     };
 
-    this.backups = [];
     this.initialized = false;
+    this.listenersReady = false;
   }
 
   /**
@@ -166,6 +173,7 @@ class SettingsSystem {
     this.applySettings();
     this.setupEventListeners();
     this.scheduleAutoSave();
+    startBackupSchedule({ getSettings: () => this.settings });
     
     this.initialized = true;
     console.log('⚙️ Settings System initialized');
@@ -180,11 +188,6 @@ class SettingsSystem {
       if (savedSettings) {
         this.settings = this.mergeSettings(this.settings, savedSettings);
       }
-
-      const savedBackups = getState('settingsBackups');
-      if (savedBackups) {
-        this.backups = savedBackups;
-      }
     } catch (error) {
       console.error('❌ Error loading settings:', error);
     }
@@ -213,7 +216,6 @@ class SettingsSystem {
   saveSettings() {
     try {
       setState('userSettings', this.settings);
-      setState('settingsBackups', this.backups);
       console.log('⚙️ Settings saved');
       
       eventBus.emit('settings:saved', { settings: this.settings });
@@ -384,6 +386,10 @@ class SettingsSystem {
    * Setup event listeners
    */
   setupEventListeners() {
+    // app.js calls this again from setupModuleCommunication; subscribe once
+    if (this.listenersReady) return;
+    this.listenersReady = true;
+
     eventBus.on('settings:open', () => {
       this.openSettingsDialog();
     });
@@ -400,6 +406,13 @@ class SettingsSystem {
       this.importSettings(data.settings);
     });
 
+    // Imports announce themselves before writing to the board
+    eventBus.on('data:before-import', ({ source }) => {
+      if (this.settings.data.backupBeforeImport) {
+        this.createBackup(`Before ${source}`, 'before-import');
+      }
+    });
+
     // Connect to existing UI elements
     this.connectHamburgerMenu();
   }
@@ -698,6 +711,7 @@ class SettingsSystem {
    */
   createDataSettingsContent() {
     const data = this.settings.data;
+    const backupPolicy = getBackupPolicy();
     
     return `
       <div class="settings-section">
@@ -741,6 +755,16 @@ class SettingsSystem {
           </select>
         </div>
 
+        <div class="setting-group">
+          <label class="setting-label">CSV Encoding</label>
+          <select id="csv-encoding" class="setting-select">
+            ${Object.entries(CSV_ENCODINGS).map(([value, label]) => `
+              <option value="${value}" ${data.csvEncoding === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <small class="setting-description">Used when reading and writing CSV files</small>
+        </div>
+
         <div class="setting-group">
           <label class="setting-label">Date Format</label>
           <select id="date-format" class="setting-select">
@@ -759,6 +783,16 @@ class SettingsSystem {
         </div>
       </div>
 
+      <div class="settings-section">
+        <h3>Reports</h3>
+        
+        <div class="setting-group">
+          <label class="setting-label">District name</label>
+          <input type="text" id="district-name" value="${this.settings.reports.districtName.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}" class="setting-input" placeholder="e.g. Springfield Public Schools">
+          <small class="setting-description">Printed in the header and footer of PDF reports</small>
+        </div>
+      </div>
+
       <div class="settings-section">
         <h3>Backup & Recovery</h3>
         
@@ -770,8 +804,28 @@ class SettingsSystem {
         </div>
 
         <div class="setting-group">
-          <label class="setting-label">Maximum backups to keep</label>
-          <input type="number" id="max-backups" value="${data.maxBackups}" min="1" max="50" class="setting-input">
+          <label class="setting-label">
+            <input type="checkbox" id="backup-schedule-enabled" ${backupPolicy.enabled ? 'checked' : ''}>
+            Back up automatically
+          </label>
+          <input type="text" id="backup-schedule-times" value="${backupPolicy.times.join(', ')}" class="setting-input" placeholder="e.g. 05:30, 13:30">
+          <small class="setting-description">Times of day (HH:MM), for example before the AM and PM shifts. A time missed while the dashboard was closed runs when it opens.</small>
+        </div>
+
+        <div class="setting-group">
+          <label class="setting-label">Keep the newest backups</label>
+          <input type="number" id="backup-keep-latest" value="${backupPolicy.keepLatest}" min="1" max="100" class="setting-input">
+        </div>
+
+        <div class="setting-group">
+          <label class="setting-label">Also keep one backup a day for (days)</label>
+          <input type="number" id="backup-keep-days" value="${backupPolicy.keepDays}" min="0" max="365" class="setting-input">
+        </div>
+
+        <div class="setting-group">
+          <label class="setting-label">And one backup a week for (weeks)</label>
+          <input type="number" id="backup-keep-weeks" value="${backupPolicy.keepWeeks}" min="0" max="104" class="setting-input">
+          <small class="setting-description">Backups cover every route, staff member and asset, the configuration, fleet status and every service day with its notes and timestamps. They stay on this workstation.</small>
         </div>
 
         <div class="backup-actions">
@@ -1444,6 +1498,35 @@ class SettingsSystem {
     const autoSaveInterval = document.getElementById('auto-save-interval');
     if (autoSaveInterval) this.settings.data.autoSaveInterval = parseInt(autoSaveInterval.value) * 1000;
 
+    const csvDelimiter = document.getElementById('csv-delimiter');
+    if (csvDelimiter) this.settings.data.csvDelimiter = csvDelimiter.value;
+
+    const csvEncoding = document.getElementById('csv-encoding');
+    if (csvEncoding) this.settings.data.csvEncoding = csvEncoding.value;
+
+    const backupBeforeImport = document.getElementById('backup-before-import');
+    if (backupBeforeImport) this.settings.data.backupBeforeImport = backupBeforeImport.checked;
+
+    // Backup policy is shared configuration, kept with the board
+    const backupTimes = document.getElementById('backup-schedule-times');
+    if (backupTimes) {
+      try {
+        setBackupPolicy({
+          enabled: document.getElementById('backup-schedule-enabled').checked,
+          times: backupTimes.value.split(/[,;\s]+/).filter(Boolean),
+          keepLatest: document.getElementById('backup-keep-latest').value,
+          keepDays: document.getElementById('backup-keep-days').value,
+          keepWeeks: document.getElementById('backup-keep-weeks').value
+        });
+      } catch (error) {
+        uiSystem.showNotification(`Backup schedule not saved: ${error.message}`, 'error');
+      }
+    }
+
+    // Report settings
+    const districtName = document.getElementById('district-name');
+    if (districtName) this.settings.reports.districtName = districtName.value.trim();
+
     // Color settings
     const themeSelect = document.getElementById('theme-select');
     if (themeSelect) this.settings.colors.theme = themeSelect.value;
@@ -1482,7 +1565,7 @@ class SettingsSystem {
   resetToDefaults() {
     if (confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
       // Create backup before reset
-      this.createBackup();
+      this.createBackup('Before resetting settings');
       
       // Reset settings
       this.settings = this.constructor.prototype.settings;
@@ -1498,25 +1581,25 @@ class SettingsSystem {
   }
 
   /**
-   * Create backup
+   * Create a full backup of the board with these settings alongside.
+   * The board is copied before this returns, so callers need not wait.
+   * @param {string} [reason] - shown with the backup, e.g. what import it preceded
+   * @param {string} [trigger] - 'manual' or 'before-import'
    */
-  createBackup() {
-    const backup = {
-      id: `backup_${Date.now()}`,
-      timestamp: new Date().toISOString(),
-      settings: JSON.parse(JSON.stringify(this.settings)),
-      data: JSON.parse(JSON.stringify(STATE))
-    };
-
-    this.backups.unshift(backup);
-    
-    // Limit backup count
-    if (this.backups.length > this.settings.data.maxBackups) {
-      this.backups = this.backups.slice(0, this.settings.data.maxBackups);
-    }
+  createBackup(reason = 'Manual backup', trigger = 'manual') {
+    return createFullBackup({ reason, trigger, settings: this.settings })
+      .then(() => uiSystem.showNotification('Backup created successfully', 'success'))
+      .catch(error => {
+        console.error('❌ Error creating backup:', error);
+        uiSystem.showNotification(`Backup failed: ${error.message}`, 'error');
+      });
+  }
 
-    this.saveSettings();
-    uiSystem.showNotification('Backup created successfully', 'success');
+  /**
+   * Open the backup browser
+   */
+  viewBackups() {
+    backupBrowser.openBrowser({ getSettings: () => this.settings });
   }
 
   /**
@@ -1565,7 +1648,7 @@ class SettingsSystem {
    */
   importSettings(importedSettings) {
     if (this.settings.data.backupBeforeImport) {
-      this.createBackup();
+      this.createBackup('Before importing settings', 'before-import');
     }
 
     this.settings = this.mergeSettings(this.settings, importedSettings);
@@ -1755,7 +1838,7 @@ class SettingsSystem {
     const overwriteExisting = document.getElementById('overwrite-existing')?.checked;
 
     if (createBackup) {
-      this.createBackup();
+      this.createBackup('Before importing data', 'before-import');
     }
 
     const reader = new FileReader();
@@ -1815,6 +1898,14 @@ class SettingsSystem {
    * Import data only
    */
   importData(data, overwrite = false) {
+    recordAction(overwrite ? 'imported data (replacing existing)' : 'imported data', () => this.applyImportedData(data, overwrite));
+    eventBus.emit('data:updated');
+  }
+
+  /**
+   * Write imported data into STATE, merging or replacing
+   */
+  applyImportedData(data, overwrite) {
     if (overwrite) {
       // Replace all data
       Object.keys(data).forEach(key => {
@@ -1838,7 +1929,6 @@ class SettingsSystem {
     }
 
     saveToLocalStorage();
-    eventBus.emit('data:updated');
   }
 
   /**
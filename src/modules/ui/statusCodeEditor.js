@@ -0,0 +1,166 @@
+/**
+ * UI STATUS CODE EDITOR MODULE
+ * Transportation Dispatch Dashboard
+ *
+ * Editor for the radio status code table (core/statusCodes.js):
+ * - Opened from the settings slideout
+ * - One row per code: code, label, meaning, color, severity, allowed next codes,
+ *   note required, opens an incident
+ * - Add and remove codes; the 'unassigned' starting row cannot be removed
+ * - Save validates the whole table and lists every problem
+ * - Restore the default codes
+ *
+ * Dependencies: core/statusCodes, ui/system
+ */
+
+import {
+  UNASSIGNED_STATUS,
+  SEVERITIES,
+  getStatusCodes,
+  setStatusCodes,
+  resetStatusCodes
+} from '../core/statusCodes.js';
+import { escapeHtml } from '../core/utils.js';
+import { uiSystem } from './system.js';
+
+const EDITOR_MODAL_ID = 'status-code-editor-modal';
+
+class StatusCodeEditor {
+  constructor() {
+    this.draft = [];
+  }
+
+  openEditor() {
+    this.draft = getStatusCodes().map(code => ({ ...code, transitions: [...(code.transitions || [])] }));
+
+    const modal = uiSystem.createModal(EDITOR_MODAL_ID, '📻 Radio Status Codes', `
+      <div class="space-y-3" style="min-width: min(960px, 92vw);">
+        <p class="text-sm text-gray-600">
+          "Next codes" lists the codes a route may move to from each code, separated by commas.
+          Codes marked "Note" are only accepted with a note from the dispatcher; codes marked "Incident" open an incident for the route.
+        </p>
+        <div class="overflow-y-auto border rounded" style="max-height: 55vh;">
+          <table class="w-full text-sm">
+            <thead class="bg-gray-100 sticky top-0">
+              <tr>
+                <th class="text-left px-2 py-1">Code</th>
+                <th class="text-left px-2 py-1">Label</th>
+                <th class="text-left px-2 py-1">Meaning</th>
+                <th class="text-left px-2 py-1">Color</th>
+                <th class="text-left px-2 py-1">Severity</th>
+                <th class="text-left px-2 py-1">Next codes</th>
+                <th class="text-left px-2 py-1">Note</th>
+                <th class="text-left px-2 py-1">Incident</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="status-code-rows"></tbody>
+          </table>
+        </div>
+        <ul id="status-code-errors" class="text-sm text-red-600 list-disc pl-5 hidden"></ul>
+        <div class="modal-actions">
+          <button type="button" id="status-code-add" class="btn btn-secondary">➕ Add Code</button>
+          <button type="button" id="status-code-defaults" class="btn btn-secondary">Restore Defaults</button>
+          <button type="button" id="status-code-save" class="btn btn-primary">Save</button>
+        </div>
+      </div>
+    `);
+
+    modal.querySelector('#status-code-add').addEventListener('click', () => {
+      this.draft.push({ code: '', label: '', meaning: '', color: '#6b7280', severity: 'normal', transitions: [], needsNote: false, opensIncident: false });
+      this.renderRows();
+    });
+    modal.querySelector('#status-code-defaults').addEventListener('click', () => this.restoreDefaults());
+    modal.querySelector('#status-code-save').addEventListener('click', () => this.save());
+
+    this.renderRows();
+    uiSystem.openModal(modal.id);
+  }
+
+  renderRows() {
+    const tbody = document.getElementById('status-code-rows');
+    if (!tbody) return;
+
+    tbody.innerHTML = this.draft.map((code, index) => {
+      const isStart = code.code === UNASSIGNED_STATUS;
+      return `
+        <tr class="border-t" data-index="${index}">
+          <td class="px-2 py-1"><input type="text" data-field="code" class="border rounded px-1 w-20" value="${escapeHtml(code.code)}" ${isStart ? 'readonly' : ''}></td>
+          <td class="px-2 py-1"><input type="text" data-field="label" class="border rounded px-1 w-28" value="${escapeHtml(code.label)}"></td>
+          <td class="px-2 py-1"><input type="text" data-field="meaning" class="border rounded px-1 w-full" value="${escapeHtml(code.meaning)}"></td>
+          <td class="px-2 py-1"><input type="color" data-field="color" value="${escapeHtml(code.color)}"></td>
+          <td class="px-2 py-1">
+            <select data-field="severity" class="border rounded px-1">
+              ${SEVERITIES.map(severity => `<option value="${severity}" ${code.severity === severity ? 'selected' : ''}>${severity}</option>`).join('')}
+            </select>
+          </td>
+          <td class="px-2 py-1"><input type="text" data-field="transitions" class="border rounded px-1 w-40" value="${escapeHtml((code.transitions || []).join(', '))}"></td>
+          <td class="px-2 py-1 text-center"><input type="checkbox" data-field="needsNote" ${code.needsNote ? 'checked' : ''}></td>
+          <td class="px-2 py-1 text-center"><input type="checkbox" data-field="opensIncident" ${code.opensIncident ? 'checked' : ''}></td>
+          <td class="px-2 py-1">
+            ${isStart ? '' : `<button type="button" class="status-code-remove text-red-600" title="Remove ${escapeHtml(code.code)}">✕</button>`}
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    tbody.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const index = Number(e.target.closest('tr').dataset.index);
+        const field = e.target.dataset.field;
+        if (e.target.type === 'checkbox') {
+          this.draft[index][field] = e.target.checked;
+        } else if (field === 'transitions') {
+          this.draft[index].transitions = e.target.value.split(',').map(value => value.trim()).filter(Boolean);
+        } else {
+          this.draft[index][field] = e.target.value;
+        }
+      });
+    });
+
+    tbody.querySelectorAll('.status-code-remove').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const index = Number(e.target.closest('tr').dataset.index);
+        const removed = this.draft.splice(index, 1)[0];
+        // Nothing may keep pointing at the removed code
+        this.draft.forEach(code => {
+          code.transitions = (code.transitions || []).filter(target => target !== removed.code);
+        });
+        this.renderRows();
+      });
+    });
+  }
+
+  showErrors(problems) {
+    const list = document.getElementById('status-code-errors');
+    if (!list) return;
+    list.innerHTML = problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('');
+    list.classList.toggle('hidden', problems.length === 0);
+  }
+
+  save() {
+    try {
+      setStatusCodes(this.draft);
+      uiSystem.closeCurrentModal();
+      uiSystem.showNotification('Status codes saved', 'success');
+    } catch (error) {
+      this.showErrors(error.message.split('; '));
+    }
+  }
+
+  restoreDefaults() {
+    if (!confirm('Replace the status code table with the default radio codes?')) return;
+
+    resetStatusCodes();
+    uiSystem.closeCurrentModal();
+    uiSystem.showNotification('Default status codes restored', 'success');
+  }
+}
+
+// Create and export singleton instance
+const statusCodeEditor = new StatusCodeEditor();
+
+// Make functions globally accessible for inline event handlers
+window.statusCodeEditor = statusCodeEditor;
+
+export { statusCodeEditor };
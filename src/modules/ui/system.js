@@ -15,7 +15,7 @@
 
 import { eventBus } from '../core/events.js';
 import { STATE } from '../core/state.js';
-import { debounce, formatTime, createElement } from '../core/utils.js';
+import { debounce, formatTime, createElement, inlineArgument } from '../core/utils.js';
 
 class UISystem {
   constructor() {
@@ -761,8 +761,8 @@ class UISystem {
             <span class="status-badge ${route.status === 'active' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'} ml-2">${route.status}</span>
           </div>
           <div class="space-x-1">
-            <button class="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200" onclick="uiSystem.editRoute('${route.name}')">Edit</button>
-            <button class="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200" onclick="uiSystem.deleteRoute('${route.name}')">Delete</button>
+            <button class="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200" onclick="uiSystem.editRoute(${inlineArgument(route.name)})">Edit</button>
+            <button class="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200" onclick="uiSystem.deleteRoute(${inlineArgument(route.name)})">Delete</button>
           </div>
         </div>
       `).join('');
@@ -790,8 +790,8 @@ class UISystem {
             <span class="status-badge ${asset.status === 'active' ? 'bg-green-100 text-green-700' : asset.status === 'maintenance' ? 'bg-yellow-100 text-yellow-700' : 'bg-red-100 text-red-700'} ml-2">${asset.status}</span>
           </div>
           <div class="space-x-1">
-            <button class="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200" onclick="uiSystem.editAsset('${asset.name}')">Edit</button>
-            <button class="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200" onclick="uiSystem.deleteAsset('${asset.name}')">Delete</button>
+            <button class="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200" onclick="uiSystem.editAsset(${inlineArgument(asset.name)})">Edit</button>
+            <button class="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200" onclick="uiSystem.deleteAsset(${inlineArgument(asset.name)})">Delete</button>
           </div>
         </div>
       `).join('');
@@ -1571,6 +1571,8 @@ class UISystem {
   renderKeyboardShortcuts() {
     const shortcuts = [
       { key: 'Ctrl+F', action: 'Open Search' },
+      { key: 'Ctrl+Z', action: 'Undo Last Action' },
+      { key: 'Ctrl+Y', action: 'Redo' },
       { key: 'Ctrl+,', action: 'Open Settings' },
       { key: 'Ctrl+?', action: 'Show Shortcuts' },
       { key: 'Escape', action: 'Close Modal/Clear Search' },
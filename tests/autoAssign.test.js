@@ -0,0 +1,114 @@
+/* TESTS - DISPATCH AUTO ASSIGN
+   The board fill solver honors pairings, skips staff who are out and buses
+   that are down or too small, and says why a slot stays empty
+*/
+
+import './helpers/browserGlobals.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATE, initializeStorage, stopLiveSync } from '../src/modules/core/state.js';
+import { solveBoard } from '../src/modules/dispatch/autoAssign.js';
+
+await initializeStorage();
+after(() => stopLiveSync());
+
+const NO_HISTORY = { driver: new Map(), escort: new Map() };
+
+// Routes needing a driver already have a bus, and the other way around
+function driverSlot(id, fields = {}) {
+    return { id, name: `Route ${id}`, type: 'general-education', schedule: 'am', driver: null, asset: { name: `Bus ${id}0` }, ...fields };
+}
+
+function busSlot(id, fields = {}) {
+    return { id, name: `Route ${id}`, type: 'general-education', schedule: 'am', driver: { name: `Driver ${id}` }, asset: null, ...fields };
+}
+
+function driver(name, position = 'Driver') {
+    return { id: name, name, position };
+}
+
+function bus(name, capacity) {
+    return { name, type: 'Bus', capacity };
+}
+
+const cases = [
+    {
+        name: 'a permanent driver is held for their route even when it is already covered',
+        routes: [driverSlot('1', { driver: { name: 'Mo' }, pairing: { driver: 'Jane', driverPermanent: true } }), driverSlot('2')],
+        staff: [driver('Mo'), driver('Jane')],
+        assets: [],
+        changes: [],
+        unfilled: [['2', 'driver', 'no free driver is on shift and qualified']]
+    },
+    {
+        name: 'permanent pairings are placed before more constrained routes pick',
+        routes: [driverSlot('1'), driverSlot('2', { pairing: { driver: 'Jane', driverPermanent: true } })],
+        staff: [driver('Jane'), driver('Kim', 'Sub Driver')],
+        assets: [],
+        changes: [['1', 'driver', 'Kim', 'sub driver'], ['2', 'driver', 'Jane', 'permanent driver']],
+        unfilled: []
+    },
+    {
+        name: 'a down bus is passed over for the next that fits',
+        routes: [busSlot('1', { ridership: 30, pairing: { asset: 'Bus 1', assetPermanent: true } })],
+        staff: [],
+        assets: [bus('Bus 1', 48), bus('Bus 2', 48)],
+        down: ['Bus 1'],
+        changes: [['1', 'asset', 'Bus 2', 'permanent bus unavailable (Bus 1 is down); seats 48 for 30']],
+        unfilled: []
+    },
+    {
+        name: 'the smallest bus that seats the route is chosen',
+        routes: [busSlot('1', { ridership: 40 }), busSlot('2', { ridership: 10 })],
+        staff: [],
+        assets: [bus('Bus 1', 72), bus('Bus 2', 20), bus('Bus 3', 48)],
+        changes: [['1', 'asset', 'Bus 3', 'seats 48 for 40'], ['2', 'asset', 'Bus 2', 'seats 20 for 10']],
+        unfilled: []
+    },
+    {
+        name: 'a preferred bus too small for the route is not used',
+        routes: [busSlot('1', { ridership: 40, pairing: { asset: 'Bus 1' } })],
+        staff: [],
+        assets: [bus('Bus 1', 20)],
+        changes: [],
+        unfilled: [['1', 'asset', 'preferred bus unavailable (Bus 1 seats 20, the route carries 40); no free bus seats 40']]
+    },
+    {
+        name: 'a preferred driver who is out is replaced and the reason kept',
+        routes: [driverSlot('1', { pairing: { driver: 'Owen' } })],
+        staff: [driver('Owen'), driver('Kim')],
+        assets: [],
+        out: ['Owen'],
+        changes: [['1', 'driver', 'Kim', 'preferred driver Owen is out']],
+        unfilled: []
+    },
+    {
+        name: 'an unqualified driver is passed over for a lower scored one',
+        routes: [driverSlot('1', { type: 'special-education' })],
+        staff: [driver('Jane'), { ...driver('Kim', 'Sub Driver'), certifications: [{ type: 'wheelchair-lift', expires: '' }] }],
+        assets: [],
+        requirements: { routeTypes: { 'special-education': ['wheelchair-lift'] } },
+        changes: [['1', 'driver', 'Kim', 'sub driver']],
+        unfilled: []
+    }
+];
+
+cases.forEach(({ name, routes, staff, assets, down = [], out = [], requirements = {}, changes, unfilled }) => {
+    test(`solveBoard: ${name}`, async () => {
+        STATE.serviceDate = '2024-03-04';
+        STATE.currentView = 'AM';
+        STATE.data.routes = routes;
+        STATE.data.staff = staff;
+        STATE.data.assets = assets;
+        STATE.data.certificationRequirements = requirements;
+        STATE.assetStatus = Object.fromEntries(down.map(asset => [asset, 'Down']));
+        STATE.staffOut = out.map(staffName => ({ name: staffName }));
+        STATE.statusTimestamps = {};
+
+        const result = await solveBoard({ history: NO_HISTORY });
+
+        assert.deepEqual(result.changes.map(change => [change.routeId, change.field, change.to.name, change.reason]), changes);
+        assert.deepEqual(result.unfilled.map(slot => [slot.routeId, slot.field, slot.reason]), unfilled);
+    });
+});
@@ -0,0 +1,62 @@
+/* TESTS - DISPATCH CERTIFICATIONS
+   Route type and asset type requirements block a driver who lacks a
+   certificate or holds an expired one, and warn when one runs out soon
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATE } from '../src/modules/core/state.js';
+import { checkQualifications, getExpiryBucket } from '../src/modules/dispatch/certifications.js';
+
+const SERVICE_DATE = '2024-03-04';
+const SPECIAL_ED = { id: 'r1', name: 'Route 1', type: 'special-education' };
+const GENERAL_ED = { id: 'r2', name: 'Route 2', type: 'general-education' };
+const BUS = { name: 'Bus 12', type: 'Bus' };
+
+const cases = [
+    ['no requirement applies', { route: GENERAL_ED, certifications: [] }, [], []],
+    ['a required certificate is missing', { route: SPECIAL_ED, certifications: [] },
+        ['Jane has no Wheelchair lift training (required for Special Education routes)'], []],
+    ['a required certificate expired', { route: SPECIAL_ED, certifications: [{ type: 'wheelchair-lift', expires: '2024-03-03' }] },
+        ['Jane\'s Wheelchair lift training expired on 2024-03-03'], []],
+    ['a certificate runs out today', { route: SPECIAL_ED, certifications: [{ type: 'wheelchair-lift', expires: SERVICE_DATE }] },
+        [], ['Jane\'s Wheelchair lift training expires on 2024-03-04 (0 days)']],
+    ['a certificate runs out within 30 days', { route: SPECIAL_ED, certifications: [{ type: 'wheelchair-lift', expires: '2024-04-03' }] },
+        [], ['Jane\'s Wheelchair lift training expires on 2024-04-03 (30 days)']],
+    ['a certificate runs out after 30 days', { route: SPECIAL_ED, certifications: [{ type: 'wheelchair-lift', expires: '2024-04-04' }] }, [], []],
+    ['a certificate never expires', { route: SPECIAL_ED, certifications: [{ type: 'wheelchair-lift', expires: '' }] }, [], []],
+    ['the longest lasting of two certificates counts', {
+        route: SPECIAL_ED,
+        certifications: [{ type: 'wheelchair-lift', expires: '2024-01-01' }, { type: 'wheelchair-lift', expires: '2025-01-01' }]
+    }, [], []],
+    ['the asset on the route needs its own certificate', { route: { ...GENERAL_ED, asset: BUS }, certifications: [] },
+        ['Jane has no CDL (required for Bus)'], []],
+    ['an asset checked before it is placed needs its certificate', { route: GENERAL_ED, asset: 'Bus 12', certifications: [] },
+        ['Jane has no CDL (required for Bus)'], []],
+    ['warn-only enforcement turns blocks into warnings', { route: SPECIAL_ED, certifications: [], enforcement: 'warn' },
+        [], ['Jane has no Wheelchair lift training (required for Special Education routes)']]
+];
+
+cases.forEach(([name, { route, asset, certifications, enforcement = 'block' }, blocking, warnings]) => {
+    test(`qualifications: ${name}`, () => {
+        STATE.serviceDate = SERVICE_DATE;
+        STATE.data.assets = [BUS];
+        STATE.data.certificationRequirements = {
+            routeTypes: { 'special-education': ['wheelchair-lift'] },
+            assetTypes: { Bus: ['cdl'] },
+            enforcement
+        };
+        const staff = { id: 's1', name: 'Jane', certifications };
+
+        const options = asset === undefined ? { route } : { route, asset };
+        assert.deepEqual(checkQualifications(staff, options), { blocking, warnings });
+    });
+});
+
+test('expiry buckets', () => {
+    [[-1, 'expired'], [0, 30], [30, 30], [31, 60], [90, 90], [91, null]].forEach(([daysLeft, bucket]) => {
+        assert.equal(getExpiryBucket(daysLeft), bucket, `${daysLeft} days left`);
+    });
+});
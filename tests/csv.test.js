@@ -0,0 +1,35 @@
+/* TESTS - CORE CSV
+   Quoting rules of the CSV reader
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CsvParser, parseCsvRows } from '../src/modules/core/csv.js';
+
+function cells(text, options) {
+    return parseCsvRows(text, options).map(row => row.cells);
+}
+
+test('quoted fields keep delimiters, doubled quotes and line breaks', () => {
+    assert.deepEqual(cells('a,"b,c","say ""hi""","two\nlines"\r\nd,e,f,g'), [
+        ['a', 'b,c', 'say "hi"', 'two\nlines'],
+        ['d', 'e', 'f', 'g']
+    ]);
+});
+
+test('whitespace around a quoted field is skipped', () => {
+    assert.deepEqual(cells('a, "b,c",  " d "'), [['a', 'b,c', ' d ']]);
+    assert.deepEqual(cells('a, "b,c" ,d\n"e"\t\r\nf'), [['a', 'b,c', 'd'], ['e'], ['f']]);
+});
+
+test('without trim, whitespace before a quote is data and the quote is literal', () => {
+    assert.deepEqual(cells('a, "b"', { trim: false }), [['a', ' "b"']]);
+});
+
+test('a quote split across chunks is handled', () => {
+    const parser = new CsvParser();
+    const rows = [...parser.push('a, "b'), ...parser.push('"",c"\n'), ...parser.end()];
+    assert.deepEqual(rows.map(row => row.cells), [['a', 'b",c']]);
+});
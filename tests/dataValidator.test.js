@@ -0,0 +1,37 @@
+/* TESTS - CORE DATA VALIDATOR
+   Loaded configuration is checked shape by shape; what would break the
+   board is dropped and the rest is kept
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateDispatchConfig } from '../src/modules/core/dataValidator.js';
+import { DEFAULT_STATUS_CODES } from '../src/modules/core/statusCodes.js';
+
+test('a usable status code table is kept and a broken one dropped', () => {
+    const renamed = DEFAULT_STATUS_CODES.map(entry => ({ ...entry, label: `${entry.label}!` }));
+    assert.deepEqual(validateDispatchConfig({ data: { statusCodes: renamed } }).data.statusCodes, renamed);
+
+    const withoutOut = DEFAULT_STATUS_CODES.filter(entry => entry.code !== '10-7');
+    assert.equal(validateDispatchConfig({ data: { statusCodes: withoutOut } }).data.statusCodes, undefined);
+    assert.equal(validateDispatchConfig({ data: { statusCodes: [null] } }).data.statusCodes, undefined);
+});
+
+test('incidents without an id, route, status, opening time or timeline are dropped', () => {
+    const incident = { id: 'i1', routeId: 'r1', status: '10-11', openedAt: '2024-03-04T08:00:00.000Z', timeline: [] };
+    const { data } = validateDispatchConfig({
+        data: { incidents: [incident, { ...incident, id: 'i2', timeline: 'none' }, { id: 'i3' }, null] }
+    });
+
+    assert.deepEqual(data.incidents, [incident]);
+});
+
+test('alarm overrides keep minutes and "no alarm" and drop anything else', () => {
+    const { data } = validateDispatchConfig({
+        data: { routeTiming: { alarmMinutes: { 'general-education': 90, 'special-education': null, van: '45', car: -5 } } }
+    });
+
+    assert.deepEqual(data.routeTiming.alarmMinutes, { 'general-education': 90, 'special-education': null });
+});
@@ -0,0 +1,63 @@
+/* TEST HELPER - BROWSER GLOBALS
+   Transportation Dispatch Dashboard
+
+   The smallest browser surface the modules touch when imported under Node:
+   an in-memory localStorage, a document with no elements and a window that
+   is the global object, plus timers that do not hold the process open.
+   Import it before any module under test.
+*/
+
+const store = new Map();
+
+const localStorageStub = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    clear: () => store.clear(),
+    key: index => [...store.keys()][index] ?? null,
+    get length() {
+        return store.size;
+    }
+};
+
+function createElementStub() {
+    return {
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+        setAttribute() {},
+        remove() {},
+        appendChild() {},
+        addEventListener() {},
+        querySelector() { return createElementStub(); },
+        querySelectorAll() { return []; }
+    };
+}
+
+globalThis.localStorage = localStorageStub;
+globalThis.window = globalThis;
+globalThis.addEventListener = () => {};
+// Node 21+ has its own read-only navigator
+if (!globalThis.navigator) globalThis.navigator = {};
+globalThis.document = {
+    readyState: 'loading',
+    head: createElementStub(),
+    body: createElementStub(),
+    documentElement: createElementStub(),
+    addEventListener() {},
+    createElement: createElementStub,
+    querySelector() { return null; },
+    querySelectorAll() { return []; },
+    getElementById() { return null; }
+};
+
+// Page-lifetime timers (e.g. the state auto-save interval) must not keep the
+// test process alive once the tests are done
+const nodeSetInterval = globalThis.setInterval;
+globalThis.setInterval = (...args) => nodeSetInterval(...args).unref();
+
+// Modules log freely; keep test output readable
+console.log = () => {};
+console.warn = () => {};
+
+export { localStorageStub };
@@ -0,0 +1,58 @@
+/* TESTS - DISPATCH HOME ASSIGNMENTS
+   Past days in the deviations report are judged against the home
+   assignments they were dispatched under
+*/
+
+import './helpers/browserGlobals.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATE, initializeStorage, stopLiveSync, getTodayServiceDate, addDaysToServiceDate } from '../src/modules/core/state.js';
+import { captureDeviationReasons, buildDeviationReport } from '../src/modules/dispatch/homeAssignments.js';
+
+await initializeStorage();
+after(() => stopLiveSync());
+
+function setRoute(fields) {
+    STATE.data.staff = [{ id: 's1', name: 'Jane Doe' }, { id: 's2', name: 'Sam Lee' }];
+    STATE.data.assets = [{ name: 'Bus 12' }];
+    STATE.data.routes = [{
+        id: 'r1',
+        name: 'Route 1',
+        type: 'general-education',
+        schedule: 'am',
+        asset: null,
+        deviations: {},
+        pairing: { driver: 'Sam Lee', driverPermanent: false, asset: '', assetPermanent: false },
+        ...fields
+    }];
+    STATE.staffOut = [];
+    return STATE.data.routes[0];
+}
+
+test('a current day keeps the home assignment it is dispatched against', () => {
+    STATE.serviceDate = getTodayServiceDate();
+    const route = setRoute({ driver: { name: 'Jane Doe', id: 's1' } });
+
+    captureDeviationReasons();
+
+    assert.deepEqual(route.deviations.home, { driver: 'Sam Lee', asset: '' });
+});
+
+test('a past day is reported against its own home snapshot, not the current pairing', async () => {
+    const date = addDaysToServiceDate(getTodayServiceDate(), -3);
+    STATE.serviceDate = date;
+    const route = setRoute({
+        driver: { name: 'Jane Doe', id: 's1' },
+        deviations: { home: { driver: 'Jane Doe', asset: '' } }
+    });
+
+    assert.deepEqual(await buildDeviationReport(date, date), []);
+
+    // The snapshot is left alone on a past day, and without one today's pairing applies
+    captureDeviationReasons();
+    assert.deepEqual(route.deviations.home, { driver: 'Jane Doe', asset: '' });
+    route.deviations = {};
+    const rows = await buildDeviationReport(date, date);
+    assert.deepEqual(rows.map(row => `${row.home} -> ${row.actual}`), ['Sam Lee -> Jane Doe']);
+});
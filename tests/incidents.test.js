@@ -0,0 +1,30 @@
+/* TESTS - CORE INCIDENTS
+   A status code that opens an incident is one undo step with the status change
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATE } from '../src/modules/core/state.js';
+import { changeRouteStatus } from '../src/modules/core/statusCodes.js';
+import { getOpenIncidentForRoute } from '../src/modules/core/incidents.js';
+import { undoLastAction, clearHistory, getHistoryStatus } from '../src/modules/core/history.js';
+
+test('an incident opened by a status change undoes together with it', () => {
+    STATE.data.routes = [{ id: 'r1', name: 'Route 1', status: '10-8' }];
+    STATE.data.incidents = [];
+    clearHistory();
+
+    const result = changeRouteStatus('r1', '10-11', { note: 'Flat tire' });
+
+    assert.equal(result.ok, true);
+    assert.ok(getOpenIncidentForRoute('r1'));
+    assert.equal(getHistoryStatus().nextUndo, 'marked Route 1 10-11');
+
+    undoLastAction();
+
+    assert.equal(STATE.data.routes[0].status, '10-8');
+    assert.equal(getOpenIncidentForRoute('r1'), null);
+    assert.equal(getHistoryStatus().canUndo, false);
+});
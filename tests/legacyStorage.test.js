@@ -0,0 +1,51 @@
+/* TESTS - LEGACY STORAGE MIGRATION
+   A pre-adapter dispatchConfig blob and per-day localStorage boards go
+   through the start-up path (repair, then initializeStorage) and are
+   migrated exactly once
+*/
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { localStorageStub } from './helpers/browserGlobals.js';
+
+const { repairLocalStorageData } = await import('../src/modules/core/dataValidator.js');
+const state = await import('../src/modules/core/state.js');
+const { CURRENT_SCHEMA_VERSION } = await import('../src/modules/core/migrations.js');
+const { LocalStorageAdapter } = await import('../src/modules/core/storage.js');
+
+after(() => state.stopLiveSync());
+
+function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/migrations/${name}.json`, import.meta.url), 'utf8'));
+}
+
+test('a legacy blob is migrated once, including per-day boards', async () => {
+    const config = loadFixture('legacy-shift');
+    config.data.staff = [{ id: 's1', name: 'Jane Doe' }];
+    localStorageStub.setItem('dispatchConfig', JSON.stringify(config));
+    localStorageStub.setItem('dispatchDay:2024-02-01', JSON.stringify({
+        routeBoard: { 'route-1': { driver: 'Jane Doe', safetyEscorts: [] } }
+    }));
+
+    assert.equal(repairLocalStorageData(), true);
+    assert.equal(localStorageStub.getItem('dispatchConfig'), JSON.stringify(config), 'repair leaves the blob to the storage migration');
+
+    await state.initializeStorage();
+    await state.flushStorage();
+
+    const log = state.getMigrationLog();
+    assert.equal(log.length, 1);
+    assert.equal(log[0].fromVersion, 0);
+    assert.equal(log[0].toVersion, CURRENT_SCHEMA_VERSION);
+
+    const routes = state.STATE.data.routes;
+    assert.deepEqual(routes.map(route => route.schedule), ['am', 'both', 'pm', 'none', 'am', 'pm']);
+    assert.ok(routes.every(route => route.id));
+
+    const day = await new LocalStorageAdapter().get('days', '2024-02-01');
+    assert.deepEqual(day.routeBoard['route-1'].driver, { name: 'Jane Doe', id: 's1' });
+
+    assert.equal(localStorageStub.getItem('dispatchConfig'), null);
+    assert.equal(localStorageStub.getItem('dispatchDay:2024-02-01'), null);
+});
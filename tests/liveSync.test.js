@@ -0,0 +1,101 @@
+/* TESTS - CORE LIVE SYNC
+   Cards from another tab apply when they build on what this tab has; when
+   both sides edited a card the newer version wins and the conflict is kept
+*/
+
+import './helpers/browserGlobals.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    STATE,
+    initializeStorage,
+    stopLiveSync,
+    saveToLocalStorage,
+    getSyncStatus
+} from '../src/modules/core/state.js';
+
+// Another tab on the same channel; Node 16 has no BroadcastChannel
+const peer = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('dispatch-sync');
+const live = { skip: !peer && 'no BroadcastChannel in this runtime' };
+let messageCount = 0;
+
+await initializeStorage();
+after(() => {
+    peer?.close();
+    stopLiveSync();
+});
+
+function saveLocalNote(key, note) {
+    STATE.routeNotes[key] = note;
+    STATE.isDirty = true;
+    saveToLocalStorage();
+}
+
+/**
+ * Send one card from the peer and wait until this tab has handled it
+ */
+async function receiveNote(key, note, { base = 0, version = base + 1, at = Date.now() } = {}) {
+    const conflictsBefore = getSyncStatus().conflicts.length;
+    peer.postMessage({
+        type: 'changes',
+        id: `peer-message-${++messageCount}`,
+        from: 'tab-peer',
+        serviceDate: STATE.serviceDate,
+        records: [],
+        cards: [{ key, base, version, by: 'tab-peer', at, value: JSON.stringify({ note }) }]
+    });
+
+    for (let tries = 0; tries < 100; tries++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (STATE.routeNotes[key] === note || getSyncStatus().conflicts.length > conflictsBefore) break;
+    }
+    return getSyncStatus().conflicts.slice(conflictsBefore);
+}
+
+test('a card built on this tab\'s version is applied without a conflict', live, async () => {
+    const conflicts = await receiveNote('r1', 'from peer');
+
+    assert.equal(STATE.routeNotes.r1, 'from peer');
+    assert.deepEqual(conflicts, []);
+});
+
+test('concurrent edits keep the newer remote card and record the conflict', live, async () => {
+    saveLocalNote('r2', 'here');
+    const conflicts = await receiveNote('r2', 'from peer', { at: Date.now() + 60000 });
+
+    assert.equal(STATE.routeNotes.r2, 'from peer');
+    assert.deepEqual(conflicts.map(({ key, kept, localValue }) => ({ key, kept, localValue })), [
+        { key: 'r2', kept: 'remote', localValue: JSON.stringify({ note: 'here' }) }
+    ]);
+});
+
+test('concurrent edits keep the newer local card and record the conflict', live, async () => {
+    saveLocalNote('r3', 'here');
+    const conflicts = await receiveNote('r3', 'from peer', { at: 1 });
+
+    assert.equal(STATE.routeNotes.r3, 'here');
+    assert.deepEqual(conflicts.map(({ key, kept, remoteValue }) => ({ key, kept, remoteValue })), [
+        { key: 'r3', kept: 'local', remoteValue: JSON.stringify({ note: 'from peer' }) }
+    ]);
+});
+
+test('an unsaved edit yields to a published card', live, async () => {
+    STATE.routeNotes.r4 = 'typing';
+    const conflicts = await receiveNote('r4', 'from peer');
+
+    assert.equal(STATE.routeNotes.r4, 'from peer');
+    assert.deepEqual(conflicts.map(({ key, kept }) => ({ key, kept })), [{ key: 'r4', kept: 'remote' }]);
+});
+
+test('the same change made on both sides is not a conflict', live, async () => {
+    saveLocalNote('r5', 'same');
+    const conflictsBefore = getSyncStatus().conflicts.length;
+    await receiveNote('r5', 'same', { at: 1 });
+    // Messages arrive in order, so once the next one is in the first was handled
+    await receiveNote('r1', 'later', { base: 1 });
+
+    assert.equal(STATE.routeNotes.r5, 'same');
+    assert.equal(STATE.routeNotes.r1, 'later');
+    assert.equal(getSyncStatus().conflicts.length, conflictsBefore);
+});
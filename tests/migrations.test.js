@@ -0,0 +1,117 @@
+/* TESTS - CORE MIGRATIONS
+   Each schema migration against a fixture document, the pipeline, and the
+   refusal to load data from a newer dashboard
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    runMigrations,
+    migrateRouteShiftToSchedule,
+    migrateAssignRouteIds,
+    migrateStaffReferences,
+    migrateUndatedBoardToServiceDay
+} from '../src/modules/core/migrations.js';
+
+function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/migrations/${name}.json`, import.meta.url), 'utf8'));
+}
+
+test('v1 renames route.shift to route.schedule', () => {
+    const document = loadFixture('legacy-shift');
+    const changes = migrateRouteShiftToSchedule(document);
+    const routes = document.data.routes;
+
+    assert.deepEqual(routes.map(route => route.schedule), ['am', 'both', 'pm', 'none', 'am', 'pm']);
+    assert.ok(routes.every(route => !('shift' in route)));
+    assert.equal(changes.length, 4);
+});
+
+test('v2 gives routes without an id a unique one', () => {
+    const document = loadFixture('legacy-shift');
+    document.data.routes.push({ name: 'Route 6', schedule: 'pm' });
+    const changes = migrateAssignRouteIds(document);
+    const ids = document.data.routes.map(route => route.id);
+
+    assert.equal(ids[5], 'route-6-pm');
+    assert.equal(ids[6], 'route-6-2');
+    assert.equal(new Set(ids).size, ids.length);
+    assert.equal(changes.length, 2);
+});
+
+test('v3 turns driver and escort names into { name, id } on routes and day boards', () => {
+    const document = loadFixture('string-drivers');
+    migrateStaffReferences(document);
+    const [first, second, third] = document.data.routes;
+
+    assert.deepEqual(first.driver, { name: 'Jane Doe', id: 's1' });
+    assert.deepEqual(first.safetyEscorts, [{ name: 'Mo Lee', id: 's2' }, { name: 'Al Ray', id: 's3' }]);
+    assert.equal(second.driver, null);
+    assert.deepEqual(third.driver, { name: 'Sam Park', id: 's4' });
+
+    const dayEntry = document.days['2024-02-01'].routeBoard['route-1'];
+    assert.deepEqual(dayEntry.driver, { name: 'Unknown Sub', id: null });
+    assert.deepEqual(dayEntry.safetyEscorts, [{ name: 'Mo Lee', id: 's2' }]);
+});
+
+test('v4 moves the undated board into a service day dated by lastSaved', () => {
+    const document = loadFixture('undated-board');
+    const changes = migrateUndatedBoardToServiceDay(document);
+    const day = document.days['2024-03-05'];
+
+    assert.ok(day, 'board filed under the day it was last saved');
+    assert.deepEqual(day.routeBoard['route-1'].driver, { name: 'Jane Doe', id: 's1' });
+    assert.equal(day.routeBoard['route-1'].status, '10-8');
+    assert.deepEqual(day.staffOut, [{ name: 'Mo Lee', reason: 'sick' }]);
+    assert.equal(day.statusTimestamps['route-1'].length, 1);
+    assert.ok(!('driver' in document.data.routes[0]));
+    assert.ok(!('staffOut' in document));
+    assert.match(changes[0], /1 route card/);
+});
+
+test('v4 keeps an existing board for the same day', () => {
+    const document = loadFixture('undated-board');
+    document.days = { '2024-03-05': { routeBoard: {} } };
+    const changes = migrateUndatedBoardToServiceDay(document);
+
+    assert.deepEqual(document.days['2024-03-05'], { routeBoard: {} });
+    assert.match(changes[0], /discarded/);
+});
+
+test('runMigrations runs only the pending steps on a copy', () => {
+    const original = loadFixture('string-drivers');
+    const result = runMigrations(original);
+
+    assert.equal(result.fromVersion, 2);
+    assert.equal(result.toVersion, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(result.reports.map(report => report.version), MIGRATIONS.filter(m => m.version > 2).map(m => m.version));
+    assert.equal(result.document.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(original.data.routes[0].driver, 'Jane Doe', 'input left untouched');
+});
+
+test('runMigrations takes a legacy document all the way to the current schema', () => {
+    const result = runMigrations(loadFixture('legacy-shift'));
+
+    assert.equal(result.fromVersion, 0);
+    assert.equal(result.reports.length, MIGRATIONS.length);
+    assert.ok(result.document.data.routes.every(route => route.schedule && route.id));
+});
+
+test('runMigrations is a no-op on a current document', () => {
+    const current = runMigrations(loadFixture('undated-board')).document;
+    const again = runMigrations(current);
+
+    assert.deepEqual(again.reports, []);
+    assert.deepEqual(again.document, current);
+});
+
+test('runMigrations refuses data saved by a newer dashboard', () => {
+    assert.throws(
+        () => runMigrations({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, data: {} }),
+        /newer than this dashboard/
+    );
+});
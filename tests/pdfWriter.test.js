@@ -0,0 +1,56 @@
+/* TESTS - DATA PDF WRITER
+   Text is reduced to WinAnsi and wrapped to width, and the written file's
+   cross-reference table points at its objects
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PdfDocument, measureText, wrapText, toWinAnsi } from '../src/modules/data/pdfWriter.js';
+
+function outputText(doc) {
+    return Buffer.from(doc.output()).toString('latin1');
+}
+
+test('toWinAnsi keeps Latin-1, maps typographic punctuation and drops the rest', () => {
+    assert.equal(toWinAnsi('Café – “Route 5”'), 'Café \x96 \x93Route 5\x94');
+    assert.equal(toWinAnsi('🚌 Field  Trips'), 'Field Trips');
+    assert.equal(toWinAnsi('a\tb\nc'), 'a b\nc');
+    assert.equal(toWinAnsi(null), '');
+});
+
+test('wrapText breaks at spaces, splits long words and keeps paragraphs', () => {
+    const width = measureText('one two', 10);
+
+    assert.deepEqual(wrapText('one two three', 10, false, width), ['one two', 'three']);
+    assert.deepEqual(wrapText('abcdefgh', 10, false, measureText('abc', 10)), ['abc', 'def', 'gh']);
+    assert.deepEqual(wrapText('one\n\ntwo', 10, false, width), ['one', '', 'two']);
+});
+
+test('every cross-reference entry points at its object', () => {
+    const doc = new PdfDocument({ title: 'Daily Report', district: 'Unified', subtitle: 'Monday' });
+    doc.heading('Routes').text('Route 5 – out “late”. '.repeat(40));
+    doc.pageBreak();
+    doc.text('Second page');
+    const pdf = outputText(doc);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.equal(pdf.slice(xrefOffset, xrefOffset + 5), 'xref\n');
+
+    const [, count] = pdf.slice(xrefOffset).match(/^xref\n0 (\d+)\n/);
+    const entries = pdf.slice(xrefOffset).split('\n').slice(3, 2 + Number(count));
+    assert.equal(entries.length, Number(count) - 1);
+    entries.forEach((entry, index) => {
+        const offset = Number(entry.slice(0, 10));
+        const header = `${index + 1} 0 obj\n`;
+        assert.equal(pdf.slice(offset, offset + header.length), header);
+    });
+});
+
+test('the generated time keeps the space before AM/PM', () => {
+    const doc = new PdfDocument({ title: 'Daily Report' });
+    doc.createdAt = new Date(2024, 2, 4, 15, 45);
+
+    assert.match(outputText(doc), /\(Generated 3\/4\/2024 3:45 PM\)/);
+});
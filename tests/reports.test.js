@@ -0,0 +1,51 @@
+/* TESTS - DATA REPORTS
+   Runs from status history written before entries carried their shift
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATE } from '../src/modules/core/state.js';
+import { extractRuns } from '../src/modules/data/reports.js';
+
+// Local wall-clock time on the day, as stored in the status history
+function at(hours, minutes = 0) {
+    return new Date(2024, 1, 1, hours, minutes).toISOString();
+}
+
+function runShifts(timestamps) {
+    const { runs } = extractRuns({ date: '2024-02-01', day: {}, timestamps });
+    return runs.map(run => `${run.routeName} ${run.shift} ${run.minutes}`);
+}
+
+test('a legacy runKey without entry shifts takes the shift from its suffix', () => {
+    STATE.data.routes = [];
+
+    assert.deepEqual(runShifts({
+        'Route 5_PM': [
+            { status: '10-8', timestamp: at(7, 0) },
+            { status: '10-7', timestamp: at(7, 45) }
+        ]
+    }), ['Route 5 PM 45']);
+});
+
+test('a route without entry shifts takes its schedule, or the time of day', () => {
+    STATE.data.routes = [
+        { id: 'r1', name: 'Route 1', schedule: 'pm' },
+        { id: 'r2', name: 'Route 2', schedule: 'both' }
+    ];
+
+    assert.deepEqual(runShifts({
+        r1: [
+            { status: '10-8', timestamp: at(9, 0) },
+            { status: '10-7', timestamp: at(9, 30) }
+        ],
+        r2: [
+            { status: '10-8', timestamp: at(6, 30) },
+            { status: '10-7', timestamp: at(7, 30) },
+            { status: '10-8', timestamp: at(14, 30) },
+            { status: '10-7', timestamp: at(15, 0) }
+        ]
+    }), ['Route 1 PM 30', 'Route 2 AM 60', 'Route 2 PM 30']);
+});
@@ -0,0 +1,66 @@
+/* TESTS - DISPATCH ROUTE TIMERS
+   Expired timers alarm from board state, on both shifts, with no cards
+   rendered; a route sent out again after 10-7 starts a new run
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { eventBus } from '../src/modules/core/events.js';
+import { STATE, getTodayServiceDate } from '../src/modules/core/state.js';
+import { getRouteTimer, updateRouteTimers } from '../src/modules/dispatch/routeTimers.js';
+
+function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60000).toISOString();
+}
+
+test('a route out past its alarm on the shift not shown still alarms', () => {
+    STATE.serviceDate = getTodayServiceDate();
+    STATE.currentView = 'AM';
+    STATE.data.routes = [
+        { id: 'r1', name: 'Route 1', type: 'general-education', schedule: 'pm', status: '10-8' },
+        { id: 'r2', name: 'Route 2', type: 'general-education', schedule: 'am', status: '10-8' }
+    ];
+    STATE.statusTimestamps = {
+        r1: [{ status: '10-8', shift: 'PM', timestamp: minutesAgo(120) }],
+        r2: [{ status: '10-8', shift: 'AM', timestamp: minutesAgo(20) }]
+    };
+
+    const expired = [];
+    const listener = event => expired.push(`${event.routeId} ${event.shift}`);
+    eventBus.on('route:timerExpired', listener);
+    try {
+        updateRouteTimers();
+    } finally {
+        eventBus.off('route:timerExpired', listener);
+    }
+
+    assert.deepEqual(expired, ['r1 PM']);
+});
+
+test('a run starts at the first 10-8 after the last 10-7', () => {
+    STATE.serviceDate = getTodayServiceDate();
+    STATE.currentView = 'AM';
+    const route = { id: 'r1', name: 'Route 1', type: 'general-education', schedule: 'am', status: '10-8' };
+    STATE.statusTimestamps = {
+        r1: [
+            { status: '10-8', shift: 'AM', timestamp: minutesAgo(180) },
+            { status: '10-7', shift: 'AM', timestamp: minutesAgo(120) },
+            { status: '10-8', shift: 'AM', timestamp: minutesAgo(30) },
+            { status: '10-6', shift: 'AM', timestamp: minutesAgo(20) },
+            { status: '10-8', shift: 'AM', timestamp: minutesAgo(10) }
+        ]
+    };
+
+    const out = getRouteTimer(route);
+    assert.equal(Math.round(out.runMinutes), 30);
+    assert.equal(out.level, 'ok');
+
+    // Back in: the finished run is the second one, not both with the break between
+    route.status = '10-7';
+    STATE.statusTimestamps.r1.push({ status: '10-7', shift: 'AM', timestamp: minutesAgo(5) });
+    const finished = getRouteTimer(route);
+    assert.equal(Math.round(finished.runMinutes), 25);
+    assert.equal(finished.running, false);
+});
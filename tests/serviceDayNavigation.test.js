@@ -0,0 +1,64 @@
+/* TESTS - SERVICE DAY NAVIGATION
+   Moving the board to another day reaches the day-scoped dispatch modules:
+   undo history is cleared and a new day starts from home assignments
+*/
+
+import './helpers/browserGlobals.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ModularDispatchApp } from '../src/app.js';
+import { eventBus } from '../src/modules/core/events.js';
+import { STATE, initializeStorage, stopLiveSync, getTodayServiceDate, addDaysToServiceDate } from '../src/modules/core/state.js';
+import { recordAction, getHistoryStatus } from '../src/modules/core/history.js';
+import { uiSystem } from '../src/modules/ui/system.js';
+import { startHomeAssignments } from '../src/modules/dispatch/homeAssignments.js';
+
+await initializeStorage();
+after(() => stopLiveSync());
+
+function createApp() {
+    const app = Object.create(ModularDispatchApp.prototype);
+    app.modules = new Map();
+    app.updateServiceDayNav = () => {};
+    app.setupUndoRedo();
+    return app;
+}
+
+test('switching days announces it on the dispatch bus after clearing undo history', async () => {
+    const app = createApp();
+    const announced = [];
+    eventBus.on('serviceDay:changed', event => announced.push(event));
+
+    recordAction('edited a note', () => {
+        STATE.routeNotes.test = 'note';
+    });
+    const previousDate = STATE.serviceDate;
+
+    await app.switchToServiceDay('2024-03-04');
+
+    assert.deepEqual(announced, [{ previousDate, serviceDate: '2024-03-04' }]);
+    assert.equal(getHistoryStatus().canUndo, false);
+});
+
+test('navigating to a new day pre-fills it from home assignments', async () => {
+    const app = createApp();
+    uiSystem.showNotification = () => {};
+    STATE.data.staff = [{ id: 's1', name: 'Jane Doe' }];
+    STATE.data.assets = [{ name: 'Bus 12' }];
+    STATE.data.routes = [{
+        id: 'r1',
+        name: 'Route 1',
+        type: 'general-education',
+        schedule: 'am',
+        pairing: { driver: 'Jane Doe', driverPermanent: false, asset: 'Bus 12', assetPermanent: false }
+    }];
+    startHomeAssignments();
+
+    await app.switchToServiceDay(addDaysToServiceDate(getTodayServiceDate(), 7));
+
+    const [route] = STATE.data.routes;
+    assert.equal(route.driver?.name, 'Jane Doe');
+    assert.equal(route.asset?.name, 'Bus 12');
+    assert.deepEqual(route.deviations.home, { driver: 'Jane Doe', asset: 'Bus 12' });
+});
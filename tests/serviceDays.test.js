@@ -0,0 +1,40 @@
+/* TESTS - CORE SERVICE DAYS
+   Per-day boards are saved under their own date, even when day switches
+   are asked for faster than boards load
+*/
+
+import './helpers/browserGlobals.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    STATE,
+    initializeStorage,
+    stopLiveSync,
+    openServiceDay,
+    saveToLocalStorage,
+    flushStorage
+} from '../src/modules/core/state.js';
+import { LocalStorageAdapter } from '../src/modules/core/storage.js';
+
+await initializeStorage();
+after(() => stopLiveSync());
+
+test('two quick switches keep each board under its own date', async () => {
+    await openServiceDay('2024-03-04');
+    STATE.routeNotes = { X: 'day 4 note' };
+    saveToLocalStorage();
+
+    const switches = [openServiceDay('2024-03-05'), openServiceDay('2024-03-06')];
+    assert.equal(STATE.serviceDate, '2024-03-04', 'the open day moves only once its board is read');
+    assert.deepEqual(await Promise.all(switches), [true, true]);
+    await flushStorage();
+
+    assert.equal(STATE.serviceDate, '2024-03-06');
+    assert.deepEqual(STATE.routeNotes, {});
+
+    // Node has no IndexedDB, so the board is in localStorage
+    const stored = new LocalStorageAdapter();
+    assert.deepEqual((await stored.get('days', '2024-03-04')).routeNotes, { X: 'day 4 note' });
+    assert.notDeepEqual((await stored.get('days', '2024-03-05'))?.routeNotes, { X: 'day 4 note' });
+});
@@ -0,0 +1,22 @@
+/* TESTS - UI SETTINGS SYSTEM
+   Event subscriptions survive app.js wiring the module up twice
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { eventBus } from '../src/modules/core/events.js';
+import { settingsSystem } from '../src/modules/ui/settingsSystem.js';
+
+test('an import takes one backup when listeners were set up twice', () => {
+    const backups = [];
+    settingsSystem.createBackup = (label, kind) => backups.push(`${kind}: ${label}`);
+    settingsSystem.connectHamburgerMenu = () => {};
+
+    settingsSystem.setupEventListeners();
+    settingsSystem.setupEventListeners();
+    eventBus.emit('data:before-import', { source: 'CSV import' });
+
+    assert.deepEqual(backups, ['before-import: Before CSV import']);
+});
@@ -0,0 +1,40 @@
+/* TESTS - CORE STATUS CODES
+   A configured code table must keep the codes other modules rely on and
+   only use codes that are safe to put in markup
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_STATUS_CODES, validateStatusCodeTable } from '../src/modules/core/statusCodes.js';
+
+// The default table with one code renamed everywhere it appears
+function renamed(from, to) {
+    return DEFAULT_STATUS_CODES.map(entry => ({
+        ...entry,
+        code: entry.code === from ? to : entry.code,
+        transitions: entry.transitions.map(target => (target === from ? to : target))
+    }));
+}
+
+test('the default table is valid', () => {
+    assert.deepEqual(validateStatusCodeTable(DEFAULT_STATUS_CODES), []);
+});
+
+test('a table without 10-8 or 10-7 is refused', () => {
+    ['10-8', '10-7'].forEach(required => {
+        const table = DEFAULT_STATUS_CODES
+            .filter(entry => entry.code !== required)
+            .map(entry => ({ ...entry, transitions: entry.transitions.filter(target => target !== required) }));
+
+        assert.deepEqual(validateStatusCodeTable(table), [`The "${required}" row is required`]);
+    });
+});
+
+test('codes are limited to letters, digits, "_" and "-"', () => {
+    assert.deepEqual(validateStatusCodeTable(renamed('10-33', 'EMERG_1')), []);
+    assert.deepEqual(validateStatusCodeTable(renamed('10-33', '10-33\'><img src=x>')), [
+        'Code 10-33\'><img src=x> may only use letters, digits, "_" and "-"'
+    ]);
+});
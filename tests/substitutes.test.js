@@ -0,0 +1,73 @@
+/* TESTS - DISPATCH SUBSTITUTES
+   Replacements are limited to free, on-shift, qualified staff and ranked by
+   role, familiarity with the route and schedule
+*/
+
+import './helpers/browserGlobals.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATE, initializeStorage, stopLiveSync } from '../src/modules/core/state.js';
+import { getSubstituteRecommendations } from '../src/modules/dispatch/substitutes.js';
+
+await initializeStorage();
+after(() => stopLiveSync());
+
+const SERVICE_DATE = '2024-03-04'; // a Monday
+const CDL = [{ type: 'cdl', expires: '2025-01-01' }];
+
+// [name, position, extra fields, expected score or null when left out]
+const STAFF = [
+    ['Sam', 'Sub Driver', {}, 40],
+    ['Fay', 'Driver', {}, 39],                        // spare driver who drove it 3 days
+    ['Sue', 'Driver', { shiftPattern: { mon: 'am' } }, 35],
+    ['Ray', 'Driver', {}, 30],
+    ['Rita', 'Driver', {}, 30],                       // same score, ranked by name
+    ['Olga', 'Office', { certifications: CDL }, 15],
+    ['Otto', 'Office', {}, null],                     // cannot drive
+    ['Ed', 'Shop', { certifications: [{ type: 'cdl', expires: '2024-03-01' }] }, null],
+    ['Owen', 'Sub Driver', {}, null],                 // marked out
+    ['Bea', 'Driver', {}, null],                      // on another card
+    ['Ida', 'Sub Driver', { status: 'inactive' }, null],
+    ['Pat', 'Sub Driver', { shiftPattern: { mon: 'pm' } }, null],
+    ['Tim', 'Sub Driver', { timeOff: [{ from: '2024-03-01', to: '2024-03-08' }] }, null]
+];
+
+function setBoard() {
+    STATE.serviceDate = SERVICE_DATE;
+    STATE.currentView = 'AM';
+    STATE.data.staff = STAFF.map(([name, position, fields]) => ({ id: name, name, position, ...fields }));
+    STATE.data.routes = [
+        { id: 'r1', name: 'Route 1', type: 'general-education', schedule: 'am', driver: null },
+        { id: 'r2', name: 'Route 2', type: 'general-education', schedule: 'am', driver: { name: 'Bea' } }
+    ];
+    STATE.staffOut = [{ name: 'Owen' }];
+    STATE.statusTimestamps = {};
+}
+
+test('drivers are ranked by role, familiarity and schedule, and the unavailable left out', async () => {
+    setBoard();
+    const history = {
+        driver: new Map([['r1|Fay', new Set(['2024-02-27', '2024-02-28', '2024-02-29'])]]),
+        escort: new Map()
+    };
+
+    const ranked = await getSubstituteRecommendations('r1', 'driver', { history, limit: 20 });
+
+    const expected = STAFF.filter(([, , , score]) => score !== null).map(([name, , , score]) => [name, score]);
+    assert.deepEqual(ranked.map(({ staff, score }) => [staff.name, score]), expected);
+});
+
+test('escorts prefer escort roles, then subs, then anyone free', async () => {
+    setBoard();
+    STATE.data.staff = [
+        { id: 'a', name: 'Amy', position: 'Office' },
+        { id: 'b', name: 'Ben', position: 'Sub Driver' },
+        { id: 'c', name: 'Cal', position: 'Bus Monitor' },
+        { id: 'd', name: 'Dee', position: 'Escort', shiftPattern: { mon: 'off' } }
+    ];
+
+    const ranked = await getSubstituteRecommendations('r1', 'escort', { history: { driver: new Map(), escort: new Map() } });
+
+    assert.deepEqual(ranked.map(({ staff, score }) => [staff.name, score]), [['Cal', 40], ['Ben', 30], ['Amy', 0]]);
+});
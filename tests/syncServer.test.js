@@ -0,0 +1,259 @@
+/* TESTS - SERVER SYNC SERVER
+   Write batches are checked in full and merged card by card, WebSocket
+   frames follow RFC 6455 and every connection needs the shared token
+*/
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+
+import { DocumentStore, WebSocketConnection, createSyncServer } from '../server/sync-server.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-sync-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function createStore() {
+    const store = new DocumentStore(path.join(dataDir, `${crypto.randomUUID()}.json`));
+    store.scheduleSave = () => {};
+    return store;
+}
+
+function dayWith(routeId, status, version) {
+    return {
+        serviceDate: '2024-03-04',
+        routeStatus: { [routeId]: status },
+        cardVersions: { [routeId]: { version, by: 'ws', at: version } }
+    };
+}
+
+// =============================================================================
+// APPLYING CHANGES
+// =============================================================================
+
+test('entity records are last-writer-wins and audit records first-written', () => {
+    const store = createStore();
+    store.applyChanges([
+        { type: 'put', store: 'routes', key: 'r1', value: { name: 'Route 1' } },
+        { type: 'put', store: 'audit', key: 'a1', value: { action: 'first' } }
+    ]);
+    const revision = store.applyChanges([
+        { type: 'put', store: 'routes', key: 'r1', value: { name: 'Route 1A' } },
+        { type: 'put', store: 'audit', key: 'a1', value: { action: 'repeat' } },
+        { type: 'delete', store: 'staff', key: 'missing' }
+    ]);
+
+    assert.equal(revision, 2);
+    assert.deepEqual(store.document.stores.routes.r1, { name: 'Route 1A' });
+    assert.deepEqual(store.document.stores.audit.a1, { action: 'first' });
+});
+
+test('day boards merge card by card on version', () => {
+    const store = createStore();
+    store.applyChanges([{ type: 'put', store: 'days', key: '2024-03-04', value: dayWith('r1', '10-8', 2) }]);
+
+    store.applyChanges([{ type: 'put', store: 'days', key: '2024-03-04', value: dayWith('r1', '10-7', 1) }]);
+    store.applyChanges([{ type: 'put', store: 'days', key: '2024-03-04', value: dayWith('r2', '10-7', 1) }]);
+    const day = store.document.stores.days['2024-03-04'];
+    assert.equal(day.routeStatus.r1, '10-8', 'an older card does not replace a newer one');
+    assert.equal(day.routeStatus.r2, '10-7', 'a card the server has not seen is taken');
+
+    store.applyChanges([{ type: 'put', store: 'days', key: '2024-03-04', value: dayWith('r1', '10-7', 3) }]);
+    assert.equal(store.document.stores.days['2024-03-04'].routeStatus.r1, '10-7');
+});
+
+const rejected = [
+    ['an unknown store', { type: 'put', store: 'secrets', key: 'k', value: 1 }, /Unknown record/],
+    ['a prototype key', { type: 'put', store: 'routes', key: '__proto__', value: { polluted: true } }, /Unknown record/],
+    ['an unknown operation', { type: 'patch', store: 'routes', key: 'r1', value: {} }, /Unknown operation/],
+    ['a put without a value', { type: 'put', store: 'routes', key: 'r1' }, /has no value/],
+    ['a day under a non-date key', { type: 'put', store: 'days', key: 'today', value: {} }, /not a service date/],
+    ['a day that is not an object', { type: 'put', store: 'days', key: '2024-03-04', value: 'board' }, /not a day document/],
+    ['a day map with a prototype key', {
+        type: 'put', store: 'days', key: '2024-03-04', value: JSON.parse('{"routeNotes":{"__proto__":"x"}}')
+    }, /Invalid key/],
+    ['a day with a malformed card version', {
+        type: 'put', store: 'days', key: '2024-03-04', value: { cardVersions: { r1: { version: 'new' } } }
+    }, /invalid card version/],
+    ['a day with malformed staff out', {
+        type: 'put', store: 'days', key: '2024-03-04', value: { staffOut: [{ id: 1 }] }
+    }, /staffOut/],
+    ['timestamps that are not histories', {
+        type: 'put', store: 'timestamps', key: '2024-03-04', value: { r1: '10-8' }
+    }, /status histories/],
+    ['a service day delete', { type: 'delete', store: 'days', key: '2024-03-04' }, /cannot be deleted over sync/],
+    ['an audit delete', { type: 'delete', store: 'audit', key: 'a1' }, /cannot be deleted/]
+];
+
+rejected.forEach(([name, op, message]) => {
+    test(`a batch with ${name} is rejected without writing anything`, () => {
+        const store = createStore();
+        store.applyChanges([{ type: 'put', store: 'days', key: '2024-03-04', value: dayWith('r1', '10-8', 1) }]);
+        const before = JSON.stringify(store.document);
+
+        assert.throws(() => store.applyChanges([
+            { type: 'put', store: 'routes', key: 'r9', value: { name: 'Route 9' } },
+            { type: 'put', store: 'days', key: '2024-03-04', value: dayWith('r1', '10-7', 5) },
+            op
+        ]), message);
+
+        assert.equal(JSON.stringify(store.document), before);
+        assert.equal({}.polluted, undefined);
+    });
+});
+
+// =============================================================================
+// WEBSOCKET FRAMING
+// =============================================================================
+
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.ended = false;
+    }
+
+    write(data) {
+        this.written.push(Buffer.from(data));
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    destroy() {
+        this.ended = true;
+    }
+}
+
+function clientFrame(opcode, text, { fin = true, masked = true } = {}) {
+    const payload = Buffer.from(text, 'utf8');
+    const mask = masked ? crypto.randomBytes(4) : Buffer.alloc(0);
+    const body = Buffer.from(payload);
+    if (masked) body.forEach((byte, i) => { body[i] = byte ^ mask[i % 4]; });
+    return Buffer.concat([
+        Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]),
+        mask,
+        body
+    ]);
+}
+
+function closeCode(socket) {
+    const frame = socket.written.find(data => (data[0] & 0x0f) === 0x8);
+    return frame ? frame.readUInt16BE(2) : null;
+}
+
+function connect() {
+    const socket = new FakeSocket();
+    const connection = new WebSocketConnection(socket);
+    const messages = [];
+    connection.on('message', message => messages.push(message));
+    return { socket, connection, messages };
+}
+
+test('a fragmented message is reassembled, across chunks and around a ping', () => {
+    const { socket, messages } = connect();
+    const frames = Buffer.concat([
+        clientFrame(0x1, '{"type":', { fin: false }),
+        clientFrame(0x9, 'ping'),
+        clientFrame(0x0, '"hello"}')
+    ]);
+
+    socket.emit('data', frames.subarray(0, 5));
+    socket.emit('data', frames.subarray(5));
+
+    assert.deepEqual(messages, ['{"type":"hello"}']);
+    assert.equal(socket.written[0][0], 0x8a, 'the ping is answered with a pong');
+});
+
+test('an unmasked client frame closes the connection with a protocol error', () => {
+    const { socket, messages } = connect();
+    socket.emit('data', clientFrame(0x1, 'hello', { masked: false }));
+
+    assert.deepEqual(messages, []);
+    assert.equal(closeCode(socket), 1002);
+    assert.equal(socket.ended, true);
+});
+
+test('a continuation without a message, or a message inside another, is a protocol error', () => {
+    const stray = connect();
+    stray.socket.emit('data', clientFrame(0x0, 'tail'));
+    assert.equal(closeCode(stray.socket), 1002);
+
+    const interleaved = connect();
+    interleaved.socket.emit('data', Buffer.concat([
+        clientFrame(0x1, 'one', { fin: false }),
+        clientFrame(0x1, 'two')
+    ]));
+    assert.deepEqual(interleaved.messages, []);
+    assert.equal(closeCode(interleaved.socket), 1002);
+});
+
+test('a close frame is answered and nothing after it is read', () => {
+    const { socket, connection, messages } = connect();
+    socket.emit('data', Buffer.concat([clientFrame(0x8, ''), clientFrame(0x1, 'late')]));
+
+    assert.equal(closeCode(socket), 1000);
+    assert.equal(connection.closed, true);
+    assert.deepEqual(messages, []);
+});
+
+// =============================================================================
+// AUTHORIZATION
+// =============================================================================
+
+test('the server cannot be created without a token', () => {
+    assert.throws(() => createSyncServer(createStore()), /shared token/);
+});
+
+test('upgrades and /document need the token, on loopback too', async () => {
+    const server = createSyncServer(createStore(), { token: 'secret' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    const upgrade = query => new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            host: '127.0.0.1',
+            path: `/sync${query}`,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                Origin: 'https://example.com',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        request.on('upgrade', (response, socket) => {
+            socket.destroy();
+            resolve(response.statusCode);
+        });
+        request.on('response', response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end();
+    });
+    const fetchDocument = headers => new Promise((resolve, reject) => {
+        http.get({ port, host: '127.0.0.1', path: '/document', headers }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+
+    try {
+        assert.equal(await upgrade(''), 401);
+        assert.equal(await upgrade('?token=wrong'), 401);
+        assert.equal(await upgrade('?token=secret'), 101);
+        assert.equal(await fetchDocument({}), 401);
+        assert.equal(await fetchDocument({ Authorization: 'Bearer secret' }), 200);
+    } finally {
+        // Upgraded sockets are no longer the server's, so close() is not awaited
+        server.close();
+    }
+});
@@ -0,0 +1,30 @@
+/* TESTS - CORE UTILS
+   HTML escaping for rendered names and inline handler arguments
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml, inlineArgument } from '../src/modules/core/utils.js';
+
+test('escapeHtml escapes markup and both quote characters', () => {
+    assert.equal(escapeHtml(`<b>O'Neil & "Sons"</b>`), '&lt;b&gt;O&#39;Neil &amp; &quot;Sons&quot;&lt;/b&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(12), '12');
+});
+
+test('inlineArgument survives the attribute and reaches the handler unchanged', () => {
+    const name = `O'Brien "Bus" </script>`;
+    const attribute = inlineArgument(name);
+
+    assert.doesNotMatch(attribute, /["'<>]/);
+
+    // What the browser hands to the handler after decoding the attribute
+    const decoded = attribute
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+    assert.equal(JSON.parse(decoded), name);
+});
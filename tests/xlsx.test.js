@@ -0,0 +1,80 @@
+/* TESTS - DATA XLSX
+   A written workbook reads back with the same names, types and values, and
+   workbooks that keep their text in shared strings are read too
+*/
+
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readWorkbook, writeWorkbook } from '../src/modules/data/xlsx.js';
+import { readZip, writeZip } from '../src/modules/data/zip.js';
+
+function supportsRawDeflate() {
+    try {
+        new CompressionStream('deflate-raw');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+test('a written workbook reads back with its values, types and dates', async () => {
+    const rows = [
+        ['Route', 'Students', 'Active', 'Date', 'Departs'],
+        ['Route 5 & "North" <AM>', 42, true, new Date(2024, 2, 4), new Date(2024, 2, 4, 7, 30)],
+        ['Café – Ünterberg', 3.25, false, null, new Date(2024, 11, 31, 15, 5)]
+    ];
+
+    const { sheets } = await readWorkbook(await writeWorkbook([{ name: 'Routes', rows }]));
+
+    assert.equal(sheets.length, 1);
+    assert.deepEqual(sheets[0].rows, rows);
+});
+
+test('sheet names are cleaned, shortened and kept unique', async () => {
+    const bytes = await writeWorkbook([
+        { name: 'Routes: AM/PM [draft]', rows: [['a']] },
+        { name: 'routes  am pm draft', rows: [['b']] },
+        { name: 'x'.repeat(40), rows: [['c']] },
+        { name: '', rows: [['d']] }
+    ]);
+
+    const { sheets } = await readWorkbook(bytes);
+    assert.deepEqual(sheets.map(sheet => sheet.name), ['Routes AM PM draft', 'routes am pm draft (2)', 'x'.repeat(31), 'Sheet4']);
+    assert.deepEqual(sheets.map(sheet => sheet.rows[0][0]), ['a', 'b', 'c', 'd']);
+});
+
+test('entries are deflated and still read back', { skip: !supportsRawDeflate() && 'no raw deflate in this runtime' }, async () => {
+    const text = 'Route 5, Route 6, Route 7\n'.repeat(200);
+    const bytes = await writeZip([{ name: 'routes.txt', data: text }]);
+
+    assert.equal(new DataView(bytes.buffer).getUint16(8, true), 8, 'compression method is deflate');
+    assert.ok(bytes.length < text.length / 4);
+    assert.equal(await (await readZip(bytes)).readText('routes.txt'), text);
+});
+
+test('shared and rich text strings are read', async () => {
+    const bytes = await writeZip([
+        {
+            name: 'xl/workbook.xml',
+            data: '<workbook><sheets><sheet name="Staff" sheetId="1" r:id="rId1"/></sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>'
+        },
+        {
+            name: 'xl/sharedStrings.xml',
+            data: '<sst><si><t>Name</t></si><si><r><t>Jane </t></r><r><rPr><b/></rPr><t>Doe</t></r></si><si><t>Tom &amp; Co</t></si></sst>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c></row>'
+                + '<row r="3"><c r="B3" t="s"><v>1</v></c><c r="C3" t="s"><v>2</v></c></row></sheetData></worksheet>'
+        }
+    ]);
+
+    const { sheets } = await readWorkbook(bytes);
+    assert.deepEqual(sheets[0].rows, [['Name'], [], [null, 'Jane Doe', 'Tom & Co']]);
+});